@@ -9,7 +9,11 @@
  * - Handles all DOM manipulation and user interactions
  *
  * DEPENDENCIES:
- * - storage.js (data layer)
+ * - storage.js (data layer, initialized asynchronously in init())
+ * - history.js (undo/redo)
+ * - remoteSync.js (optional sync server)
+ * - workspaces.js (workspace list and switching)
+ * - encryption.js (checks whether encryption is available)
  * - dateUtils.js (business logic)
  * - holidays.js (configuration data)
  *
@@ -25,9 +29,13 @@ let clearSearchBtn;
 let addAssetForm;
 let assetNameInput;
 let vendorInput;
+let assigneeInput;
+let assetTypeSelect;
+let tagsInput;
+let linksList;
 let fixReleaseInput;
 let lastReviewInput;
-let notesInput;
+let commentInput;
 let formError;
 let assetsContainer;
 let emptyState;
@@ -40,6 +48,12 @@ let submitBtn;
 let settingsForm;
 let orangeThresholdInput;
 let redThresholdInput;
+let trashRetentionInput;
+let syncUrlInput;
+let syncTokenInput;
+let authorNameInput;
+let holidayCalendarSelect;
+let customHolidaysInput;
 
 // Debounce timer for search
 let searchDebounceTimer;
@@ -47,33 +61,73 @@ let searchDebounceTimer;
 // Edit mode state
 let editingAssetId = null;
 
+// Attachments dropped on the form, prepared and saved with the asset on submit
+let pendingAttachments = [];
+
+// Assets whose History panel is open (kept open across re-renders)
+const expandedHistoryIds = new Set();
+
+// Assets whose comment thread is open (kept open across re-renders)
+const expandedCommentIds = new Set();
+
+// Number of workspaces (cards offer copy/move only when there is another one)
+let workspaceCount = 1;
+
 // Sort and filter state
 let currentSortOrder = 'urgency';
 let currentFilter = 'all';
+let currentAssigneeFilter = 'all';
+
+// Tags ticked in the tag filter (assets with any of them are shown)
+const selectedFilterTags = new Set();
+
+// Selection mode state (bulk actions); only visible assets stay selected
+let selectionMode = false;
+const selectedAssetIds = new Set();
+
+// Last checkbox clicked (where a Shift-click range starts)
+let selectionAnchorId = null;
 
 // Settings state (for cancel/revert)
 let originalSettingsBeforeEdit = null;
 
+// Backup chosen for restore, waiting for confirmation ({ fileName, backup })
+let pendingRestore = null;
+
+// Encrypted backup waiting for its passphrase ({ fileName, text })
+let pendingEncryptedBackup = null;
+
 /**
  * Initializes the application
  *
  * PATTERN: Initialization function called on DOM ready
  *
  * FLOW:
- * 1. Cache DOM element references
- * 2. Set up event listeners
- * 3. Load and render initial data
+ * 1. Open the storage backend and load saved data
+ * 2. Cache DOM element references
+ * 3. Set up event listeners
+ * 4. Render initial data
  */
-function init() {
+async function init() {
+    // Storage must be ready before anything reads or writes assets
+    // (opens the workspace this tab used last)
+    await initWorkspaces();
+    loadHistory();
+    initRemoteSync();
+
     // Cache DOM elements
     searchInput = document.getElementById('search-input');
     clearSearchBtn = document.getElementById('clear-search-btn');
     addAssetForm = document.getElementById('add-asset-form');
     assetNameInput = document.getElementById('asset-name-input');
     vendorInput = document.getElementById('vendor-input');
+    assigneeInput = document.getElementById('assignee-input');
+    assetTypeSelect = document.getElementById('asset-type-select');
+    tagsInput = document.getElementById('tags-input');
+    linksList = document.getElementById('links-list');
     fixReleaseInput = document.getElementById('fix-release-input');
     lastReviewInput = document.getElementById('last-review-input');
-    notesInput = document.getElementById('notes-input');
+    commentInput = document.getElementById('comment-input');
     formError = document.getElementById('form-error');
     assetsContainer = document.getElementById('assets-container');
     emptyState = document.getElementById('empty-state');
@@ -86,6 +140,32 @@ function init() {
     settingsForm = document.getElementById('settings-form');
     orangeThresholdInput = document.getElementById('orange-threshold-input');
     redThresholdInput = document.getElementById('red-threshold-input');
+    trashRetentionInput = document.getElementById('trash-retention-input');
+    syncUrlInput = document.getElementById('sync-url-input');
+    syncTokenInput = document.getElementById('sync-token-input');
+    authorNameInput = document.getElementById('author-name-input');
+    holidayCalendarSelect = document.getElementById('holiday-calendar-select');
+    customHolidaysInput = document.getElementById('custom-holidays-input');
+
+    Object.entries(HOLIDAY_CALENDARS).forEach(([key, calendar]) => {
+        holidayCalendarSelect.add(new Option(calendar.label, key));
+    });
+
+    const filterStatusGroup = document.getElementById('filter-status-group');
+    Object.entries(ASSET_STATUSES).forEach(([key, label]) => {
+        filterStatusGroup.appendChild(new Option(`${label} Only`, `status:${key}`));
+    });
+
+    const filterTypeGroup = document.getElementById('filter-type-group');
+    Object.entries(ASSET_TYPES).forEach(([key, label]) => {
+        filterTypeGroup.appendChild(new Option(`${label} Only`, `type:${key}`));
+        assetTypeSelect.add(new Option(label, key));
+    });
+
+    const bulkOutcomeSelect = document.getElementById('bulk-outcome-select');
+    Object.entries(REVIEW_OUTCOMES).forEach(([key, label]) => {
+        bulkOutcomeSelect.add(new Option(label, key));
+    });
 
     // Set up event listeners
     addAssetForm.addEventListener('submit', handleFormSubmit);
@@ -109,8 +189,155 @@ function init() {
         renderAssets(searchInput.value);
     });
 
+    // Files dropped outside a drop zone must not replace the page
+    window.addEventListener('dragover', (e) => {
+        if (e.defaultPrevented || !e.dataTransfer) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'none';
+    });
+    window.addEventListener('drop', (e) => e.preventDefault());
+
+    const formAttachmentInput = document.getElementById('form-attachment-input');
+    formAttachmentInput.addEventListener('change', () => {
+        addPendingAttachments(formAttachmentInput.files);
+        formAttachmentInput.value = '';
+    });
+    attachFileDropHandlers(document.getElementById('form-attachment-drop'), addPendingAttachments);
+
+    document.getElementById('add-link-btn').addEventListener('click', () => {
+        if (linksList.children.length >= MAX_LINKS_PER_ASSET) {
+            showToast(`An asset can have at most ${MAX_LINKS_PER_ASSET} links`, 'warning');
+            return;
+        }
+        addLinkRow().querySelector('.link-url-input').focus();
+    });
+
+    document.getElementById('tag-filter-options').addEventListener('change', (e) => {
+        if (e.target.checked) {
+            selectedFilterTags.add(e.target.value);
+        } else {
+            selectedFilterTags.delete(e.target.value);
+        }
+        renderAssets(searchInput.value);
+    });
+    document.getElementById('clear-tag-filter-btn').addEventListener('click', () => {
+        selectedFilterTags.clear();
+        renderAssets(searchInput.value);
+    });
+
+    document.getElementById('assignee-filter-select').addEventListener('change', (e) => {
+        currentAssigneeFilter = e.target.value;
+        if (currentAssigneeFilter === 'mine' && !getAuthorName()) {
+            showToast('Set "Your Name" in Settings to see the assets assigned to you', 'warning', 5000);
+        }
+        renderAssets(searchInput.value);
+    });
+
+    // Selection mode and bulk actions
+    document.getElementById('select-mode-btn').addEventListener('click', toggleSelectionMode);
+    document.getElementById('bulk-select-all-btn').addEventListener('click', handleSelectAllVisible);
+    document.getElementById('bulk-clear-btn').addEventListener('click', () => {
+        selectedAssetIds.clear();
+        renderSelection();
+    });
+    document.getElementById('bulk-action-select').addEventListener('change', renderBulkInputs);
+    document.getElementById('bulk-apply-btn').addEventListener('click', handleBulkAction);
+    document.getElementById('bulk-value-input').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            handleBulkAction();
+        }
+    });
+    renderBulkInputs();
+
+    // Re-render when stored data changes underneath us (another tab, or a rolled-back write)
+    onStorageChange(handleExternalStorageChange);
+
+    // Workspace switcher and management panel
+    document.getElementById('workspace-select').addEventListener('change', (e) => {
+        handleWorkspaceSwitch(e.target.value);
+    });
+    document.getElementById('workspaces-btn').addEventListener('click', () => {
+        const workspacesSection = document.getElementById('workspaces-section');
+        const isVisible = workspacesSection.style.display !== 'none';
+        workspacesSection.style.display = isVisible ? 'none' : 'block';
+
+        if (!isVisible) {
+            renderWorkspaces();
+            workspacesSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    });
+    document.getElementById('new-workspace-form').addEventListener('submit', handleCreateWorkspace);
+    onWorkspaceChange(handleWorkspaceChange);
+    renderWorkspaces();
+
+    // Undo/redo shortcuts
+    document.addEventListener('keydown', handleHistoryShortcut);
+
+    // Unlock screen and encryption settings
+    document.getElementById('unlock-form').addEventListener('submit', handleUnlock);
+    document.getElementById('encryption-form').addEventListener('submit', (e) => e.preventDefault());
+    document.getElementById('enable-encryption-btn').addEventListener('click', handleEnableEncryption);
+    document.getElementById('change-passphrase-btn').addEventListener('click', handleChangePassphrase);
+    document.getElementById('disable-encryption-btn').addEventListener('click', handleDisableEncryption);
+
+    // Drop trashed assets past the retention period
+    purgeExpiredTrash(getSettings().trashRetentionDays);
+
     // Initial render
+    renderLockState();
     renderAssets();
+    renderQuarantine();
+    renderTrash();
+
+    // Trash button event listeners
+    const trashBtn = document.getElementById('trash-btn');
+    const trashSection = document.getElementById('trash-section');
+
+    trashBtn.addEventListener('click', () => {
+        const isVisible = trashSection.style.display !== 'none';
+        trashSection.style.display = isVisible ? 'none' : 'block';
+
+        if (!isVisible) {
+            purgeExpiredTrash(getSettings().trashRetentionDays);
+            renderTrash();
+            trashSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    });
+
+    document.getElementById('empty-trash-btn').addEventListener('click', handleEmptyTrash);
+
+    // Archive button event listeners
+    const archiveSection = document.getElementById('archive-section');
+
+    document.getElementById('archive-btn').addEventListener('click', () => {
+        const isVisible = archiveSection.style.display !== 'none';
+        archiveSection.style.display = isVisible ? 'none' : 'block';
+
+        if (!isVisible) {
+            renderArchive();
+            archiveSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    });
+    document.getElementById('archive-search-input').addEventListener('input', renderArchive);
+
+    // Remote sync status button (visible once a sync server is configured)
+    document.getElementById('sync-status-btn').addEventListener('click', handleSyncStatusClick);
+    onRemoteSyncStatusChange(renderSyncStatus);
+    renderSyncStatus(getRemoteSyncStatus());
+
+    // Quarantine button event listener
+    const quarantineBtn = document.getElementById('quarantine-btn');
+    const quarantineSection = document.getElementById('quarantine-section');
+
+    quarantineBtn.addEventListener('click', () => {
+        const isVisible = quarantineSection.style.display !== 'none';
+        quarantineSection.style.display = isVisible ? 'none' : 'block';
+
+        if (!isVisible) {
+            quarantineSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    });
 
     // Add Asset button event listener
     const addAssetBtn = document.getElementById('add-asset-btn');
@@ -174,6 +401,42 @@ function init() {
     });
 
     csvFileInput.addEventListener('change', handleCsvImport);
+
+    // Backup / restore event listeners
+    const backupFileInput = document.getElementById('backup-file-input');
+
+    document.getElementById('export-backup-btn').addEventListener('click', handleBackupExport);
+    document.getElementById('restore-backup-btn-trigger').addEventListener('click', () => {
+        backupFileInput.click();
+    });
+    backupFileInput.addEventListener('change', handleBackupFileSelected);
+    document.querySelectorAll('input[name="restoreMode"]').forEach(radio => {
+        radio.addEventListener('change', renderRestoreSummary);
+    });
+    document.getElementById('confirm-restore-btn').addEventListener('click', handleRestoreConfirm);
+    document.getElementById('cancel-restore-btn').addEventListener('click', closeRestorePanel);
+    document.getElementById('restore-passphrase-form').addEventListener('submit', handleRestorePassphrase);
+}
+
+/**
+ * Refreshes the UI after data changed outside this tab's own actions
+ *
+ * SOURCES: Changes saved in another tab, or a failed write being rolled back.
+ * Settings are read fresh on every render, so thresholds update live too.
+ */
+function handleExternalStorageChange() {
+    // The asset being edited may have been deleted elsewhere
+    if (editingAssetId && !getAllAssets().some(asset => asset.id === editingAssetId)) {
+        cancelEdit();
+        showToast('The asset you were editing was deleted in another tab or by sync', 'warning', 5000);
+    }
+
+    renderLockState();
+    renderAssets(searchInput.value);
+    renderQuarantine();
+    renderTrash();
+    renderRestoreSummary();
+    renderSyncConflicts();
 }
 
 /**
@@ -184,14 +447,17 @@ function init() {
  *   - Asset Name (required): Name of the asset
  *   - Vendor (optional): Vendor company name
  *   - Fix Release (required): Build version (e.g., 10.30)
- *   - Link 1 (optional): URL or reference link (reserved for future)
- *   - Link 2 (optional): URL or reference link (reserved for future)
+ *   - Link 1 (optional): http(s) URL, e.g. review media or a ticket
+ *   - Link 2 (optional): http(s) URL, e.g. the vendor's FTP folder
  *
  * ADDITIONAL NOTES:
  * - CSV may contain extra columns - they will be ignored
  * - lastReset will be set to current time for all imported assets
  * - startDate and createdAt will be set to current time
  * - Fix Release is the overall build version in which asset will be released
+ * - Rows that cannot be parsed are skipped and listed (row number + reason)
+ * - All other rows are written in one atomic batch (applyAssetBatch) - if
+ *   saving fails, nothing is imported
  *
  * @param {Event} event - Click event
  */
@@ -207,41 +473,70 @@ async function handleCsvImport(event) {
     try {
         showToast('Reading CSV file...', 'info');
         const text = await file.text();
-        const assets = parseCsvToAssets(text);
+        const { assets, skipped } = parseCsvToAssets(text);
 
-        let imported = 0;
-        let skipped = 0;
+        if (assets.length === 0) {
+            showToast(`Nothing imported. ${describeSkippedRows(skipped)}`, 'error', 8000);
+            return;
+        }
 
-        for (const assetData of assets) {
-            const success = saveAsset(assetData);
-            if (success) {
-                imported++;
-            } else {
-                skipped++;
+        // All rows are written in one transaction: either all are imported or none
+        const result = await applyAssetBatch(
+            { insert: assets },
+            {
+                historyLabel: `Import ${assets.length} assets from CSV`,
+                source: 'CSV import',
+                failureMessage: 'Import failed - nothing was imported'
             }
-        }
+        );
 
-        const message = skipped > 0
-            ? `Imported ${imported} assets, ${skipped} skipped`
-            : `Imported ${imported} assets successfully`;
+        if (!result.success) {
+            if (result.errors.length > 0) {
+                const { index, reasons } = result.errors[0];
+                showToast(`Import failed - nothing was imported. Row for "${assets[index].name}": ${reasons[0]}`, 'error', 8000);
+            }
+            renderAssets(searchInput.value);
+            return;
+        }
 
-        showToast(message, 'success');
+        showUndoToast(`Imported ${result.inserted} assets successfully`);
+        if (skipped.length > 0) {
+            showToast(describeSkippedRows(skipped), 'warning', 8000);
+        }
         renderAssets(searchInput.value);
 
-        // Reset file input
-        fileInput.value = '';
-
     } catch (error) {
         showToast(`Import failed: ${error.message}`, 'error');
         debugLog('CSV import error:', error);
+    } finally {
+        // Reset file input (allows importing the same file again)
+        fileInput.value = '';
+    }
+}
+
+/**
+ * Summarizes skipped CSV rows for a toast
+ *
+ * FORMAT: "2 rows skipped: Row 3: missing fix release; Row 7: ..." (first 3 listed)
+ *
+ * @param {Array<Object>} skipped - [{ row, reason }] from parseCsvToAssets()
+ * @returns {string} Summary text
+ */
+function describeSkippedRows(skipped) {
+    if (skipped.length === 0) {
+        return 'The file has no valid rows.';
     }
+
+    const listed = skipped.slice(0, 3).map(({ row, reason }) => `Row ${row}: ${reason}`);
+    const more = skipped.length > 3 ? `; and ${skipped.length - 3} more` : '';
+    return `${skipped.length} row${skipped.length !== 1 ? 's' : ''} skipped: ${listed.join('; ')}${more}`;
 }
 
 /**
  * Parses CSV text into asset objects
  *
  * @param {string} csvText - Raw CSV text
- * @returns {Array} Array of asset objects
+ * @returns {Object} { assets: [asset objects], skipped: [{ row, reason }] }
  */
 function parseCsvToAssets(csvText) {
     const lines = csvText.split('\n').filter(line => line.trim());
@@ -256,7 +551,11 @@ function parseCsvToAssets(csvText) {
     const nameIdx = headers.findIndex(h => h.includes('asset') && h.includes('name'));
     const vendorIdx = headers.findIndex(h => h.includes('vendor'));
     const releaseIdx = headers.findIndex(h => h.includes('release') || h.includes('fix'));
-    // Link columns reserved for future use
+    // Optional columns (tags separated by semicolons)
+    const assigneeIdx = headers.findIndex(h => h.includes('assignee'));
+    const typeIdx = headers.findIndex(h => h === 'type' || h.includes('asset type'));
+    const tagsIdx = headers.findIndex(h => h === 'tags' || h === 'tag');
+    // Link columns (labelled with the URL's host name)
     const link1Idx = headers.findIndex(h => h.includes('link 1') || h.includes('link1'));
     const link2Idx = headers.findIndex(h => h.includes('link 2') || h.includes('link2'));
 
@@ -268,6 +567,7 @@ function parseCsvToAssets(csvText) {
     }
 
     const assets = [];
+    const skipped = [];
     const currentTime = new Date().toISOString();
 
     // Parse data rows
@@ -281,11 +581,13 @@ function parseCsvToAssets(csvText) {
         // Validate required fields
         if (!name) {
             debugLog(`Row ${i + 1}: Skipping - missing asset name`);
+            skipped.push({ row: i + 1, reason: 'missing asset name' });
             continue;
         }
 
         if (!fixRelease) {
             debugLog(`Row ${i + 1}: Skipping - missing fix release`);
+            skipped.push({ row: i + 1, reason: 'missing fix release' });
             continue;
         }
 
@@ -293,6 +595,32 @@ function parseCsvToAssets(csvText) {
         const releaseValidation = validateFixRelease(fixRelease);
         if (!releaseValidation.valid) {
             debugLog(`Row ${i + 1}: Skipping - invalid fix release: ${releaseValidation.error}`);
+            skipped.push({ row: i + 1, reason: releaseValidation.error });
+            continue;
+        }
+
+        const assigneeValidation = validateAssignee(assigneeIdx !== -1 ? values[assigneeIdx] : '');
+        if (!assigneeValidation.valid) {
+            debugLog(`Row ${i + 1}: Skipping - invalid assignee: ${assigneeValidation.error}`);
+            skipped.push({ row: i + 1, reason: assigneeValidation.error });
+            continue;
+        }
+
+        const typeValidation = validateAssetType(typeIdx !== -1 ? values[typeIdx] : '');
+        const tagsValidation = validateTags(tagsIdx !== -1 ? values[tagsIdx] : '');
+        const optionalError = typeValidation.error || tagsValidation.error;
+        if (optionalError) {
+            debugLog(`Row ${i + 1}: Skipping - ${optionalError}`);
+            skipped.push({ row: i + 1, reason: optionalError });
+            continue;
+        }
+
+        const linksValidation = validateLinks([link1Idx, link2Idx]
+            .filter(index => index !== -1)
+            .map(index => ({ label: '', url: values[index] })));
+        if (!linksValidation.valid) {
+            debugLog(`Row ${i + 1}: Skipping - invalid link: ${linksValidation.error}`);
+            skipped.push({ row: i + 1, reason: linksValidation.error });
             continue;
         }
 
@@ -302,16 +630,18 @@ function parseCsvToAssets(csvText) {
             name: name,
             vendor: vendor,
             fixRelease: releaseValidation.value,
+            assignee: assigneeValidation.value,
+            assetType: typeValidation.value,
+            tags: tagsValidation.value,
+            links: linksValidation.value,
             startDate: currentTime,
             lastReset: currentTime,
-            createdAt: currentTime
-            // Note: Link1 and Link2 are reserved for future implementation
-            // link1: values[link1Idx]?.trim() || '',
-            // link2: values[link2Idx]?.trim() || ''
+            createdAt: currentTime,
+            status: DEFAULT_ASSET_STATUS
         });
     }
 
-    return assets;
+    return { assets, skipped };
 }
 
 /**
@@ -320,6 +650,9 @@ function parseCsvToAssets(csvText) {
  * VALIDATION:
  * - Asset name: required, max 100 chars, alphanumeric + common symbols
  * - Vendor: optional, max 100 chars
+ * - Assignee: optional, max 50 chars
+ * - Type and tags: optional (see validateAssetType / validateTags)
+ * - Links: optional, http(s) only (see validateLinks)
  * - Fix release: required, valid number 0-1000
  *
  * @param {Event} event - Form submit event
@@ -359,6 +692,39 @@ function handleFormSubmit(event) {
             return;
         }
 
+        // Validate assignee
+        const assigneeResult = validateAssignee(assigneeInput.value);
+        if (!assigneeResult.valid) {
+            showFieldError(assigneeInput, assigneeResult.error);
+            hideButtonLoading(submitBtn);
+            assigneeInput.focus();
+            return;
+        }
+
+        // Validate asset type and tags
+        const assetTypeResult = validateAssetType(assetTypeSelect.value);
+        if (!assetTypeResult.valid) {
+            showFieldError(assetTypeSelect, assetTypeResult.error);
+            hideButtonLoading(submitBtn);
+            assetTypeSelect.focus();
+            return;
+        }
+
+        const tagsResult = validateTags(tagsInput.value);
+        if (!tagsResult.valid) {
+            showFieldError(tagsInput, tagsResult.error);
+            hideButtonLoading(submitBtn);
+            tagsInput.focus();
+            return;
+        }
+
+        const linksResult = validateLinks(readLinkRows());
+        if (!linksResult.valid) {
+            showFieldError(linksList, linksResult.error);
+            hideButtonLoading(submitBtn);
+            return;
+        }
+
         // Validate and format fix release
         const fixReleaseResult = validateFixRelease(fixReleaseValue);
         if (!fixReleaseResult.valid) {
@@ -379,22 +745,48 @@ function handleFormSubmit(event) {
             lastResetTime = new Date().toISOString();
         }
 
-        // Get notes value
-        const notesValue = (notesInput.value || '').trim();
+        // Validate the first comment (new assets only; the field is hidden while editing)
+        let commentResult = { valid: true, value: '' };
+        if (!editingAssetId && commentInput.value.trim()) {
+            commentResult = validateComment(commentInput.value);
+            if (!commentResult.valid) {
+                showFieldError(commentInput, commentResult.error);
+                hideButtonLoading(submitBtn);
+                commentInput.focus();
+                return;
+            }
+        }
 
         // Check if we're editing or adding
         if (editingAssetId) {
             // UPDATE EXISTING ASSET
+            const existing = getAllAssets().find(a => a.id === editingAssetId);
+            const reviewDateResult = existing
+                ? getReviewDateUpdates(existing, lastReviewValue)
+                : { valid: true, updates: {} };
+            if (!reviewDateResult.valid) {
+                showFieldError(lastReviewInput, reviewDateResult.error);
+                hideButtonLoading(submitBtn);
+                lastReviewInput.focus();
+                return;
+            }
+
             const updated = updateAsset(editingAssetId, {
                 name: nameResult.value,
                 vendor: vendorResult.value || 'Not specified',
                 fixRelease: fixReleaseResult.value,
-                lastReset: lastResetTime,
-                notes: notesValue
+                ...getOptionalFieldUpdates(existing || {}, {
+                    assignee: assigneeResult.value,
+                    assetType: assetTypeResult.value,
+                    tags: tagsResult.value,
+                    links: linksResult.value
+                }),
+                ...reviewDateResult.updates
             });
 
             if (updated) {
-                showToast('Asset updated successfully', 'success');
+                showUndoToast('Asset updated successfully');
+                savePendingAttachments(editingAssetId);
                 cancelEdit();
                 renderAssets(searchInput.value);
             }
@@ -406,19 +798,26 @@ function handleFormSubmit(event) {
                 name: nameResult.value,
                 vendor: vendorResult.value || 'Not specified',
                 fixRelease: fixReleaseResult.value,
+                assignee: assigneeResult.value,
+                assetType: assetTypeResult.value,
+                tags: tagsResult.value,
+                links: linksResult.value,
                 startDate: currentTime,
                 lastReset: lastResetTime,
                 createdAt: currentTime,
-                notes: notesValue
+                comments: commentResult.value ? [createComment(commentResult.value)] : [],
+                status: DEFAULT_ASSET_STATUS
             };
 
             // Save to storage
             const success = saveAsset(asset);
 
             if (success) {
-                showToast('Asset added successfully', 'success');
+                showUndoToast('Asset added successfully');
+                savePendingAttachments(asset.id);
                 // Clear form
                 addAssetForm.reset();
+                renderLinkRows([]);
                 // Hide form section
                 const addAssetSection = document.getElementById('add-asset-section');
                 const addAssetBtn = document.getElementById('add-asset-btn');
@@ -435,6 +834,67 @@ function handleFormSubmit(event) {
     }, 100);
 }
 
+/**
+ * Picks the optional field values an edit should save
+ *
+ * Older assets lack fields added later (assignee, type, tags, links); leaving
+ * those out while they stay empty keeps their history free of
+ * "(empty) → (empty)" entries
+ *
+ * @param {Object} asset - Asset being edited
+ * @param {Object} values - Optional field values from the form
+ * @returns {Object} Updates to save
+ */
+function getOptionalFieldUpdates(asset, values) {
+    return Object.fromEntries(Object.entries(values).filter(([field, value]) =>
+        field in asset || (Array.isArray(value) ? value.length > 0 : value !== '')
+    ));
+}
+
+/**
+ * Fills the form's link rows
+ *
+ * @param {Array<{label: string, url: string}>} links - Links to edit (none for a new asset)
+ */
+function renderLinkRows(links) {
+    linksList.innerHTML = '';
+    links.forEach(link => addLinkRow(link));
+}
+
+/**
+ * Adds a label + URL row to the form's links
+ *
+ * @param {{label: string, url: string}} [link] - Values to fill in
+ * @returns {HTMLElement} The new row
+ */
+function addLinkRow(link = { label: '', url: '' }) {
+    const row = document.createElement('div');
+    row.className = 'link-row';
+    row.innerHTML = `
+        <input type="text" class="link-label-input" maxlength="${MAX_LINK_LABEL_LENGTH}" placeholder="Label, e.g. Review media" aria-label="Link label">
+        <input type="url" class="link-url-input" placeholder="https://..." aria-label="Link URL">
+        <button type="button" class="btn btn-icon btn-remove-link" aria-label="Remove link" title="Remove link">✕</button>
+    `;
+    row.querySelector('.link-label-input').value = link.label;
+    row.querySelector('.link-url-input').value = link.url;
+    row.querySelector('.btn-remove-link').addEventListener('click', () => row.remove());
+
+    linksList.appendChild(row);
+    return row;
+}
+
+/**
+ * Reads the form's link rows
+ *
+ * @returns {Array<{label: string, url: string}>} Raw values (validate with validateLinks)
+ */
+function readLinkRows() {
+    return Array.from(linksList.querySelectorAll('.link-row'), row => ({
+        label: row.querySelector('.link-label-input').value,
+        url: row.querySelector('.link-url-input').value
+    }));
+}
+
 /**
  * Displays field-specific error
  *
@@ -459,7 +919,7 @@ function clearFormErrors() {
     formError.style.display = 'none';
 
     // Remove error class from all inputs
-    [assetNameInput, vendorInput, fixReleaseInput, lastReviewInput, notesInput].forEach(input => {
+    [assetNameInput, vendorInput, assigneeInput, assetTypeSelect, tagsInput, linksList, fixReleaseInput, lastReviewInput, commentInput].forEach(input => {
         if (input) input.classList.remove('input-error');
     });
 }
@@ -506,19 +966,17 @@ function startEdit(id) {
     // Populate form
     assetNameInput.value = asset.name;
     vendorInput.value = asset.vendor === 'Not specified' ? '' : asset.vendor;
+    assigneeInput.value = asset.assignee || '';
+    assetTypeSelect.value = asset.assetType || '';
+    tagsInput.value = (asset.tags || []).join(', ');
+    renderLinkRows(asset.links || []);
     fixReleaseInput.value = asset.fixRelease;
 
     // Populate last review date (convert ISO to date input format YYYY-MM-DD)
-    if (asset.lastReset) {
-        const lastResetDate = new Date(asset.lastReset);
-        const year = lastResetDate.getFullYear();
-        const month = String(lastResetDate.getMonth() + 1).padStart(2, '0');
-        const day = String(lastResetDate.getDate()).padStart(2, '0');
-        lastReviewInput.value = `${year}-${month}-${day}`;
-    }
+    lastReviewInput.value = toDateInputValue(getLastReviewDate(asset));
 
-    // Populate notes
-    notesInput.value = asset.notes || '';
+    // Comments are added and edited on the card's thread, not in the form
+    document.getElementById('comment-group').hidden = true;
 
     // Clear errors
     clearFormErrors();
@@ -556,6 +1014,10 @@ function cancelEdit() {
 
     // Reset form
     addAssetForm.reset();
+    renderLinkRows([]);
+    pendingAttachments = [];
+    renderPendingAttachments();
+    document.getElementById('comment-group').hidden = false;
     clearFormErrors();
 
     // Update form title and button
@@ -635,8 +1097,8 @@ function handleClearSearch() {
  * @param {string} searchTerm - Optional search term for filtering
  */
 function renderAssets(searchTerm = '') {
-    // Get all assets
-    const allAssets = getAllAssets();
+    // Get all active assets (archived ones are listed in the Archive panel)
+    const allAssets = getAllAssets().filter(asset => !isAssetArchived(asset));
     let assets = allAssets;
 
     // Filter if search term provided
@@ -645,8 +1107,10 @@ function renderAssets(searchTerm = '') {
         assets = filterAssets(assets, searchTerm);
     }
 
-    // Apply alert level filter
-    assets = filterAssetsByAlertLevel(assets, currentFilter);
+    // Apply alert level / status filter, then the assignee filter
+    assets = applyAssetFilter(assets, currentFilter);
+    assets = filterAssetsByAssignee(assets, currentAssigneeFilter);
+    assets = filterAssetsByTags(assets, selectedFilterTags);
 
     // Apply sorting
     assets = sortAssets(assets, currentSortOrder);
@@ -672,14 +1136,24 @@ function renderAssets(searchTerm = '') {
         });
     }
 
+    // Bulk actions only ever apply to assets on screen
+    const visibleIds = new Set(assets.map(asset => asset.id));
+    selectedAssetIds.forEach(id => {
+        if (!visibleIds.has(id)) selectedAssetIds.delete(id);
+    });
+    renderSelection();
+
     // Update count
     assetCount.textContent = allAssets.length;
+    renderAssigneeOptions(allAssets);
+    renderTagFilterOptions(allAssets);
+    renderArchive();
 }
 
 /**
  * Filters assets by search term across multiple fields
  *
- * SEARCHES: name, vendor, fixRelease
+ * SEARCHES: name, vendor, fixRelease, comments (all of them), assignee, type, tags
  * MATCHING: Case-insensitive, partial matching
  *
  * @param {Array<Object>} assets - All assets
@@ -695,12 +1169,28 @@ function filterAssets(assets, searchTerm) {
         const nameMatch = asset.name.toLowerCase().includes(lowerSearch);
         const vendorMatch = asset.vendor.toLowerCase().includes(lowerSearch);
         const releaseMatch = asset.fixRelease.includes(lowerSearch);
-        const notesMatch = asset.notes ? asset.notes.toLowerCase().includes(lowerSearch) : false;
+        const commentsMatch = (asset.comments || []).some(comment => comment.text.toLowerCase().includes(lowerSearch));
+        const assigneeMatch = asset.assignee ? asset.assignee.toLowerCase().includes(lowerSearch) : false;
+        const typeMatch = asset.assetType ? ASSET_TYPES[asset.assetType].toLowerCase().includes(lowerSearch) : false;
+        const tagsMatch = (asset.tags || []).some(tag => tag.includes(lowerSearch));
 
-        return nameMatch || vendorMatch || releaseMatch || notesMatch;
+        return nameMatch || vendorMatch || releaseMatch || commentsMatch || assigneeMatch || typeMatch || tagsMatch;
     });
 }
 
+/**
+ * Extracts the workspace's holiday configuration for business day counts
+ *
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Object} { calendar, extraDates } for calculateBusinessDays()
+ */
+function getHolidayConfig(settings) {
+    return {
+        calendar: settings.holidayCalendar,
+        extraDates: settings.customHolidays
+    };
+}
+
 /**
  * Sorts assets by urgency (alert level), then by days elapsed
  *
@@ -715,32 +1205,34 @@ function filterAssets(assets, searchTerm) {
  */
 function sortAssetsByUrgency(assets) {
     const settings = getSettings();
-    return assets.sort((a, b) => {
-        // Calculate metrics for both assets
-        const aCalDays = calculateDaysElapsed(a.lastReset);
-        const aBusDays = calculateBusinessDays(a.lastReset);
-        const aAlertLevel = getAlertLevel(aBusDays, aCalDays, settings.orangeThreshold, settings.redThreshold);
+    // Measure each asset once, not on every comparison
+    const timings = new Map(assets.map(asset => [asset.id, getAssetTiming(asset, settings)]));
 
-        const bCalDays = calculateDaysElapsed(b.lastReset);
-        const bBusDays = calculateBusinessDays(b.lastReset);
-        const bAlertLevel = getAlertLevel(bBusDays, bCalDays, settings.orangeThreshold, settings.redThreshold);
+    return assets.sort((a, b) => {
+        const aTiming = timings.get(a.id);
+        const bTiming = timings.get(b.id);
 
         // Define alert priority order
         const alertOrder = { red: 0, orange: 1, normal: 2 };
 
         // Primary sort: alert level
-        const alertComparison = alertOrder[aAlertLevel] - alertOrder[bAlertLevel];
+        const alertComparison = alertOrder[aTiming.alertLevel] - alertOrder[bTiming.alertLevel];
         if (alertComparison !== 0) return alertComparison;
 
+        // Assets whose clock is stopped (e.g. Approved) go after running ones
+        if (aTiming.clockRunning !== bTiming.clockRunning) {
+            return aTiming.clockRunning ? -1 : 1;
+        }
+
         // Secondary sort: days elapsed (descending)
-        return bCalDays - aCalDays;
+        return bTiming.calendarDays - aTiming.calendarDays;
     });
 }
 
 /**
  * Sorts assets based on user-selected sort order
  * @param {Array} assets - Assets to sort
- * @param {string} sortOrder - Sort order (name, vendor, fixRelease, daysElapsed, urgency)
+ * @param {string} sortOrder - Sort order (name, vendor, fixRelease, daysElapsed, status, urgency)
  * @returns {Array} Sorted assets
  */
 function sortAssets(assets, sortOrder) {
@@ -755,16 +1247,65 @@ function sortAssets(assets, sortOrder) {
             return sorted.sort((a, b) => parseFloat(a.fixRelease) - parseFloat(b.fixRelease));
         case 'daysElapsed':
             return sorted.sort((a, b) => {
-                const aDays = calculateCalendarDays(a.lastReset);
-                const bDays = calculateCalendarDays(b.lastReset);
+                const aDays = calculateDaysElapsed(getCycleStart(a), null, a.pauses);
+                const bDays = calculateDaysElapsed(getCycleStart(b), null, b.pauses);
                 return bDays - aDays;
             });
+        case 'status': {
+            // Workflow order, most urgent first within each status
+            const statusOrder = Object.keys(ASSET_STATUSES);
+            return sortAssetsByUrgency(sorted).sort((a, b) =>
+                statusOrder.indexOf(getAssetStatus(a)) - statusOrder.indexOf(getAssetStatus(b))
+            );
+        }
+        case 'assignee':
+            // Grouped by assignee (unassigned last), most urgent first within each
+            return sortAssetsByUrgency(sorted).sort((a, b) => {
+                const aName = a.assignee || '';
+                const bName = b.assignee || '';
+                if (!aName !== !bName) return aName ? -1 : 1;
+                return aName.localeCompare(bName, undefined, { sensitivity: 'base' });
+            });
+        case 'assetType': {
+            // ASSET_TYPES order (no type last), most urgent first within each type
+            const typeOrder = Object.keys(ASSET_TYPES);
+            const typeRank = asset => (asset.assetType ? typeOrder.indexOf(asset.assetType) : typeOrder.length);
+            return sortAssetsByUrgency(sorted).sort((a, b) => typeRank(a) - typeRank(b));
+        }
+        case 'tags':
+            // By first tag A-Z (untagged last), most urgent first within each
+            return sortAssetsByUrgency(sorted).sort((a, b) => {
+                const aTag = [...(a.tags || [])].sort()[0] || '';
+                const bTag = [...(b.tags || [])].sort()[0] || '';
+                if (!aTag !== !bTag) return aTag ? -1 : 1;
+                return aTag.localeCompare(bTag);
+            });
         case 'urgency':
         default:
             return sortAssetsByUrgency(sorted);
     }
 }
 
+/**
+ * Applies the filter dropdown (alert level, due this week, status or type)
+ * @param {Array} assets - Assets to filter
+ * @param {string} filterValue - Filter value (all, red, orange, normal, due-this-week, status:<status> or type:<type>)
+ * @returns {Array} Filtered assets
+ */
+function applyAssetFilter(assets, filterValue) {
+    if (filterValue.startsWith('status:')) {
+        return filterAssetsByStatus(assets, filterValue.slice('status:'.length));
+    }
+    if (filterValue === 'due-this-week') {
+        return filterAssetsDueThisWeek(assets);
+    }
+    if (filterValue.startsWith('type:')) {
+        const assetType = filterValue.slice('type:'.length);
+        return assets.filter(asset => asset.assetType === assetType);
+    }
+    return filterAssetsByAlertLevel(assets, filterValue);
+}
+
 /**
  * Filters assets by alert level
  * @param {Array} assets - Assets to filter
@@ -775,87 +1316,425 @@ function filterAssetsByAlertLevel(assets, filterValue) {
     if (filterValue === 'all') return assets;
 
     const settings = getSettings();
-    return assets.filter(asset => {
-        const calendarDays = calculateDaysElapsed(asset.lastReset);
-        const businessDays = calculateBusinessDays(asset.lastReset);
-        const alertLevel = getAlertLevel(
-            businessDays,
-            calendarDays,
-            settings.orangeThreshold,
-            settings.redThreshold
-        );
-        return alertLevel === filterValue;
-    });
+    return assets.filter(asset => getAssetTiming(asset, settings).alertLevel === filterValue);
 }
 
 /**
- * Creates a DOM element for an asset card
- *
- * STRUCTURE:
- * - Header: Asset name + delete button
- * - Body: Vendor, fix release, dates, counters, alert message
- * - Actions: Edit and Review buttons
+ * Filters assets by assignee
+ * @param {Array} assets - Assets to filter
+ * @param {string} filterValue - all, mine (assigned to "Your Name"), unassigned, or assignee:<name>
+ * @returns {Array} Filtered assets
+ */
+function filterAssetsByAssignee(assets, filterValue) {
+    if (filterValue === 'all') return assets;
+    if (filterValue === 'unassigned') return assets.filter(asset => !asset.assignee);
+
+    const name = filterValue === 'mine' ? getAuthorName() : filterValue.slice('assignee:'.length);
+    return assets.filter(asset => isAssignedTo(asset, name));
+}
+
+/**
+ * Checks whether an asset is assigned to someone (names match case-insensitively)
  *
  * @param {Object} asset - Asset object
- * @returns {HTMLElement} Asset card element
+ * @param {string|null} name - Assignee name
+ * @returns {boolean} True if assigned to that name
  */
-function createAssetCard(asset) {
-    // Calculate metrics using configurable thresholds
-    const settings = getSettings();
-    const calendarDays = calculateDaysElapsed(asset.lastReset);
-    const businessDays = calculateBusinessDays(asset.lastReset);
-    const alertLevel = getAlertLevel(businessDays, calendarDays, settings.orangeThreshold, settings.redThreshold);
-    const alertMessage = getAlertMessage(alertLevel, settings.orangeThreshold, settings.redThreshold);
+function isAssignedTo(asset, name) {
+    return Boolean(name && asset.assignee) && asset.assignee.toLowerCase() === name.trim().toLowerCase();
+}
 
-    // Alert icon for better accessibility
-    const alertIcon = alertLevel === 'red' ? '🔴' : alertLevel === 'orange' ? '🟠' : '';
+/**
+ * Lists the assignees of some assets, once each (first spelling wins), A-Z
+ *
+ * @param {Array<Object>} assets - Assets
+ * @returns {Array<string>} Assignee names
+ */
+function getKnownAssignees(assets) {
+    const names = new Map();
+    assets.forEach(asset => {
+        if (asset.assignee && !names.has(asset.assignee.toLowerCase())) {
+            names.set(asset.assignee.toLowerCase(), asset.assignee);
+        }
+    });
+    return [...names.values()].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
 
-    // Create card container
-    const card = document.createElement('div');
-    card.className = `asset-card alert-${alertLevel}`;
-    card.dataset.assetId = asset.id;
+/**
+ * Refreshes the assignee filter options and the form's assignee suggestions
+ *
+ * @param {Array<Object>} assets - Active assets
+ */
+function renderAssigneeOptions(assets) {
+    const assignees = getKnownAssignees(assets);
+
+    // Keep a picked assignee listed even when nothing is assigned to them any more
+    const selectedName = currentAssigneeFilter.startsWith('assignee:')
+        ? currentAssigneeFilter.slice('assignee:'.length)
+        : null;
+    if (selectedName && !assignees.includes(selectedName)) {
+        assignees.push(selectedName);
+    }
 
-    // Notes section HTML (only show if notes exist)
-    const notesHtml = asset.notes ? `
-        <div class="card-notes">
-            <p class="notes-text">📝 ${escapeHtml(asset.notes)}</p>
-        </div>
-    ` : '';
+    const filterGroup = document.getElementById('assignee-filter-group');
+    filterGroup.innerHTML = '';
+    assignees.forEach(name => {
+        filterGroup.appendChild(new Option(name, `assignee:${name}`));
+    });
+    document.getElementById('assignee-filter-select').value = currentAssigneeFilter;
+
+    const suggestions = document.getElementById('assignee-options');
+    suggestions.innerHTML = '';
+    const currentUser = getAuthorName();
+    const suggested = currentUser && !assignees.some(name => name.toLowerCase() === currentUser.toLowerCase())
+        ? [currentUser, ...assignees]
+        : assignees;
+    suggested.forEach(name => {
+        suggestions.appendChild(new Option(name));
+    });
+}
 
-    // Build card HTML with prominent business days counter
-    card.innerHTML = `
-        <div class="card-header">
-            <h3 class="asset-name">${alertIcon} 📦 ${escapeHtml(asset.name)}</h3>
-        </div>
-        <div class="card-meta">
-            <span class="vendor">🏢 ${escapeHtml(asset.vendor)}</span>
-            <span class="separator">•</span>
-            <span class="fix-release">📋 v${asset.fixRelease}</span>
-        </div>
-        <div class="card-divider"></div>
-        <div class="days-counter-prominent">
-            <div class="days-counter-main">
-                <span class="days-number">${businessDays}</span>
-                <span class="days-label">business day${businessDays !== 1 ? 's' : ''}</span>
-            </div>
-            <div class="days-counter-secondary">
-                <span class="calendar-days">${calendarDays} calendar day${calendarDays !== 1 ? 's' : ''}</span>
-            </div>
-        </div>
-        ${alertMessage ? `<p class="alert-message">${alertMessage}</p>` : ''}
-        <div class="card-body">
-            <p class="start-date">📅 Last Reviewed: ${formatDate(asset.lastReset)}</p>
-            ${notesHtml}
-        </div>
-        <div class="card-actions">
-            <!-- Primary Action: Review -->
-            <button class="btn btn-review btn-review-primary" title="Mark asset as reviewed">
-                ✓ Review
-            </button>
+/**
+ * Filters assets by tag
+ * @param {Array} assets - Assets to filter
+ * @param {Set<string>} tags - Ticked tags (none ticked = no filtering)
+ * @returns {Array} Assets with at least one of the tags
+ */
+function filterAssetsByTags(assets, tags) {
+    if (tags.size === 0) return assets;
+    return assets.filter(asset => (asset.tags || []).some(tag => tags.has(tag)));
+}
 
-            <!-- Secondary Actions: Edit and Delete -->
-            <div class="card-actions-secondary">
-                <button class="btn btn-icon btn-edit" title="Edit asset" aria-label="Edit ${escapeHtml(asset.name)}">
+/**
+ * Refreshes the tag filter checkboxes (one per tag in use) and its summary
+ *
+ * @param {Array<Object>} assets - Active assets
+ */
+function renderTagFilterOptions(assets) {
+    const tags = new Set(selectedFilterTags);
+    assets.forEach(asset => (asset.tags || []).forEach(tag => tags.add(tag)));
+
+    const options = document.getElementById('tag-filter-options');
+    options.innerHTML = '';
+    [...tags].sort().forEach(tag => {
+        const label = document.createElement('label');
+        label.className = 'tag-filter-option';
+        label.innerHTML = `
+            <input type="checkbox" value="${escapeHtml(tag)}"${selectedFilterTags.has(tag) ? ' checked' : ''}>
+            <span class="tag-chip tag-color-${getTagColorIndex(tag)}">${escapeHtml(tag)}</span>
+        `;
+        options.appendChild(label);
+    });
+
+    document.getElementById('tag-filter-empty').style.display = tags.size === 0 ? 'block' : 'none';
+    document.getElementById('clear-tag-filter-btn').disabled = selectedFilterTags.size === 0;
+    document.getElementById('tag-filter-summary').textContent = selectedFilterTags.size > 0
+        ? `🏷️ Tags (${selectedFilterTags.size})`
+        : '🏷️ Tags';
+}
+
+/**
+ * Filters assets by workflow status
+ * @param {Array} assets - Assets to filter
+ * @param {string} status - Status key
+ * @returns {Array} Filtered assets
+ */
+function filterAssetsByStatus(assets, status) {
+    return assets.filter(asset => getAssetStatus(asset) === status);
+}
+
+/**
+ * Measures an asset's current review cycle against the alert thresholds
+ *
+ * CLOCK: Assets whose status does not run the business-day clock (e.g.
+ * Approved, by default) keep their counters but never alert; neither do
+ * archived assets
+ * PAUSES: Paused days are left out of both counters
+ *
+ * @param {Object} asset - Asset object
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Object} { calendarDays, businessDays, alertLevel, clockRunning, activePause }
+ */
+function getAssetTiming(asset, settings) {
+    const cycleStart = getCycleStart(asset);
+    const calendarDays = calculateDaysElapsed(cycleStart, null, asset.pauses);
+    const businessDays = calculateBusinessDays(cycleStart, getHolidayConfig(settings), null, asset.pauses);
+    const clockRunning = !isAssetArchived(asset) && isClockRunning(getAssetStatus(asset), settings.clockStatuses);
+    const alertLevel = clockRunning
+        ? getAlertLevel(businessDays, calendarDays, settings.orangeThreshold, settings.redThreshold)
+        : 'normal';
+
+    return { calendarDays, businessDays, alertLevel, clockRunning, activePause: getActivePause(asset) };
+}
+
+/**
+ * Projects the days an asset's current review cycle goes orange and red
+ *
+ * Dates can be in the past (the threshold was already crossed). There is no
+ * projection while the clock is stopped or the asset is paused, since nobody
+ * knows when the counter will run again.
+ *
+ * @param {Object} asset - Asset object
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Object|null} { orangeDate, redDate } (Dates, either may be null if too far away), or null
+ */
+function getAlertProjection(asset, settings) {
+    if (isAssetArchived(asset) || !isClockRunning(getAssetStatus(asset), settings.clockStatuses) || getActivePause(asset)) {
+        return null;
+    }
+
+    const cycleStart = getCycleStart(asset);
+    const holidayConfig = getHolidayConfig(settings);
+    return {
+        orangeDate: getThresholdCrossingDate(cycleStart, settings.orangeThreshold, holidayConfig, asset.pauses),
+        redDate: getThresholdCrossingDate(cycleStart, settings.redThreshold, holidayConfig, asset.pauses)
+    };
+}
+
+/**
+ * Filters assets that go orange or red during the current week (Monday to Sunday)
+ * @param {Array} assets - Assets to filter
+ * @returns {Array} Filtered assets
+ */
+function filterAssetsDueThisWeek(assets) {
+    const settings = getSettings();
+    const week = getWeekRange();
+    const isThisWeek = date => date !== null && date >= week.start && date < week.end;
+
+    return assets.filter(asset => {
+        const projection = getAlertProjection(asset, settings);
+        return projection !== null && (isThisWeek(projection.orangeDate) || isThisWeek(projection.redDate));
+    });
+}
+
+/**
+ * Creates the line showing when a card goes (or went) orange and red
+ *
+ * @param {Object|null} projection - Result of getAlertProjection()
+ * @returns {string} HTML ('' if there is no projection)
+ */
+function createAlertProjectionHtml(projection) {
+    if (!projection) return '';
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const describe = (icon, label, date) => {
+        if (!date) return '';
+        const text = date <= today ? `Turned ${label.toLowerCase()}` : label;
+        return `<span class="projection-${label.toLowerCase()}">${icon} ${text} ${formatWeekdayDate(date)}</span>`;
+    };
+
+    const parts = [
+        describe('🟠', 'Orange', projection.orangeDate),
+        describe('🔴', 'Red', projection.redDate)
+    ].filter(Boolean);
+
+    return parts.length > 0 ? `<p class="alert-projection">${parts.join('<span class="separator">•</span>')}</p>` : '';
+}
+
+/**
+ * Creates a DOM element for an asset card
+ *
+ * STRUCTURE:
+ * - Header: Asset name + delete button
+ * - Body: Vendor, fix release, dates, counters, alert message
+ * - Actions: Edit and Review buttons
+ *
+ * @param {Object} asset - Asset object
+ * @returns {HTMLElement} Asset card element
+ */
+function createAssetCard(asset) {
+    // Calculate metrics using configurable thresholds
+    const settings = getSettings();
+    const { calendarDays, businessDays, alertLevel, clockRunning, activePause } = getAssetTiming(asset, settings);
+    const alertMessage = getAlertMessage(alertLevel, settings.orangeThreshold, settings.redThreshold);
+    const status = getAssetStatus(asset);
+    const transitions = getAllowedTransitions(status, settings.statusTransitions);
+    const statusHistory = asset.statusHistory || [];
+    const statusSince = statusHistory.length > 0 ? statusHistory[statusHistory.length - 1].changedAt : null;
+    const deliveries = asset.deliveries || [];
+    const currentDelivery = deliveries[deliveries.length - 1];
+    const attachments = getAssetAttachments(asset.id);
+    const thumbnail = attachments.find(attachment => attachment.kind === 'thumbnail');
+    const fileCount = attachments.filter(attachment => attachment.kind === 'file').length;
+    const comments = asset.comments || [];
+
+    // Alert icon for better accessibility
+    const alertIcon = alertLevel === 'red' ? '🔴' : alertLevel === 'orange' ? '🟠' : '';
+
+    // Create card container
+    const card = document.createElement('div');
+    card.className = `asset-card alert-${alertLevel}${clockRunning ? '' : ' clock-stopped'}${activePause ? ' paused' : ''}`;
+    card.classList.toggle('selected', selectedAssetIds.has(asset.id));
+    card.dataset.assetId = asset.id;
+
+    // Latest comment and thread size (only shown if there are comments)
+    const latestComment = comments[comments.length - 1];
+    const latestCommentHtml = latestComment ? `
+        <div class="card-comment-latest">
+            <p class="comment-text">💬 ${escapeHtml(latestComment.text)}</p>
+            <p class="comment-meta">
+                ${escapeHtml(describeCommentMeta(latestComment))}
+                · ${comments.length} comment${comments.length !== 1 ? 's' : ''}
+            </p>
+        </div>
+    ` : '';
+
+    // Build card HTML with prominent business days counter
+    card.innerHTML = `
+        <div class="card-header">
+            ${selectionMode ? `<input type="checkbox" class="card-select" aria-label="Select ${escapeHtml(asset.name)}"${selectedAssetIds.has(asset.id) ? ' checked' : ''}>` : ''}
+            <h3 class="asset-name">${alertIcon} ${thumbnail ? '' : '📦 '}${escapeHtml(asset.name)}</h3>
+        </div>
+        <div class="card-meta">
+            <span class="vendor">🏢 ${escapeHtml(asset.vendor)}</span>
+            <span class="separator">•</span>
+            <span class="fix-release">📋 v${asset.fixRelease}</span>
+            ${asset.assignee ? `<span class="separator">•</span>
+            <span class="assignee" title="Assignee">👤 ${escapeHtml(asset.assignee)}</span>` : ''}
+            ${currentDelivery ? `<span class="separator">•</span>
+            <span class="delivery-version" title="Received ${escapeHtml(formatDate(currentDelivery.receivedAt))}">📥 ${escapeHtml(currentDelivery.version)}</span>` : ''}
+        </div>
+        ${createTagChipsHtml(asset)}
+        <div class="card-status">
+            <span class="status-badge status-${status}"${statusSince ? ` title="Since ${escapeHtml(formatDate(statusSince))}"` : ''}>${ASSET_STATUSES[status]}</span>
+            ${transitions.length > 0 ? `<select class="control-select card-status-select" aria-label="Change status of ${escapeHtml(asset.name)}">
+                <option value="">Move to…</option>
+                ${transitions.map(target => `<option value="${target}">${ASSET_STATUSES[target]}</option>`).join('')}
+            </select>` : ''}
+        </div>
+        <div class="card-divider"></div>
+        <div class="days-counter-prominent">
+            <div class="days-counter-main">
+                <span class="days-number">${businessDays}</span>
+                <span class="days-label">business day${businessDays !== 1 ? 's' : ''}</span>
+            </div>
+            <div class="days-counter-secondary">
+                <span class="calendar-days">${calendarDays} calendar day${calendarDays !== 1 ? 's' : ''}</span>
+                ${clockRunning ? '' : `<span class="clock-stopped-label">⏹ Clock stopped (${ASSET_STATUSES[status]})</span>`}
+                ${activePause ? `<span class="paused-label">⏸ Paused since ${formatDate(activePause.start)}${activePause.reason ? ` - ${escapeHtml(activePause.reason)}` : ''}</span>` : ''}
+            </div>
+        </div>
+        ${alertMessage ? `<p class="alert-message">${alertMessage}</p>` : ''}
+        ${createAlertProjectionHtml(getAlertProjection(asset, settings))}
+        <div class="card-body">
+            <p class="start-date">📅 Last Reviewed: ${formatDate(getLastReviewDate(asset))}</p>
+            ${createReviewSummaryHtml(asset)}
+            ${latestCommentHtml}
+        </div>
+        <div class="card-history" hidden>
+            <h4 class="card-history-title">📜 History</h4>
+            <ol class="card-history-list"></ol>
+        </div>
+        <div class="card-comments" hidden>
+            <h4 class="card-history-title">💬 Comments</h4>
+            <ol class="comment-thread"></ol>
+            <div class="comment-form">
+                <textarea class="comment-new-input" rows="2" maxlength="${MAX_COMMENT_LENGTH}" placeholder="Add a comment..." aria-label="New comment on ${escapeHtml(asset.name)}"></textarea>
+                <button type="button" class="btn btn-primary btn-comment-save">💬 Add Comment</button>
+            </div>
+            <p class="input-help comment-author-help"></p>
+        </div>
+        <div class="card-review" hidden>
+            <label class="card-review-label">
+                Outcome
+                <select class="control-select card-review-outcome" aria-label="Review outcome for ${escapeHtml(asset.name)}">
+                    ${Object.entries(REVIEW_OUTCOMES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="card-review-label card-review-comment-label">
+                Comment (optional)
+                <input type="text" class="card-review-comment" maxlength="500" placeholder="e.g., Sent notes on the UVs">
+            </label>
+            <div class="card-review-actions">
+                <button type="button" class="btn btn-secondary btn-review-cancel">Cancel</button>
+                <button type="button" class="btn btn-primary btn-review-save">✓ Save Review</button>
+            </div>
+        </div>
+        <div class="card-deliveries" hidden>
+            <h4 class="card-history-title">📥 Deliveries</h4>
+            <div class="delivery-log"></div>
+            <div class="delivery-form">
+                <label class="card-review-label">
+                    Version
+                    <input type="text" class="delivery-version-input" maxlength="30" placeholder="e.g., v2">
+                </label>
+                <label class="card-review-label">
+                    Received
+                    <input type="date" class="delivery-date-input">
+                </label>
+                <button type="button" class="btn btn-primary btn-delivery-save">📥 Log New Delivery</button>
+            </div>
+        </div>
+        <div class="card-attachments" hidden>
+            <h4 class="card-history-title">📎 Attachments</h4>
+            <ul class="attachment-list"></ul>
+            <div class="card-attachment-actions">
+                <label class="btn btn-secondary attachment-picker">
+                    🖼️ Set Thumbnail
+                    <input type="file" class="attachment-thumbnail-input" accept="${DOWNSCALABLE_IMAGE_TYPES.join(',')}" hidden>
+                </label>
+                <label class="btn btn-secondary attachment-picker">
+                    📎 Add Files
+                    <input type="file" class="attachment-file-input" multiple hidden>
+                </label>
+            </div>
+            <p class="input-help">Or drop files onto the card. Up to ${MAX_ATTACHMENTS_PER_ASSET} reference files of ${formatFileSize(MAX_ATTACHMENT_SIZE)}; images are downscaled.</p>
+        </div>
+        <div class="card-pause" hidden>
+            <label class="card-review-label card-pause-reason-label">
+                Reason (optional)
+                <input type="text" class="card-pause-reason" maxlength="200" placeholder="e.g., Waiting for rig fix">
+            </label>
+            <div class="card-review-actions">
+                <button type="button" class="btn btn-secondary btn-pause-cancel">Cancel</button>
+                <button type="button" class="btn btn-primary btn-pause-save">⏸ Pause</button>
+            </div>
+        </div>
+        <div class="card-transfer" hidden>
+            <label class="card-transfer-label">
+                To workspace
+                <select class="control-select card-transfer-target" aria-label="Target workspace for ${escapeHtml(asset.name)}"></select>
+            </label>
+            <div class="card-transfer-actions">
+                <button type="button" class="btn btn-secondary btn-transfer" data-mode="copy">⧉ Copy</button>
+                <button type="button" class="btn btn-secondary btn-transfer" data-mode="move">➜ Move</button>
+            </div>
+        </div>
+        <div class="card-actions">
+            <!-- Primary Action: Review -->
+            <button class="btn btn-review btn-review-primary" title="Record a review" aria-expanded="false">
+                ✓ Review
+            </button>
+
+            <!-- Secondary Actions: Comments, Deliveries, Attachments, Pause, Workspace, Archive, History, Edit and Delete -->
+            <div class="card-actions-secondary">
+                <button class="btn btn-icon btn-comments" title="Comments" aria-label="Comments on ${escapeHtml(asset.name)}" aria-expanded="false">
+                    💬${comments.length > 0 ? `<span class="comment-count">${comments.length}</span>` : ''}
+                </button>
+                <button class="btn btn-icon btn-deliveries" title="Deliveries (log a new version)" aria-label="Deliveries of ${escapeHtml(asset.name)}" aria-expanded="false">
+                    📥
+                </button>
+                <button class="btn btn-icon btn-attachments" title="Attachments (thumbnail and reference files)" aria-label="Attachments of ${escapeHtml(asset.name)}" aria-expanded="false">
+                    📎${fileCount > 0 ? `<span class="attachment-count">${fileCount}</span>` : ''}
+                </button>
+                ${activePause
+                    ? `<button class="btn btn-icon btn-resume" title="Resume the counter" aria-label="Resume ${escapeHtml(asset.name)}">
+                    ▶️
+                </button>`
+                    : `<button class="btn btn-icon btn-pause" title="Pause the counter (asset is blocked)" aria-label="Pause ${escapeHtml(asset.name)}" aria-expanded="false">
+                    ⏸️
+                </button>`}
+                ${workspaceCount > 1 ? `<button class="btn btn-icon btn-workspace" title="Copy or move to another workspace" aria-label="Copy or move ${escapeHtml(asset.name)} to another workspace" aria-expanded="false">
+                    📁
+                </button>` : ''}
+                <button class="btn btn-icon btn-archive" title="Archive (finished)" aria-label="Archive ${escapeHtml(asset.name)}">
+                    🗄️
+                </button>
+                <button class="btn btn-icon btn-history" title="Show change history" aria-label="Show history of ${escapeHtml(asset.name)}" aria-expanded="false">
+                    📜
+                </button>
+                <button class="btn btn-icon btn-edit" title="Edit asset" aria-label="Edit ${escapeHtml(asset.name)}">
                     ✏️
                 </button>
                 <button class="btn btn-icon btn-delete" title="Delete asset" aria-label="Delete ${escapeHtml(asset.name)}">
@@ -865,116 +1744,2878 @@ function createAssetCard(asset) {
         </div>
     `;
 
-    // Attach event listeners
-    const editBtn = card.querySelector('.btn-edit');
-    const deleteBtn = card.querySelector('.btn-delete');
-    const reviewBtn = card.querySelector('.btn-review');
+    // Thumbnail and links are built with DOM properties (URLs never go through HTML strings)
+    if (thumbnail && thumbnail.dataUrl.startsWith('data:image/')) {
+        const image = document.createElement('img');
+        image.className = 'card-thumbnail';
+        image.src = thumbnail.dataUrl;
+        image.alt = '';
+        card.querySelector('.asset-name').before(image);
+    }
+
+    const linksElement = createLinksElement(asset);
+    if (linksElement) {
+        card.querySelector('.card-body').insertBefore(linksElement, card.querySelector('.card-comment-latest'));
+    }
+
+    // Attach event listeners
+    const editBtn = card.querySelector('.btn-edit');
+    const deleteBtn = card.querySelector('.btn-delete');
+    const reviewBtn = card.querySelector('.btn-review');
+    const historyBtn = card.querySelector('.btn-history');
+
+    editBtn.addEventListener('click', () => startEdit(asset.id));
+    deleteBtn.addEventListener('click', () => handleDelete(asset.id, asset.name));
+    reviewBtn.addEventListener('click', () => toggleReviewPanel(card));
+    card.querySelector('.btn-review-cancel').addEventListener('click', () => toggleReviewPanel(card));
+    card.querySelector('.btn-review-save').addEventListener('click', () => handleReview(asset.id, card));
+    card.querySelector('.card-review-comment').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            handleReview(asset.id, card);
+        }
+    });
+    historyBtn.addEventListener('click', () => toggleAssetHistory(card, asset.id));
+    card.querySelector('.btn-archive').addEventListener('click', () => handleArchive(asset.id));
+
+    card.querySelector('.btn-comments').addEventListener('click', () => toggleCommentPanel(card, asset));
+    card.querySelector('.btn-comment-save').addEventListener('click', () => handleAddComment(asset.id, card));
+    card.querySelector('.comment-new-input').addEventListener('keydown', (event) => {
+        // Enter starts a new line; Ctrl/Cmd+Enter posts
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            handleAddComment(asset.id, card);
+        }
+    });
+    card.querySelector('.btn-deliveries').addEventListener('click', () => toggleDeliveryPanel(card, asset));
+    card.querySelector('.btn-attachments').addEventListener('click', () => toggleAttachmentPanel(card, asset.id));
+    card.querySelector('.attachment-thumbnail-input').addEventListener('change', (e) => {
+        handleAttachmentFiles(asset.id, e.target.files, true);
+    });
+    card.querySelector('.attachment-file-input').addEventListener('change', (e) => {
+        handleAttachmentFiles(asset.id, e.target.files, false);
+    });
+    attachFileDropHandlers(card, files => handleAttachmentFiles(asset.id, files, !thumbnail));
+    card.querySelector('.btn-delivery-save').addEventListener('click', () => handleLogDelivery(asset.id, card));
+
+    const pauseBtn = card.querySelector('.btn-pause');
+    if (pauseBtn) {
+        pauseBtn.addEventListener('click', () => togglePausePanel(card));
+        card.querySelector('.btn-pause-cancel').addEventListener('click', () => togglePausePanel(card));
+        card.querySelector('.btn-pause-save').addEventListener('click', () => handlePause(asset.id, card));
+        card.querySelector('.card-pause-reason').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                handlePause(asset.id, card);
+            }
+        });
+    } else {
+        card.querySelector('.btn-resume').addEventListener('click', () => handleResume(asset.id));
+    }
+
+    const selectBox = card.querySelector('.card-select');
+    if (selectBox) {
+        selectBox.addEventListener('click', (event) => handleCardSelect(asset.id, selectBox.checked, event.shiftKey));
+    }
+
+    const statusSelect = card.querySelector('.card-status-select');
+    if (statusSelect) {
+        statusSelect.addEventListener('change', () => {
+            if (statusSelect.value) {
+                handleStatusChange(asset.id, statusSelect.value);
+            }
+        });
+    }
+
+    const workspaceBtn = card.querySelector('.btn-workspace');
+    if (workspaceBtn) {
+        workspaceBtn.addEventListener('click', () => toggleAssetTransfer(card));
+        card.querySelectorAll('.btn-transfer').forEach(button => {
+            button.addEventListener('click', () => handleTransferAsset(
+                asset,
+                card.querySelector('.card-transfer-target').value,
+                button.dataset.mode
+            ));
+        });
+    }
+
+    if (expandedHistoryIds.has(asset.id)) {
+        renderAssetHistory(card, asset.id);
+    }
+    if (expandedCommentIds.has(asset.id)) {
+        renderCommentThread(card, asset);
+    }
+
+    return card;
+}
+
+/**
+ * Creates the clickable links of an asset card
+ *
+ * SECURITY: Links are re-checked with validateLink() before rendering, so
+ * a record that skipped validation can never produce a javascript: link;
+ * they open in a new tab without access to this page (noopener)
+ *
+ * @param {Object} asset - Asset object
+ * @returns {HTMLElement|null} Links element (null if the asset has no links)
+ */
+function createLinksElement(asset) {
+    const links = (asset.links || []).filter(link => validateLink(link.label, link.url).valid);
+    if (links.length === 0) return null;
+
+    const element = document.createElement('div');
+    element.className = 'card-links';
+    links.forEach(link => {
+        const anchor = document.createElement('a');
+        anchor.className = 'card-link';
+        anchor.href = link.url;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+        anchor.title = link.url;
+        anchor.textContent = `🔗 ${link.label}`;
+        element.appendChild(anchor);
+    });
+
+    return element;
+}
+
+// Number of tag colors defined in styles.css (.tag-color-0 ... .tag-color-7)
+const TAG_COLOR_COUNT = 8;
+
+/**
+ * Creates the type and tag chips of an asset card
+ *
+ * @param {Object} asset - Asset object
+ * @returns {string} HTML ('' if the asset has neither)
+ */
+function createTagChipsHtml(asset) {
+    const tags = asset.tags || [];
+    if (!asset.assetType && tags.length === 0) return '';
+
+    return `
+        <div class="card-tags">
+            ${asset.assetType ? `<span class="type-chip">${ASSET_TYPES[asset.assetType]}</span>` : ''}
+            ${tags.map(tag => `<span class="tag-chip tag-color-${getTagColorIndex(tag)}">${escapeHtml(tag)}</span>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Picks a tag's chip color, the same for a tag on every card and every load
+ *
+ * @param {string} tag - Tag
+ * @returns {number} Color index (0 to TAG_COLOR_COUNT - 1)
+ */
+function getTagColorIndex(tag) {
+    let hash = 0;
+    for (const char of tag) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 1000003;
+    }
+    return hash % TAG_COLOR_COUNT;
+}
+
+// Number of previous review cycles listed on a card (newest first)
+const REVIEW_SUMMARY_CYCLES = 5;
+
+// Icons shown next to each review outcome
+const REVIEW_OUTCOME_ICONS = {
+    approved: '✅',
+    'notes-sent': '📝',
+    rejected: '❌'
+};
+
+/**
+ * Builds the review count and previous cycle durations shown on a card
+ *
+ * @param {Object} asset - Asset object
+ * @returns {string} HTML (empty if the asset has no review events)
+ */
+function createReviewSummaryHtml(asset) {
+    const reviews = asset.reviews || [];
+    if (reviews.length === 0) return '';
+
+    const cycles = reviews.slice(-REVIEW_SUMMARY_CYCLES).reverse().map(review => {
+        const details = `${REVIEW_OUTCOMES[review.outcome]} on ${formatDate(review.reviewedAt)} after ` +
+            `${review.businessDays} business / ${review.calendarDays} calendar days` +
+            (review.comment ? `: ${review.comment}` : '');
+        return `<span class="review-cycle" title="${escapeHtml(details)}">${REVIEW_OUTCOME_ICONS[review.outcome]} ${review.businessDays}</span>`;
+    });
+
+    return `
+        <p class="review-summary">
+            🔁 ${reviews.length} review${reviews.length !== 1 ? 's' : ''}
+            · Previous cycles (business days): ${cycles.join(', ')}
+        </p>
+    `;
+}
+
+// ========================================
+// AUDIT HISTORY
+// ========================================
+
+// Readable names for asset fields in the History panel
+const AUDIT_FIELD_LABELS = {
+    name: 'Name',
+    vendor: 'Vendor',
+    fixRelease: 'Fix release',
+    assignee: 'Assignee',
+    assetType: 'Type',
+    tags: 'Tags',
+    links: 'Links',
+    lastReset: 'Last reviewed',
+    reviews: 'Reviews',
+    status: 'Status',
+    statusHistory: 'Status history',
+    pauses: 'Pauses',
+    deliveries: 'Deliveries',
+    archivedAt: 'Archived',
+    startDate: 'Start date',
+    notes: 'Notes',
+    comments: 'Comments',
+    createdAt: 'Created'
+};
+
+// Fields holding ISO dates (shown formatted instead of raw)
+const AUDIT_DATE_FIELDS = ['lastReset', 'startDate', 'createdAt', 'archivedAt'];
+
+// Longer values are shortened so one entry stays on a few lines
+const AUDIT_VALUE_MAX_LENGTH = 80;
+
+/**
+ * Opens or closes the History panel of an asset card
+ *
+ * @param {HTMLElement} card - Asset card element
+ * @param {string} assetId - Asset ID
+ */
+function toggleAssetHistory(card, assetId) {
+    if (expandedHistoryIds.has(assetId)) {
+        expandedHistoryIds.delete(assetId);
+        card.querySelector('.card-history').hidden = true;
+        card.querySelector('.btn-history').setAttribute('aria-expanded', 'false');
+        return;
+    }
+
+    expandedHistoryIds.add(assetId);
+    renderAssetHistory(card, assetId);
+}
+
+/**
+ * Fills and shows the History panel of an asset card
+ *
+ * LAZY: The audit log is only read when the panel is open, so rendering the
+ * asset list stays fast however long the log grows
+ *
+ * @param {HTMLElement} card - Asset card element
+ * @param {string} assetId - Asset ID
+ */
+function renderAssetHistory(card, assetId) {
+    const panel = card.querySelector('.card-history');
+    const list = panel.querySelector('.card-history-list');
+    const entries = getAssetAuditLog(assetId);
+
+    list.innerHTML = entries.length === 0
+        ? '<li class="card-history-empty">No changes recorded yet</li>'
+        : entries.map(entry => `
+            <li class="card-history-entry">
+                <span class="card-history-change">${escapeHtml(describeAuditEntry(entry))}</span>
+                <span class="card-history-meta">
+                    ${escapeHtml(new Date(entry.changedAt).toLocaleString())}
+                    · ${escapeHtml(entry.source || 'Unknown')}${entry.author ? ` · ${escapeHtml(entry.author)}` : ''}
+                </span>
+            </li>
+        `).join('');
+
+    panel.hidden = false;
+    card.querySelector('.btn-history').setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Describes one audit entry in words (e.g. "Vendor: Acme → Globex")
+ *
+ * @param {Object} entry - Audit entry
+ * @returns {string} Plain-text description (escape before inserting as HTML)
+ */
+function describeAuditEntry(entry) {
+    if (entry.action === 'created') return 'Created';
+    if (entry.action === 'deleted') return 'Moved to trash';
+    if (entry.action === 'restored') return 'Restored';
+    if (entry.action === 'moved') return `Moved from "${entry.oldValue}" to "${entry.newValue}"`;
+    if (entry.action === 'copied') return `Copied from "${entry.oldValue}" to "${entry.newValue}"`;
+    if (entry.action === 'status-changed') {
+        return `Status: ${ASSET_STATUSES[entry.oldValue] || entry.oldValue} → ${ASSET_STATUSES[entry.newValue] || entry.newValue}`;
+    }
+    if (entry.action === 'delivered') {
+        return `Delivery ${entry.newValue.version} received ${formatDate(entry.newValue.receivedAt)}`;
+    }
+    if (entry.action === 'paused') return `Paused${entry.newValue ? ` (${entry.newValue})` : ''}`;
+    if (entry.action === 'resumed') return `Resumed (paused since ${formatDate(entry.oldValue)})`;
+    if (entry.action === 'archived') return 'Archived';
+    if (entry.action === 'commented') return `Commented: "${truncateAuditText(entry.newValue)}"`;
+    if (entry.action === 'comment-edited') {
+        return `Edited comment: "${truncateAuditText(entry.oldValue)}" → "${truncateAuditText(entry.newValue)}"`;
+    }
+    if (entry.action === 'attachment-added') return `Attached "${entry.newValue}"`;
+    if (entry.action === 'attachment-removed') return `Removed attachment "${entry.oldValue}"`;
+    if (entry.action === 'unarchived') return `Unarchived (archived ${formatDate(entry.oldValue)})`;
+    if (entry.action === 'reviewed') {
+        const review = entry.newValue;
+        return `Reviewed: ${REVIEW_OUTCOMES[review.outcome]} after ${review.businessDays} business days` +
+            (review.comment ? ` (${review.comment})` : '');
+    }
+
+    const label = AUDIT_FIELD_LABELS[entry.field] || entry.field;
+    return `${label}: ${formatAuditValue(entry.field, entry.oldValue)} → ${formatAuditValue(entry.field, entry.newValue)}`;
+}
+
+/**
+ * Formats a recorded field value for display
+ *
+ * @param {string} field - Asset field name
+ * @param {any} value - Old or new value
+ * @returns {string} Display text
+ */
+function formatAuditValue(field, value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (AUDIT_DATE_FIELDS.includes(field) && !isNaN(Date.parse(value))) {
+        // Reviews on the same day differ only by time, so show it when recorded
+        return String(value).includes('T')
+            ? new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+            : formatDate(value);
+    }
+
+    if (field === 'status' && ASSET_STATUSES[value]) return ASSET_STATUSES[value];
+    if (field === 'assetType' && ASSET_TYPES[value]) return ASSET_TYPES[value];
+    if (field === 'tags' && Array.isArray(value)) return value.length === 0 ? 'none' : value.join(', ');
+    if (field === 'links' && Array.isArray(value)) return value.length === 0 ? 'none' : value.map(link => link.label).join(', ');
+    if (field === 'comments' && Array.isArray(value)) {
+        return `${value.length} comment${value.length !== 1 ? 's' : ''}`;
+    }
+    if (field === 'statusHistory' && Array.isArray(value)) {
+        return `${value.length} change${value.length !== 1 ? 's' : ''}`;
+    }
+    if (field === 'pauses' && Array.isArray(value)) {
+        return `${value.length} pause${value.length !== 1 ? 's' : ''}`;
+    }
+    if (field === 'deliveries' && Array.isArray(value)) {
+        return value.length === 0 ? 'none' : `${value.length} (latest ${value[value.length - 1].version})`;
+    }
+    if (field === 'reviews' && Array.isArray(value)) {
+        return value.length === 0
+            ? 'none'
+            : `${value.length} review${value.length !== 1 ? 's' : ''}, latest ${formatDate(value[value.length - 1].reviewedAt)}`;
+    }
+
+    return truncateAuditText(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+/**
+ * Shortens text to AUDIT_VALUE_MAX_LENGTH for the History panel
+ *
+ * @param {string} text - Text to shorten
+ * @returns {string} Text, ending with "…" if it was cut
+ */
+function truncateAuditText(text) {
+    return text.length > AUDIT_VALUE_MAX_LENGTH ? `${text.slice(0, AUDIT_VALUE_MAX_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Handles asset deletion (moves the asset to the trash)
+ *
+ * NO CONFIRMATION: Deletion is reversible from the trash, so it
+ * does not block with a dialog
+ *
+ * @param {string} id - Asset ID
+ * @param {string} name - Asset name (for the toast message)
+ */
+function handleDelete(id, name) {
+    const success = deleteAsset(id);
+
+    if (success) {
+        showUndoToast(`Moved "${name}" to trash`);
+        // Cancel edit if we're editing this asset
+        if (editingAssetId === id) {
+            cancelEdit();
+        }
+        renderAssets(searchInput.value);
+        renderTrash();
+        debugLog('Asset deleted:', name);
+    }
+}
+
+/**
+ * Handles a status change picked on an asset card
+ *
+ * @param {string} id - Asset ID
+ * @param {string} status - Target status
+ */
+function handleStatusChange(id, status) {
+    const updated = changeAssetStatus(id, status);
+
+    if (updated) {
+        showUndoToast(`"${updated.name}" is now ${ASSET_STATUSES[status]}`);
+        debugLog('Asset status changed:', id, status);
+    }
+    // Re-render either way, so a refused change resets the dropdown
+    renderAssets(searchInput.value);
+}
+
+/**
+ * Shows or hides the deliveries panel of an asset card
+ *
+ * LAZY: The log is only built when the panel opens; the form is pre-filled
+ * with the next version and today's date
+ *
+ * @param {HTMLElement} card - Asset card element
+ * @param {Object} asset - Asset object
+ */
+function toggleDeliveryPanel(card, asset) {
+    const panel = card.querySelector('.card-deliveries');
+    const button = card.querySelector('.btn-deliveries');
+
+    if (!panel.hidden) {
+        panel.hidden = true;
+        button.setAttribute('aria-expanded', 'false');
+        return;
+    }
+
+    panel.querySelector('.delivery-log').innerHTML = createDeliveryLogHtml(asset);
+    panel.querySelector('.delivery-version-input').value = suggestNextVersion(asset);
+    panel.querySelector('.delivery-date-input').value = toDateInputValue(new Date().toISOString());
+
+    panel.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+    panel.querySelector('.delivery-version-input').focus();
+}
+
+/**
+ * Builds the delivery log table of an asset
+ *
+ * TURNAROUND: Business days from receiving a delivery to reviewing it (paused
+ * days left out). Unreviewed deliveries count up to now, or up to the next
+ * delivery if a newer version replaced them.
+ *
+ * @param {Object} asset - Asset object
+ * @returns {string} HTML
+ */
+function createDeliveryLogHtml(asset) {
+    const deliveries = asset.deliveries || [];
+    if (deliveries.length === 0) {
+        return '<p class="card-history-empty">No deliveries logged yet</p>';
+    }
+
+    const holidayConfig = getHolidayConfig(getSettings());
+    const rows = deliveries.map((delivery, index) => {
+        const next = deliveries[index + 1];
+        const end = delivery.reviewedAt || (next ? next.receivedAt : null);
+        const { businessDays } = measureReviewCycle(delivery.receivedAt, end, holidayConfig, asset.pauses);
+        const result = delivery.result
+            ? REVIEW_OUTCOMES[delivery.result]
+            : (next ? 'Superseded' : 'Pending');
+
+        return `
+            <tr>
+                <td>${escapeHtml(delivery.version)}</td>
+                <td>${formatDate(delivery.receivedAt)}</td>
+                <td>${delivery.reviewedAt ? formatDate(delivery.reviewedAt) : '-'}</td>
+                <td>${result}</td>
+                <td>${businessDays}${end ? '' : ' so far'}</td>
+            </tr>
+        `;
+    }).reverse();
+
+    return `
+        <table class="delivery-table">
+            <thead>
+                <tr>
+                    <th scope="col">Version</th>
+                    <th scope="col">Received</th>
+                    <th scope="col">Reviewed</th>
+                    <th scope="col">Result</th>
+                    <th scope="col">Business Days</th>
+                </tr>
+            </thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Suggests the version label of an asset's next delivery
+ *
+ * RULE: Increments the trailing number of the latest delivery's version, or
+ * of a version in the asset name (e.g. Character_WalkCycle_v2 → v3)
+ *
+ * @param {Object} asset - Asset object
+ * @returns {string} Suggested version (empty if there is nothing to go on)
+ */
+function suggestNextVersion(asset) {
+    const deliveries = asset.deliveries || [];
+    if (deliveries.length > 0) {
+        const latest = deliveries[deliveries.length - 1].version;
+        const match = latest.match(/^(.*?)(\d+)$/);
+        return match ? `${match[1]}${parseInt(match[2], 10) + 1}` : '';
+    }
+
+    const nameMatch = asset.name.match(/v(\d+)$/i);
+    return nameMatch ? `v${parseInt(nameMatch[1], 10) + 1}` : 'v1';
+}
+
+/**
+ * Handles logging a new delivery from the card's deliveries panel
+ *
+ * DATE: Today records the current time; an earlier day records its start
+ *
+ * @param {string} id - Asset ID
+ * @param {HTMLElement} card - Asset card element holding the panel
+ */
+function handleLogDelivery(id, card) {
+    const versionInput = card.querySelector('.delivery-version-input');
+    const dateInput = card.querySelector('.delivery-date-input');
+
+    const versionResult = validateDeliveryVersion(versionInput.value);
+    if (!versionResult.valid) {
+        showToast(versionResult.error, 'error');
+        versionInput.focus();
+        return;
+    }
+
+    const today = toDateInputValue(new Date().toISOString());
+    if (!dateInput.value || dateInput.value > today) {
+        showToast('Enter the date the delivery was received (not in the future)', 'error');
+        dateInput.focus();
+        return;
+    }
+    const receivedAt = dateInput.value === today
+        ? new Date().toISOString()
+        : new Date(dateInput.value + 'T00:00:00').toISOString();
+
+    const updated = logAssetDelivery(id, versionResult.value, receivedAt);
+
+    if (updated) {
+        showUndoToast(`Logged ${versionResult.value} of "${updated.name}" - counter restarted`);
+        renderAssets(searchInput.value);
+        debugLog('Delivery logged:', id, versionResult.value);
+    }
+}
+
+/**
+ * Shows or hides the pause panel of an asset card
+ *
+ * @param {HTMLElement} card - Asset card element
+ */
+function togglePausePanel(card) {
+    const panel = card.querySelector('.card-pause');
+    const button = card.querySelector('.btn-pause');
+
+    panel.hidden = !panel.hidden;
+    button.setAttribute('aria-expanded', String(!panel.hidden));
+
+    if (!panel.hidden) {
+        panel.querySelector('.card-pause-reason').focus();
+    }
+}
+
+/**
+ * Handles pausing an asset from the card's pause panel
+ *
+ * @param {string} id - Asset ID
+ * @param {HTMLElement} card - Asset card element holding the pause panel
+ */
+function handlePause(id, card) {
+    const reasonInput = card.querySelector('.card-pause-reason');
+    const reasonResult = validatePauseReason(reasonInput.value);
+    if (!reasonResult.valid) {
+        showToast(reasonResult.error, 'error');
+        reasonInput.focus();
+        return;
+    }
+
+    const updated = pauseAsset(id, reasonResult.value);
+
+    if (updated) {
+        showUndoToast(`Paused "${updated.name}"`);
+        renderAssets(searchInput.value);
+        debugLog('Asset paused:', id);
+    }
+}
+
+/**
+ * Handles resuming a paused asset
+ *
+ * @param {string} id - Asset ID
+ */
+function handleResume(id) {
+    const updated = resumeAsset(id);
+
+    if (updated) {
+        showUndoToast(`Resumed "${updated.name}"`);
+        renderAssets(searchInput.value);
+        debugLog('Asset resumed:', id);
+    }
+}
+
+/**
+ * Shows or hides the review panel of an asset card
+ *
+ * @param {HTMLElement} card - Asset card element
+ */
+function toggleReviewPanel(card) {
+    const panel = card.querySelector('.card-review');
+    const button = card.querySelector('.btn-review-primary');
+
+    panel.hidden = !panel.hidden;
+    button.setAttribute('aria-expanded', String(!panel.hidden));
+
+    if (!panel.hidden) {
+        panel.querySelector('.card-review-outcome').focus();
+    }
+}
+
+/**
+ * Handles recording a review from the card's review panel
+ *
+ * RECORDS: A review event with the outcome, the optional comment and how
+ * long the cycle that just ended lasted; the counters restart from it
+ * PRESERVES: All other asset data, including earlier review events
+ *
+ * @param {string} id - Asset ID
+ * @param {HTMLElement} card - Asset card element holding the review panel
+ */
+function handleReview(id, card) {
+    const asset = getAllAssets().find(a => a.id === id);
+    if (!asset) {
+        showToast('Asset not found', 'error');
+        return;
+    }
+
+    const commentInput = card.querySelector('.card-review-comment');
+    const commentResult = validateReviewComment(commentInput.value);
+    if (!commentResult.valid) {
+        showToast(commentResult.error, 'error');
+        commentInput.focus();
+        return;
+    }
+
+    const review = createReview(asset, card.querySelector('.card-review-outcome').value, commentResult.value);
+    const updated = addAssetReview(id, review);
+
+    if (updated) {
+        showUndoToast(`Review recorded (${REVIEW_OUTCOMES[review.outcome]})`);
+        renderAssets(searchInput.value);
+        debugLog('Asset reviewed:', id, review);
+    }
+}
+
+/**
+ * Creates a review event ending an asset's current review cycle now
+ *
+ * @param {Object} asset - Asset being reviewed
+ * @param {string} outcome - Key of REVIEW_OUTCOMES
+ * @param {string} comment - Validated comment (may be empty)
+ * @returns {Object} { id, cycleStart, reviewedAt, businessDays, calendarDays, outcome, comment }
+ */
+function createReview(asset, outcome, comment) {
+    const cycleStart = getCycleStart(asset);
+    const reviewedAt = new Date().toISOString();
+
+    return {
+        id: generateUUID(),
+        cycleStart,
+        reviewedAt,
+        ...measureReviewCycle(cycleStart, reviewedAt, getHolidayConfig(getSettings()), asset.pauses),
+        outcome,
+        comment
+    };
+}
+
+/**
+ * Works out the changes for an edited "Last Review Date"
+ *
+ * RULES:
+ * - Unchanged date: nothing changes (keeps the time of day of the review)
+ * - Empty date: now
+ * - Asset with review events: the date corrects the latest event (and its
+ *   cycle durations, and the delivery it closed), which must not end before
+ *   it started
+ *
+ * @param {Object} asset - Asset being edited
+ * @param {string} dateValue - Value of the date input (YYYY-MM-DD or empty)
+ * @returns {Object} { valid: boolean, updates?: Object, error?: string }
+ */
+function getReviewDateUpdates(asset, dateValue) {
+    if (dateValue && dateValue === toDateInputValue(getLastReviewDate(asset))) {
+        return { valid: true, updates: {} };
+    }
+
+    const reviewedAt = dateValue
+        ? new Date(dateValue + 'T00:00:00').toISOString()
+        : new Date().toISOString();
+    const reviews = asset.reviews || [];
+    if (reviews.length === 0) {
+        return { valid: true, updates: { lastReset: reviewedAt } };
+    }
+
+    const latest = reviews[reviews.length - 1];
+    if (toDateInputValue(reviewedAt) < toDateInputValue(latest.cycleStart)) {
+        return {
+            valid: false,
+            error: `The last review can't be before the review cycle started (${formatDate(latest.cycleStart)})`
+        };
+    }
+
+    const corrected = {
+        ...latest,
+        reviewedAt,
+        ...measureReviewCycle(latest.cycleStart, reviewedAt, getHolidayConfig(getSettings()), asset.pauses)
+    };
+    const updates = { lastReset: reviewedAt, reviews: [...reviews.slice(0, -1), corrected] };
+
+    // The delivery that review closed gets the corrected date too
+    const deliveries = asset.deliveries || [];
+    if (deliveries.some(delivery => delivery.reviewId === latest.id)) {
+        updates.deliveries = deliveries.map(delivery =>
+            delivery.reviewId === latest.id ? { ...delivery, reviewedAt } : delivery
+        );
+    }
+
+    return { valid: true, updates };
+}
+
+/**
+ * Converts an ISO date string to a date input value (YYYY-MM-DD, local time)
+ *
+ * @param {string} isoString - ISO 8601 date string
+ * @returns {string} Date input value
+ */
+function toDateInputValue(isoString) {
+    const date = new Date(isoString);
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// ========================================
+// COMMENTS
+// ========================================
+
+/**
+ * Opens or closes the comment thread of an asset card
+ *
+ * @param {HTMLElement} card - Asset card element
+ * @param {Object} asset - Asset object
+ */
+function toggleCommentPanel(card, asset) {
+    if (expandedCommentIds.has(asset.id)) {
+        expandedCommentIds.delete(asset.id);
+        card.querySelector('.card-comments').hidden = true;
+        card.querySelector('.btn-comments').setAttribute('aria-expanded', 'false');
+        return;
+    }
+
+    expandedCommentIds.add(asset.id);
+    renderCommentThread(card, asset);
+    card.querySelector('.comment-new-input').focus();
+}
+
+/**
+ * Fills and shows the comment thread of an asset card (oldest first)
+ *
+ * @param {HTMLElement} card - Asset card element
+ * @param {Object} asset - Asset object
+ */
+function renderCommentThread(card, asset) {
+    const panel = card.querySelector('.card-comments');
+    const thread = panel.querySelector('.comment-thread');
+    const comments = asset.comments || [];
+    const author = getAuthorName();
+
+    thread.innerHTML = comments.length === 0 ? '<li class="card-history-empty">No comments yet</li>' : '';
+    comments.forEach(comment => thread.appendChild(createCommentElement(asset.id, comment)));
+
+    panel.querySelector('.comment-author-help').textContent = author
+        ? `Commenting as ${author}. Ctrl+Enter to post.`
+        : 'Set "Your Name" in Settings to sign your comments. Ctrl+Enter to post.';
+
+    panel.hidden = false;
+    card.querySelector('.btn-comments').setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Creates one comment of a thread, with an Edit button on the user's own comments
+ *
+ * SECURITY: Comment text and author are set as textContent (never parsed as HTML)
+ *
+ * @param {string} assetId - Asset ID
+ * @param {Object} comment - Comment from asset.comments
+ * @returns {HTMLElement} <li> element
+ */
+function createCommentElement(assetId, comment) {
+    const item = document.createElement('li');
+    item.className = 'comment-item';
+    item.innerHTML = `
+        <p class="comment-meta"></p>
+        <p class="comment-text"></p>
+    `;
+    item.querySelector('.comment-meta').textContent = describeCommentMeta(comment);
+    item.querySelector('.comment-text').textContent = comment.text;
+
+    if (isOwnComment(comment)) {
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'btn btn-icon btn-comment-edit';
+        editBtn.title = 'Edit comment';
+        editBtn.setAttribute('aria-label', 'Edit comment');
+        editBtn.textContent = '✏️';
+        editBtn.addEventListener('click', () => startCommentEdit(item, assetId, comment));
+        item.querySelector('.comment-meta').appendChild(editBtn);
+    }
+
+    return item;
+}
+
+/**
+ * Describes who wrote a comment and when (e.g. "Dana · 10/19/2026, 3:04 PM (edited)")
+ *
+ * @param {Object} comment - Comment from asset.comments
+ * @returns {string} Plain text (escape before inserting as HTML)
+ */
+function describeCommentMeta(comment) {
+    return `${comment.author || 'Anonymous'} · ${new Date(comment.createdAt).toLocaleString()}` +
+        (comment.editedAt ? ' (edited)' : '');
+}
+
+/**
+ * Turns a comment of the thread into a text box with Save and Cancel
+ *
+ * @param {HTMLElement} item - Comment <li> element
+ * @param {string} assetId - Asset ID
+ * @param {Object} comment - Comment being edited
+ */
+function startCommentEdit(item, assetId, comment) {
+    const text = item.querySelector('.comment-text');
+    const editor = document.createElement('div');
+    editor.className = 'comment-form';
+    editor.innerHTML = `
+        <textarea class="comment-edit-input" rows="3" maxlength="${MAX_COMMENT_LENGTH}" aria-label="Edit comment"></textarea>
+        <div class="card-review-actions">
+            <button type="button" class="btn btn-secondary btn-comment-cancel">Cancel</button>
+            <button type="button" class="btn btn-primary btn-comment-update">💾 Save</button>
+        </div>
+    `;
+
+    const input = editor.querySelector('.comment-edit-input');
+    input.value = comment.text;
+    const save = () => handleEditComment(assetId, comment.id, input.value);
+
+    editor.querySelector('.btn-comment-cancel').addEventListener('click', () => {
+        editor.replaceWith(text);
+    });
+    editor.querySelector('.btn-comment-update').addEventListener('click', save);
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            save();
+        }
+    });
+
+    text.replaceWith(editor);
+    input.focus();
+}
+
+/**
+ * Handles posting a comment from the card's comment thread
+ *
+ * @param {string} id - Asset ID
+ * @param {HTMLElement} card - Asset card element holding the thread
+ */
+function handleAddComment(id, card) {
+    const input = card.querySelector('.comment-new-input');
+    const commentResult = validateComment(input.value);
+    if (!commentResult.valid) {
+        showToast(commentResult.error, 'error');
+        input.focus();
+        return;
+    }
+
+    const updated = addAssetComment(id, commentResult.value);
+
+    if (updated) {
+        showUndoToast(`Comment added to "${updated.name}"`);
+        renderAssets(searchInput.value);
+        const newInput = document.querySelector(`[data-asset-id="${id}"] .comment-new-input`);
+        if (newInput) newInput.focus();
+        debugLog('Comment added:', id);
+    }
+}
+
+/**
+ * Handles saving an edited comment
+ *
+ * @param {string} id - Asset ID
+ * @param {string} commentId - Comment ID
+ * @param {string} text - Edited text (not yet validated)
+ */
+function handleEditComment(id, commentId, text) {
+    const commentResult = validateComment(text);
+    if (!commentResult.valid) {
+        showToast(commentResult.error, 'error');
+        return;
+    }
+
+    const updated = editAssetComment(id, commentId, commentResult.value);
+
+    if (updated) {
+        showUndoToast('Comment updated');
+        debugLog('Comment edited:', id, commentId);
+    }
+    // Re-render either way, so an unchanged comment closes its editor
+    renderAssets(searchInput.value);
+}
+
+// ========================================
+// ATTACHMENTS
+// ========================================
+
+/**
+ * Opens or closes the attachments panel of a card
+ *
+ * @param {HTMLElement} card - Asset card element
+ * @param {string} assetId - Asset ID
+ */
+function toggleAttachmentPanel(card, assetId) {
+    const panel = card.querySelector('.card-attachments');
+    const button = card.querySelector('.btn-attachments');
+
+    if (!panel.hidden) {
+        panel.hidden = true;
+        button.setAttribute('aria-expanded', 'false');
+        return;
+    }
+
+    renderAttachmentList(panel.querySelector('.attachment-list'), getAssetAttachments(assetId));
+    panel.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Fills an attachment list with download links and remove buttons
+ *
+ * @param {HTMLElement} list - <ul> element
+ * @param {Array<Object>} attachments - Stored attachments, or pending ones from the form
+ * @param {Function} [onRemove] - Called with the index of a removed pending attachment
+ *   (stored attachments are removed from storage instead)
+ */
+function renderAttachmentList(list, attachments, onRemove) {
+    list.innerHTML = '';
+
+    if (attachments.length === 0) {
+        list.innerHTML = '<li class="card-history-empty">No attachments yet</li>';
+        return;
+    }
+
+    attachments.forEach((attachment, index) => {
+        const item = document.createElement('li');
+        item.className = 'attachment-item';
+        item.innerHTML = `
+            <span class="attachment-kind">${attachment.kind === 'thumbnail' ? '🖼️ Thumbnail' : '📄'}</span>
+            <a class="attachment-name"></a>
+            <span class="attachment-size">${formatFileSize(attachment.size)}</span>
+            <button type="button" class="btn btn-icon btn-remove-attachment" title="Remove" aria-label="Remove ${escapeHtml(attachment.name)}">✕</button>
+        `;
+
+        // Set as properties: names and data URLs never go through HTML strings
+        const link = item.querySelector('.attachment-name');
+        link.textContent = attachment.name;
+        link.href = attachment.dataUrl;
+        link.download = attachment.name;
+
+        item.querySelector('.btn-remove-attachment').addEventListener('click', () => {
+            if (onRemove) {
+                onRemove(index);
+            } else {
+                handleRemoveAttachment(attachment);
+            }
+        });
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Removes a stored attachment after confirmation
+ *
+ * NOTE: Asks first because attachments are not part of the undo history
+ *
+ * @param {Object} attachment - Attachment to remove
+ */
+function handleRemoveAttachment(attachment) {
+    if (!confirm(`Remove "${attachment.name}"? This cannot be undone.`)) return;
+
+    if (removeAssetAttachment(attachment.id)) {
+        showToast(`Removed "${attachment.name}"`, 'success');
+        renderAssets(searchInput.value);
+    }
+}
+
+/**
+ * Makes an element accept dropped files
+ *
+ * @param {HTMLElement} element - Drop target (highlighted while files are dragged over it)
+ * @param {Function} onDrop - Called with the dropped FileList
+ */
+function attachFileDropHandlers(element, onDrop) {
+    element.addEventListener('dragover', (event) => {
+        if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        element.classList.add('drop-target');
+    });
+    element.addEventListener('dragleave', (event) => {
+        if (!element.contains(event.relatedTarget)) {
+            element.classList.remove('drop-target');
+        }
+    });
+    element.addEventListener('drop', (event) => {
+        element.classList.remove('drop-target');
+        if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+        event.preventDefault();
+        onDrop(event.dataTransfer.files);
+    });
+}
+
+/**
+ * Attaches dropped or picked files to a stored asset
+ *
+ * @param {string} assetId - Asset ID
+ * @param {FileList|Array<File>} files - Files to attach
+ * @param {boolean} asThumbnail - Use the first image as the thumbnail (replacing the current one)
+ */
+async function handleAttachmentFiles(assetId, files, asThumbnail) {
+    const { attachments, errors } = await prepareAttachments(Array.from(files), asThumbnail);
+    errors.forEach(error => showToast(error, 'error', 5000));
+    if (attachments.length === 0) return;
+
+    const added = addAssetAttachments(assetId, attachments);
+    if (added < attachments.length) {
+        showToast(`An asset can have at most ${MAX_ATTACHMENTS_PER_ASSET} reference files`, 'warning', 5000);
+    }
+    if (added > 0) {
+        showToast(`${added} attachment${added !== 1 ? 's' : ''} saved`, 'success');
+        renderAssets(searchInput.value);
+    }
+}
+
+/**
+ * Reads files into attachments ready for storage
+ *
+ * IMAGES: The thumbnail is downscaled to THUMBNAIL_MAX_DIMENSION; other
+ * images are kept as they are if small enough, otherwise downscaled to
+ * REFERENCE_IMAGE_MAX_DIMENSION. Anything still over MAX_ATTACHMENT_SIZE
+ * is rejected.
+ *
+ * @param {Array<File>} files - Files from a drop or file input
+ * @param {boolean} wantThumbnail - Use the first downscalable image as the thumbnail
+ * @returns {Promise<Object>} { attachments: [{ kind, name, type, size, dataUrl }], errors: [message] }
+ */
+async function prepareAttachments(files, wantThumbnail) {
+    const attachments = [];
+    const errors = [];
+    let thumbnailTaken = !wantThumbnail;
+
+    for (const file of files) {
+        const validation = validateAttachmentFile(file);
+        if (!validation.valid) {
+            errors.push(validation.error);
+            continue;
+        }
+
+        try {
+            const isImage = DOWNSCALABLE_IMAGE_TYPES.includes(file.type);
+            const kind = isImage && !thumbnailTaken ? 'thumbnail' : 'file';
+            let dataUrl;
+
+            if (kind === 'thumbnail') {
+                dataUrl = await downscaleImage(file, THUMBNAIL_MAX_DIMENSION);
+                thumbnailTaken = true;
+            } else if (isImage) {
+                dataUrl = await downscaleImage(file, REFERENCE_IMAGE_MAX_DIMENSION, MAX_ATTACHMENT_SIZE);
+            } else {
+                dataUrl = await readFileAsDataUrl(file);
+            }
+
+            const size = getDataUrlSize(dataUrl);
+            if (size > MAX_ATTACHMENT_SIZE) {
+                errors.push(`"${file.name}" is too large (max ${formatFileSize(MAX_ATTACHMENT_SIZE)})`);
+                continue;
+            }
+
+            // Downscaled images were re-encoded as JPEG
+            const type = dataUrl.slice('data:'.length, dataUrl.search(/[;,]/)) || 'application/octet-stream';
+            const name = isImage && type === 'image/jpeg' && file.type !== 'image/jpeg'
+                ? file.name.replace(/(\.[^.]*)?$/, '.jpg')
+                : file.name;
+
+            attachments.push({ kind, name, type, size, dataUrl });
+        } catch (error) {
+            debugLog('Failed to read attachment:', error);
+            errors.push(`"${file.name}" could not be read`);
+        }
+    }
+
+    return { attachments, errors };
+}
+
+/**
+ * Reads a file into a data URL
+ *
+ * @param {File|Blob} file - File to read
+ * @returns {Promise<string>} data: URL with the file contents
+ */
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Downscales an image in the browser
+ *
+ * @param {File} file - Image file (one of DOWNSCALABLE_IMAGE_TYPES)
+ * @param {number} maxDimension - Longest side of the result, in pixels
+ * @param {number} [keepOriginalBelow] - Keep the original file if it already
+ *   fits maxDimension and is at most this many bytes
+ * @returns {Promise<string>} data: URL (JPEG unless the original is kept)
+ */
+async function downscaleImage(file, maxDimension, keepOriginalBelow = 0) {
+    const objectUrl = URL.createObjectURL(file);
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const element = new Image();
+            element.onload = () => resolve(element);
+            element.onerror = () => reject(new Error('Image could not be decoded'));
+            element.src = objectUrl;
+        });
+
+        const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+        if (scale === 1 && file.size <= keepOriginalBelow) {
+            return readFileAsDataUrl(file);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        const context = canvas.getContext('2d');
+        // JPEG has no transparency - put transparent images on white
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.85);
+    } finally {
+        URL.revokeObjectURL(objectUrl);
+    }
+}
+
+/**
+ * Works out how many bytes a data URL holds
+ *
+ * @param {string} dataUrl - data: URL
+ * @returns {number} Size of the decoded contents in bytes
+ */
+function getDataUrlSize(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const data = dataUrl.slice(comma + 1);
+    if (!dataUrl.slice(0, comma).endsWith(';base64')) {
+        return decodeURIComponent(data).length;
+    }
+    const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+    return Math.floor(data.length * 3 / 4) - padding;
+}
+
+/**
+ * Prepares files dropped on or picked in the form (saved on submit)
+ *
+ * THUMBNAIL: The first image becomes the thumbnail unless one is already
+ * pending or the asset being edited has one
+ *
+ * @param {FileList|Array<File>} files - Files to add
+ */
+async function addPendingAttachments(files) {
+    const hasThumbnail = pendingAttachments.some(attachment => attachment.kind === 'thumbnail')
+        || (editingAssetId !== null && getAssetThumbnail(editingAssetId) !== null);
+    const { attachments, errors } = await prepareAttachments(Array.from(files), !hasThumbnail);
+    errors.forEach(error => showToast(error, 'error', 5000));
+
+    pendingAttachments = [...pendingAttachments, ...attachments];
+    renderPendingAttachments();
+}
+
+/**
+ * Shows the files waiting to be saved with the form
+ */
+function renderPendingAttachments() {
+    const list = document.getElementById('form-attachment-list');
+    if (pendingAttachments.length === 0) {
+        list.innerHTML = '';
+        return;
+    }
+
+    renderAttachmentList(list, pendingAttachments, (index) => {
+        pendingAttachments.splice(index, 1);
+        renderPendingAttachments();
+    });
+}
+
+/**
+ * Saves the form's pending attachments on the asset just added or updated
+ *
+ * @param {string} assetId - Asset ID
+ */
+function savePendingAttachments(assetId) {
+    if (pendingAttachments.length === 0) return;
+
+    const added = addAssetAttachments(assetId, pendingAttachments);
+    if (added < pendingAttachments.length) {
+        showToast(`An asset can have at most ${MAX_ATTACHMENTS_PER_ASSET} reference files`, 'warning', 5000);
+    }
+    pendingAttachments = [];
+    renderPendingAttachments();
+}
+
+// ========================================
+// SELECTION & BULK ACTIONS
+// ========================================
+
+// Placeholder of the bulk value input per action ('' hides the input)
+const BULK_VALUE_PLACEHOLDERS = {
+    review: 'Comment (optional)',
+    vendor: 'New vendor',
+    fixRelease: 'New fix release (e.g., 2.1)',
+    comment: 'Comment to add',
+    tags: 'Tags to add (comma-separated)',
+    delete: ''
+};
+
+/**
+ * Turns selection mode (checkboxes on the cards and the bulk toolbar) on or off
+ */
+function toggleSelectionMode() {
+    selectionMode = !selectionMode;
+    selectedAssetIds.clear();
+    selectionAnchorId = null;
+
+    const selectModeBtn = document.getElementById('select-mode-btn');
+    selectModeBtn.textContent = selectionMode ? '☑ Done' : '☑ Select';
+    selectModeBtn.setAttribute('aria-pressed', String(selectionMode));
+    document.getElementById('bulk-toolbar').style.display = selectionMode ? 'flex' : 'none';
+
+    renderAssets(searchInput.value);
+}
+
+/**
+ * Handles a click on a card's checkbox
+ *
+ * SHIFT-CLICK: Every card between the previously clicked one and this one
+ * (in the order shown) gets the same state as this one
+ *
+ * @param {string} id - Asset ID
+ * @param {boolean} checked - New state of the checkbox
+ * @param {boolean} extendRange - True if Shift was held
+ */
+function handleCardSelect(id, checked, extendRange) {
+    const visibleIds = getVisibleAssetIds();
+    const anchorIndex = extendRange ? visibleIds.indexOf(selectionAnchorId) : -1;
+    const index = visibleIds.indexOf(id);
+
+    const ids = anchorIndex === -1
+        ? [id]
+        : visibleIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+
+    ids.forEach(rangeId => {
+        if (checked) {
+            selectedAssetIds.add(rangeId);
+        } else {
+            selectedAssetIds.delete(rangeId);
+        }
+    });
+    selectionAnchorId = id;
+
+    renderSelection();
+}
+
+/**
+ * Selects every asset currently shown (after search and filter)
+ */
+function handleSelectAllVisible() {
+    getVisibleAssetIds().forEach(id => selectedAssetIds.add(id));
+    renderSelection();
+}
+
+/**
+ * @returns {Array<string>} IDs of the asset cards on screen, in display order
+ */
+function getVisibleAssetIds() {
+    return Array.from(assetsContainer.querySelectorAll('.asset-card'), card => card.dataset.assetId);
+}
+
+/**
+ * Syncs the card checkboxes and the bulk toolbar with the current selection
+ * (without re-rendering the cards)
+ */
+function renderSelection() {
+    assetsContainer.querySelectorAll('.asset-card').forEach(card => {
+        const selected = selectedAssetIds.has(card.dataset.assetId);
+        card.classList.toggle('selected', selected);
+
+        const selectBox = card.querySelector('.card-select');
+        if (selectBox) {
+            selectBox.checked = selected;
+        }
+    });
+
+    document.getElementById('bulk-selected-count').textContent = `${selectedAssetIds.size} selected`;
+    document.getElementById('bulk-apply-btn').disabled = selectedAssetIds.size === 0;
+}
+
+/**
+ * Shows the inputs the chosen bulk action needs
+ */
+function renderBulkInputs() {
+    const action = document.getElementById('bulk-action-select').value;
+    const valueInput = document.getElementById('bulk-value-input');
+
+    document.getElementById('bulk-outcome-select').style.display = action === 'review' ? '' : 'none';
+    valueInput.style.display = BULK_VALUE_PLACEHOLDERS[action] ? '' : 'none';
+    valueInput.placeholder = BULK_VALUE_PLACEHOLDERS[action];
+}
+
+/**
+ * Runs the chosen bulk action on the selected assets
+ *
+ * PATTERN: Validate → one confirmation → one storage operation (one undo
+ * step) → one summary toast
+ */
+async function handleBulkAction() {
+    const ids = [...selectedAssetIds];
+    if (ids.length === 0) {
+        showToast('Select at least one asset first', 'warning');
+        return;
+    }
+
+    const action = document.getElementById('bulk-action-select').value;
+    const value = document.getElementById('bulk-value-input').value;
+
+    if (action === 'review') {
+        handleBulkReview(ids, document.getElementById('bulk-outcome-select').value, value);
+    } else if (action === 'comment') {
+        handleBulkComment(ids, value);
+    } else if (action === 'delete') {
+        handleBulkDelete(ids);
+    } else {
+        await handleBulkEdit(ids, action, value);
+    }
+}
+
+/**
+ * Records the same review for every selected asset
+ *
+ * @param {Array<string>} ids - Selected asset IDs
+ * @param {string} outcome - Key of REVIEW_OUTCOMES
+ * @param {string} comment - Comment input value
+ */
+function handleBulkReview(ids, outcome, comment) {
+    const commentResult = validateReviewComment(comment);
+    if (!commentResult.valid) {
+        showToast(commentResult.error, 'error');
+        document.getElementById('bulk-value-input').focus();
+        return;
+    }
+
+    if (!confirm(`Record a review (${REVIEW_OUTCOMES[outcome]}) for ${describeAssetCount(ids.length)}?`)) {
+        return;
+    }
+
+    const reviews = getAllAssets()
+        .filter(asset => ids.includes(asset.id))
+        .map(asset => ({ id: asset.id, review: createReview(asset, outcome, commentResult.value) }));
+    const updated = addAssetReviews(reviews);
+
+    if (updated.length > 0) {
+        finishBulkAction(`Reviewed ${describeAssetCount(updated.length)} (${REVIEW_OUTCOMES[outcome]})`, ids.length - updated.length);
+    }
+}
+
+/**
+ * Adds the same comment to every selected asset's thread
+ *
+ * @param {Array<string>} ids - Selected asset IDs
+ * @param {string} text - Comment input value
+ */
+function handleBulkComment(ids, text) {
+    const commentResult = validateComment(text);
+    if (!commentResult.valid) {
+        showToast(commentResult.error, 'error');
+        document.getElementById('bulk-value-input').focus();
+        return;
+    }
+
+    if (!confirm(`Add this comment to ${describeAssetCount(ids.length)}?\n\n${commentResult.value}`)) {
+        return;
+    }
+
+    const updated = addAssetComments(ids, commentResult.value);
+
+    if (updated.length > 0) {
+        finishBulkAction(`Comment added to ${describeAssetCount(updated.length)}`, ids.length - updated.length);
+    }
+}
+
+/**
+ * Moves every selected asset to the trash
+ *
+ * @param {Array<string>} ids - Selected asset IDs
+ */
+function handleBulkDelete(ids) {
+    if (!confirm(`Move ${describeAssetCount(ids.length)} to the trash?`)) {
+        return;
+    }
+
+    const deleted = deleteAssets(ids);
+
+    if (deleted > 0) {
+        if (editingAssetId && ids.includes(editingAssetId)) {
+            cancelEdit();
+        }
+        renderTrash();
+        finishBulkAction(`Moved ${describeAssetCount(deleted)} to trash`, ids.length - deleted);
+    }
+}
+
+/**
+ * Sets the vendor or fix release of, or adds tags to, every selected asset
+ *
+ * ATOMICITY: Written with applyAssetBatch(), so either every asset changes or none
+ *
+ * @param {Array<string>} ids - Selected asset IDs
+ * @param {string} action - 'vendor', 'fixRelease' or 'tags'
+ * @param {string} value - Value input value
+ */
+async function handleBulkEdit(ids, action, value) {
+    const validators = {
+        vendor: validateVendor,
+        fixRelease: validateFixRelease,
+        tags: tagsValue => {
+            const tagsResult = validateTags(tagsValue);
+            return tagsResult.valid && tagsResult.value.length === 0
+                ? { valid: false, error: 'Please enter the tags to add' }
+                : tagsResult;
+        }
+    };
+    const result = validators[action](value);
+    if (!result.valid) {
+        showToast(result.error, 'error');
+        document.getElementById('bulk-value-input').focus();
+        return;
+    }
+
+    const count = describeAssetCount(ids.length);
+    const newValue = action === 'vendor' ? result.value || 'Not specified' : result.value;
+    const descriptions = {
+        vendor: { question: `Set the vendor of ${count} to "${newValue}"?`, summary: `Vendor set to "${newValue}" on`, label: 'Change vendor of' },
+        fixRelease: { question: `Set the fix release of ${count} to v${newValue}?`, summary: `Fix release set to v${newValue} on`, label: 'Change fix release of' },
+        tags: { question: `Add the tags ${[].concat(newValue).join(', ')} to ${count}?`, summary: 'Tags added to', label: 'Add tags to' }
+    };
+    const description = descriptions[action];
+
+    if (!confirm(description.question)) {
+        return;
+    }
+
+    const update = getAllAssets()
+        .filter(asset => ids.includes(asset.id))
+        .map(asset => ({
+            id: asset.id,
+            updates: getBulkEditUpdates(asset, action, newValue)
+        }));
+
+    const batchResult = await applyAssetBatch(
+        { update },
+        {
+            historyLabel: `${description.label} ${describeAssetCount(update.length)}`,
+            source: 'Bulk edit',
+            failureMessage: 'Bulk change failed - nothing was changed'
+        }
+    );
+
+    if (!batchResult.success) {
+        if (batchResult.errors.length > 0) {
+            showToast(`Bulk change failed - nothing was changed. ${batchResult.errors[0].reasons[0]}`, 'error', 8000);
+        }
+        renderAssets(searchInput.value);
+        return;
+    }
+
+    finishBulkAction(`${description.summary} ${describeAssetCount(batchResult.updated)}`, ids.length - batchResult.updated);
+}
+
+/**
+ * Works out one asset's changes for a bulk edit
+ *
+ * @param {Object} asset - Selected asset
+ * @param {string} action - 'vendor', 'fixRelease' or 'tags'
+ * @param {string|Array<string>} value - Validated value
+ * @returns {Object} Updates for applyAssetBatch()
+ */
+function getBulkEditUpdates(asset, action, value) {
+    if (action === 'tags') {
+        // Tags the asset already has are not added twice
+        return { tags: [...new Set([...(asset.tags || []), ...value])] };
+    }
+    return { [action]: value };
+}
+
+/**
+ * Clears the selection and reports a finished bulk action
+ *
+ * @param {string} message - Summary of what changed
+ * @param {number} skipped - Selected assets that were not changed (e.g. deleted meanwhile)
+ */
+function finishBulkAction(message, skipped) {
+    selectedAssetIds.clear();
+    selectionAnchorId = null;
+    document.getElementById('bulk-value-input').value = '';
+
+    showUndoToast(skipped > 0 ? `${message} (${skipped} skipped)` : message);
+    renderAssets(searchInput.value);
+}
+
+/**
+ * @param {number} count - Number of assets
+ * @returns {string} e.g. "1 asset", "30 assets"
+ */
+function describeAssetCount(count) {
+    return `${count} asset${count !== 1 ? 's' : ''}`;
+}
+
+// ========================================
+// WORKSPACES
+// ========================================
+
+/**
+ * Fills the header switcher and the workspace management list
+ */
+function renderWorkspaces() {
+    const workspaces = getWorkspaces();
+    const active = getActiveWorkspace();
+    workspaceCount = workspaces.length;
+
+    const select = document.getElementById('workspace-select');
+    select.innerHTML = '';
+    workspaces.forEach(workspace => {
+        select.add(new Option(workspace.name, workspace.id, false, workspace.id === active.id));
+    });
+
+    const list = document.getElementById('workspace-list');
+    list.innerHTML = '';
+    workspaces.forEach(workspace => {
+        list.appendChild(createWorkspaceElement(workspace, workspace.id === active.id));
+    });
+}
+
+/**
+ * Creates the DOM element for one workspace in the management list
+ *
+ * @param {Object} workspace - { id, name, createdAt }
+ * @param {boolean} isActive - True if open in this tab
+ * @returns {HTMLElement} Entry element
+ */
+function createWorkspaceElement(workspace, isActive) {
+    const element = document.createElement('div');
+    element.className = `workspace-entry${isActive ? ' workspace-entry-active' : ''}`;
+    element.dataset.workspaceId = workspace.id;
+
+    element.innerHTML = `
+        <div class="workspace-entry-info">
+            <label class="visually-hidden" for="workspace-name-${workspace.id}">Workspace name</label>
+            <input
+                type="text"
+                id="workspace-name-${workspace.id}"
+                class="workspace-name-input"
+                maxlength="50"
+                value="${escapeHtml(workspace.name)}"
+            >
+            <span class="workspace-entry-meta">${isActive ? 'Open in this tab' : ''}</span>
+        </div>
+        <div class="workspace-entry-actions">
+            ${isActive ? '' : '<button type="button" class="btn btn-update btn-open-workspace">Open</button>'}
+            <button type="button" class="btn btn-secondary btn-rename-workspace">✏️ Rename</button>
+            <button type="button" class="btn btn-secondary btn-duplicate-workspace">⧉ Duplicate</button>
+            ${workspace.id === DEFAULT_WORKSPACE_ID ? '' : `<button type="button" class="btn btn-icon btn-delete btn-delete-workspace" title="Delete workspace" aria-label="Delete workspace ${escapeHtml(workspace.name)}">🗑️</button>`}
+        </div>
+    `;
+
+    const nameInput = element.querySelector('.workspace-name-input');
+    const openBtn = element.querySelector('.btn-open-workspace');
+    const deleteBtn = element.querySelector('.btn-delete-workspace');
+
+    if (openBtn) {
+        openBtn.addEventListener('click', () => handleWorkspaceSwitch(workspace.id));
+    }
+    element.querySelector('.btn-rename-workspace').addEventListener('click', () => {
+        handleRenameWorkspace(workspace.id, nameInput.value);
+    });
+    element.querySelector('.btn-duplicate-workspace').addEventListener('click', () => {
+        handleDuplicateWorkspace(workspace);
+    });
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => handleDeleteWorkspace(workspace));
+    }
+
+    return element;
+}
+
+/**
+ * Opens another workspace in this tab
+ *
+ * @param {string} id - Workspace ID
+ */
+async function handleWorkspaceSwitch(id) {
+    const select = document.getElementById('workspace-select');
+    select.disabled = true;
+
+    try {
+        if (await switchWorkspace(id)) {
+            showToast(`Switched to "${getActiveWorkspace().name}"`, 'success');
+        }
+    } finally {
+        select.disabled = false;
+        renderWorkspaces();
+    }
+}
+
+/**
+ * Handles the "new workspace" form
+ *
+ * @param {Event} event - Form submit event
+ */
+async function handleCreateWorkspace(event) {
+    event.preventDefault();
+
+    const input = document.getElementById('new-workspace-input');
+    const result = createWorkspace(input.value);
+    if (!result.success) {
+        showToast(result.error, 'error');
+        input.focus();
+        return;
+    }
+
+    input.value = '';
+    showToast(`Workspace "${result.workspace.name}" created`, 'success');
+    await handleWorkspaceSwitch(result.workspace.id);
+}
+
+/**
+ * Renames a workspace from its list entry
+ *
+ * @param {string} id - Workspace ID
+ * @param {string} name - New name
+ */
+function handleRenameWorkspace(id, name) {
+    const result = renameWorkspace(id, name);
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+    showToast('Workspace renamed', 'success');
+}
+
+/**
+ * Duplicates a workspace under a free "<name> (copy)" name
+ *
+ * @param {Object} workspace - Workspace to copy
+ */
+async function handleDuplicateWorkspace(workspace) {
+    let name = `${workspace.name} (copy)`;
+    for (let n = 2; !validateWorkspaceName(name).valid && n < 100; n++) {
+        name = `${workspace.name} (copy ${n})`;
+    }
+
+    const result = await duplicateWorkspace(workspace.id, name);
+    if (!result.success) {
+        showToast(result.error, 'error', 5000);
+        return;
+    }
+    showToast(`Created "${result.workspace.name}"`, 'success');
+}
+
+/**
+ * Deletes a workspace and all of its data after confirmation
+ *
+ * @param {Object} workspace - Workspace to delete
+ */
+async function handleDeleteWorkspace(workspace) {
+    const confirmed = confirm(
+        `Delete the workspace "${workspace.name}" and ALL of its assets, trash and history?\n\nThis cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    if (await deleteWorkspace(workspace.id)) {
+        showToast(`Workspace "${workspace.name}" deleted`, 'success');
+    }
+}
+
+/**
+ * Refreshes the UI after the workspace list or the open workspace changed
+ *
+ * @param {Object} change - { switched: boolean }
+ */
+function handleWorkspaceChange({ switched }) {
+    renderWorkspaces();
+    if (!switched) {
+        // The copy/move button depends on the number of workspaces
+        renderAssets(searchInput.value);
+        return;
+    }
+
+    // Nothing from the previous workspace may stay on screen
+    if (editingAssetId) {
+        cancelEdit();
+    }
+    closeRestorePanel();
+    closeSettingsPanel();
+    expandedHistoryIds.clear();
+    expandedCommentIds.clear();
+
+    renderLockState();
+    purgeExpiredTrash(getSettings().trashRetentionDays);
+    renderAssets(searchInput.value);
+    renderQuarantine();
+    renderTrash();
+    renderSyncConflicts();
+}
+
+/**
+ * Opens or closes the copy/move panel of an asset card
+ *
+ * @param {HTMLElement} card - Asset card element
+ */
+function toggleAssetTransfer(card) {
+    const panel = card.querySelector('.card-transfer');
+    const button = card.querySelector('.btn-workspace');
+
+    if (!panel.hidden) {
+        panel.hidden = true;
+        button.setAttribute('aria-expanded', 'false');
+        return;
+    }
+
+    const select = panel.querySelector('.card-transfer-target');
+    const activeId = getActiveWorkspace().id;
+    select.innerHTML = '';
+    getWorkspaces()
+        .filter(workspace => workspace.id !== activeId)
+        .forEach(workspace => select.add(new Option(workspace.name, workspace.id)));
+
+    panel.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Copies or moves one asset into another workspace
+ *
+ * @param {Object} asset - Asset to transfer
+ * @param {string} targetId - Target workspace ID
+ * @param {string} mode - 'copy' or 'move'
+ */
+async function handleTransferAsset(asset, targetId, mode) {
+    const target = getWorkspaces().find(workspace => workspace.id === targetId);
+    if (!target) return;
+
+    const result = await transferAssetsToWorkspace([asset.id], targetId, mode);
+    if (!result.success) return;
+
+    if (result.transferred === 0) {
+        const reason = result.skipped.length > 0 ? `: ${result.skipped[0].reason}` : '';
+        showToast(`"${asset.name}" was not ${mode === 'move' ? 'moved' : 'copied'}${reason}`, 'warning', 5000);
+        return;
+    }
+
+    showToast(`${mode === 'move' ? 'Moved' : 'Copied'} "${asset.name}" to "${target.name}"`, 'success');
+    if (mode === 'move' && editingAssetId === asset.id) {
+        cancelEdit();
+    }
+    renderAssets(searchInput.value);
+}
+
+// ========================================
+// ENCRYPTION
+// ========================================
+
+/**
+ * Shows the unlock screen instead of the app while the data is locked
+ */
+function renderLockState() {
+    const locked = isStorageLocked();
+    const unlockSection = document.getElementById('unlock-section');
+    const mainContent = document.querySelector('.main-content');
+    const wasLocked = unlockSection.style.display !== 'none';
+
+    unlockSection.style.display = locked ? 'block' : 'none';
+    mainContent.style.display = locked ? 'none' : '';
+
+    if (locked && !wasLocked) {
+        document.getElementById('unlock-workspace-name').textContent = getActiveWorkspace().name;
+        document.getElementById('unlock-passphrase-input').focus();
+    }
+}
+
+/**
+ * Handles the unlock screen
+ *
+ * @param {Event} event - Form submit event
+ */
+async function handleUnlock(event) {
+    event.preventDefault();
+
+    const passphraseInput = document.getElementById('unlock-passphrase-input');
+    const unlockBtn = document.getElementById('unlock-btn');
+    unlockBtn.disabled = true;
+    unlockBtn.textContent = '⏳ Unlocking...';
+
+    try {
+        const result = await unlockStorage(passphraseInput.value);
+        if (!result.success) {
+            showToast(result.error || 'Could not unlock the data', 'error');
+            passphraseInput.select();
+            return;
+        }
+
+        passphraseInput.value = '';
+        showToast('Unlocked', 'success');
+        renderLockState();
+        purgeExpiredTrash(getSettings().trashRetentionDays);
+        renderAssets(searchInput.value);
+        renderQuarantine();
+        renderTrash();
+        renderSyncConflicts();
+    } finally {
+        unlockBtn.disabled = false;
+        unlockBtn.textContent = '🔓 Unlock';
+    }
+}
+
+/**
+ * Shows the encryption controls that apply to the current state
+ */
+function renderEncryptionSettings() {
+    const encrypted = isStorageEncrypted();
+    const available = isEncryptionAvailable();
+    const status = document.getElementById('encryption-status');
+
+    if (!available) {
+        status.textContent = 'Not available in this browser (the page must be opened from https, localhost or a local file).';
+    } else if (encrypted) {
+        status.textContent = 'On - this workspace\'s data and backups are encrypted with your passphrase.';
+    } else {
+        status.textContent = 'Off - this workspace\'s data is stored readable on this device. ' +
+            'Turn it on to encrypt it with a passphrase, which is asked for every time the app is opened.';
+    }
+
+    document.getElementById('current-passphrase-group').style.display = encrypted ? '' : 'none';
+    document.getElementById('new-passphrase-group').style.display = available ? '' : 'none';
+    document.getElementById('confirm-passphrase-group').style.display = available ? '' : 'none';
+    document.getElementById('enable-encryption-btn').style.display = available && !encrypted ? '' : 'none';
+    document.getElementById('change-passphrase-btn').style.display = encrypted ? '' : 'none';
+    document.getElementById('disable-encryption-btn').style.display = encrypted ? '' : 'none';
+
+    ['current-passphrase-input', 'new-passphrase-input', 'confirm-passphrase-input'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+}
+
+/**
+ * Runs an encryption action with the form's buttons disabled
+ *
+ * WHY: Deriving a key takes a moment on purpose (it slows down guessing)
+ *
+ * @param {Function} action - Async function returning { success, error? }
+ * @param {string} successMessage - Toast shown on success
+ */
+async function runEncryptionAction(action, successMessage) {
+    const buttons = document.querySelectorAll('#encryption-form button');
+    buttons.forEach(button => {
+        button.disabled = true;
+    });
+
+    try {
+        const result = await action();
+        if (result.success) {
+            showToast(successMessage, 'success', 5000);
+            renderEncryptionSettings();
+        } else if (result.error) {
+            showToast(result.error, 'error', 5000);
+        }
+    } finally {
+        buttons.forEach(button => {
+            button.disabled = false;
+        });
+    }
+}
+
+/**
+ * Reads and validates the new passphrase fields
+ *
+ * @returns {string|null} The new passphrase, or null if invalid (error shown)
+ */
+function readNewPassphrase() {
+    const newInput = document.getElementById('new-passphrase-input');
+    const result = validatePassphrase(newInput.value, document.getElementById('confirm-passphrase-input').value);
+    if (!result.valid) {
+        showToast(result.error, 'error');
+        newInput.focus();
+        return null;
+    }
+    return result.value;
+}
+
+/**
+ * Encrypts the workspace's data with the new passphrase
+ */
+async function handleEnableEncryption() {
+    if (getRemoteSyncUrl()) {
+        showToast('Remove the sync server first - encrypted workspaces cannot be synced', 'error', 5000);
+        return;
+    }
+
+    const passphrase = readNewPassphrase();
+    if (passphrase === null) return;
+
+    await runEncryptionAction(
+        () => enableStorageEncryption(passphrase),
+        'Encryption turned on. Keep your passphrase safe - it cannot be recovered.'
+    );
+}
+
+/**
+ * Re-encrypts the workspace's data with a new passphrase
+ */
+async function handleChangePassphrase() {
+    const passphrase = readNewPassphrase();
+    if (passphrase === null) return;
+
+    const currentPassphrase = document.getElementById('current-passphrase-input').value;
+    await runEncryptionAction(
+        () => changeStoragePassphrase(currentPassphrase, passphrase),
+        'Passphrase changed. Other open tabs must be unlocked with the new one.'
+    );
+}
+
+/**
+ * Stores the workspace's data unencrypted again
+ */
+async function handleDisableEncryption() {
+    const currentPassphrase = document.getElementById('current-passphrase-input').value;
+    if (!currentPassphrase) {
+        showToast('Enter the current passphrase', 'error');
+        document.getElementById('current-passphrase-input').focus();
+        return;
+    }
+    if (!confirm('Store this workspace\'s data unencrypted again? Anyone with access to this browser will be able to read it.')) {
+        return;
+    }
+
+    await runEncryptionAction(
+        () => disableStorageEncryption(currentPassphrase),
+        'Encryption turned off'
+    );
+}
+
+// ========================================
+// UNDO / REDO
+// ========================================
+
+/**
+ * Shows a success toast with an "Undo" action for the change just made
+ *
+ * @param {string} message - Message to display
+ */
+function showUndoToast(message) {
+    showToast(message, 'success', 5000, { label: 'Undo', onClick: handleUndo });
+}
+
+/**
+ * Handles Ctrl+Z (undo) and Ctrl+Shift+Z / Ctrl+Y (redo)
+ *
+ * TEXT FIELDS: Shortcuts typed in an input keep their native text undo
+ *
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        handleRedo();
+    }
+}
+
+/**
+ * Undoes the most recent asset change
+ */
+function handleUndo() {
+    if (!canUndo()) {
+        showToast('Nothing to undo', 'info');
+        return;
+    }
+
+    const label = undoLastChange();
+    if (label) {
+        refreshAfterHistoryChange();
+        showToast(`Undone: ${label}`, 'info', 5000, { label: 'Redo', onClick: handleRedo });
+    }
+}
+
+/**
+ * Re-applies the most recently undone change
+ */
+function handleRedo() {
+    if (!canRedo()) {
+        showToast('Nothing to redo', 'info');
+        return;
+    }
+
+    const label = redoLastChange();
+    if (label) {
+        refreshAfterHistoryChange();
+        showToast(`Redone: ${label}`, 'info', 5000, { label: 'Undo', onClick: handleUndo });
+    }
+}
+
+/**
+ * Re-renders everything an undo/redo step may have touched
+ */
+function refreshAfterHistoryChange() {
+    // The asset being edited may have just been removed
+    if (editingAssetId && !getAllAssets().some(asset => asset.id === editingAssetId)) {
+        cancelEdit();
+    }
+
+    renderAssets(searchInput.value);
+    renderQuarantine();
+    renderTrash();
+}
+
+// ========================================
+// BACKUP & RESTORE
+// ========================================
+
+/**
+ * Downloads a complete backup of all data as a timestamped JSON file
+ *
+ * FILE NAME: trackpop-backup-YYYY-MM-DD-HHMM.json (local time)
+ * ENCRYPTION: Encrypted workspaces produce encrypted backups (same passphrase)
+ */
+async function handleBackupExport() {
+    try {
+        const backup = createBackup();
+        const file = await sealBackup(backup);
+        const now = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}` +
+            `-${pad(now.getHours())}${pad(now.getMinutes())}`;
+
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `trackpop-backup-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        const kind = file === backup ? 'Backup' : 'Encrypted backup';
+        showToast(`${kind} saved (${backup.assetCount} asset${backup.assetCount !== 1 ? 's' : ''})`, 'success');
+    } catch (error) {
+        debugLog('Backup export error:', error);
+        showToast('Failed to create backup', 'error');
+    }
+}
+
+/**
+ * Reads the chosen backup file and shows what restoring it would change
+ *
+ * NOTHING IS WRITTEN until the user confirms in the restore panel
+ *
+ * @param {Event} event - File input change event
+ */
+async function handleBackupFileSelected(event) {
+    const fileInput = event.target;
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        closeRestorePanel();
+        try {
+            showRestorePanel(file.name, await readBackup(text));
+        } catch (error) {
+            if (error.code !== 'PASSPHRASE_REQUIRED') throw error;
+            showRestorePassphraseForm(file.name, text);
+        }
+    } catch (error) {
+        debugLog('Backup restore error:', error);
+        showToast(`Cannot restore: ${error.message}`, 'error', 5000);
+    } finally {
+        // Allow choosing the same file again
+        fileInput.value = '';
+    }
+}
+
+/**
+ * Opens the restore panel with the summary for a readable backup
+ *
+ * @param {string} fileName - Name of the chosen file
+ * @param {Object} backup - Payload returned by readBackup()
+ */
+function showRestorePanel(fileName, backup) {
+    pendingRestore = { fileName, backup };
+    pendingEncryptedBackup = null;
+
+    const restoreSection = document.getElementById('restore-section');
+    document.getElementById('restore-passphrase-form').style.display = 'none';
+    document.getElementById('restore-details').style.display = '';
+    document.getElementById('confirm-restore-btn').style.display = '';
+    restoreSection.style.display = 'block';
+    renderRestoreSummary();
+    restoreSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Opens the restore panel asking for the passphrase of an encrypted backup
+ *
+ * @param {string} fileName - Name of the chosen file
+ * @param {string} text - File contents
+ */
+function showRestorePassphraseForm(fileName, text) {
+    pendingEncryptedBackup = { fileName, text };
+
+    const restoreSection = document.getElementById('restore-section');
+    const passphraseInput = document.getElementById('restore-passphrase-input');
+    document.getElementById('restore-source').textContent =
+        `${fileName} is encrypted. Enter the passphrase that was in use when it was taken.`;
+    document.getElementById('restore-passphrase-form').style.display = '';
+    document.getElementById('restore-details').style.display = 'none';
+    document.getElementById('confirm-restore-btn').style.display = 'none';
+    restoreSection.style.display = 'block';
+    restoreSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    passphraseInput.value = '';
+    passphraseInput.focus();
+}
+
+/**
+ * Decrypts the pending encrypted backup with the entered passphrase
+ *
+ * @param {Event} event - Form submit event
+ */
+async function handleRestorePassphrase(event) {
+    event.preventDefault();
+    if (!pendingEncryptedBackup) return;
+
+    const passphraseInput = document.getElementById('restore-passphrase-input');
+    const submitButton = event.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const { fileName, text } = pendingEncryptedBackup;
+        showRestorePanel(fileName, await readBackup(text, passphraseInput.value));
+        passphraseInput.value = '';
+    } catch (error) {
+        debugLog('Backup decrypt error:', error);
+        showToast(error.code === 'WRONG_PASSPHRASE' ? 'Wrong passphrase' : `Cannot restore: ${error.message}`, 'error', 5000);
+        passphraseInput.select();
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Returns the restore mode selected in the panel
+ *
+ * @returns {string} 'merge' or 'replace'
+ */
+function getSelectedRestoreMode() {
+    const selected = document.querySelector('input[name="restoreMode"]:checked');
+    return selected ? selected.value : 'merge';
+}
+
+/**
+ * Renders the summary of changes for the pending backup and selected mode
+ */
+function renderRestoreSummary() {
+    if (!pendingRestore) return;
+
+    const { fileName, backup } = pendingRestore;
+    const plan = planRestore(backup, getSelectedRestoreMode());
+    const plural = (count, word, pluralWord = `${word}s`) => `${count} ${count === 1 ? word : pluralWord}`;
+
+    const source = document.getElementById('restore-source');
+    source.textContent = backup.exportedAt
+        ? `${fileName} - backup taken ${formatDate(backup.exportedAt)}, ${plural(backup.assets.length, 'asset')}`
+        : `${fileName} - ${plural(backup.assets.length, 'asset')}`;
+
+    const lines = [
+        { text: `${plural(plan.added.length, 'new asset')} will be added` },
+        { text: `${plural(plan.updated.length, 'existing asset')} will be overwritten` },
+        { text: `${plural(plan.unchanged.length, 'asset')} already up to date` }
+    ];
+
+    if (plan.mode === 'replace') {
+        lines.push({
+            text: `${plural(plan.removed.length, 'current asset')} not in the backup will be removed`,
+            warning: plan.removed.length > 0
+        });
+        lines.push({
+            text: plan.settingsChanged ? 'Settings will be replaced' : 'Settings are unchanged'
+        });
+        lines.push({
+            text: `Trash will be replaced (${plural(backup.trash.length, 'entry', 'entries')} in backup)`,
+            warning: getTrashCount() > 0
+        });
+    } else {
+        lines.push({ text: 'Settings, trash and other assets are kept' });
+    }
+
+    const summary = document.getElementById('restore-summary');
+    summary.innerHTML = '';
+    lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line.text;
+        if (line.warning) {
+            item.className = 'restore-summary-warning';
+        }
+        summary.appendChild(item);
+    });
 
-    editBtn.addEventListener('click', () => startEdit(asset.id));
-    deleteBtn.addEventListener('click', () => handleDelete(asset.id, asset.name));
-    reviewBtn.addEventListener('click', () => handleReview(asset.id));
+    if (plan.invalid.length > 0) {
+        const item = document.createElement('li');
+        item.className = 'restore-summary-warning';
+        item.textContent = `${plural(plan.invalid.length, 'invalid record')} will be skipped:`;
+
+        const invalidList = document.createElement('ul');
+        invalidList.className = 'restore-invalid-list';
+        plan.invalid.forEach(({ record, reasons }) => {
+            const entry = document.createElement('li');
+            const name = record && typeof record.name === 'string' ? record.name : '(unnamed record)';
+            entry.textContent = `${name}: ${reasons.join(', ')}`;
+            invalidList.appendChild(entry);
+        });
+        item.appendChild(invalidList);
+        summary.appendChild(item);
+    }
+}
 
-    return card;
+/**
+ * Writes the pending backup using the selected mode
+ */
+function handleRestoreConfirm() {
+    if (!pendingRestore) return;
+
+    const plan = planRestore(pendingRestore.backup, getSelectedRestoreMode());
+
+    if (plan.mode === 'replace' && !confirm('Replace ALL current data with this backup? This cannot be undone.')) {
+        return;
+    }
+
+    if (applyRestore(plan)) {
+        const restored = plan.added.length + plan.updated.length;
+        const message = plan.mode === 'replace'
+            ? `Backup restored (${plan.assets.length} assets)`
+            : `Merged ${restored} asset${restored !== 1 ? 's' : ''} from backup`;
+
+        if (plan.mode === 'merge' && restored > 0) {
+            showUndoToast(message);
+        } else {
+            showToast(message, 'success');
+        }
+
+        closeRestorePanel();
+        if (editingAssetId) {
+            cancelEdit();
+        }
+        renderAssets(searchInput.value);
+        renderQuarantine();
+        renderTrash();
+    }
+}
+
+/**
+ * Hides the restore panel and forgets the pending backup (and any typed passphrase)
+ */
+function closeRestorePanel() {
+    pendingRestore = null;
+    pendingEncryptedBackup = null;
+    document.getElementById('restore-section').style.display = 'none';
+    document.getElementById('restore-summary').innerHTML = '';
+    document.getElementById('restore-passphrase-input').value = '';
+}
+
+// ========================================
+// REMOTE SYNC
+// ========================================
+
+/**
+ * Updates the sync status button
+ *
+ * @param {Object} status - Status from getRemoteSyncStatus()
+ */
+function renderSyncStatus(status) {
+    const button = document.getElementById('sync-status-btn');
+    const text = document.getElementById('sync-status-text');
+
+    if (status.state === 'disabled') {
+        button.style.display = 'none';
+        renderSyncConflicts();
+        return;
+    }
+
+    const labels = {
+        syncing: '☁️ Syncing...',
+        synced: '☁️ Synced',
+        offline: '⚠️ Offline',
+        error: '⚠️ Sync error'
+    };
+    let label = labels[status.state] || '☁️ Sync';
+    if (status.conflicts > 0) {
+        label = `⚠️ ${status.conflicts} conflict${status.conflicts !== 1 ? 's' : ''}`;
+    } else if (status.pending > 0 && status.state !== 'syncing') {
+        label += ` (${status.pending} pending)`;
+    }
+
+    button.style.display = '';
+    button.className = status.conflicts > 0 || status.state === 'error' ? 'btn btn-warning' : 'btn btn-secondary';
+    text.textContent = label;
+    button.title = status.message ||
+        (status.lastSyncedAt ? `Last synced ${new Date(status.lastSyncedAt).toLocaleTimeString()} - click to sync now` : 'Sync now');
+
+    renderSyncConflicts();
 }
 
 /**
- * Handles asset deletion with confirmation
+ * Syncs now, and shows the conflicts panel if there are conflicts
+ */
+function handleSyncStatusClick() {
+    const conflictsSection = document.getElementById('sync-conflicts-section');
+
+    if (getSyncConflicts().length > 0) {
+        conflictsSection.style.display = 'block';
+        conflictsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    syncNow();
+}
+
+/**
+ * Renders the list of sync conflicts (hidden when there are none)
+ */
+function renderSyncConflicts() {
+    const conflictsSection = document.getElementById('sync-conflicts-section');
+    const conflictsList = document.getElementById('sync-conflicts-list');
+    const conflicts = getSyncConflicts();
+
+    if (conflicts.length === 0) {
+        conflictsSection.style.display = 'none';
+        conflictsList.innerHTML = '';
+        return;
+    }
+
+    conflictsList.innerHTML = '';
+    conflicts.forEach(conflict => {
+        conflictsList.appendChild(createSyncConflictElement(conflict));
+    });
+}
+
+/**
+ * Creates the DOM element for one conflicting asset
+ *
+ * SHOWS: Every field that differs between this device and the server
  *
- * CONFIRMATION: Prevents accidental deletion
+ * @param {Object} conflict - { id, local, server, serverRevision } (null = deleted)
+ * @returns {HTMLElement} Entry element
+ */
+function createSyncConflictElement(conflict) {
+    const { local, server } = conflict;
+    const title = (local && local.name) || (server && server.name) || conflict.id;
+
+    let differences;
+    if (!local) {
+        differences = ['Deleted on this device, changed on the server'];
+    } else if (!server) {
+        differences = ['Changed on this device, deleted on the server'];
+    } else {
+        const fields = Array.from(new Set([...Object.keys(local), ...Object.keys(server)]));
+        differences = fields
+            .filter(field => !isSameRecord(local[field], server[field]))
+            .map(field => `${field}: this device "${formatQuarantineFieldValue(local[field])}", ` +
+                `server "${formatQuarantineFieldValue(server[field])}"`);
+    }
+
+    const element = document.createElement('div');
+    element.className = 'quarantine-entry';
+    element.dataset.assetId = conflict.id;
+
+    element.innerHTML = `
+        <div class="quarantine-entry-header">
+            <h3 class="quarantine-entry-title">📦 ${escapeHtml(title)}</h3>
+        </div>
+        <ul class="quarantine-reasons">
+            ${differences.map(difference => `<li>⚠ ${escapeHtml(difference)}</li>`).join('')}
+        </ul>
+        <div class="form-actions">
+            <button type="button" class="btn btn-update btn-keep-local">💻 Keep Mine</button>
+            <button type="button" class="btn btn-secondary btn-keep-server">☁️ Use Server Version</button>
+        </div>
+    `;
+
+    element.querySelector('.btn-keep-local').addEventListener('click', () => handleResolveConflict(conflict.id, 'local'));
+    element.querySelector('.btn-keep-server').addEventListener('click', () => handleResolveConflict(conflict.id, 'server'));
+
+    return element;
+}
+
+/**
+ * Resolves one sync conflict
  *
  * @param {string} id - Asset ID
- * @param {string} name - Asset name (for confirmation message)
+ * @param {string} keep - 'local' or 'server'
  */
-function handleDelete(id, name) {
-    // Confirm deletion
-    const confirmed = confirm(`Are you sure you want to delete "${name}"?\n\nThis action cannot be undone.`);
+function handleResolveConflict(id, keep) {
+    if (resolveSyncConflict(id, keep)) {
+        showToast(keep === 'local' ? 'Your version will be sent to the server' : 'Server version applied', 'success');
+        renderAssets(searchInput.value);
+        renderTrash();
+        renderSyncConflicts();
+    }
+}
 
-    if (confirmed) {
-        const success = deleteAsset(id);
+// ========================================
+// ARCHIVE
+// ========================================
 
-        if (success) {
-            showToast(`Deleted "${name}"`, 'success');
-            // Cancel edit if we're editing this asset
-            if (editingAssetId === id) {
-                cancelEdit();
-            }
-            renderAssets(searchInput.value);
-            debugLog('Asset deleted:', name);
+/**
+ * Archives a finished asset from its card
+ *
+ * @param {string} id - Asset ID
+ */
+function handleArchive(id) {
+    const updated = archiveAsset(id);
+
+    if (updated) {
+        showUndoToast(`Archived "${updated.name}"`);
+        if (editingAssetId === id) {
+            cancelEdit();
         }
+        renderAssets(searchInput.value);
+        debugLog('Asset archived:', id);
     }
 }
 
 /**
- * Handles marking asset as reviewed
+ * Renders the archive count and the (searched) list of archived assets
+ *
+ * ORDER: Most recently archived first
+ */
+function renderArchive() {
+    const archived = getAllAssets()
+        .filter(isAssetArchived)
+        .sort((a, b) => Date.parse(b.archivedAt) - Date.parse(a.archivedAt));
+    const searchTerm = document.getElementById('archive-search-input').value;
+    const shown = searchTerm.trim() ? filterAssets(archived, searchTerm) : archived;
+
+    document.getElementById('archive-count').textContent = archived.length;
+    document.getElementById('archive-empty').textContent = archived.length === 0
+        ? 'No archived assets.'
+        : 'No archived assets match your search.';
+    document.getElementById('archive-empty').style.display = shown.length === 0 ? 'block' : 'none';
+
+    const archiveList = document.getElementById('archive-list');
+    archiveList.innerHTML = '';
+    shown.forEach(asset => {
+        archiveList.appendChild(createArchiveEntryElement(asset));
+    });
+}
+
+/**
+ * Creates the DOM element for one archived asset
  *
- * UPDATES: lastReset timestamp to current time
- * PRESERVES: All other asset data
+ * @param {Object} asset - Archived asset
+ * @returns {HTMLElement} Entry element
+ */
+function createArchiveEntryElement(asset) {
+    const reviews = asset.reviews || [];
+    const latestReview = reviews[reviews.length - 1];
+
+    const element = document.createElement('div');
+    element.className = 'archive-entry';
+    element.dataset.assetId = asset.id;
+
+    element.innerHTML = `
+        <div class="archive-entry-info">
+            <h3 class="archive-entry-title">📦 ${escapeHtml(asset.name)}</h3>
+            <p class="archive-entry-meta">
+                🏢 ${escapeHtml(asset.vendor)} <span class="separator">•</span> 📋 v${escapeHtml(asset.fixRelease)}
+                <span class="separator">•</span> ${ASSET_STATUSES[getAssetStatus(asset)]}
+            </p>
+            <p class="archive-entry-date">
+                ✅ Completed ${formatDate(asset.archivedAt)}
+                ${latestReview ? ` · last review ${formatDate(latestReview.reviewedAt)} (${REVIEW_OUTCOMES[latestReview.outcome]})` : ''}
+            </p>
+        </div>
+        <div class="archive-entry-actions">
+            <button type="button" class="btn btn-update btn-unarchive">↩ Unarchive</button>
+        </div>
+    `;
+
+    element.querySelector('.btn-unarchive').addEventListener('click', () => handleUnarchive(asset.id, asset.name));
+
+    return element;
+}
+
+/**
+ * Brings an archived asset back to the active grid
  *
  * @param {string} id - Asset ID
+ * @param {string} name - Asset name (for the toast message)
  */
-function handleReview(id) {
-    const currentTime = new Date().toISOString();
+function handleUnarchive(id, name) {
+    if (unarchiveAsset(id)) {
+        showUndoToast(`Unarchived "${name}"`);
+        renderAssets(searchInput.value);
+    }
+}
+
+// ========================================
+// TRASH
+// ========================================
 
-    const updated = updateAsset(id, {
-        lastReset: currentTime
+/**
+ * Renders the trash list and the trash button count
+ */
+function renderTrash() {
+    const trashList = document.getElementById('trash-list');
+    const entries = getTrashedAssets();
+    const retentionDays = getSettings().trashRetentionDays;
+
+    document.getElementById('trash-count').textContent = entries.length;
+    document.getElementById('trash-empty').style.display = entries.length === 0 ? 'block' : 'none';
+    document.getElementById('empty-trash-btn').disabled = entries.length === 0;
+    document.getElementById('trash-description').textContent =
+        `Deleted assets are kept here for ${retentionDays} day${retentionDays !== 1 ? 's' : ''} ` +
+        'and can be restored with their full history.';
+
+    trashList.innerHTML = '';
+    entries.forEach(entry => {
+        trashList.appendChild(createTrashEntryElement(entry, retentionDays));
     });
+}
 
-    if (updated) {
-        showToast('Asset marked as reviewed', 'success');
+/**
+ * Creates the DOM element for one trashed asset
+ *
+ * @param {Object} entry - Trash entry { id, asset, deletedAt }
+ * @param {number} retentionDays - Days before the entry is purged
+ * @returns {HTMLElement} Entry element
+ */
+function createTrashEntryElement(entry, retentionDays) {
+    const { asset } = entry;
+    const purgeDate = new Date(Date.parse(entry.deletedAt) + retentionDays * 24 * 60 * 60 * 1000);
+
+    const element = document.createElement('div');
+    element.className = 'trash-entry';
+    element.dataset.assetId = entry.id;
+
+    element.innerHTML = `
+        <div class="trash-entry-info">
+            <h3 class="trash-entry-title">📦 ${escapeHtml(asset.name)}</h3>
+            <p class="trash-entry-meta">
+                🏢 ${escapeHtml(asset.vendor)} <span class="separator">•</span> 📋 v${escapeHtml(asset.fixRelease)}
+            </p>
+            <p class="trash-entry-date">
+                Deleted ${formatDate(entry.deletedAt)} · purged ${formatDate(purgeDate.toISOString())}
+            </p>
+        </div>
+        <div class="trash-entry-actions">
+            <button type="button" class="btn btn-update btn-restore">↩ Restore</button>
+            <button type="button" class="btn btn-icon btn-delete btn-purge" title="Delete forever" aria-label="Delete ${escapeHtml(asset.name)} forever">
+                ✕
+            </button>
+        </div>
+    `;
+
+    element.querySelector('.btn-restore').addEventListener('click', () => handleRestore(entry.id, asset.name));
+    element.querySelector('.btn-purge').addEventListener('click', () => handlePurge(entry.id, asset.name));
+
+    return element;
+}
+
+/**
+ * Restores a trashed asset to the active list
+ *
+ * @param {string} id - Asset ID
+ * @param {string} name - Asset name (for the toast message)
+ */
+function handleRestore(id, name) {
+    if (restoreAsset(id)) {
+        showUndoToast(`Restored "${name}"`);
         renderAssets(searchInput.value);
-        debugLog('Asset reviewed:', id);
+        renderTrash();
+    }
+}
+
+/**
+ * Permanently deletes one trashed asset after confirmation
+ *
+ * @param {string} id - Asset ID
+ * @param {string} name - Asset name (for confirmation message)
+ */
+function handlePurge(id, name) {
+    const confirmed = confirm(`Permanently delete "${name}"?\n\nThis action cannot be undone.`);
+
+    if (confirmed && purgeTrashedAssets([id]) > 0) {
+        showToast(`Deleted "${name}" forever`, 'success');
+        renderTrash();
+    }
+}
+
+/**
+ * Permanently deletes everything in the trash after confirmation
+ */
+function handleEmptyTrash() {
+    const count = getTrashCount();
+    if (count === 0) return;
+
+    const confirmed = confirm(
+        `Permanently delete ${count} asset${count !== 1 ? 's' : ''} in the trash?\n\nThis action cannot be undone.`
+    );
+
+    if (confirmed) {
+        const purged = emptyTrash();
+        showToast(`Emptied trash (${purged} asset${purged !== 1 ? 's' : ''} deleted)`, 'success');
+        renderTrash();
     }
 }
 
 // ========================================
-// SETTINGS MANAGEMENT
+// QUARANTINE
 // ========================================
 
-const SETTINGS_KEY = 'assetTrackerSettings';
+/**
+ * Asset fields shown as editable inputs for quarantined records
+ * Other fields on the record are preserved untouched
+ */
+const QUARANTINE_EDITABLE_FIELDS = [
+    { field: 'id', label: 'ID', placeholder: 'Leave blank to generate a new ID' },
+    { field: 'name', label: 'Asset Name', placeholder: 'e.g., Character_WalkCycle_v2' },
+    { field: 'vendor', label: 'Vendor', placeholder: 'e.g., Studio XYZ' },
+    { field: 'fixRelease', label: 'Fix Release', placeholder: 'e.g., 10.30' },
+    { field: 'assignee', label: 'Assignee', placeholder: 'Optional' },
+    { field: 'assetType', label: 'Type', placeholder: `Optional: ${Object.keys(ASSET_TYPES).join(', ')}` },
+    { field: 'startDate', label: 'Start Date', placeholder: 'e.g., 2026-01-23T14:30:00' },
+    { field: 'lastReset', label: 'Last Review', placeholder: 'e.g., 2026-01-23T14:30:00' },
+    { field: 'createdAt', label: 'Created', placeholder: 'e.g., 2026-01-23T14:30:00' }
+];
 
 /**
- * Default settings values
+ * Renders the quarantine list and the quarantine button count
+ *
+ * VISIBILITY: Button is hidden when nothing is quarantined; the section
+ * closes itself once the last record is re-admitted or discarded
  */
-const DEFAULT_SETTINGS = {
-    orangeThreshold: 5,
-    redThreshold: 7
-};
+function renderQuarantine() {
+    const quarantineBtn = document.getElementById('quarantine-btn');
+    const quarantineSection = document.getElementById('quarantine-section');
+    const quarantineList = document.getElementById('quarantine-list');
+    const count = getQuarantineCount();
+
+    document.getElementById('quarantine-count').textContent = count;
+    quarantineBtn.style.display = count > 0 ? '' : 'none';
+    quarantineList.innerHTML = '';
+    if (count === 0) {
+        quarantineSection.style.display = 'none';
+        return;
+    }
+
+    getQuarantinedRecords().forEach(entry => {
+        quarantineList.appendChild(createQuarantineEntryElement(entry));
+    });
+}
 
 /**
- * Gets settings from localStorage
- * @returns {Object} Settings object with thresholds
+ * Converts a stored field value to text for an input
+ *
+ * @param {any} value - Raw field value (may be any type in a bad record)
+ * @returns {string} Text to show
  */
-function getSettings() {
-    try {
-        const stored = localStorage.getItem(SETTINGS_KEY);
-        if (stored) {
-            const settings = JSON.parse(stored);
-            return {
-                orangeThreshold: settings.orangeThreshold || DEFAULT_SETTINGS.orangeThreshold,
-                redThreshold: settings.redThreshold || DEFAULT_SETTINGS.redThreshold
-            };
+function formatQuarantineFieldValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'string') return value;
+    return JSON.stringify(value);
+}
+
+/**
+ * Creates the DOM element for one quarantined record
+ *
+ * SECURITY: Input values are assigned via .value (never interpolated into HTML)
+ *
+ * @param {Object} entry - Quarantine entry { id, record, reasons, quarantinedAt }
+ * @returns {HTMLElement} Entry element
+ */
+function createQuarantineEntryElement(entry) {
+    const record = entry.record && typeof entry.record === 'object' ? entry.record : {};
+    const title = typeof record.name === 'string' && record.name ? record.name : '(unnamed record)';
+
+    const element = document.createElement('div');
+    element.className = 'quarantine-entry';
+    element.dataset.entryId = entry.id;
+
+    element.innerHTML = `
+        <div class="quarantine-entry-header">
+            <h3 class="quarantine-entry-title">📦 ${escapeHtml(title)}</h3>
+            <span class="quarantine-entry-date">Quarantined ${formatDate(entry.quarantinedAt)}</span>
+        </div>
+        <ul class="quarantine-reasons">
+            ${entry.reasons.map(reason => `<li>⚠ ${escapeHtml(reason)}</li>`).join('')}
+        </ul>
+        <div class="quarantine-fields"></div>
+        <div class="form-actions">
+            <button type="button" class="btn btn-update btn-readmit">✓ Re-admit</button>
+            <button type="button" class="btn btn-secondary btn-save-repair">💾 Save Repairs</button>
+            <button type="button" class="btn btn-delete btn-discard">🗑️ Discard</button>
+        </div>
+    `;
+
+    const fieldsContainer = element.querySelector('.quarantine-fields');
+    QUARANTINE_EDITABLE_FIELDS.forEach(({ field, label, placeholder }) => {
+        const inputId = `quarantine-${entry.id}-${field}`;
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        group.innerHTML = `<label for="${inputId}">${label}</label><input type="text" id="${inputId}">`;
+
+        const input = group.querySelector('input');
+        input.dataset.field = field;
+        input.placeholder = placeholder;
+        input.value = formatQuarantineFieldValue(record[field]);
+
+        fieldsContainer.appendChild(group);
+    });
+
+    element.querySelector('.btn-readmit').addEventListener('click', () => handleQuarantineReadmit(entry, element));
+    element.querySelector('.btn-save-repair').addEventListener('click', () => handleQuarantineSave(entry, element));
+    element.querySelector('.btn-discard').addEventListener('click', () => handleQuarantineDiscard(entry.id));
+
+    return element;
+}
+
+/**
+ * Builds the repaired record from an entry's inputs
+ *
+ * RULES:
+ * - Blank inputs remove the field (so validation reports it as missing)
+ * - Blank ID gets a newly generated UUID
+ * - Fields not shown in the form are kept as they were
+ *
+ * @param {Object} entry - Quarantine entry
+ * @param {HTMLElement} element - Entry element containing the inputs
+ * @returns {Object} Repaired record
+ */
+function readQuarantineForm(entry, element) {
+    const original = entry.record && typeof entry.record === 'object' && !Array.isArray(entry.record)
+        ? entry.record
+        : {};
+    const record = { ...original };
+
+    element.querySelectorAll('.quarantine-fields input').forEach(input => {
+        const value = input.value.trim();
+        if (value) {
+            record[input.dataset.field] = value;
+        } else {
+            delete record[input.dataset.field];
         }
-    } catch (error) {
-        debugLog('Failed to load settings:', error);
+    });
+
+    if (!record.id) {
+        record.id = generateUUID();
+    }
+
+    return record;
+}
+
+/**
+ * Saves repairs on a quarantined record without re-admitting it
+ *
+ * @param {Object} entry - Quarantine entry
+ * @param {HTMLElement} element - Entry element
+ */
+function handleQuarantineSave(entry, element) {
+    const updated = updateQuarantinedRecord(entry.id, readQuarantineForm(entry, element));
+
+    if (updated) {
+        const message = updated.reasons.length === 0
+            ? 'Repairs saved. The record is ready to re-admit.'
+            : 'Repairs saved. Some problems remain.';
+        showToast(message, updated.reasons.length === 0 ? 'success' : 'warning');
+        renderQuarantine();
     }
-    return { ...DEFAULT_SETTINGS };
 }
 
 /**
- * Saves settings to localStorage
- * @param {Object} settings - Settings object
- * @returns {boolean} Success status
+ * Re-admits a repaired record through normal validation
+ *
+ * @param {Object} entry - Quarantine entry
+ * @param {HTMLElement} element - Entry element
  */
-function saveSettings(settings) {
-    try {
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
-        return true;
-    } catch (error) {
-        debugLog('Failed to save settings:', error);
-        return false;
+function handleQuarantineReadmit(entry, element) {
+    const result = readmitQuarantinedRecord(entry.id, readQuarantineForm(entry, element));
+
+    if (result.success) {
+        showToast('Record restored to the asset list', 'success');
+        renderAssets(searchInput.value);
+    } else if (result.reasons.length > 0) {
+        showToast(`Still invalid: ${result.reasons[0]}`, 'error', 5000);
+    }
+
+    renderQuarantine();
+}
+
+/**
+ * Permanently discards a quarantined record after confirmation
+ *
+ * @param {string} entryId - Quarantine entry ID
+ */
+function handleQuarantineDiscard(entryId) {
+    const confirmed = confirm('Discard this record permanently?\n\nThis action cannot be undone.');
+
+    if (confirmed && discardQuarantinedRecord(entryId)) {
+        showToast('Record discarded', 'success');
+        renderQuarantine();
     }
 }
 
+// ========================================
+// SETTINGS MANAGEMENT
+// ========================================
+
 /**
  * Loads settings into the form
  */
@@ -986,6 +4627,23 @@ function loadSettings() {
     if (redThresholdInput) {
         redThresholdInput.value = settings.redThreshold;
     }
+    if (trashRetentionInput) {
+        trashRetentionInput.value = settings.trashRetentionDays;
+    }
+    if (syncUrlInput) {
+        syncUrlInput.value = getRemoteSyncUrl();
+        syncTokenInput.value = getRemoteSyncToken();
+    }
+    if (authorNameInput) {
+        authorNameInput.value = getAuthorName() || '';
+    }
+    if (holidayCalendarSelect) {
+        holidayCalendarSelect.value = settings.holidayCalendar;
+        customHolidaysInput.value = settings.customHolidays.join(', ');
+    }
+    renderWorkflowSettings(settings);
+    document.getElementById('settings-workspace-name').textContent = getActiveWorkspace().name;
+    renderEncryptionSettings();
 }
 
 /**
@@ -997,6 +4655,7 @@ function handleSettingsSave(event) {
 
     const orangeThreshold = parseInt(orangeThresholdInput.value, 10);
     const redThreshold = parseInt(redThresholdInput.value, 10);
+    const trashRetentionDays = parseInt(trashRetentionInput.value, 10);
 
     // Validate thresholds
     if (isNaN(orangeThreshold) || orangeThreshold < 1 || orangeThreshold > 30) {
@@ -1009,15 +4668,69 @@ function handleSettingsSave(event) {
         return;
     }
 
+    if (isNaN(trashRetentionDays) || trashRetentionDays < 1 || trashRetentionDays > 365) {
+        showToast('Trash retention must be between 1 and 365 days', 'error');
+        return;
+    }
+
+    const customHolidaysResult = validateCustomHolidays(customHolidaysInput.value);
+    if (!customHolidaysResult.valid) {
+        showToast(customHolidaysResult.error, 'error');
+        customHolidaysInput.focus();
+        return;
+    }
+
+    // The sync server is a per-device setting, not part of the stored data
+    const syncUrlResult = validateSyncServerUrl(syncUrlInput.value);
+    if (!syncUrlResult.valid) {
+        showToast(syncUrlResult.error, 'error');
+        syncUrlInput.focus();
+        return;
+    }
+    if (syncUrlResult.value && syncUrlResult.value !== getRemoteSyncUrl() && isStorageEncrypted()) {
+        showToast('Encrypted workspaces cannot use a sync server (it stores the data unencrypted)', 'error', 5000);
+        syncUrlInput.focus();
+        return;
+    }
+    const syncTokenResult = validateSyncToken(syncTokenInput.value, syncUrlResult.value);
+    if (!syncTokenResult.valid) {
+        showToast(syncTokenResult.error, 'error');
+        syncTokenInput.focus();
+        return;
+    }
+
+    // Also per device: the name recorded in the audit trail
+    const authorResult = validateAuthorName(authorNameInput.value);
+    if (!authorResult.valid) {
+        showToast(authorResult.error, 'error');
+        authorNameInput.focus();
+        return;
+    }
+
+    if (syncTokenResult.value !== getRemoteSyncToken()) {
+        setRemoteSyncToken(syncTokenResult.value);
+    }
+    if (syncUrlResult.value !== getRemoteSyncUrl()) {
+        setRemoteSyncUrl(syncUrlResult.value);
+    }
+    setAuthorName(authorResult.value);
+
     const success = saveSettings({
         orangeThreshold,
-        redThreshold
+        redThreshold,
+        trashRetentionDays,
+        holidayCalendar: holidayCalendarSelect.value,
+        customHolidays: customHolidaysResult.value,
+        ...readWorkflowSettings()
     });
 
     if (success) {
         showToast('Settings saved successfully', 'success');
         // Re-render assets with new thresholds
         renderAssets(searchInput.value);
+        // Apply a shorter retention period right away
+        purgeExpiredTrash(trashRetentionDays);
+        renderTrash();
         // Close the settings panel
         closeSettingsPanel();
     } else {
@@ -1033,10 +4746,76 @@ function handleSettingsCancel() {
     if (originalSettingsBeforeEdit) {
         orangeThresholdInput.value = originalSettingsBeforeEdit.orangeThreshold;
         redThresholdInput.value = originalSettingsBeforeEdit.redThreshold;
+        trashRetentionInput.value = originalSettingsBeforeEdit.trashRetentionDays;
+        holidayCalendarSelect.value = originalSettingsBeforeEdit.holidayCalendar;
+        customHolidaysInput.value = originalSettingsBeforeEdit.customHolidays.join(', ');
+        renderWorkflowSettings(originalSettingsBeforeEdit);
     }
     closeSettingsPanel();
 }
 
+/**
+ * Fills the status workflow table of the settings form
+ *
+ * LAYOUT: One row per status: a checkbox for each status it may move to,
+ * and one for whether it runs the business-day clock
+ *
+ * @param {Object} settings - Settings from getSettings()
+ */
+function renderWorkflowSettings(settings) {
+    const statuses = Object.keys(ASSET_STATUSES);
+    const table = document.getElementById('workflow-table');
+
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th scope="col">From ↓ / To →</th>
+                ${statuses.map(status => `<th scope="col">${ASSET_STATUSES[status]}</th>`).join('')}
+                <th scope="col">Runs Clock</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${statuses.map(from => `
+                <tr>
+                    <th scope="row">${ASSET_STATUSES[from]}</th>
+                    ${statuses.map(to => to === from
+                        ? '<td class="workflow-self">—</td>'
+                        : `<td><input type="checkbox" data-from="${from}" data-to="${to}"
+                            aria-label="${ASSET_STATUSES[from]} can move to ${ASSET_STATUSES[to]}"
+                            ${settings.statusTransitions[from].includes(to) ? 'checked' : ''}></td>`
+                    ).join('')}
+                    <td><input type="checkbox" data-clock="${from}"
+                        aria-label="${ASSET_STATUSES[from]} runs the business-day clock"
+                        ${settings.clockStatuses.includes(from) ? 'checked' : ''}></td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+/**
+ * Reads the status workflow table of the settings form
+ *
+ * @returns {Object} { statusTransitions, clockStatuses } for saveSettings()
+ */
+function readWorkflowSettings() {
+    const table = document.getElementById('workflow-table');
+    const statusTransitions = {};
+    Object.keys(ASSET_STATUSES).forEach(status => {
+        statusTransitions[status] = [];
+    });
+
+    table.querySelectorAll('input[data-from]:checked').forEach(input => {
+        statusTransitions[input.dataset.from].push(input.dataset.to);
+    });
+
+    return {
+        statusTransitions,
+        clockStatuses: Array.from(table.querySelectorAll('input[data-clock]:checked'))
+            .map(input => input.dataset.clock)
+    };
+}
+
 /**
  * Closes the settings panel
  */
@@ -19,6 +19,8 @@
  * Calculates total calendar days elapsed since start date
  *
  * @param {string} startDateISO - ISO 8601 date string
+ * @param {string} [endDateISO] - ISO 8601 date string to count up to (default: now)
+ * @param {Array<Object>} [pausedIntervals] - [{ start, end }] paused time to leave out (see getPausedDays)
  * @returns {number} Number of complete calendar days elapsed
  *
  * EDGE CASES:
@@ -26,9 +28,9 @@
  * - Future date: returns negative number
  * - Invalid date: returns NaN (caller should validate)
  */
-function calculateDaysElapsed(startDateISO) {
+function calculateDaysElapsed(startDateISO, endDateISO, pausedIntervals) {
     const startDate = new Date(startDateISO);
-    const currentDate = new Date();
+    const currentDate = endDateISO ? new Date(endDateISO) : new Date();
 
     // Reset both to midnight for accurate day counting
     // Without this, we'd get partial days
@@ -42,7 +44,7 @@ function calculateDaysElapsed(startDateISO) {
     const millisecondsPerDay = 1000 * 60 * 60 * 24;
     const days = Math.floor(diffMilliseconds / millisecondsPerDay);
 
-    return days;
+    return days - getPausedDays(startDate, currentDate, pausedIntervals).size;
 }
 
 /**
@@ -51,6 +53,9 @@ function calculateDaysElapsed(startDateISO) {
  * ALGORITHM: Loop through each day, count if it's a weekday AND not a holiday
  *
  * @param {string} startDateISO - ISO 8601 date string
+ * @param {Object} [holidayConfig] - { calendar, extraDates } (default: US federal holidays)
+ * @param {string} [endDateISO] - ISO 8601 date string to count up to (default: now)
+ * @param {Array<Object>} [pausedIntervals] - [{ start, end }] paused time to leave out (see getPausedDays)
  * @returns {number} Number of complete business days elapsed
  *
  * DEPENDENCIES: Uses getHolidaysInRange() from holidays.js
@@ -65,10 +70,11 @@ function calculateDaysElapsed(startDateISO) {
  * - Start on holiday: holiday not counted
  * - Start on weekend: weekend not counted
  * - Holiday on weekend: already excluded by weekend check
+ * - Paused day: not counted
  */
-function calculateBusinessDays(startDateISO) {
+function calculateBusinessDays(startDateISO, holidayConfig, endDateISO, pausedIntervals) {
     const startDate = new Date(startDateISO);
-    const currentDate = new Date();
+    const currentDate = endDateISO ? new Date(endDateISO) : new Date();
 
     // Reset to midnight for accurate day counting
     startDate.setHours(0, 0, 0, 0);
@@ -76,7 +82,8 @@ function calculateBusinessDays(startDateISO) {
 
     // Performance optimization: only get holidays in this date range
     // Avoids checking all holidays in all years
-    const holidays = getHolidaysInRange(startDate, currentDate);
+    const holidays = getHolidaysInRange(startDate, currentDate, holidayConfig);
+    const pausedDays = getPausedDays(startDate, currentDate, pausedIntervals);
 
     let businessDays = 0;
     let currentDay = new Date(startDate);
@@ -94,8 +101,8 @@ function calculateBusinessDays(startDateISO) {
             holiday.getTime() === currentDayTimestamp
         );
 
-        // Only count if it's a weekday AND not a holiday
-        if (!isWeekend && !isHolidayDay) {
+        // Only count if it's a weekday AND not a holiday AND not paused
+        if (!isWeekend && !isHolidayDay && !pausedDays.has(currentDayTimestamp)) {
             businessDays++;
         }
 
@@ -106,6 +113,192 @@ function calculateBusinessDays(startDateISO) {
     return businessDays;
 }
 
+// How far ahead addBusinessDays() searches before giving up (about 10 years)
+const BUSINESS_DAY_SEARCH_LIMIT_DAYS = 3660;
+
+/**
+ * Adds business days to a date (forward business-day arithmetic)
+ *
+ * ALGORITHM: Step forward one day at a time from the start day (not counted
+ * itself), counting only weekdays that are not holidays or paused days
+ *
+ * @param {string} startDateISO - ISO 8601 date string; a date-only 'YYYY-MM-DD'
+ *   is that local day (like holiday extraDates), not UTC midnight, which is the
+ *   day before in US time zones
+ * @param {number} days - Business days to add (0 returns the start day)
+ * @param {Object} [holidayConfig] - { calendar, extraDates } (default: US federal holidays)
+ * @param {Array<Object>} [pausedIntervals] - [{ start, end }] paused time to skip (see getPausedDays)
+ * @returns {Date|null} Midnight of the resulting day, or null if it is further
+ *   away than BUSINESS_DAY_SEARCH_LIMIT_DAYS (e.g. behind a pause that never ends)
+ *
+ * EXAMPLE:
+ * addBusinessDays('2026-10-16', 1) → Mon Oct 19, 2026 (Friday + 1 skips the weekend)
+ */
+function addBusinessDays(startDateISO, days, holidayConfig, pausedIntervals) {
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(startDateISO)
+        ? new Date(`${startDateISO}T00:00:00`)
+        : new Date(startDateISO);
+    day.setHours(0, 0, 0, 0);
+
+    const searchEnd = new Date(day);
+    searchEnd.setDate(searchEnd.getDate() + BUSINESS_DAY_SEARCH_LIMIT_DAYS);
+
+    const holidays = new Set(getHolidaysInRange(day, searchEnd, holidayConfig).map(holiday => holiday.getTime()));
+    const pausedDays = getPausedDays(day, searchEnd, pausedIntervals);
+
+    let remaining = days;
+    while (remaining > 0) {
+        day.setDate(day.getDate() + 1);
+        if (day >= searchEnd) return null;
+
+        if (!isWeekend(day) && !holidays.has(day.getTime()) && !pausedDays.has(day.getTime())) {
+            remaining--;
+        }
+    }
+
+    return day;
+}
+
+/**
+ * Gets the day a review cycle's counter first goes above a threshold
+ *
+ * RULE: calculateBusinessDays() counts the business days from the cycle start
+ * (included) up to today (excluded), and getAlertLevel() alerts once that is
+ * above the threshold; so the alert starts the day after the cycle's
+ * (threshold + 1)-th business day
+ *
+ * @param {string} cycleStartISO - ISO 8601 date string the cycle started
+ * @param {number} threshold - Business days threshold (e.g. orangeThreshold)
+ * @param {Object} [holidayConfig] - { calendar, extraDates } (default: US federal holidays)
+ * @param {Array<Object>} [pausedIntervals] - The asset's pauses
+ * @returns {Date|null} Midnight of the day the alert starts (past or future), or null if not found
+ */
+function getThresholdCrossingDate(cycleStartISO, threshold, holidayConfig, pausedIntervals) {
+    // Counting from the day before makes the start day itself count
+    const dayBefore = new Date(cycleStartISO);
+    dayBefore.setHours(0, 0, 0, 0);
+    dayBefore.setDate(dayBefore.getDate() - 1);
+
+    const lastCountedDay = addBusinessDays(dayBefore.toISOString(), threshold + 1, holidayConfig, pausedIntervals);
+    if (!lastCountedDay) return null;
+
+    lastCountedDay.setDate(lastCountedDay.getDate() + 1);
+    return lastCountedDay;
+}
+
+/**
+ * Gets the week (Monday to Sunday) a date falls in
+ *
+ * @param {Date} [date] - Any day of the week (default: today)
+ * @returns {Object} { start: Monday midnight, end: the following Monday midnight (not included) }
+ */
+function getWeekRange(date = new Date()) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    // getDay(): 0 = Sunday, so Sunday belongs to the week that started 6 days earlier
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+
+    return { start, end };
+}
+
+/**
+ * Lists the days covered by paused intervals within a counting range
+ *
+ * RULE: A pause leaves out every day from the day it started up to (not
+ * including) the day it ended, so a pause started and ended on the same day
+ * leaves out nothing; an open pause (end: null) runs to the end of the range
+ *
+ * @param {Date} startDate - First day of the range (midnight)
+ * @param {Date} endDate - Day the range counts up to, not included (midnight)
+ * @param {Array<Object>} [pausedIntervals] - [{ start, end }] ISO 8601 date strings (end null while paused)
+ * @returns {Set<number>} Midnight timestamps of the paused days in the range
+ */
+function getPausedDays(startDate, endDate, pausedIntervals = []) {
+    const pausedDays = new Set();
+
+    for (const interval of pausedIntervals) {
+        const day = new Date(interval.start);
+        day.setHours(0, 0, 0, 0);
+        if (day < startDate) {
+            day.setTime(startDate.getTime());
+        }
+
+        const until = interval.end ? new Date(interval.end) : new Date(endDate);
+        until.setHours(0, 0, 0, 0);
+
+        while (day < until && day < endDate) {
+            pausedDays.add(day.getTime());
+            day.setDate(day.getDate() + 1);
+        }
+    }
+
+    return pausedDays;
+}
+
+/**
+ * Gets the open pause of an asset, if it is paused
+ *
+ * @param {Object} asset - Asset object
+ * @returns {Object|null} { id, start, end: null, reason } or null if the counter is running
+ */
+function getActivePause(asset) {
+    const pauses = Array.isArray(asset.pauses) ? asset.pauses : [];
+    const latest = pauses[pauses.length - 1];
+    return latest && !latest.end ? latest : null;
+}
+
+/**
+ * Gets the date an asset was last reviewed
+ *
+ * RULE: The latest review event; assets without review events (created
+ * before the review log) fall back to lastReset
+ *
+ * @param {Object} asset - Asset object
+ * @returns {string} ISO 8601 date string
+ */
+function getLastReviewDate(asset) {
+    const reviews = Array.isArray(asset.reviews) ? asset.reviews : [];
+    return reviews.length > 0 ? reviews[reviews.length - 1].reviewedAt : asset.lastReset;
+}
+
+/**
+ * Gets the start of an asset's current review cycle
+ *
+ * RULE: A review ends one cycle and starts the next, and so does logging a
+ * new delivery from the vendor; whichever happened last starts the counters
+ *
+ * @param {Object} asset - Asset object
+ * @returns {string} ISO 8601 date string the counters start from
+ */
+function getCycleStart(asset) {
+    const lastReview = getLastReviewDate(asset);
+    const deliveries = Array.isArray(asset.deliveries) ? asset.deliveries : [];
+    const latestDelivery = deliveries[deliveries.length - 1];
+
+    return latestDelivery && Date.parse(latestDelivery.receivedAt) > Date.parse(lastReview)
+        ? latestDelivery.receivedAt
+        : lastReview;
+}
+
+/**
+ * Measures how long one review cycle lasted
+ *
+ * @param {string} cycleStartISO - ISO 8601 date string the cycle started
+ * @param {string|null} reviewedAtISO - ISO 8601 date string of the review that ended it (null: still open, counts to now)
+ * @param {Object} [holidayConfig] - { calendar, extraDates } (default: US federal holidays)
+ * @param {Array<Object>} [pausedIntervals] - The asset's pauses (left out of both counts)
+ * @returns {Object} { businessDays, calendarDays }
+ */
+function measureReviewCycle(cycleStartISO, reviewedAtISO, holidayConfig, pausedIntervals) {
+    return {
+        businessDays: calculateBusinessDays(cycleStartISO, holidayConfig, reviewedAtISO, pausedIntervals),
+        calendarDays: calculateDaysElapsed(cycleStartISO, reviewedAtISO, pausedIntervals)
+    };
+}
+
 /**
  * Determines alert level based on business days
  *
@@ -160,6 +353,20 @@ function formatDate(isoString) {
     return date.toLocaleDateString('en-US', options);
 }
 
+/**
+ * Formats a date with its weekday, for dates in the near future or past
+ *
+ * @param {Date|string} date - Date object or ISO 8601 date string
+ * @returns {string} Formatted date string (e.g., "Tue, Oct 21")
+ */
+function formatWeekdayDate(date) {
+    return new Date(date).toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
 /**
  * Checks if a date falls on a weekend
  *
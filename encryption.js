@@ -0,0 +1,204 @@
+/**
+ * FILE: encryption.js
+ * PATTERN: Crypto Helpers (thin wrapper around the Web Crypto API)
+ * RESPONSIBILITY: Passphrase-based encryption of JSON data at rest
+ *
+ * ARCHITECTURAL DECISIONS:
+ * - The key is derived from the passphrase with PBKDF2 (SHA-256, random salt)
+ *   and never stored; only the salt and iteration count are kept next to the data
+ * - Data is encrypted with AES-GCM and a fresh IV for every write, so a wrong
+ *   passphrase (or tampered data) fails to decrypt instead of producing garbage
+ * - Derived keys are non-extractable CryptoKeys: scripts can use them while the
+ *   tab is open, but cannot read them out
+ * - Sealed data is plain JSON ({ algorithm, kdf, iterations, salt, iv, data }),
+ *   so it can be stored by any backend and written into backup files
+ *
+ * BENEFITS:
+ * - No third-party crypto code; everything runs in the browser
+ * - The same sealed format is used for stored data and for backups
+ */
+
+// PBKDF2 iterations for new keys (stored with the data, so it can be raised later)
+const ENCRYPTION_KDF_ITERATIONS = 600000;
+
+// Random salt length for new keys, in bytes
+const ENCRYPTION_SALT_BYTES = 16;
+
+// AES-GCM IV length, in bytes (the recommended 96 bits)
+const ENCRYPTION_IV_BYTES = 12;
+
+// Algorithm names written into sealed data (checked before decrypting)
+const ENCRYPTION_ALGORITHM = 'AES-GCM';
+const ENCRYPTION_KDF = 'PBKDF2-SHA-256';
+
+/**
+ * Checks whether this browser can encrypt data
+ *
+ * NOTE: Web Crypto is only available in secure contexts (https or localhost,
+ * and file:// in most browsers)
+ *
+ * @returns {boolean} True if crypto.subtle is present
+ */
+function isEncryptionAvailable() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * Checks whether a stored value or backup file holds encrypted data
+ *
+ * @param {any} raw - Parsed stored value or backup file
+ * @returns {boolean} True if raw.encryption is sealed data
+ */
+function isEncryptedPayload(raw) {
+    return !!raw &&
+        typeof raw === 'object' &&
+        !!raw.encryption &&
+        typeof raw.encryption.salt === 'string' &&
+        typeof raw.encryption.iv === 'string' &&
+        typeof raw.encryption.data === 'string';
+}
+
+/**
+ * Creates a key from a new passphrase (with a new random salt)
+ *
+ * @param {string} passphrase - Passphrase chosen by the user
+ * @returns {Promise<Object>} Keyring { key: CryptoKey, params: { algorithm, kdf, iterations, salt } }
+ */
+async function createEncryptionKey(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(ENCRYPTION_SALT_BYTES));
+    return deriveEncryptionKey(passphrase, {
+        algorithm: ENCRYPTION_ALGORITHM,
+        kdf: ENCRYPTION_KDF,
+        iterations: ENCRYPTION_KDF_ITERATIONS,
+        salt: bytesToBase64(salt)
+    });
+}
+
+/**
+ * Re-creates the key of existing encrypted data from its passphrase
+ *
+ * @param {string} passphrase - Passphrase entered by the user
+ * @param {Object} params - { algorithm, kdf, iterations, salt } stored with the data
+ * @returns {Promise<Object>} Keyring { key, params }
+ * @throws {Error} If the data was encrypted with an unknown method
+ */
+async function deriveEncryptionKey(passphrase, params) {
+    if (params.algorithm !== ENCRYPTION_ALGORITHM || params.kdf !== ENCRYPTION_KDF ||
+        !Number.isInteger(params.iterations) || params.iterations < 1) {
+        throw new Error('The data was encrypted with an unsupported method');
+    }
+
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    const key = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(params.salt), iterations: params.iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+
+    return {
+        key,
+        params: {
+            algorithm: params.algorithm,
+            kdf: params.kdf,
+            iterations: params.iterations,
+            salt: params.salt
+        }
+    };
+}
+
+/**
+ * Encrypts a JSON-serializable value
+ *
+ * @param {Object} keyring - Keyring from createEncryptionKey()/deriveEncryptionKey()
+ * @param {any} value - Value to encrypt
+ * @returns {Promise<Object>} Sealed data { algorithm, kdf, iterations, salt, iv, data }
+ */
+async function encryptJson(keyring, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        keyring.key,
+        new TextEncoder().encode(JSON.stringify(value))
+    );
+
+    return {
+        ...keyring.params,
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypts sealed data back into its value
+ *
+ * @param {Object} keyring - Keyring derived from the data's passphrase
+ * @param {Object} sealed - Sealed data from encryptJson()
+ * @returns {Promise<any>} Decrypted value
+ * @throws {Error} With code 'WRONG_PASSPHRASE' if the key does not match (or the data was altered)
+ */
+async function decryptJson(keyring, sealed) {
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) },
+            keyring.key,
+            base64ToBytes(sealed.data)
+        );
+    } catch (error) {
+        const wrongKey = new Error('Wrong passphrase');
+        wrongKey.code = 'WRONG_PASSPHRASE';
+        throw wrongKey;
+    }
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Checks whether a keyring was derived with the same salt as some sealed data
+ *
+ * USE CASE: Detecting that the passphrase was changed (new salt) in another tab
+ *
+ * @param {Object} keyring - Keyring in use
+ * @param {Object} sealed - Sealed data
+ * @returns {boolean} True if the keyring can be tried on the data
+ */
+function isSameEncryptionKey(keyring, sealed) {
+    return !!keyring &&
+        keyring.params.salt === sealed.salt &&
+        keyring.params.iterations === sealed.iterations;
+}
+
+/**
+ * @param {Uint8Array} bytes - Binary data
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked: String.fromCharCode with too many arguments overflows the stack
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(index, index + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array} Binary data
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+        bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes;
+}
@@ -0,0 +1,262 @@
+/**
+ * FILE: history.js
+ * PATTERN: Command History (before/after changesets)
+ * RESPONSIBILITY: Multi-step undo/redo for asset mutations
+ *
+ * ARCHITECTURAL DECISIONS:
+ * - Every tracked mutation records the full record before and after it changed,
+ *   per store: { label, records: [{ store, id, before, after }] }
+ *   (null means the record did not exist)
+ * - Undo writes the "before" values back, redo writes the "after" values,
+ *   through the same repository write path as any other change (so other
+ *   tabs stay in sync)
+ * - A step is only applied if the data still looks exactly as that step left
+ *   it; if something else changed it since (another tab, a permanent purge),
+ *   the step is dropped instead of silently overwriting newer data
+ * - History is kept in sessionStorage, so it survives a reload of the tab
+ *   but not closing it; each workspace has its own history
+ * - For encrypted workspaces history is kept in memory only: the steps hold
+ *   full records, which must not be stored readable
+ *
+ * BENEFITS:
+ * - Mistaken reviews, edits, deletes and imports can be reverted
+ * - Bulk operations (CSV import via applyAssetBatch) undo as a single step
+ */
+
+// Maximum number of undo steps kept (oldest are dropped first)
+const HISTORY_LIMIT = 50;
+
+// Steps that can be undone, oldest first
+let undoStack = [];
+
+// Steps that can be redone, oldest first (cleared by any new mutation)
+let redoStack = [];
+
+/**
+ * @returns {string} sessionStorage key for the open workspace's undo/redo stacks
+ */
+function getHistoryStorageKey() {
+    return `${getStorageKey()}:history`;
+}
+
+/**
+ * Loads the undo/redo stacks saved earlier in this browser session
+ *
+ * CALL: After initStorage(), and again after switching workspace
+ */
+function loadHistory() {
+    undoStack = [];
+    redoStack = [];
+
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(getHistoryStorageKey()));
+        if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+            undoStack = saved.undo;
+            redoStack = saved.redo;
+        }
+    } catch (error) {
+        debugLog('Ignoring unreadable undo history:', error);
+    }
+}
+
+/**
+ * Saves the undo/redo stacks to sessionStorage
+ *
+ * QUOTA: Large steps (e.g. a big CSV import) can exceed the quota; the oldest
+ * steps are dropped until the history fits
+ * ENCRYPTED DATA: Nothing is saved, and any earlier saved copy is removed
+ */
+function saveHistory() {
+    if (isStorageEncrypted()) {
+        try {
+            sessionStorage.removeItem(getHistoryStorageKey());
+        } catch (error) {
+            debugLog('Failed to remove saved undo history:', error);
+        }
+        return;
+    }
+
+    while (true) {
+        try {
+            sessionStorage.setItem(getHistoryStorageKey(), JSON.stringify({
+                undo: undoStack,
+                redo: redoStack
+            }));
+            return;
+        } catch (error) {
+            if (undoStack.length > 0) {
+                undoStack.shift();
+            } else if (redoStack.length > 0) {
+                redoStack.shift();
+            } else {
+                debugLog('Failed to save undo history:', error);
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Records a mutation that has just been applied
+ *
+ * @param {string} label - What the step did (e.g. 'Review "Hero Prop"')
+ * @param {Array<Object>} records - [{ store, id, before, after }]
+ * @returns {Object} The recorded step (for discardHistoryEntry)
+ */
+function recordHistoryEntry(label, records) {
+    const entryRecords = records.map(record => ({
+        store: record.store,
+        id: record.id,
+        before: record.before === undefined ? null : cloneRecord(record.before),
+        after: record.after === undefined ? null : cloneRecord(record.after)
+    }));
+
+    const step = { label, records: entryRecords };
+    pushUndoStep(step);
+    return step;
+}
+
+/**
+ * Removes a recorded step again
+ *
+ * USE CASE: A batch write failed and was rolled back, so there is nothing to undo
+ *
+ * @param {Object} step - Step returned by recordHistoryEntry()
+ */
+function discardHistoryEntry(step) {
+    const index = undoStack.indexOf(step);
+    if (index !== -1) {
+        undoStack.splice(index, 1);
+        saveHistory();
+    }
+}
+
+/**
+ * Adds a step to the undo stack and invalidates redo
+ *
+ * @param {Object} step - { label, records }
+ */
+function pushUndoStep(step) {
+    undoStack.push(step);
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    saveHistory();
+}
+
+/**
+ * @returns {boolean} True if there is a step to undo
+ */
+function canUndo() {
+    return undoStack.length > 0;
+}
+
+/**
+ * @returns {boolean} True if there is a step to redo
+ */
+function canRedo() {
+    return redoStack.length > 0;
+}
+
+/**
+ * Reverts the most recent step
+ *
+ * @returns {string|null} Label of the undone step, or null if nothing was undone
+ */
+function undoLastChange() {
+    return applyHistoryStep(undoStack, redoStack, 'after', 'before', 'undo');
+}
+
+/**
+ * Re-applies the most recently undone step
+ *
+ * @returns {string|null} Label of the redone step, or null if nothing was redone
+ */
+function redoLastChange() {
+    return applyHistoryStep(redoStack, undoStack, 'before', 'after', 'redo');
+}
+
+/**
+ * Moves a step from one stack to the other, writing its records
+ *
+ * @param {Array<Object>} fromStack - Stack to take the step from
+ * @param {Array<Object>} toStack - Stack to push the step onto
+ * @param {string} expectedKey - 'before' or 'after': what the data should look like now
+ * @param {string} targetKey - 'before' or 'after': what to write
+ * @param {string} action - 'undo' or 'redo' (for messages)
+ * @returns {string|null} Label of the applied step, or null
+ */
+function applyHistoryStep(fromStack, toStack, expectedKey, targetKey, action) {
+    const step = fromStack.pop();
+    if (!step) return null;
+
+    const isUnchanged = step.records.every(record =>
+        isSameRecord(getCachedRecord(record.store, record.id), record[expectedKey])
+    );
+
+    if (!isUnchanged) {
+        saveHistory();
+        showToast(`Can't ${action} (${step.label}): the data has changed since`, 'warning', 5000);
+        return null;
+    }
+
+    const success = writeRecords(
+        step.records.map(record => ({
+            store: record.store,
+            id: record.id,
+            value: record[targetKey]
+        })),
+        `Failed to ${action}. Please try again.`,
+        'local',
+        action === 'undo' ? 'Undo' : 'Redo'
+    );
+
+    if (!success) {
+        fromStack.push(step);
+        return null;
+    }
+
+    toStack.push(step);
+    saveHistory();
+    return step.label;
+}
+
+/**
+ * Forgets all undo/redo steps
+ *
+ * USE CASE: All data was cleared, so no step can apply any more
+ */
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    saveHistory();
+}
+
+/**
+ * Compares two records by content, ignoring key order
+ *
+ * @param {any} a - First record (or null)
+ * @param {any} b - Second record (or null)
+ * @returns {boolean} True if both hold the same data
+ */
+function isSameRecord(a, b) {
+    return canonicalJson(a === undefined ? null : a) === canonicalJson(b === undefined ? null : b);
+}
+
+/**
+ * Serializes a value with object keys sorted, so equal data gives equal strings
+ *
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
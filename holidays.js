@@ -1,158 +1,200 @@
 /**
  * FILE: holidays.js
- * PATTERN: Data-Driven Configuration
- * RESPONSIBILITY: Centralized holiday data for business day calculations
+ * PATTERN: Data-Driven Configuration (holiday rules)
+ * RESPONSIBILITY: Holiday calendars for business day calculations
  *
  * ARCHITECTURAL DECISIONS:
- * - Pure data file - no logic, just configuration
+ * - Holidays are described by rules (fixed date, nth weekday of a month,
+ *   last weekday of a month, days from Easter) instead of a table of dates,
+ *   so every year is covered and nothing silently stops working
+ * - A year's dates are computed the first time they are needed, then cached
  * - Separate from calculation logic (dateUtils.js)
- * - Non-developers can update this file annually
  *
  * BENEFITS:
  * - Single Source of Truth for holidays
- * - Easy to add more years or countries
- * - Can be swapped out for API call later
+ * - No annual update: only a change in the law means editing a rule
+ * - Another country or studio calendar is a new list of rules
  *
  * MAINTENANCE:
- * - Update annually before January 1st
- * - Add new year, keep old years for historical accuracy
+ * - Edit a rule list when a holiday is added, moved or dropped
  */
 
+// ========================================
+// HOLIDAY RULES
+// ========================================
+
 /**
- * US Federal Holidays by year
- *
- * INCLUDED HOLIDAYS:
- * - New Year's Day (Jan 1)
- * - Martin Luther King Jr. Day (3rd Monday of Jan)
- * - Presidents Day (3rd Monday of Feb)
- * - Memorial Day (Last Monday of May)
- * - Independence Day (July 4)
- * - Labor Day (1st Monday of Sep)
- * - Columbus Day (2nd Monday of Oct)
- * - Veterans Day (Nov 11)
- * - Thanksgiving (4th Thursday of Nov)
- * - Christmas (Dec 25)
- *
- * NOTE: Dates are stored at midnight local time
+ * US Federal Holidays
+ *
+ * RULE TYPES (months are 1-12, weekdays 0 = Sunday ... 6 = Saturday):
+ * - { type: 'fixed', month, day }: same date every year
+ * - { type: 'nth-weekday', month, weekday, n }: e.g. 3rd Monday of January
+ * - { type: 'last-weekday', month, weekday }: e.g. last Monday of May
+ * - { type: 'easter', offset }: days from Easter Sunday (e.g. -2 = Good Friday);
+ *   not used by the federal calendar, available for other calendars
+ *
+ * NOTE: Dates are computed at midnight local time
  * Observed dates (when holiday falls on weekend) are NOT included
  * - Business day calculation already excludes weekends
  */
-const US_FEDERAL_HOLIDAYS = {
-    2024: [
-        new Date('2024-01-01T00:00:00'), // New Year's Day
-        new Date('2024-01-15T00:00:00'), // MLK Day (3rd Mon)
-        new Date('2024-02-19T00:00:00'), // Presidents Day (3rd Mon)
-        new Date('2024-05-27T00:00:00'), // Memorial Day (Last Mon)
-        new Date('2024-07-04T00:00:00'), // Independence Day
-        new Date('2024-09-02T00:00:00'), // Labor Day (1st Mon)
-        new Date('2024-10-14T00:00:00'), // Columbus Day (2nd Mon)
-        new Date('2024-11-11T00:00:00'), // Veterans Day
-        new Date('2024-11-28T00:00:00'), // Thanksgiving (4th Thu)
-        new Date('2024-12-25T00:00:00')  // Christmas
-    ],
-    2025: [
-        new Date('2025-01-01T00:00:00'), // New Year's Day
-        new Date('2025-01-20T00:00:00'), // MLK Day (3rd Mon)
-        new Date('2025-02-17T00:00:00'), // Presidents Day (3rd Mon)
-        new Date('2025-05-26T00:00:00'), // Memorial Day (Last Mon)
-        new Date('2025-07-04T00:00:00'), // Independence Day
-        new Date('2025-09-01T00:00:00'), // Labor Day (1st Mon)
-        new Date('2025-10-13T00:00:00'), // Columbus Day (2nd Mon)
-        new Date('2025-11-11T00:00:00'), // Veterans Day
-        new Date('2025-11-27T00:00:00'), // Thanksgiving (4th Thu)
-        new Date('2025-12-25T00:00:00')  // Christmas
-    ],
-    2026: [
-        new Date('2026-01-01T00:00:00'), // New Year's Day
-        new Date('2026-01-19T00:00:00'), // MLK Day (3rd Mon)
-        new Date('2026-02-16T00:00:00'), // Presidents Day (3rd Mon)
-        new Date('2026-05-25T00:00:00'), // Memorial Day (Last Mon)
-        new Date('2026-07-04T00:00:00'), // Independence Day (Saturday)
-        new Date('2026-09-07T00:00:00'), // Labor Day (1st Mon)
-        new Date('2026-10-12T00:00:00'), // Columbus Day (2nd Mon)
-        new Date('2026-11-11T00:00:00'), // Veterans Day
-        new Date('2026-11-26T00:00:00'), // Thanksgiving (4th Thu)
-        new Date('2026-12-25T00:00:00')  // Christmas
-    ],
-    2027: [
-        new Date('2027-01-01T00:00:00'), // New Year's Day
-        new Date('2027-01-18T00:00:00'), // MLK Day (3rd Mon)
-        new Date('2027-02-15T00:00:00'), // Presidents Day (3rd Mon)
-        new Date('2027-05-31T00:00:00'), // Memorial Day (Last Mon)
-        new Date('2027-07-04T00:00:00'), // Independence Day (Sunday)
-        new Date('2027-09-06T00:00:00'), // Labor Day (1st Mon)
-        new Date('2027-10-11T00:00:00'), // Columbus Day (2nd Mon)
-        new Date('2027-11-11T00:00:00'), // Veterans Day
-        new Date('2027-11-25T00:00:00'), // Thanksgiving (4th Thu)
-        new Date('2027-12-25T00:00:00')  // Christmas (Saturday)
-    ],
-    2028: [
-        new Date('2028-01-01T00:00:00'), // New Year's Day (Saturday)
-        new Date('2028-01-17T00:00:00'), // MLK Day (3rd Mon)
-        new Date('2028-02-21T00:00:00'), // Presidents Day (3rd Mon)
-        new Date('2028-05-29T00:00:00'), // Memorial Day (Last Mon)
-        new Date('2028-07-04T00:00:00'), // Independence Day
-        new Date('2028-09-04T00:00:00'), // Labor Day (1st Mon)
-        new Date('2028-10-09T00:00:00'), // Columbus Day (2nd Mon)
-        new Date('2028-11-11T00:00:00'), // Veterans Day (Saturday)
-        new Date('2028-11-23T00:00:00'), // Thanksgiving (4th Thu)
-        new Date('2028-12-25T00:00:00')  // Christmas
-    ],
-    2029: [
-        new Date('2029-01-01T00:00:00'), // New Year's Day
-        new Date('2029-01-15T00:00:00'), // MLK Day (3rd Mon)
-        new Date('2029-02-19T00:00:00'), // Presidents Day (3rd Mon)
-        new Date('2029-05-28T00:00:00'), // Memorial Day (Last Mon)
-        new Date('2029-07-04T00:00:00'), // Independence Day
-        new Date('2029-09-03T00:00:00'), // Labor Day (1st Mon)
-        new Date('2029-10-08T00:00:00'), // Columbus Day (2nd Mon)
-        new Date('2029-11-11T00:00:00'), // Veterans Day (Sunday)
-        new Date('2029-11-22T00:00:00'), // Thanksgiving (4th Thu)
-        new Date('2029-12-25T00:00:00')  // Christmas
-    ],
-    2030: [
-        new Date('2030-01-01T00:00:00'), // New Year's Day
-        new Date('2030-01-21T00:00:00'), // MLK Day (3rd Mon)
-        new Date('2030-02-18T00:00:00'), // Presidents Day (3rd Mon)
-        new Date('2030-05-27T00:00:00'), // Memorial Day (Last Mon)
-        new Date('2030-07-04T00:00:00'), // Independence Day
-        new Date('2030-09-02T00:00:00'), // Labor Day (1st Mon)
-        new Date('2030-10-14T00:00:00'), // Columbus Day (2nd Mon)
-        new Date('2030-11-11T00:00:00'), // Veterans Day
-        new Date('2030-11-28T00:00:00'), // Thanksgiving (4th Thu)
-        new Date('2030-12-25T00:00:00')  // Christmas
-    ]
+const US_FEDERAL_HOLIDAY_RULES = [
+    { name: "New Year's Day", type: 'fixed', month: 1, day: 1 },
+    { name: 'Martin Luther King Jr. Day', type: 'nth-weekday', month: 1, weekday: 1, n: 3 },
+    { name: 'Presidents Day', type: 'nth-weekday', month: 2, weekday: 1, n: 3 },
+    { name: 'Memorial Day', type: 'last-weekday', month: 5, weekday: 1 },
+    { name: 'Independence Day', type: 'fixed', month: 7, day: 4 },
+    { name: 'Labor Day', type: 'nth-weekday', month: 9, weekday: 1, n: 1 },
+    { name: 'Columbus Day', type: 'nth-weekday', month: 10, weekday: 1, n: 2 },
+    { name: 'Veterans Day', type: 'fixed', month: 11, day: 11 },
+    { name: 'Thanksgiving', type: 'nth-weekday', month: 11, weekday: 4, n: 4 },
+    { name: 'Christmas', type: 'fixed', month: 12, day: 25 }
+];
+
+/**
+ * Holiday calendars a workspace can choose (settings.holidayCalendar)
+ *
+ * Each lists the rules of its holidays; 'none' counts only weekends as days off
+ */
+const HOLIDAY_CALENDARS = {
+    'us-federal': {
+        label: 'US federal holidays',
+        rules: US_FEDERAL_HOLIDAY_RULES
+    },
+    none: {
+        label: 'None (weekends only)',
+        rules: []
+    }
 };
 
+// Calendar used when a workspace has not chosen one
+const DEFAULT_HOLIDAY_CALENDAR = 'us-federal';
+
+// Computed holidays per calendar and year ('us-federal:2031' → [Date, ...])
+const holidayCache = new Map();
+
+// ========================================
+// HOLIDAY COMPUTATION
+// ========================================
+
 /**
- * Retrieves holidays for a specific year
+ * Retrieves the US federal holidays of a specific year
  *
  * @param {number} year - The year (e.g., 2024)
- * @returns {Array<Date>} Array of Date objects, empty array if year not found
- *
- * EDGE CASE: If year not in database, returns empty array (graceful degradation)
+ * @returns {Array<Date>} Holidays in date order (shared cached array - do not modify)
  */
 function getHolidaysForYear(year) {
-    return US_FEDERAL_HOLIDAYS[year] || [];
+    return getCalendarHolidaysForYear(DEFAULT_HOLIDAY_CALENDAR, year);
+}
+
+/**
+ * Retrieves the holidays of one calendar in a specific year
+ *
+ * CACHING: Computed once per calendar and year, then served from holidayCache
+ *
+ * @param {string} calendarKey - Key of HOLIDAY_CALENDARS
+ * @param {number} year - The year (e.g., 2031)
+ * @returns {Array<Date>} Holidays in date order (shared cached array - do not modify)
+ */
+function getCalendarHolidaysForYear(calendarKey, year) {
+    const cacheKey = `${calendarKey}:${year}`;
+    if (!holidayCache.has(cacheKey)) {
+        const calendar = HOLIDAY_CALENDARS[calendarKey] || HOLIDAY_CALENDARS[DEFAULT_HOLIDAY_CALENDAR];
+        const holidays = calendar.rules
+            .map(rule => getHolidayDate(rule, year))
+            .sort((a, b) => a - b);
+        holidayCache.set(cacheKey, Object.freeze(holidays));
+    }
+    return holidayCache.get(cacheKey);
+}
+
+/**
+ * Computes the date of one holiday rule in a year
+ *
+ * @param {Object} rule - Holiday rule (see US_FEDERAL_HOLIDAY_RULES)
+ * @param {number} year - The year
+ * @returns {Date} Holiday at midnight local time
+ * @throws {Error} If the rule type is unknown
+ *
+ * EXAMPLE:
+ * getHolidayDate({ type: 'nth-weekday', month: 11, weekday: 4, n: 4 }, 2031)
+ * Returns: Thu Nov 27 2031 (Thanksgiving)
+ */
+function getHolidayDate(rule, year) {
+    switch (rule.type) {
+        case 'fixed':
+            return new Date(year, rule.month - 1, rule.day);
+
+        case 'nth-weekday': {
+            // Days from the 1st of the month to its first matching weekday, then whole weeks
+            const firstDay = new Date(year, rule.month - 1, 1).getDay();
+            const firstMatch = 1 + ((rule.weekday - firstDay + 7) % 7);
+            return new Date(year, rule.month - 1, firstMatch + (rule.n - 1) * 7);
+        }
+
+        case 'last-weekday': {
+            // Day 0 of the next month is the last day of this one
+            const lastDate = new Date(year, rule.month, 0);
+            const daysBack = (lastDate.getDay() - rule.weekday + 7) % 7;
+            return new Date(year, rule.month - 1, lastDate.getDate() - daysBack);
+        }
+
+        case 'easter': {
+            const easter = getEasterSunday(year);
+            return new Date(year, easter.getMonth(), easter.getDate() + rule.offset);
+        }
+
+        default:
+            throw new Error(`Unknown holiday rule type "${rule.type}"`);
+    }
+}
+
+/**
+ * Computes Easter Sunday (Gregorian calendar) with the anonymous
+ * Gregorian algorithm (Meeus/Jones/Butcher)
+ *
+ * @param {number} year - The year
+ * @returns {Date} Easter Sunday at midnight local time
+ *
+ * EXAMPLE:
+ * getEasterSunday(2025) → Sun Apr 20 2025
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
 }
 
 /**
  * Retrieves all holidays falling within a date range
  *
- * PERFORMANCE OPTIMIZATION: Pre-filters holidays to relevant years only
- * - Avoids checking every holiday in every year
- * - Especially important when database grows (2024-2050)
+ * PERFORMANCE OPTIMIZATION: Only the years in the range are computed
+ * (each at most once, see getCalendarHolidaysForYear)
  *
  * @param {Date} startDate - Start of date range
  * @param {Date} endDate - End of date range
+ * @param {Object} [holidayConfig] - Workspace holiday settings:
+ *   { calendar: key of HOLIDAY_CALENDARS, extraDates: ['YYYY-MM-DD', ...] (e.g. studio closures) }
  * @returns {Array<Date>} Array of holiday Date objects in range
  *
  * EXAMPLE:
  * getHolidaysInRange(new Date('2024-12-01'), new Date('2025-01-15'))
  * Returns: [Christmas 2024, New Year 2025, MLK Day 2025]
  */
-function getHolidaysInRange(startDate, endDate) {
+function getHolidaysInRange(startDate, endDate, holidayConfig = {}) {
     const holidays = [];
+    const calendarKey = HOLIDAY_CALENDARS[holidayConfig.calendar] ? holidayConfig.calendar : DEFAULT_HOLIDAY_CALENDAR;
 
     // Get the years we need to check
     const startYear = startDate.getFullYear();
@@ -160,7 +202,7 @@ function getHolidaysInRange(startDate, endDate) {
 
     // Loop through each year in the range
     for (let year = startYear; year <= endYear; year++) {
-        const yearHolidays = getHolidaysForYear(year);
+        const yearHolidays = getCalendarHolidaysForYear(calendarKey, year);
 
         // Filter holidays that fall within our date range
         const relevantHolidays = yearHolidays.filter(holiday => {
@@ -171,6 +213,14 @@ function getHolidaysInRange(startDate, endDate) {
         holidays.push(...relevantHolidays);
     }
 
+    // Extra days off configured for the workspace (stored as local dates)
+    (holidayConfig.extraDates || []).forEach(dateString => {
+        const date = new Date(`${dateString}T00:00:00`);
+        if (date >= startDate && date <= endDate) {
+            holidays.push(date);
+        }
+    });
+
     return holidays;
 }
 
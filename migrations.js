@@ -0,0 +1,239 @@
+/**
+ * FILE: migrations.js
+ * PATTERN: Ordered Migration Pipeline
+ * RESPONSIBILITY: Upgrade stored payloads from older schema versions
+ *
+ * ARCHITECTURAL DECISIONS:
+ * - Stored data is wrapped in a versioned envelope: { schemaVersion, assets, settings, ... }
+ * - Each migration upgrades exactly one version (N-1 → N) and is a pure function
+ * - Steps run in order on load, so data from any older version reaches the current one
+ * - Data from a NEWER version is refused, never guessed at or rewritten
+ *
+ * ADDING A MIGRATION:
+ * 1. Bump CURRENT_SCHEMA_VERSION
+ * 2. Append a step with that version number to SCHEMA_MIGRATIONS
+ * 3. Update isValidAsset() in utils.js if the asset shape changed
+ *
+ * BENEFITS:
+ * - Adding a field never makes old records look "corrupted"
+ * - Upgrade logic is in one place instead of scattered compatibility checks
+ */
+
+/**
+ * Schema version written by this build of the app
+ *
+ * HISTORY:
+ * - 0: Bare array of assets, settings stored separately (before envelope)
+ * - 1: Envelope { schemaVersion, assets, settings }
+ * - 2: Adds quarantine (records that failed validation, kept for repair)
+ * - 3: Adds trash (soft-deleted assets, restorable until purged)
+ * - 4: Adds audit (append-only per-asset change log)
+ * - 5: Stored data may be encrypted: { schemaVersion, assets: [], encryption }
+ *   holds the sealed envelope (see encryption.js); plain data is unchanged.
+ *   Bumped so that older builds refuse encrypted data instead of showing it as empty
+ * - 6: Adds attachments (thumbnails and reference files, stored as data URLs)
+ * - 7: Asset notes become the first comment of the asset's comment thread
+ */
+const CURRENT_SCHEMA_VERSION = 7;
+
+/**
+ * Ordered migration steps
+ *
+ * Each step receives the payload at version (step.version - 1) and returns
+ * a new payload at step.version. The context carries data that lived outside
+ * the payload in older versions (e.g. legacy settings).
+ */
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Wrap bare asset array in a versioned envelope with settings',
+        migrate(payload, context) {
+            return {
+                schemaVersion: 1,
+                assets: payload.assets,
+                settings: context.legacySettings || {}
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Add quarantine for records that fail validation',
+        migrate(payload) {
+            return {
+                ...payload,
+                schemaVersion: 2,
+                quarantine: Array.isArray(payload.quarantine) ? payload.quarantine : []
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Add trash for soft-deleted assets',
+        migrate(payload) {
+            return {
+                ...payload,
+                schemaVersion: 3,
+                trash: Array.isArray(payload.trash) ? payload.trash : []
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'Add audit log of per-asset changes',
+        migrate(payload) {
+            return {
+                ...payload,
+                schemaVersion: 4,
+                audit: Array.isArray(payload.audit) ? payload.audit : []
+            };
+        }
+    },
+    {
+        version: 5,
+        description: 'Allow passphrase-encrypted storage (plain data unchanged)',
+        migrate(payload) {
+            return {
+                ...payload,
+                schemaVersion: 5
+            };
+        }
+    },
+    {
+        version: 6,
+        description: 'Add attachments (thumbnails and reference files)',
+        migrate(payload) {
+            return {
+                ...payload,
+                schemaVersion: 6,
+                attachments: Array.isArray(payload.attachments) ? payload.attachments : []
+            };
+        }
+    },
+    {
+        version: 7,
+        description: 'Move asset notes into comment threads',
+        migrate(payload) {
+            return {
+                ...payload,
+                schemaVersion: 7,
+                assets: payload.assets.map(migrateNotesToComments),
+                trash: payload.trash.map(entry => (
+                    entry && typeof entry === 'object' ? { ...entry, asset: migrateNotesToComments(entry.asset) } : entry
+                )),
+                quarantine: payload.quarantine.map(entry => (
+                    entry && typeof entry === 'object' ? { ...entry, record: migrateNotesToComments(entry.record) } : entry
+                ))
+            };
+        }
+    }
+];
+
+/**
+ * Turns an asset's notes into the first comment of its thread (schema 7)
+ *
+ * RULES:
+ * - Empty notes are dropped without a comment
+ * - The comment is dated when the asset was created (the best date known)
+ *   and has no author, since notes never recorded one
+ * - Its ID is derived from the asset ID, so migrating the same record twice
+ *   (e.g. on every pull from a sync server fed by older builds) gives the
+ *   same result
+ * - Records whose notes are not text are left alone, so validation can
+ *   quarantine them instead of losing the value
+ *
+ * @param {any} asset - Stored asset (may be a broken record)
+ * @returns {any} Asset without notes, or the record unchanged
+ */
+function migrateNotesToComments(asset) {
+    if (!asset || typeof asset !== 'object' || Array.isArray(asset) || typeof asset.notes !== 'string') {
+        return asset;
+    }
+
+    const { notes, ...migrated } = asset;
+    const text = notes.trim();
+    if (text) {
+        const createdAt = typeof asset.createdAt === 'string' && !isNaN(Date.parse(asset.createdAt))
+            ? asset.createdAt
+            : new Date().toISOString();
+        const comments = Array.isArray(asset.comments) ? asset.comments : [];
+        migrated.comments = [
+            {
+                id: typeof asset.id === 'string' ? `${asset.id}:notes` : generateUUID(),
+                text,
+                author: null,
+                createdAt,
+                editedAt: null
+            },
+            ...comments
+        ];
+    }
+
+    return migrated;
+}
+
+/**
+ * Converts whatever was read from storage into a payload object
+ *
+ * FORMATS ACCEPTED:
+ * - null/undefined (nothing stored) → empty version 0 payload
+ * - Array (version 0, pre-envelope) → { schemaVersion: 0, assets }
+ * - Envelope object → returned as-is
+ *
+ * @param {any} raw - Parsed stored value
+ * @returns {Object|null} Payload with numeric schemaVersion, or null if unrecognizable
+ */
+function normalizeStoredPayload(raw) {
+    if (raw === null || raw === undefined) {
+        return { schemaVersion: 0, assets: [] };
+    }
+
+    if (Array.isArray(raw)) {
+        return { schemaVersion: 0, assets: raw };
+    }
+
+    if (typeof raw === 'object' &&
+        Number.isInteger(raw.schemaVersion) &&
+        raw.schemaVersion >= 0 &&
+        Array.isArray(raw.assets)) {
+        return raw;
+    }
+
+    return null;
+}
+
+/**
+ * Runs every migration needed to bring a payload to CURRENT_SCHEMA_VERSION
+ *
+ * @param {Object} payload - Normalized payload (see normalizeStoredPayload)
+ * @param {Object} context - Extra data for old versions (e.g. { legacySettings })
+ * @returns {Object} { payload, migrated: boolean }
+ * @throws {Error} With code 'SCHEMA_TOO_NEW' if the payload is from a newer version
+ *
+ * EXAMPLE:
+ * migratePayload({ schemaVersion: 0, assets: [...] }, { legacySettings: {...} })
+ * Returns: { payload: { schemaVersion: 1, assets: [...], settings: {...} }, migrated: true }
+ */
+function migratePayload(payload, context = {}) {
+    if (payload.schemaVersion > CURRENT_SCHEMA_VERSION) {
+        const error = new Error(
+            `Data was saved by a newer version of the app (schema ${payload.schemaVersion}, ` +
+            `this version supports up to ${CURRENT_SCHEMA_VERSION})`
+        );
+        error.code = 'SCHEMA_TOO_NEW';
+        error.schemaVersion = payload.schemaVersion;
+        throw error;
+    }
+
+    let current = payload;
+    for (const step of SCHEMA_MIGRATIONS) {
+        if (current.schemaVersion < step.version) {
+            debugLog(`Migrating data to schema ${step.version}: ${step.description}`);
+            current = step.migrate(current, context);
+        }
+    }
+
+    return {
+        payload: current,
+        migrated: current.schemaVersion !== payload.schemaVersion
+    };
+}
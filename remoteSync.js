@@ -0,0 +1,641 @@
+/**
+ * FILE: remoteSync.js
+ * PATTERN: Sync Adapter (offline queue + per-asset revisions)
+ * RESPONSIBILITY: Keep the local asset list in sync with a shared REST server
+ *
+ * ARCHITECTURAL DECISIONS:
+ * - Optional: does nothing until a server address is set in Settings
+ * - The local store stays the source of truth for the UI; the server is
+ *   synced in the background, so the app works the same while offline
+ * - Local asset changes are queued per asset (latest value wins) together
+ *   with the server revision they were based on, and pushed when online
+ * - The server rejects a write whose base revision is out of date; that asset
+ *   becomes a conflict the user resolves ("keep mine" or "use server version")
+ *   instead of one side silently overwriting the other
+ * - Sync state (queue, known revisions, conflicts) is per device and lives in
+ *   localStorage, shared by all open tabs; a Web Lock keeps tabs from syncing
+ *   at the same time
+ * - Each workspace has its own server address, token and sync state; the
+ *   token is sent with every request (X-TrackPop-Token header)
+ * - Server assets written by older builds are upgraded like stored data
+ *   (migrateNotesToComments), so their notes show up as comments
+ *
+ * SERVER API: see server/sync-server.js
+ *
+ * SYNC CYCLE:
+ * 1. Push queued changes (PUT/DELETE with baseRevision)
+ * 2. Pull the server list: apply newer server versions, remove assets deleted
+ *    on the server (they go to the local trash), queue local-only assets for upload
+ * 3. Push again if the pull queued uploads
+ */
+
+
+// How often to pull changes made by other coordinators
+const REMOTE_SYNC_INTERVAL_MS = 30000;
+
+// Delay before pushing local changes (batches quick successive edits)
+const REMOTE_SYNC_DEBOUNCE_MS = 1000;
+
+// Requests slower than this count as offline
+const REMOTE_REQUEST_TIMEOUT_MS = 10000;
+
+// Current status, see getRemoteSyncStatus()
+let remoteSyncStatus = { state: 'disabled', pending: 0, conflicts: 0, lastSyncedAt: null, message: '' };
+
+// Callbacks notified when the status changes
+const remoteSyncStatusListeners = [];
+
+// Promise of the sync cycle in progress, or null
+let remoteSyncInFlight = null;
+
+// True if another cycle was requested while one was running
+let remoteSyncRequested = false;
+
+// Timers for debounced pushes and periodic pulls
+let remoteSyncDebounceTimer = null;
+let remoteSyncIntervalTimer = null;
+
+// True while stopped by stopRemoteSync() (e.g. during a workspace switch)
+let remoteSyncStopped = false;
+
+// ========================================
+// STATE
+// ========================================
+
+/**
+ * @returns {string} localStorage key for the open workspace's sync state
+ */
+function getRemoteSyncKey() {
+    return `${getStorageKey()}:remote`;
+}
+
+/**
+ * @returns {string} Web Lock name used to let one tab sync the open workspace at a time
+ */
+function getRemoteSyncLockName() {
+    return `${getStorageKey()}:remote-sync`;
+}
+
+/**
+ * Reads the sync state shared by all tabs
+ *
+ * SHAPE: {
+ *   serverUrl: string ('' = disabled),
+ *   token: string,                                      shared token the server was started with
+ *   revisions: { [id]: number },                        last server revision seen per asset
+ *   pending: { [id]: { asset|null, baseRevision } },    local changes not yet on the server
+ *   conflicts: { [id]: { local, server, serverRevision } }
+ * }
+ *
+ * @returns {Object} Sync state
+ */
+function readRemoteState() {
+    let state = null;
+    try {
+        state = JSON.parse(localStorage.getItem(getRemoteSyncKey()));
+    } catch (error) {
+        debugLog('Ignoring unreadable remote sync state:', error);
+    }
+
+    return {
+        serverUrl: state && typeof state.serverUrl === 'string' ? state.serverUrl : '',
+        token: state && typeof state.token === 'string' ? state.token : '',
+        revisions: (state && state.revisions) || {},
+        pending: (state && state.pending) || {},
+        conflicts: (state && state.conflicts) || {}
+    };
+}
+
+/**
+ * Reads, modifies and writes the sync state in one synchronous step
+ *
+ * WHY: Network requests take time; re-reading right before each write keeps
+ * changes queued meanwhile (by this or another tab) from being overwritten
+ *
+ * @param {Function} update - Receives the state and modifies it in place
+ * @returns {Object} The updated state
+ */
+function updateRemoteState(update) {
+    const state = readRemoteState();
+    update(state);
+    try {
+        localStorage.setItem(getRemoteSyncKey(), JSON.stringify(state));
+    } catch (error) {
+        debugLog('Failed to save remote sync state:', error);
+    }
+    return state;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Starts remote sync (if a server is configured)
+ *
+ * CALL: Once, after initStorage()
+ */
+function initRemoteSync() {
+    onChangesPersisted(queueLocalChanges);
+    window.addEventListener('online', () => syncNow());
+    restartRemoteSync();
+}
+
+/**
+ * @returns {string} Configured server address ('' if sync is disabled)
+ */
+function getRemoteSyncUrl() {
+    return readRemoteState().serverUrl;
+}
+
+/**
+ * Sets the sync server address
+ *
+ * SWITCHING SERVERS: Known revisions, queue and conflicts belong to the old
+ * server and are dropped; local assets are uploaded to the new server on the
+ * first sync
+ *
+ * @param {string} serverUrl - Validated address (see validateSyncServerUrl), '' to disable
+ */
+function setRemoteSyncUrl(serverUrl) {
+    updateRemoteState(state => {
+        if (state.serverUrl !== serverUrl) {
+            state.serverUrl = serverUrl;
+            state.revisions = {};
+            state.pending = {};
+            state.conflicts = {};
+        }
+    });
+    restartRemoteSync();
+}
+
+/**
+ * @returns {string} Token sent to the sync server ('' if not set)
+ */
+function getRemoteSyncToken() {
+    return readRemoteState().token;
+}
+
+/**
+ * Sets the token sent to the sync server
+ *
+ * NOTE: Unlike the address, a new token keeps the sync state (same server)
+ *
+ * @param {string} token - Validated token (see validateSyncToken)
+ */
+function setRemoteSyncToken(token) {
+    updateRemoteState(state => {
+        state.token = token;
+    });
+    restartRemoteSync();
+}
+
+/**
+ * @returns {Object} { state: 'disabled'|'syncing'|'synced'|'offline'|'error',
+ *                     pending, conflicts, lastSyncedAt, message }
+ */
+function getRemoteSyncStatus() {
+    return { ...remoteSyncStatus };
+}
+
+/**
+ * Registers a callback for sync status changes
+ *
+ * @param {Function} listener - Called with the new status
+ */
+function onRemoteSyncStatusChange(listener) {
+    remoteSyncStatusListeners.push(listener);
+}
+
+/**
+ * Lists assets whose local and server versions conflict
+ *
+ * @returns {Array<Object>} [{ id, local, server, serverRevision }] (null = deleted)
+ */
+function getSyncConflicts() {
+    const { conflicts } = readRemoteState();
+    return Object.entries(conflicts).map(([id, conflict]) => ({ id, ...conflict }));
+}
+
+/**
+ * Resolves a conflict by keeping one side
+ *
+ * - 'local': push this device's version, replacing the server's
+ * - 'server': replace this device's version with the server's
+ *
+ * @param {string} id - Asset ID
+ * @param {string} keep - 'local' or 'server'
+ * @returns {boolean} True if resolved
+ */
+function resolveSyncConflict(id, keep) {
+    const conflict = readRemoteState().conflicts[id];
+    if (!conflict) return false;
+
+    if (keep === 'server') {
+        const local = getCachedRecord(ASSETS_STORE, id);
+        const records = [{ store: ASSETS_STORE, id, value: conflict.server }];
+        if (conflict.server && getCachedRecord(TRASH_STORE, id)) {
+            records.push({ store: TRASH_STORE, id, value: null });
+        } else if (!conflict.server && local) {
+            // Deleted on the server - keep the local copy restorable
+            records.push({ store: TRASH_STORE, id, value: createTrashEntry(local) });
+        }
+        if (!writeRecords(records, 'Failed to apply the server version', 'remote', 'Sync')) {
+            return false;
+        }
+    }
+
+    updateRemoteState(state => {
+        delete state.conflicts[id];
+        if (keep === 'server') {
+            setKnownRevision(state, id, conflict.serverRevision);
+        } else {
+            state.pending[id] = { asset: conflict.local, baseRevision: conflict.serverRevision };
+        }
+    });
+
+    syncNow();
+    return true;
+}
+
+/**
+ * Runs a sync cycle now (or right after the one in progress)
+ *
+ * @returns {Promise<void>}
+ */
+function syncNow() {
+    clearTimeout(remoteSyncDebounceTimer);
+    if (remoteSyncStopped) return Promise.resolve();
+
+    if (remoteSyncInFlight) {
+        remoteSyncRequested = true;
+        return remoteSyncInFlight;
+    }
+
+    remoteSyncInFlight = runWithSyncLock(runSyncCycle)
+        .catch(error => debugLog('Remote sync failed:', error))
+        .finally(() => {
+            remoteSyncInFlight = null;
+            if (remoteSyncRequested) {
+                remoteSyncRequested = false;
+                syncNow();
+            }
+        });
+
+    return remoteSyncInFlight;
+}
+
+/**
+ * Stops syncing and waits for a cycle in progress to finish
+ *
+ * USE CASE: Before switching workspace, so no cycle reads one workspace's
+ * sync state while writing into another; restartRemoteSync() resumes
+ *
+ * @returns {Promise<void>}
+ */
+async function stopRemoteSync() {
+    remoteSyncStopped = true;
+    remoteSyncRequested = false;
+    clearTimeout(remoteSyncDebounceTimer);
+    clearInterval(remoteSyncIntervalTimer);
+    remoteSyncIntervalTimer = null;
+
+    if (remoteSyncInFlight) {
+        await remoteSyncInFlight;
+    }
+}
+
+// ========================================
+// INTERNALS
+// ========================================
+
+/**
+ * (Re)starts periodic syncing for the configured server
+ */
+function restartRemoteSync() {
+    remoteSyncStopped = false;
+    clearInterval(remoteSyncIntervalTimer);
+    remoteSyncIntervalTimer = null;
+
+    if (!getRemoteSyncUrl()) {
+        setRemoteSyncStatus({ state: 'disabled', message: '' });
+        return;
+    }
+
+    remoteSyncIntervalTimer = setInterval(() => syncNow(), REMOTE_SYNC_INTERVAL_MS);
+    syncNow();
+}
+
+/**
+ * Queues asset changes persisted by this tab for upload
+ *
+ * @param {Array<Object>} records - [{ store, id, value }] as stored
+ * @param {string} origin - 'local' or 'remote' (remote changes came from the server)
+ */
+function queueLocalChanges(records, origin) {
+    if (origin === 'remote') return;
+
+    const assetRecords = records.filter(record => record.store === ASSETS_STORE);
+    if (assetRecords.length === 0 || !getRemoteSyncUrl()) return;
+
+    updateRemoteState(current => {
+        assetRecords.forEach(({ id, value }) => {
+            if (current.conflicts[id]) {
+                // Still unresolved - the latest local version is what "keep mine" pushes
+                current.conflicts[id].local = value;
+                return;
+            }
+
+            const queued = current.pending[id];
+            current.pending[id] = {
+                asset: value,
+                baseRevision: queued ? queued.baseRevision : (current.revisions[id] || null)
+            };
+        });
+    });
+
+    setRemoteSyncStatus({});
+
+    clearTimeout(remoteSyncDebounceTimer);
+    remoteSyncDebounceTimer = setTimeout(() => syncNow(), REMOTE_SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Runs an operation while holding the cross-tab sync lock (if supported)
+ *
+ * @param {Function} operation - Async function
+ * @returns {Promise<any>}
+ */
+function runWithSyncLock(operation) {
+    if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+        return navigator.locks.request(getRemoteSyncLockName(), operation);
+    }
+    return operation();
+}
+
+/**
+ * One full push → pull → push cycle
+ *
+ * @returns {Promise<void>}
+ */
+async function runSyncCycle() {
+    const { serverUrl } = readRemoteState();
+    if (!serverUrl || isStorageReadOnly()) return;
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        setRemoteSyncStatus({ state: 'offline', message: 'Offline - changes will be sent when back online' });
+        return;
+    }
+
+    setRemoteSyncStatus({ state: 'syncing', message: '' });
+
+    try {
+        let failed = await pushPendingChanges(serverUrl);
+        const queuedUploads = await pullServerChanges(serverUrl);
+        if (queuedUploads > 0) {
+            failed += await pushPendingChanges(serverUrl);
+        }
+
+        setRemoteSyncStatus(failed > 0
+            ? { state: 'error', message: `${failed} change${failed !== 1 ? 's were' : ' was'} rejected by the server` }
+            : { state: 'synced', lastSyncedAt: new Date().toISOString(), message: '' });
+
+    } catch (error) {
+        debugLog('Remote sync cycle failed:', error);
+        setRemoteSyncStatus({
+            state: 'offline',
+            message: error.isNetworkError
+                ? 'Sync server unreachable - changes will be sent later'
+                : `Sync failed: ${error.message}`
+        });
+    }
+}
+
+/**
+ * Sends every queued change to the server
+ *
+ * @param {string} serverUrl - Server address
+ * @returns {Promise<number>} Number of changes the server rejected (kept queued)
+ * @throws {Error} If the server cannot be reached (remaining changes stay queued)
+ */
+async function pushPendingChanges(serverUrl) {
+    const { pending } = readRemoteState();
+    let failed = 0;
+
+    for (const [id, change] of Object.entries(pending)) {
+        // Created and deleted while offline - the server never knew about it
+        if (change.asset === null && change.baseRevision === null) {
+            updateRemoteState(state => {
+                if (isSameRecord(state.pending[id], change)) delete state.pending[id];
+            });
+            continue;
+        }
+
+        const path = `/api/assets/${encodeURIComponent(id)}`;
+        const response = change.asset
+            ? await remoteRequest(serverUrl, 'PUT', path, { asset: change.asset, baseRevision: change.baseRevision })
+            : await remoteRequest(serverUrl, 'DELETE', `${path}?baseRevision=${change.baseRevision}`);
+
+        if (response.status === 200) {
+            const revision = change.asset ? response.body.revision : null;
+            updateRemoteState(state => {
+                setKnownRevision(state, id, revision);
+                const current = state.pending[id];
+                if (isSameRecord(current, change)) {
+                    delete state.pending[id];
+                } else if (current) {
+                    // Changed again while the request was in flight - rebase onto the new revision
+                    current.baseRevision = revision;
+                }
+            });
+        } else if (response.status === 409) {
+            debugLog(`Sync conflict for asset ${id}:`, response.body);
+            updateRemoteState(state => {
+                const current = state.pending[id] || change;
+                delete state.pending[id];
+                state.conflicts[id] = {
+                    local: current.asset,
+                    server: migrateNotesToComments(response.body.asset),
+                    serverRevision: response.body.revision
+                };
+            });
+        } else {
+            debugLog(`Server rejected change for asset ${id}:`, response.status, response.body);
+            failed++;
+        }
+    }
+
+    return failed;
+}
+
+/**
+ * Downloads the server list and applies it locally
+ *
+ * RULES (assets with queued changes or conflicts are left alone):
+ * - Server revision newer than the one last seen → take the server version
+ * - Known locally, previously synced, missing on the server → deleted there,
+ *   moved to the local trash
+ * - Local asset never synced → queued for upload
+ *
+ * @param {string} serverUrl - Server address
+ * @returns {Promise<number>} Number of local assets queued for upload
+ */
+async function pullServerChanges(serverUrl) {
+    const response = await remoteRequest(serverUrl, 'GET', '/api/assets');
+    if (response.status !== 200 || !response.body || !Array.isArray(response.body.assets)) {
+        throw new Error(`Unexpected server response (${response.status})`);
+    }
+
+    const state = readRemoteState();
+    const serverAssets = new Map();
+    response.body.assets.forEach(record => {
+        const asset = record ? migrateNotesToComments(record.asset) : null;
+        if (asset && isValidAsset(asset) && Number.isInteger(record.revision)) {
+            serverAssets.set(asset.id, { asset, revision: record.revision });
+        } else {
+            debugLog('Ignoring invalid asset from sync server:', record);
+        }
+    });
+
+    const isBusy = (id) => Boolean(state.pending[id] || state.conflicts[id]);
+    const records = [];
+    const revisions = {};
+    const uploads = [];
+    const removedIds = [];
+
+    serverAssets.forEach(({ asset, revision }, id) => {
+        if (isBusy(id)) return;
+        revisions[id] = revision;
+
+        const local = getCachedRecord(ASSETS_STORE, id);
+        if (!local || !isSameRecord(local, asset)) {
+            records.push({ store: ASSETS_STORE, id, value: asset });
+            if (getCachedRecord(TRASH_STORE, id)) {
+                records.push({ store: TRASH_STORE, id, value: null });
+            }
+        }
+    });
+
+    getAllAssets().forEach(asset => {
+        if (serverAssets.has(asset.id) || isBusy(asset.id)) return;
+
+        if (state.revisions[asset.id]) {
+            records.push({ store: ASSETS_STORE, id: asset.id, value: null });
+            records.push({ store: TRASH_STORE, id: asset.id, value: createTrashEntry(asset) });
+            removedIds.push(asset.id);
+        } else {
+            uploads.push(asset);
+        }
+    });
+
+    if (records.length > 0) {
+        if (!writeRecords(records, 'Failed to apply changes from the sync server', 'remote', 'Sync')) {
+            return 0;
+        }
+        notifyStorageChange();
+    }
+
+    updateRemoteState(current => {
+        Object.entries(revisions).forEach(([id, revision]) => {
+            if (!current.pending[id] && !current.conflicts[id]) {
+                current.revisions[id] = revision;
+            }
+        });
+        removedIds.forEach(id => delete current.revisions[id]);
+        uploads.forEach(asset => {
+            if (!current.pending[asset.id] && !current.conflicts[asset.id]) {
+                current.pending[asset.id] = { asset, baseRevision: null };
+            }
+        });
+    });
+
+    return uploads.length;
+}
+
+/**
+ * Records (or forgets) the server revision last seen for an asset
+ *
+ * @param {Object} state - Sync state being updated
+ * @param {string} id - Asset ID
+ * @param {number|null} revision - Revision, or null if deleted on the server
+ */
+function setKnownRevision(state, id, revision) {
+    if (revision === null) {
+        delete state.revisions[id];
+    } else {
+        state.revisions[id] = revision;
+    }
+}
+
+/**
+ * Sends one JSON request to the sync server
+ *
+ * @param {string} serverUrl - Server address
+ * @param {string} method - HTTP method
+ * @param {string} path - Path starting with /api/
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} { status, body }
+ * @throws {Error} If the server could not be reached (isNetworkError = true)
+ *   or refused the token (401)
+ */
+async function remoteRequest(serverUrl, method, path, body) {
+    const headers = { 'X-TrackPop-Token': readRemoteState().token };
+    if (body) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timeout = controller ? setTimeout(() => controller.abort(), REMOTE_REQUEST_TIMEOUT_MS) : null;
+
+    let response;
+    try {
+        response = await fetch(`${serverUrl}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller ? controller.signal : undefined
+        });
+    } catch (error) {
+        const networkError = new Error(`Cannot reach sync server: ${error.message}`);
+        networkError.isNetworkError = true;
+        throw networkError;
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    if (response.status === 401) {
+        throw new Error('Sync server refused the token - check it in Settings');
+    }
+
+    let responseBody = null;
+    try {
+        responseBody = await response.json();
+    } catch (error) {
+        debugLog('Sync server sent a non-JSON response:', error);
+    }
+
+    return { status: response.status, body: responseBody };
+}
+
+/**
+ * Updates the status and notifies listeners
+ *
+ * @param {Object} changes - Status fields to change
+ */
+function setRemoteSyncStatus(changes) {
+    const state = readRemoteState();
+    remoteSyncStatus = {
+        ...remoteSyncStatus,
+        ...changes,
+        pending: Object.keys(state.pending).length,
+        conflicts: Object.keys(state.conflicts).length
+    };
+
+    remoteSyncStatusListeners.forEach(listener => {
+        try {
+            listener(getRemoteSyncStatus());
+        } catch (error) {
+            debugLog('Remote sync status listener failed:', error);
+        }
+    });
+}
@@ -0,0 +1,447 @@
+/**
+ * FILE: server/sync-server.js
+ * PATTERN: Reference REST server (Node.js, no dependencies)
+ * RESPONSIBILITY: Share one asset list between several coordinators on a LAN
+ *
+ * ARCHITECTURAL DECISIONS:
+ * - Uses only Node.js core modules, so it runs with a plain `node` install
+ * - All data lives in one JSON file, rewritten atomically (temp file + rename)
+ * - Every asset carries a server-assigned revision number; a write must name
+ *   the revision it was based on, otherwise it is rejected as a conflict (409)
+ * - Deleted assets are simply removed; a later write based on the old
+ *   revision is reported as a conflict with `asset: null`
+ * - Also serves the app itself, so coordinators can open http://<host>:<port>/
+ * - Every API request must carry the shared token in an X-TrackPop-Token
+ *   header; a web page that does not know it cannot read or change the list
+ * - CORS headers are only sent to allow-listed origins (--allow-origin): the
+ *   app served by this server is same-origin and needs none
+ *
+ * USAGE:
+ *   node server/sync-server.js --token <shared secret> [--port 8787] [--data ./trackpop-data.json]
+ *                              [--allow-origin null] [--allow-origin https://example.com]
+ *   (or the TRACKPOP_TOKEN / PORT / TRACKPOP_DATA / TRACKPOP_ALLOW_ORIGIN environment
+ *   variables; TRACKPOP_ALLOW_ORIGIN takes a comma-separated list)
+ *   --allow-origin null lets the app opened from a file:// page use the server
+ *
+ * API (all JSON):
+ * - GET    /api/assets                     → { assets: [{ asset, revision, updatedAt }] }
+ * - PUT    /api/assets/:id                 body { asset, baseRevision }
+ *                                           → 200 { asset, revision, updatedAt }
+ *                                           → 409 { error, asset, revision } (current server copy)
+ * - DELETE /api/assets/:id?baseRevision=N  → 200 { deleted: true } | 409 as above
+ *
+ * Requests without the right token get 401 { error }.
+ *
+ * SECURITY: The token is sent in clear text over http://; serve the API over
+ * HTTPS (e.g. behind a reverse proxy) when the network is not trusted.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// App files served from the repository root (nothing else is exposed)
+const APP_ROOT = path.resolve(__dirname, '..');
+const STATIC_FILES = {
+    '/': 'index.html',
+    '/index.html': 'index.html',
+    '/styles.css': 'styles.css'
+};
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8'
+};
+
+// Requests larger than this are rejected (a few thousand assets fit easily)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Header carrying the shared token (see --token)
+const TOKEN_HEADER = 'x-trackpop-token';
+
+// Shorter tokens are refused at startup (easy to guess)
+const MIN_TOKEN_LENGTH = 12;
+
+/**
+ * Reads --name value pairs from the command line
+ *
+ * @param {Array<string>} argv - process.argv
+ * @returns {Object} { port, dataFile, token, allowedOrigins }
+ */
+function parseOptions(argv) {
+    const options = {
+        port: parseInt(process.env.PORT, 10) || 8787,
+        dataFile: process.env.TRACKPOP_DATA || path.join(process.cwd(), 'trackpop-data.json'),
+        token: process.env.TRACKPOP_TOKEN || '',
+        allowedOrigins: (process.env.TRACKPOP_ALLOW_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    };
+
+    for (let i = 2; i < argv.length; i += 2) {
+        if (argv[i] === '--port') {
+            options.port = parseInt(argv[i + 1], 10);
+        } else if (argv[i] === '--data') {
+            options.dataFile = path.resolve(argv[i + 1]);
+        } else if (argv[i] === '--token') {
+            options.token = argv[i + 1] || '';
+        } else if (argv[i] === '--allow-origin') {
+            options.allowedOrigins.push(argv[i + 1] || '');
+        } else {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+
+    if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+        throw new Error('Port must be a number between 1 and 65535');
+    }
+    if (options.token.length < MIN_TOKEN_LENGTH) {
+        throw new Error(`Set a shared token of at least ${MIN_TOKEN_LENGTH} characters with --token or TRACKPOP_TOKEN`);
+    }
+    options.allowedOrigins.forEach(origin => {
+        if (origin !== 'null' && !/^https?:\/\/[^/]+$/.test(origin)) {
+            throw new Error(`--allow-origin must be "null" or an origin such as https://example.com, not "${origin}"`);
+        }
+    });
+    return options;
+}
+
+// ========================================
+// DATA FILE
+// ========================================
+
+/**
+ * Creates the JSON-file store
+ *
+ * FILE FORMAT: { assets: { [id]: { asset, revision, updatedAt } } }
+ *
+ * @param {string} dataFile - Path of the JSON file
+ * @returns {Object} Store with list(), put(), remove()
+ */
+function createFileStore(dataFile) {
+    let data = { assets: {} };
+
+    if (fs.existsSync(dataFile)) {
+        const parsed = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+        if (!parsed || typeof parsed.assets !== 'object' || Array.isArray(parsed.assets)) {
+            throw new Error(`${dataFile} is not a TrackPop sync data file`);
+        }
+        data = parsed;
+    }
+
+    /**
+     * Writes the whole file atomically so a crash never leaves half a file
+     */
+    function save() {
+        const tempFile = `${dataFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+        fs.renameSync(tempFile, dataFile);
+    }
+
+    /**
+     * Checks a client's base revision against the stored record
+     *
+     * @returns {Object|null} Conflict body, or null if the write may proceed
+     */
+    function checkRevision(id, baseRevision) {
+        const current = data.assets[id] || null;
+        const currentRevision = current ? current.revision : null;
+        if (currentRevision === (baseRevision === undefined ? null : baseRevision)) {
+            return null;
+        }
+        return {
+            error: current
+                ? `Asset was changed on the server (revision ${current.revision})`
+                : 'Asset was deleted on the server',
+            asset: current ? current.asset : null,
+            revision: currentRevision
+        };
+    }
+
+    return {
+        list() {
+            return Object.values(data.assets);
+        },
+
+        put(id, asset, baseRevision) {
+            const conflict = checkRevision(id, baseRevision);
+            if (conflict) return { conflict };
+
+            const current = data.assets[id];
+            const record = {
+                asset,
+                revision: current ? current.revision + 1 : 1,
+                updatedAt: new Date().toISOString()
+            };
+            data.assets[id] = record;
+            save();
+            return { record };
+        },
+
+        remove(id, baseRevision) {
+            // Deleting something already gone is not a conflict
+            if (!data.assets[id]) return { deleted: true };
+
+            const conflict = checkRevision(id, baseRevision);
+            if (conflict) return { conflict };
+
+            delete data.assets[id];
+            save();
+            return { deleted: true };
+        }
+    };
+}
+
+// ========================================
+// HTTP
+// ========================================
+
+/**
+ * Sends a JSON response
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body
+ *
+ * TOO LARGE: Stops collecting and rejects with status 413 (and
+ * closeConnection, see createHandler). The rest of the body is still read and
+ * thrown away: destroying the request, or closing the socket with data left
+ * unread, resets the connection and the client never sees the 413 response.
+ *
+ * @returns {Promise<any>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        function onData(chunk) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                req.removeListener('data', onData);
+                req.removeListener('end', onEnd);
+                req.resume();
+                reject(Object.assign(new Error('Request body too large'), { status: 413, closeConnection: true }));
+                return;
+            }
+            chunks.push(chunk);
+        }
+
+        function onEnd() {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+            }
+        }
+
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parses a baseRevision value (positive integer, or null for "new asset")
+ *
+ * @returns {number|null|undefined} Revision, null, or undefined if malformed
+ */
+function parseBaseRevision(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const revision = Number(value);
+    return Number.isInteger(revision) && revision > 0 ? revision : undefined;
+}
+
+/**
+ * Decodes the asset ID part of a URL path
+ *
+ * @param {string} segment - Percent-encoded path segment
+ * @returns {string|null} Asset ID, or null if the escapes are malformed (e.g. %E0%A4)
+ */
+function decodeAssetId(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Checks the shared token of an API request
+ *
+ * NOTE: Both sides are hashed first, so the comparison takes the same time
+ * whatever the sent value (timingSafeEqual needs equal lengths)
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} token - Expected token
+ * @returns {boolean} True if the request carries the token
+ */
+function hasValidToken(req, token) {
+    const sent = req.headers[TOKEN_HEADER];
+    if (typeof sent !== 'string') return false;
+
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(sent), hash(token));
+}
+
+/**
+ * Serves one of the app's own files
+ */
+function serveStatic(req, res, pathname) {
+    const isAppScript = /^\/[A-Za-z]+\.js$/.test(pathname);
+    const fileName = STATIC_FILES[pathname] || (isAppScript ? pathname.slice(1) : null);
+    if (!fileName) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    fs.readFile(path.join(APP_ROOT, fileName), (error, content) => {
+        if (error) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(fileName)] });
+        res.end(content);
+    });
+}
+
+/**
+ * Creates the HTTP request handler
+ *
+ * CORS: Only requests from options.allowedOrigins get CORS headers, so
+ * other web pages the coordinator has open cannot read the responses;
+ * preflights from any other origin are refused
+ *
+ * @param {Object} store - Store from createFileStore()
+ * @param {Object} options - { token, allowedOrigins } (see parseOptions)
+ * @returns {Function} (req, res) handler
+ */
+function createHandler(store, options) {
+    const allowedOrigins = new Set(options.allowedOrigins || []);
+
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const origin = req.headers.origin;
+        const isAllowedOrigin = typeof origin === 'string' && allowedOrigins.has(origin);
+
+        if (isAllowedOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+        }
+        res.setHeader('Vary', 'Origin');
+
+        if (req.method === 'OPTIONS') {
+            if (!isAllowedOrigin) {
+                sendJson(res, 403, { error: 'Origin not allowed' });
+                return;
+            }
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, X-TrackPop-Token',
+                'Access-Control-Max-Age': '600'
+            });
+            res.end();
+            return;
+        }
+
+        try {
+            if (url.pathname.startsWith('/api/') && !hasValidToken(req, options.token)) {
+                sendJson(res, 401, { error: 'Missing or wrong sync token' });
+                return;
+            }
+
+            if (url.pathname === '/api/assets' && req.method === 'GET') {
+                sendJson(res, 200, { assets: store.list() });
+                return;
+            }
+
+            const match = url.pathname.match(/^\/api\/assets\/([^/]+)$/);
+            if (match) {
+                const id = decodeAssetId(match[1]);
+                if (id === null) {
+                    sendJson(res, 400, { error: 'Invalid asset id' });
+                    return;
+                }
+
+                if (req.method === 'PUT') {
+                    const body = await readJsonBody(req);
+                    const baseRevision = parseBaseRevision(body && body.baseRevision);
+                    const asset = body && body.asset;
+
+                    if (!asset || typeof asset !== 'object' || asset.id !== id || typeof asset.name !== 'string') {
+                        sendJson(res, 400, { error: 'Body must be { asset, baseRevision } with asset.id matching the URL' });
+                        return;
+                    }
+                    if (baseRevision === undefined) {
+                        sendJson(res, 400, { error: 'baseRevision must be a positive integer or null' });
+                        return;
+                    }
+
+                    const result = store.put(id, asset, baseRevision);
+                    sendJson(res, result.conflict ? 409 : 200, result.conflict || result.record);
+                    return;
+                }
+
+                if (req.method === 'DELETE') {
+                    const baseRevision = parseBaseRevision(url.searchParams.get('baseRevision'));
+                    if (baseRevision === undefined) {
+                        sendJson(res, 400, { error: 'baseRevision must be a positive integer' });
+                        return;
+                    }
+
+                    const result = store.remove(id, baseRevision);
+                    sendJson(res, result.conflict ? 409 : 200, result.conflict || result);
+                    return;
+                }
+            }
+
+            if (req.method === 'GET' && !url.pathname.startsWith('/api/')) {
+                serveStatic(req, res, url.pathname);
+                return;
+            }
+
+            sendJson(res, 404, { error: 'Not found' });
+
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                console.error(error);
+            }
+            if (error.closeConnection) {
+                // Node closes the socket once the response has been sent
+                res.setHeader('Connection', 'close');
+            }
+            sendJson(res, status, { error: error.message });
+        }
+    };
+}
+
+// ========================================
+// START
+// ========================================
+
+if (require.main === module) {
+    try {
+        const options = parseOptions(process.argv);
+        const store = createFileStore(options.dataFile);
+        const server = http.createServer(createHandler(store, options));
+
+        server.listen(options.port, () => {
+            console.log(`TrackPop sync server listening on http://localhost:${options.port}/`);
+            console.log(`Data file: ${options.dataFile}`);
+            if (options.allowedOrigins.length > 0) {
+                console.log(`Cross-origin access allowed for: ${options.allowedOrigins.join(', ')}`);
+            }
+        });
+    } catch (error) {
+        console.error(`Failed to start: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { createFileStore, createHandler };
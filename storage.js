@@ -7,6 +7,23 @@
  * - Single interface for data operations (easy to swap backend later)
  * - Centralized error handling for storage operations
  * - No business logic here - pure data layer
+ * - Backends (IndexedDB / localStorage) live in storageBackends.js
+ * - Reads are served from an in-memory cache so the API stays synchronous;
+ *   writes update the cache immediately and are persisted in order
+ * - Stored data is a versioned envelope { schemaVersion, assets, settings },
+ *   upgraded on load by the pipeline in migrations.js
+ * - Open tabs are kept in sync: every persisted change is broadcast, and
+ *   updates are merged per field onto the latest stored record
+ * - Asset mutations are recorded in the undo/redo history (history.js)
+ * - Every asset change also appends audit entries (who/what/when), written in
+ *   the same atomic backend write as the change itself
+ * - Each workspace (see workspaces.js) is stored under its own key, so only the
+ *   open workspace is ever loaded; switchStorage() swaps the whole data set
+ * - Optional passphrase encryption (encryption.js): while it is on, the backend
+ *   is wrapped by createEncryptedBackend(), and encrypted data stays locked
+ *   (read-only, nothing loaded) until unlockStorage() is given the passphrase
+ * - Attachments (thumbnails, reference files) are records of their own, kept
+ *   apart from the asset so asset writes, sync and undo stay small
  *
  * BENEFITS:
  * - Can swap localStorage → database without changing app.js
@@ -15,217 +32,2835 @@
  */
 
 // Storage key constant - Single Source of Truth for where data is stored
+// (the default workspace; other workspaces derive their keys from it)
 const STORAGE_KEY = 'assetTracker';
 
+// Key of the open workspace: IndexedDB database name and localStorage key
+// (IndexedDB migrates any localStorage data under the same key on first load)
+let activeStorageKey = STORAGE_KEY;
+
+// Pre-envelope (schema 0) settings key - read once during migration, then removed
+const SETTINGS_KEY = 'assetTrackerSettings';
+
+/**
+ * Default settings values
+ */
+const DEFAULT_SETTINGS = {
+    orangeThreshold: 5,
+    redThreshold: 7,
+    trashRetentionDays: 30,
+    holidayCalendar: 'us-federal',
+    customHolidays: [],
+    statusTransitions: DEFAULT_STATUS_TRANSITIONS,
+    clockStatuses: DEFAULT_CLOCK_STATUSES
+};
+
+// Backend all reads and writes go through (wraps baseStorageBackend while encrypted)
+let storageBackend = null;
+
+// IndexedDB or localStorage backend opened by initStorage()
+let baseStorageBackend = null;
+
+// Key of the open workspace's encrypted data once unlocked, null while plain or locked
+let storageKeyring = null;
+
+// Encryption parameters of stored data not unlocked yet (null when plain or unlocked)
+let lockedEncryption = null;
+
+// Read-only reason shown while encrypted data is locked
+const LOCKED_MESSAGE = 'This workspace is encrypted. Unlock it with its passphrase first.';
+
+// In-memory copy of every valid asset, keyed by ID (insertion order preserved)
+const assetCache = new Map();
+
+// Records that failed validation, keyed by quarantine entry ID
+const quarantineCache = new Map();
+
+// Soft-deleted assets, keyed by asset ID: { id, asset, deletedAt }
+const trashCache = new Map();
+
+// Audit log entries, keyed by entry ID: { id, assetId, action, field, oldValue, newValue, changedAt, author, source }
+const auditCache = new Map();
+
+// Attachments, keyed by attachment ID: { id, assetId, kind, name, type, size, dataUrl, addedAt }
+const attachmentCache = new Map();
+
+// In-memory copy of the stored settings (merged with defaults in getSettings)
+let settingsCache = {};
+
+// Record caches by backend store name (used to apply persisted/broadcast changes)
+const recordCaches = {
+    [ASSETS_STORE]: assetCache,
+    [QUARANTINE_STORE]: quarantineCache,
+    [TRASH_STORE]: trashCache,
+    [AUDIT_STORE]: auditCache,
+    [ATTACHMENTS_STORE]: attachmentCache
+};
+
+// localStorage key for this device's author name (recorded in audit entries)
+const AUTHOR_STORAGE_KEY = `${STORAGE_KEY}:author`;
+
+// BroadcastChannel instance, or null when falling back to the storage event
+let tabSyncChannel = null;
+
+// True once the 'storage' event fallback listener is installed
+let tabSyncListening = false;
+
+// Set when stored data cannot be handled safely (e.g. newer schema); blocks all writes
+let readOnlyReason = null;
+
+// Writes are chained so they reach the backend in the order they were made
+let writeQueue = Promise.resolve();
+
+// Callbacks notified when stored data changes outside a direct call (e.g. rollback)
+const storageChangeListeners = [];
+
+// Callbacks notified with the records this tab persisted (e.g. remote sync)
+const persistListeners = [];
+
+/**
+ * Initializes the storage layer
+ *
+ * MUST be awaited before any other storage function is used.
+ *
+ * FLOW:
+ * 1. Try IndexedDB (migrates existing localStorage data on first run)
+ * 2. Fall back to localStorage if IndexedDB is missing or refuses to open
+ * 3. Load, migrate and validate all data into the cache
+ * 4. Start listening for changes made in other tabs
+ *
+ * @param {string} [storageKey] - Key of the workspace to open (default: STORAGE_KEY)
+ * @returns {Promise<void>}
+ */
+async function initStorage(storageKey = STORAGE_KEY) {
+    activeStorageKey = storageKey;
+    baseStorageBackend = await selectStorageBackend(storageKey);
+    storageBackend = baseStorageBackend;
+    storageKeyring = null;
+    lockedEncryption = null;
+    debugLog(`Storage backend: ${storageBackend.name} (${storageKey})`);
+    await reloadFromBackend();
+    openTabSync();
+}
+
+/**
+ * Closes the open data set and opens another one in its place
+ *
+ * USE CASE: Switching workspace without reloading the page
+ * ORDER: Queued writes finish first, so they land in the workspace they were made in
+ *
+ * @param {string} storageKey - Key of the workspace to open
+ * @returns {Promise<void>}
+ */
+async function switchStorage(storageKey) {
+    await writeQueue;
+    closeTabSync();
+    storageBackend.close();
+
+    readOnlyReason = null;
+    await initStorage(storageKey);
+}
+
+/**
+ * @returns {string} Key of the open workspace (prefix for per-workspace keys)
+ */
+function getStorageKey() {
+    return activeStorageKey;
+}
+
+/**
+ * Picks the best available backend
+ *
+ * @param {string} storageKey - IndexedDB database name / localStorage key
+ * @returns {Promise<Object>} Opened backend
+ */
+async function selectStorageBackend(storageKey) {
+    if (isIndexedDbAvailable()) {
+        try {
+            const backend = createIndexedDbBackend(storageKey, storageKey);
+            await backend.open();
+            return backend;
+        } catch (error) {
+            debugLog('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+
+    const backend = createLocalStorageBackend(storageKey);
+    try {
+        await backend.open();
+    } catch (error) {
+        debugLog('localStorage unavailable:', error);
+        showToast('Saving is disabled in this browser. Changes will be lost on reload.', 'error', 5000);
+    }
+    return backend;
+}
+
+/**
+ * Reads pre-envelope settings from their old localStorage key
+ *
+ * @returns {Object|null} Parsed settings, or null if none/unreadable
+ */
+function readLegacySettings() {
+    try {
+        const stored = localStorage.getItem(SETTINGS_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        debugLog('Failed to read legacy settings:', error);
+        return null;
+    }
+}
+
+/**
+ * Removes the pre-envelope settings key once its values live in the envelope
+ */
+function removeLegacySettings() {
+    try {
+        localStorage.removeItem(SETTINGS_KEY);
+    } catch (error) {
+        debugLog('Failed to remove legacy settings:', error);
+    }
+}
+
+/**
+ * Loads everything from the backend into the cache
+ *
+ * FLOW:
+ * 1. Normalize the raw stored value into a versioned payload
+ * 2. Run migrations up to CURRENT_SCHEMA_VERSION (refuse newer versions)
+ * 3. Validate assets, move invalid/corrupted ones into quarantine
+ * 4. Write back if anything was migrated or quarantined
+ *
+ * EDGE CASES:
+ * - No data stored yet → empty cache
+ * - Encrypted data without a matching key → storage is locked, empty cache
+ * - Corrupted data → shows error toast, empty cache
+ * - Newer schema version → shows error, storage becomes read-only, nothing is written
+ * - Invalid asset structure or duplicate ID → record is quarantined with its reasons
+ * - Storage disabled → shows error toast, empty cache
+ *
+ * @returns {Promise<void>}
+ */
+async function reloadFromBackend() {
+    Object.values(recordCaches).forEach(cache => cache.clear());
+    settingsCache = {};
+
+    try {
+        const stored = await loadStoredPayload();
+        if (lockedEncryption) return;
+
+        const payload = normalizeStoredPayload(stored);
+
+        // Validate envelope structure
+        if (!payload) {
+            debugLog('Invalid data structure in storage - expected envelope or array');
+            showToast('Data corruption detected. Starting fresh.', 'error');
+            return;
+        }
+
+        let migration;
+        try {
+            migration = migratePayload(payload, { legacySettings: readLegacySettings() });
+        } catch (error) {
+            if (error.code === 'SCHEMA_TOO_NEW') {
+                // Never rewrite data we do not understand - refuse instead
+                readOnlyReason = `${error.message}. Please update the app. Your data has not been changed.`;
+                debugLog('Refusing to load data:', error);
+                showToast(readOnlyReason, 'error', 10000);
+                return;
+            }
+            throw error;
+        }
+
+        const { assets, settings, quarantine, trash, audit, attachments } = migration.payload;
+        settingsCache = settings && typeof settings === 'object' ? settings : {};
+        quarantine
+            .filter(entry => entry && typeof entry.id === 'string')
+            .forEach(entry => quarantineCache.set(entry.id, entry));
+        trash
+            .filter(entry => entry && typeof entry.id === 'string' && entry.asset)
+            .forEach(entry => trashCache.set(entry.id, entry));
+        audit
+            .filter(isAuditEntry)
+            .forEach(entry => auditCache.set(entry.id, entry));
+        attachments
+            .filter(isAttachmentRecord)
+            .forEach(attachment => attachmentCache.set(attachment.id, attachment));
+
+        // Move invalid assets into quarantine and log issues
+        let newlyQuarantined = 0;
+        assets.forEach((asset, index) => {
+            const reasons = getQuarantineReasons(asset);
+            if (reasons.length === 0) {
+                assetCache.set(asset.id, asset);
+                return;
+            }
+
+            debugLog(`Invalid asset at index ${index}:`, asset, reasons);
+            const entry = createQuarantineEntry(asset, reasons);
+            quarantineCache.set(entry.id, entry);
+            newlyQuarantined++;
+        });
+
+        // Save the migrated and/or cleaned data
+        if (migration.migrated || newlyQuarantined > 0) {
+            await storageBackend.writePayload({
+                ...migration.payload,
+                ...snapshotRecordStores()
+            });
+            broadcastToTabs({ type: 'reload' });
+        }
+
+        if (migration.migrated) {
+            removeLegacySettings();
+        }
+
+        if (newlyQuarantined > 0) {
+            showToast(
+                `${newlyQuarantined} invalid record${newlyQuarantined !== 1 ? 's were' : ' was'} moved to quarantine`,
+                'warning',
+                5000
+            );
+        }
+
+    } catch (error) {
+        debugLog('Failed to load assets from storage:', error);
+        showToast('Failed to load saved data. Please refresh the page.', 'error');
+    }
+}
+
+/**
+ * Reads the stored payload, decrypting it if it is encrypted
+ *
+ * STATES:
+ * - Plain data → encryption is off (also if another tab just turned it off)
+ * - Encrypted with the key this tab holds → decrypted
+ * - Encrypted without a matching key (startup, or the passphrase was changed
+ *   in another tab) → storage becomes locked until unlockStorage()
+ *
+ * @returns {Promise<any>} Raw payload (null while locked or if nothing is stored)
+ */
+async function loadStoredPayload() {
+    const raw = await baseStorageBackend.load();
+
+    if (!isEncryptedPayload(raw)) {
+        setStorageKeyring(null);
+        if (lockedEncryption) {
+            lockedEncryption = null;
+            readOnlyReason = null;
+        }
+        return raw;
+    }
+
+    if (isSameEncryptionKey(storageKeyring, raw.encryption)) {
+        try {
+            return await decryptJson(storageKeyring, raw.encryption);
+        } catch (error) {
+            if (error.code !== 'WRONG_PASSPHRASE') throw error;
+        }
+    }
+
+    lockStorage(raw.encryption);
+    return null;
+}
+
+/**
+ * Builds the record-store part of an envelope from the caches
+ *
+ * @returns {Object} { assets: [...], quarantine: [...], trash: [...], audit: [...], attachments: [...] }
+ */
+function snapshotRecordStores() {
+    const snapshot = {};
+    Object.entries(recordCaches).forEach(([storeName, cache]) => {
+        snapshot[storeName] = Array.from(cache.values());
+    });
+    return snapshot;
+}
+
+/**
+ * Builds a complete current-version envelope from the caches
+ *
+ * @returns {Object} { schemaVersion, settings, assets, quarantine, trash, audit, attachments }
+ */
+function snapshotPayload() {
+    return {
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        settings: settingsCache,
+        ...snapshotRecordStores()
+    };
+}
+
+/**
+ * Queues a backend write behind any writes already in flight
+ *
+ * FAILURE HANDLING: The cache was updated optimistically, so on failure it is
+ * reloaded from the backend (the source of truth) and listeners re-render.
+ *
+ * @param {Function} operation - Async function performing the backend write
+ * @param {string} failureMessage - Toast shown if the write fails
+ * @returns {Promise<boolean>} Resolves true if persisted, false if rolled back
+ */
+function enqueueWrite(operation, failureMessage) {
+    const result = writeQueue.then(operation).then(
+        () => true,
+        async (error) => {
+            debugLog('Failed to persist changes:', error);
+
+            // Check if storage quota exceeded
+            if (error && error.name === 'QuotaExceededError') {
+                showToast('Storage is full! Try deleting some old assets.', 'error', 5000);
+            } else {
+                showToast(failureMessage, 'error');
+            }
+
+            await reloadFromBackend();
+            notifyStorageChange();
+            return false;
+        }
+    );
+
+    writeQueue = result;
+    return result;
+}
+
+/**
+ * Writes changes to the backend, then reconciles the cache and other tabs
+ *
+ * FLOW:
+ * 1. Backend applies the changes atomically (patches merge onto the stored record,
+ *    per entry for lists such as comments - see createAssetPatch)
+ * 2. The cache is updated with what was actually stored
+ * 3. The stored records are broadcast to other open tabs
+ * 4. Listeners re-render if the stored result differs from the optimistic cache
+ *    (e.g. a patch merged fields from another tab, or the record was deleted there)
+ * 5. Persist listeners receive the stored records and their origin
+ *
+ * @param {Array<Object>} changes - [{ store, id, value }] or [{ store, id, patch, base? }]
+ * @param {string} failureMessage - Toast shown if the write fails
+ * @param {string} [origin] - Where the change came from: 'local' (default) or 'remote'
+ * @returns {Promise<boolean>} Resolves true if persisted, false if rolled back
+ */
+function persistChanges(changes, failureMessage, origin = 'local') {
+    return enqueueWrite(async () => {
+        const results = await storageBackend.writeChanges(changes);
+        const records = changes.map((change, index) => ({
+            store: change.store,
+            id: change.id,
+            value: results[index]
+        }));
+
+        const cacheChanged = applyRecordsToCache(records);
+        broadcastToTabs({ type: 'records', records });
+
+        if (cacheChanged) {
+            notifyStorageChange();
+        }
+
+        notifyPersistListeners(records, origin);
+    }, failureMessage);
+}
+
+/**
+ * Applies stored record values to the in-memory caches
+ *
+ * @param {Array<Object>} records - [{ store, id, value }] (value null = deleted)
+ * @returns {boolean} True if any cached value actually changed
+ */
+function applyRecordsToCache(records) {
+    let changed = false;
+
+    records.forEach(({ store, id, value }) => {
+        if (store === META_STORE) {
+            if (id === 'settings') {
+                changed = changed || JSON.stringify(settingsCache) !== JSON.stringify(value || {});
+                settingsCache = value || {};
+            }
+            return;
+        }
+
+        const cache = recordCaches[store];
+        if (!cache) return;
+
+        const before = cache.get(id);
+        if (value === null) {
+            changed = changed || before !== undefined;
+            cache.delete(id);
+        } else {
+            changed = changed || JSON.stringify(before) !== JSON.stringify(value);
+            cache.set(id, value);
+        }
+    });
+
+    return changed;
+}
+
+// ========================================
+// MULTI-TAB SYNC
+// ========================================
+
+/**
+ * Starts listening for changes persisted by other tabs
+ *
+ * TRANSPORT: BroadcastChannel where supported, otherwise the window
+ * 'storage' event on a short-lived localStorage key
+ */
+function openTabSync() {
+    if (typeof BroadcastChannel === 'function') {
+        tabSyncChannel = new BroadcastChannel(getTabSyncChannelName(activeStorageKey));
+        tabSyncChannel.onmessage = (event) => handleTabMessage(event.data);
+        return;
+    }
+
+    if (tabSyncListening) return;
+    tabSyncListening = true;
+    window.addEventListener('storage', (event) => {
+        if (event.key !== getTabSyncChannelName(activeStorageKey) || !event.newValue) return;
+        try {
+            handleTabMessage(JSON.parse(event.newValue).message);
+        } catch (error) {
+            debugLog('Ignoring malformed tab sync message:', error);
+        }
+    });
+}
+
+/**
+ * Stops receiving messages for the open workspace
+ */
+function closeTabSync() {
+    if (tabSyncChannel) {
+        tabSyncChannel.close();
+        tabSyncChannel = null;
+    }
+}
+
+/**
+ * Channel name for cross-tab messages about one workspace
+ * (also the localStorage key for the fallback)
+ *
+ * @param {string} storageKey - Workspace storage key
+ * @returns {string} Channel name
+ */
+function getTabSyncChannelName(storageKey) {
+    return `${storageKey}:sync`;
+}
+
+/**
+ * Sends a message to every other open tab
+ *
+ * MESSAGES:
+ * - { type: 'records', records: [{ store, id, value }] } - records just persisted
+ * - { type: 'reload' } - everything was rewritten, reload from the backend
+ *
+ * @param {Object} message - Message to send
+ * @param {string} [storageKey] - Workspace the message is about (default: the open one)
+ */
+function broadcastToTabs(message, storageKey = activeStorageKey) {
+    try {
+        if (typeof BroadcastChannel === 'function') {
+            if (storageKey === activeStorageKey && tabSyncChannel) {
+                tabSyncChannel.postMessage(message);
+            } else {
+                const channel = new BroadcastChannel(getTabSyncChannelName(storageKey));
+                channel.postMessage(message);
+                channel.close();
+            }
+        } else if (storageBackend) {
+            // Setting then removing fires the storage event without leaving data behind;
+            // records of encrypted data must not pass through localStorage at all
+            const channelName = getTabSyncChannelName(storageKey);
+            const safeMessage = storageKeyring && message.type === 'records' ? { type: 'reload' } : message;
+            localStorage.setItem(channelName, JSON.stringify({ message: safeMessage, nonce: generateUUID() }));
+            localStorage.removeItem(channelName);
+        }
+    } catch (error) {
+        debugLog('Failed to notify other tabs:', error);
+    }
+}
+
+/**
+ * Applies a message from another tab and re-renders
+ *
+ * NOTE: The other tab already persisted the data, so nothing is written here
+ *
+ * @param {Object} message - Message sent by broadcastToTabs()
+ */
+async function handleTabMessage(message) {
+    if (!message) return;
+    // While locked only a reload can change anything (e.g. encryption turned off elsewhere)
+    if (lockedEncryption ? message.type !== 'reload' : readOnlyReason) return;
+
+    if (message.type === 'records' && Array.isArray(message.records)) {
+        if (applyRecordsToCache(message.records)) {
+            notifyStorageChange();
+        }
+    } else if (message.type === 'reload') {
+        await reloadFromBackend();
+        notifyStorageChange();
+    }
+}
+
+/**
+ * @returns {boolean} True if stored data must not be modified (e.g. newer schema)
+ */
+function isStorageReadOnly() {
+    return readOnlyReason !== null;
+}
+
+/**
+ * Checks that writes are allowed, telling the user why if not
+ *
+ * @returns {boolean} True if the data may be modified
+ */
+function ensureWritable() {
+    if (readOnlyReason) {
+        showToast(readOnlyReason, 'error', 5000);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Registers a callback for data changes the caller did not initiate
+ *
+ * USE CASE: app.js re-renders when a failed write is rolled back
+ *
+ * @param {Function} listener - Called with no arguments after data changes
+ */
+function onStorageChange(listener) {
+    storageChangeListeners.push(listener);
+}
+
+/**
+ * Notifies all registered change listeners
+ */
+function notifyStorageChange() {
+    storageChangeListeners.forEach(listener => {
+        try {
+            listener();
+        } catch (error) {
+            debugLog('Storage change listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Registers a callback for records this tab has persisted
+ *
+ * USE CASE: remoteSync.js queues local asset changes for the sync server
+ * and ignores the ones it applied itself (origin 'remote')
+ *
+ * @param {Function} listener - Called with (records, origin) after each successful write
+ */
+function onChangesPersisted(listener) {
+    persistListeners.push(listener);
+}
+
+/**
+ * Notifies all registered persist listeners
+ *
+ * @param {Array<Object>} records - [{ store, id, value }] as stored (value null = deleted)
+ * @param {string} origin - 'local' or 'remote'
+ */
+function notifyPersistListeners(records, origin) {
+    persistListeners.forEach(listener => {
+        try {
+            listener(records, origin);
+        } catch (error) {
+            debugLog('Persist listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Returns a deep copy of a record so callers cannot mutate the cache
+ *
+ * @param {Object} record - Cached record
+ * @returns {Object} Independent copy
+ */
+function cloneRecord(record) {
+    if (typeof structuredClone === 'function') {
+        return structuredClone(record);
+    }
+    return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Reads one cached record from any record store
+ *
+ * @param {string} store - Record store name (ASSETS_STORE, TRASH_STORE, ...)
+ * @param {string} id - Record ID
+ * @returns {Object|null} Copy of the record, or null if it does not exist
+ */
+function getCachedRecord(store, id) {
+    const cache = recordCaches[store];
+    const record = cache ? cache.get(id) : undefined;
+    return record === undefined ? null : cloneRecord(record);
+}
+
+/**
+ * Replaces whole records in any record store
+ *
+ * USE CASE: Undo/redo writing back the exact records from a history step,
+ * remote sync applying records downloaded from the server
+ * NOTE: Values are written as-is (no per-field merge) and are not recorded
+ * in the history themselves. Asset changes are audited under `source`
+ * (remote changes without an author, since they were made elsewhere).
+ * ATTACHMENTS: An asset removed without going to the trash (e.g. undoing
+ * "Add") has its attachments deleted with it, since nothing else could
+ * ever remove them (see getOrphanedAttachmentChanges)
+ *
+ * @param {Array<Object>} records - [{ store, id, value }] (value null = delete)
+ * @param {string} failureMessage - Toast shown if the write fails
+ * @param {string} [origin] - 'local' (default) or 'remote' (see persistChanges)
+ * @param {string} [source] - Audit source (e.g. 'Undo', 'Sync')
+ * @returns {boolean} True if accepted, false otherwise
+ */
+function writeRecords(records, failureMessage, origin = 'local', source = 'Other') {
+    if (!ensureWritable()) return false;
+
+    const changes = records.map(({ store, id, value }) => ({
+        store,
+        id,
+        value: value === null ? null : cloneRecord(value)
+    }));
+
+    // An asset coming back while its trash entry goes away is a restore
+    const auditChanges = changes
+        .filter(change => change.store === ASSETS_STORE)
+        .flatMap(change => recordAuditEntries(change.id, assetCache.get(change.id), change.value, source, {
+            author: origin === 'remote' ? null : getAuthorName(),
+            action: changes.some(other => other.store === TRASH_STORE && other.id === change.id && other.value === null)
+                ? 'restored'
+                : undefined
+        }));
+
+    const attachmentChanges = getOrphanedAttachmentChanges(changes);
+
+    applyRecordsToCache([...changes, ...attachmentChanges]);
+    persistChanges([...changes, ...attachmentChanges, ...auditChanges], failureMessage, origin);
+
+    return true;
+}
+
+/**
+ * Lists the attachments left without an asset by a set of changes
+ *
+ * RULE: An asset removed from the asset list and not (or no longer) in the
+ * trash is gone for good; one moved to the trash keeps its attachments
+ * until it is purged, so it can be restored with them
+ *
+ * @param {Array<Object>} changes - [{ store, id, value }] about to be written
+ * @returns {Array<Object>} [{ store: ATTACHMENTS_STORE, id, value: null }]
+ */
+function getOrphanedAttachmentChanges(changes) {
+    const isTrashedAfter = id => {
+        const trashChange = changes.find(change => change.store === TRASH_STORE && change.id === id);
+        return trashChange ? trashChange.value !== null : trashCache.has(id);
+    };
+    const removedIds = new Set(changes
+        .filter(change => change.store === ASSETS_STORE && change.value === null && !isTrashedAfter(change.id))
+        .map(change => change.id));
+    if (removedIds.size === 0) return [];
+
+    return Array.from(attachmentCache.values())
+        .filter(attachment => removedIds.has(attachment.assetId))
+        .map(attachment => ({ store: ATTACHMENTS_STORE, id: attachment.id, value: null }));
+}
+
+/**
+ * Retrieves all assets
+ *
+ * PERFORMANCE: Served from the in-memory cache - no parsing on each call
+ *
+ * @returns {Array<Object>} Array of valid asset objects, empty array if none exist
+ */
+function getAllAssets() {
+    return Array.from(assetCache.values(), cloneRecord);
+}
+
+/**
+ * Saves a new asset to storage
+ *
+ * PATTERN: Add to cache → persist only this record
+ *
+ * @param {Object} asset - Asset object with all required fields
+ * @param {string} [source] - What made the change, for undo label and audit (default: 'Add')
+ * @returns {boolean} True if accepted, false otherwise
+ *
+ * VALIDATION:
+ * - Expects asset to have: id, name, vendor, fixRelease, startDate, lastReset, createdAt
+ * - Validation should happen in app.js before calling this function
+ */
+function saveAsset(asset, source = 'Add') {
+    if (!ensureWritable()) return false;
+
+    try {
+        const record = cloneRecord(asset);
+        const previous = assetCache.get(record.id) || null;
+        const auditChanges = recordAuditEntries(record.id, previous, record, source);
+        assetCache.set(record.id, record);
+
+        recordHistoryEntry(`${source} "${record.name}"`, [
+            { store: ASSETS_STORE, id: record.id, before: previous, after: record }
+        ]);
+
+        persistChanges(
+            [{ store: ASSETS_STORE, id: record.id, value: record }, ...auditChanges],
+            'Failed to save asset. Please try again.'
+        );
+
+        return true; // Success
+
+    } catch (error) {
+        debugLog('Failed to save asset:', error);
+        showToast('Failed to save asset. Please try again.', 'error');
+        return false; // Failure
+    }
+}
+
+/**
+ * Updates an existing asset by ID
+ *
+ * PATTERN: Find by ID → merge updates → persist only this record
+ *
+ * @param {string} id - Unique asset ID
+ * @param {Object} updates - Object with fields to update
+ * @param {string} [source] - What made the change, for undo label and audit (default: 'Edit')
+ * @returns {Object|null} Updated asset object, or null if not found
+ *
+ * EXAMPLE:
+ * updateAsset('1234', { lastReset: new Date().toISOString() })
+ */
+function updateAsset(id, updates, source = 'Edit') {
+    if (!ensureWritable()) return null;
+
+    try {
+        const existing = assetCache.get(id);
+
+        // Asset not found
+        if (!existing) {
+            debugLog(`Asset with ID ${id} not found`);
+            showToast('Asset not found', 'error');
+            return null;
+        }
+
+        // Merge updates into existing asset (spread operator)
+        const updated = {
+            ...existing,
+            ...cloneRecord(updates)
+        };
+        const auditChanges = recordAuditEntries(id, existing, updated, source);
+        assetCache.set(id, updated);
+
+        recordHistoryEntry(`${source} "${existing.name}"`, [
+            { store: ASSETS_STORE, id, before: existing, after: updated }
+        ]);
+
+        persistChanges(
+            [createAssetPatch(existing, updates), ...auditChanges],
+            'Failed to update asset. Please try again.'
+        );
+
+        return cloneRecord(updated); // Return updated asset
+
+    } catch (error) {
+        debugLog('Failed to update asset:', error);
+        showToast('Failed to update asset. Please try again.', 'error');
+        return null;
+    }
+}
+
+/**
+ * Appends a review event to an asset, starting its next review cycle
+ *
+ * INVARIANT: lastReset is kept equal to the latest event's reviewedAt, so
+ * sorting, CSV export and older builds still see the last review date
+ *
+ * @param {string} id - Unique asset ID
+ * @param {Object} review - { id, cycleStart, reviewedAt, businessDays, calendarDays, outcome, comment }
+ * @returns {Object|null} Updated asset object, or null if not found
+ */
+function addAssetReview(id, review) {
+    return writeAssetEvent(id, 'Review', 'Failed to save review. Please try again.', existing =>
+        createReviewEvent(existing, review)
+    );
+}
+
+/**
+ * Appends a review event to each of several assets as one change
+ *
+ * UNDO: All reviews are one undo step
+ *
+ * @param {Array<Object>} reviews - [{ id: asset ID, review }] (see addAssetReview)
+ * @returns {Array<Object>} Updated asset objects (assets no longer found are skipped)
+ */
+function addAssetReviews(reviews) {
+    const reviewsById = new Map(reviews.map(({ id, review }) => [id, review]));
+
+    return writeAssetEvents(
+        [...reviewsById.keys()],
+        'Bulk review',
+        `Review ${reviewsById.size} asset${reviewsById.size !== 1 ? 's' : ''}`,
+        'Failed to save reviews. Please try again.',
+        existing => createReviewEvent(existing, reviewsById.get(existing.id))
+    );
+}
+
+/**
+ * Builds the changes a review makes to an asset (for writeAssetEvent)
+ *
+ * @param {Object} existing - Asset being reviewed
+ * @param {Object} review - Review event
+ * @returns {Object} { updates, audit }
+ */
+function createReviewEvent(existing, review) {
+    const updates = {
+        lastReset: review.reviewedAt,
+        reviews: [...(existing.reviews || []), cloneRecord(review)]
+    };
+
+    // The review answers the latest delivery, if it was still waiting for one
+    const deliveries = existing.deliveries || [];
+    const latestDelivery = deliveries[deliveries.length - 1];
+    if (latestDelivery && !latestDelivery.reviewedAt) {
+        updates.deliveries = [
+            ...deliveries.slice(0, -1),
+            { ...latestDelivery, reviewedAt: review.reviewedAt, result: review.outcome, reviewId: review.id }
+        ];
+    }
+
+    return {
+        updates,
+        audit: { action: 'reviewed', newValue: cloneRecord(review) }
+    };
+}
+
+/**
+ * Logs a new delivery (version) from the vendor, starting a new review cycle
+ *
+ * RULES: Version labels are unique per asset, and a delivery can't be
+ * received before the previous one
+ * RECORDS: { id, version, receivedAt, reviewedAt: null, result: null, reviewId: null }
+ * is appended to asset.deliveries; the next review fills in the last three
+ *
+ * @param {string} id - Unique asset ID
+ * @param {string} version - Version label (e.g. 'v3')
+ * @param {string} receivedAt - ISO 8601 date string the delivery arrived
+ * @returns {Object|null} Updated asset object, or null if not found or refused
+ */
+function logAssetDelivery(id, version, receivedAt) {
+    return writeAssetEvent(id, 'Delivery', 'Failed to log delivery. Please try again.', existing => {
+        const deliveries = existing.deliveries || [];
+        if (deliveries.some(delivery => delivery.version.toLowerCase() === version.toLowerCase())) {
+            showToast(`Version "${version}" of "${existing.name}" was already logged`, 'error');
+            return null;
+        }
+
+        const latest = deliveries[deliveries.length - 1];
+        if (latest && Date.parse(receivedAt) < Date.parse(latest.receivedAt)) {
+            showToast(`A delivery can't be received before the previous one (${latest.version})`, 'error');
+            return null;
+        }
+
+        const delivery = { id: generateUUID(), version, receivedAt, reviewedAt: null, result: null, reviewId: null };
+        return {
+            updates: { deliveries: [...deliveries, delivery] },
+            audit: { action: 'delivered', newValue: { version, receivedAt } }
+        };
+    });
+}
+
+/**
+ * Moves an asset to another status, recording the transition
+ *
+ * RULES: The transition must be allowed by the workspace's workflow settings
+ * RECORDS: { id, from, to, changedAt } is appended to asset.statusHistory
+ *
+ * @param {string} id - Unique asset ID
+ * @param {string} status - Target status (key of ASSET_STATUSES)
+ * @returns {Object|null} Updated asset object, or null if not found or not allowed
+ */
+function changeAssetStatus(id, status) {
+    return writeAssetEvent(id, 'Status', 'Failed to change status. Please try again.', existing => {
+        const from = getAssetStatus(existing);
+        if (!canTransition(from, status, getSettings().statusTransitions)) {
+            showToast(`"${existing.name}" can't move from ${ASSET_STATUSES[from]} to ${ASSET_STATUSES[status] || status}`, 'error');
+            return null;
+        }
+
+        const change = { id: generateUUID(), from, to: status, changedAt: new Date().toISOString() };
+        return {
+            updates: { status, statusHistory: [...(existing.statusHistory || []), change] },
+            audit: { action: 'status-changed', oldValue: from, newValue: status }
+        };
+    });
+}
+
+/**
+ * Pauses an asset's business-day counter
+ *
+ * RECORDS: An open interval { id, start, end: null, reason } is appended to
+ * asset.pauses; resumeAsset() closes it. Closed intervals are kept, so the
+ * paused days stay left out of every later count
+ *
+ * @param {string} id - Unique asset ID
+ * @param {string} reason - Why the asset is blocked (may be empty)
+ * @returns {Object|null} Updated asset object, or null if not found or already paused
+ */
+function pauseAsset(id, reason) {
+    return writeAssetEvent(id, 'Pause', 'Failed to pause asset. Please try again.', existing => {
+        if (getActivePause(existing)) {
+            showToast(`"${existing.name}" is already paused`, 'warning');
+            return null;
+        }
+
+        const pause = { id: generateUUID(), start: new Date().toISOString(), end: null, reason };
+        return {
+            updates: { pauses: [...(existing.pauses || []), pause] },
+            audit: { action: 'paused', newValue: reason || null }
+        };
+    });
+}
+
+/**
+ * Resumes a paused asset's business-day counter (closes its open pause)
+ *
+ * @param {string} id - Unique asset ID
+ * @returns {Object|null} Updated asset object, or null if not found or not paused
+ */
+function resumeAsset(id) {
+    return writeAssetEvent(id, 'Resume', 'Failed to resume asset. Please try again.', existing => {
+        const activePause = getActivePause(existing);
+        if (!activePause) {
+            showToast(`"${existing.name}" is not paused`, 'warning');
+            return null;
+        }
+
+        const pauses = existing.pauses.slice(0, -1);
+        pauses.push({ ...activePause, end: new Date().toISOString() });
+        return {
+            updates: { pauses },
+            audit: { action: 'resumed', oldValue: activePause.start }
+        };
+    });
+}
+
+/**
+ * Archives a finished asset: it leaves the active grid and stops alerting,
+ * but keeps all of its data
+ *
+ * @param {string} id - Unique asset ID
+ * @returns {Object|null} Updated asset object, or null if not found or already archived
+ */
+function archiveAsset(id) {
+    return writeAssetEvent(id, 'Archive', 'Failed to archive asset. Please try again.', existing => {
+        if (isAssetArchived(existing)) {
+            showToast(`"${existing.name}" is already archived`, 'warning');
+            return null;
+        }
+
+        const archivedAt = new Date().toISOString();
+        return {
+            updates: { archivedAt },
+            audit: { action: 'archived', newValue: archivedAt }
+        };
+    });
+}
+
+/**
+ * Brings an archived asset back to the active grid
+ *
+ * @param {string} id - Unique asset ID
+ * @returns {Object|null} Updated asset object, or null if not found or not archived
+ */
+function unarchiveAsset(id) {
+    return writeAssetEvent(id, 'Unarchive', 'Failed to unarchive asset. Please try again.', existing => {
+        if (!isAssetArchived(existing)) {
+            showToast(`"${existing.name}" is not archived`, 'warning');
+            return null;
+        }
+
+        return {
+            updates: { archivedAt: null },
+            audit: { action: 'unarchived', oldValue: existing.archivedAt }
+        };
+    });
+}
+
+/**
+ * Adds a comment to the end of an asset's comment thread
+ *
+ * RECORDS: { id, text, author, createdAt, editedAt: null } is appended to
+ * asset.comments; the author is this device's author name (null if not set)
+ *
+ * @param {string} id - Unique asset ID
+ * @param {string} text - Validated comment text
+ * @returns {Object|null} Updated asset object, or null if not found
+ */
+function addAssetComment(id, text) {
+    return writeAssetEvent(id, 'Comment', 'Failed to save comment. Please try again.', existing =>
+        createCommentEvent(existing, text)
+    );
+}
+
+/**
+ * Adds the same comment to each of several assets as one change
+ *
+ * UNDO: All comments are one undo step
+ *
+ * @param {Array<string>} ids - Asset IDs
+ * @param {string} text - Validated comment text
+ * @returns {Array<Object>} Updated asset objects (assets no longer found are skipped)
+ */
+function addAssetComments(ids, text) {
+    return writeAssetEvents(
+        ids,
+        'Bulk comment',
+        `Comment on ${ids.length} asset${ids.length !== 1 ? 's' : ''}`,
+        'Failed to save comments. Please try again.',
+        existing => createCommentEvent(existing, text)
+    );
+}
+
+/**
+ * Builds the changes a new comment makes to an asset (for writeAssetEvent)
+ *
+ * @param {Object} existing - Asset being commented on
+ * @param {string} text - Validated comment text
+ * @returns {Object} { updates, audit }
+ */
+function createCommentEvent(existing, text) {
+    return {
+        updates: { comments: [...(existing.comments || []), createComment(text)] },
+        audit: { action: 'commented', newValue: text }
+    };
+}
+
+/**
+ * Creates a comment written now, by this device's author
+ *
+ * @param {string} text - Validated comment text
+ * @returns {Object} { id, text, author (null if no author name is set), createdAt, editedAt: null }
+ */
+function createComment(text) {
+    return {
+        id: generateUUID(),
+        text,
+        author: getAuthorName(),
+        createdAt: new Date().toISOString(),
+        editedAt: null
+    };
+}
+
+/**
+ * Changes the text of a comment
+ *
+ * RULES: Only the comment's author can edit it (see isOwnComment); the
+ * comment keeps its place and date, and gets an editedAt date
+ *
+ * @param {string} id - Unique asset ID
+ * @param {string} commentId - Comment ID
+ * @param {string} text - Validated new text
+ * @returns {Object|null} Updated asset object, or null if not found, refused or unchanged
+ */
+function editAssetComment(id, commentId, text) {
+    return writeAssetEvent(id, 'Comment', 'Failed to save comment. Please try again.', existing => {
+        const comments = existing.comments || [];
+        const comment = comments.find(item => item.id === commentId);
+        if (!comment) {
+            showToast('Comment not found', 'error');
+            return null;
+        }
+
+        if (!isOwnComment(comment)) {
+            showToast('You can only edit your own comments', 'error');
+            return null;
+        }
+
+        if (comment.text === text) return null;
+
+        const editedAt = new Date().toISOString();
+        return {
+            updates: {
+                comments: comments.map(item => (item.id === commentId ? { ...item, text, editedAt } : item))
+            },
+            audit: { action: 'comment-edited', oldValue: comment.text, newValue: text }
+        };
+    });
+}
+
+/**
+ * Checks whether a comment was written under this device's author name
+ *
+ * NOTE: Comments without an author (written before a name was set, or moved
+ * over from notes) belong to whoever has no name set either
+ *
+ * @param {Object} comment - Comment from asset.comments
+ * @returns {boolean} True if this device may edit the comment
+ */
+function isOwnComment(comment) {
+    return (comment.author || '').toLowerCase() === (getAuthorName() || '').toLowerCase();
+}
+
+/**
+ * Applies one recorded event (review, status change, pause...) to an asset
+ *
+ * PATTERN: Like updateAsset(), but the audit trail gets a single entry naming
+ * the event, instead of old and new copies of whole event lists
+ *
+ * @param {string} id - Unique asset ID
+ * @param {string} source - What made the change (audit source and undo label)
+ * @param {string} failureMessage - Toast shown if the write fails
+ * @param {Function} buildEvent - (existing asset) => { updates, audit: { action, oldValue?, newValue? } },
+ *   or null to refuse (after telling the user why)
+ * @returns {Object|null} Updated asset object, or null if not found, refused or failed
+ */
+function writeAssetEvent(id, source, failureMessage, buildEvent) {
+    if (!ensureWritable()) return null;
+
+    try {
+        const existing = assetCache.get(id);
+
+        if (!existing) {
+            debugLog(`Asset with ID ${id} not found`);
+            showToast('Asset not found', 'error');
+            return null;
+        }
+
+        const event = buildEvent(cloneRecord(existing));
+        if (!event) return null;
+
+        return commitAssetEvents([{ existing, event }], source, `${source} "${existing.name}"`, failureMessage)[0];
+
+    } catch (error) {
+        debugLog(failureMessage, error);
+        showToast(failureMessage, 'error');
+        return null;
+    }
+}
+
+/**
+ * Applies the same kind of event to several assets as one change
+ *
+ * PATTERN: Like writeAssetEvent(), but with one undo step and one backend
+ * write for all of them. Assets that no longer exist, or whose event is
+ * refused, are skipped.
+ *
+ * @param {Array<string>} ids - Asset IDs
+ * @param {string} source - What made the change (audit source)
+ * @param {string} historyLabel - Undo label (e.g. 'Review 30 assets')
+ * @param {string} failureMessage - Toast shown if the write fails
+ * @param {Function} buildEvent - See writeAssetEvent()
+ * @returns {Array<Object>} Updated asset objects (empty if nothing changed)
+ */
+function writeAssetEvents(ids, source, historyLabel, failureMessage, buildEvent) {
+    if (!ensureWritable()) return [];
+
+    try {
+        const events = [];
+        ids.forEach(id => {
+            const existing = assetCache.get(id);
+            if (!existing) {
+                debugLog(`Asset with ID ${id} not found`);
+                return;
+            }
+
+            const event = buildEvent(cloneRecord(existing));
+            if (event) {
+                events.push({ existing, event });
+            }
+        });
+
+        return events.length > 0 ? commitAssetEvents(events, source, historyLabel, failureMessage) : [];
+
+    } catch (error) {
+        debugLog(failureMessage, error);
+        showToast(failureMessage, 'error');
+        return [];
+    }
+}
+
+/**
+ * Writes built events to the cache, the undo history (as one step) and the backend
+ *
+ * @param {Array<Object>} events - [{ existing, event: { updates, audit } }]
+ * @param {string} source - Audit source
+ * @param {string} historyLabel - Undo label
+ * @param {string} failureMessage - Toast shown if the write fails
+ * @returns {Array<Object>} Updated asset objects
+ */
+function commitAssetEvents(events, source, historyLabel, failureMessage) {
+    const records = events.map(({ existing, event }) => ({
+        existing,
+        event,
+        updated: { ...existing, ...cloneRecord(event.updates) }
+    }));
+
+    const auditChanges = records.flatMap(({ existing, event, updated }) =>
+        recordAuditEntries(existing.id, existing, updated, source, event.audit)
+    );
+    records.forEach(({ updated }) => assetCache.set(updated.id, updated));
+
+    recordHistoryEntry(historyLabel, records.map(({ existing, updated }) => (
+        { store: ASSETS_STORE, id: existing.id, before: existing, after: updated }
+    )));
+
+    persistChanges(
+        [
+            ...records.map(({ existing, event }) => createAssetPatch(existing, event.updates)),
+            ...auditChanges
+        ],
+        failureMessage
+    );
+
+    return records.map(({ updated }) => cloneRecord(updated));
+}
+
+/**
+ * Builds the backend change that patches an asset
+ *
+ * MERGING: For each updated list of entries with IDs (comments, reviews,
+ * deliveries...), the change carries the entries this tab started from, so
+ * the backend keeps entries another tab added or edited meanwhile
+ * (see mergeRecordPatch)
+ *
+ * @param {Object} existing - Asset as this tab last saw it
+ * @param {Object} updates - Fields to update
+ * @returns {Object} { store, id, patch, base }
+ */
+function createAssetPatch(existing, updates) {
+    const base = {};
+    Object.keys(updates).forEach(field => {
+        // Assets from before a list was added have no field yet: they saw no entries
+        const seen = existing[field] === undefined ? [] : existing[field];
+        if (isEntryList(updates[field]) && isEntryList(seen)) {
+            base[field] = cloneRecord(seen);
+        }
+    });
+
+    return { store: ASSETS_STORE, id: existing.id, patch: cloneRecord(updates), base };
+}
+
+/**
+ * @param {any} value - Field value
+ * @returns {boolean} True if value is a list of entries that each have a string ID
+ */
+function isEntryList(value) {
+    return Array.isArray(value) && value.every(entry => entry && typeof entry.id === 'string');
+}
+
+/**
+ * Deletes an asset by ID (soft delete)
+ *
+ * PATTERN: Move the full record into the trash in one atomic write
+ * RESTORE: restoreAsset() brings it back with all history and counters intact
+ *
+ * @param {string} id - Unique asset ID
+ * @returns {boolean} True if deleted successfully, false otherwise
+ */
+function deleteAsset(id) {
+    return deleteAssets([id]) === 1;
+}
+
+/**
+ * Deletes several assets at once (soft delete)
+ *
+ * PATTERN: Move every record into the trash in one atomic write
+ * UNDO: All deletions are one undo step
+ *
+ * @param {Array<string>} ids - Unique asset IDs (IDs no longer found are skipped)
+ * @returns {number} Number of assets moved to the trash
+ */
+function deleteAssets(ids) {
+    if (!ensureWritable()) return 0;
+
+    try {
+        const assets = ids.map(id => assetCache.get(id)).filter(Boolean);
+
+        // Check if anything is actually deleted
+        if (assets.length === 0) {
+            debugLog('Assets not found:', ids);
+            showToast('Asset not found', 'error');
+            return 0;
+        }
+
+        const entries = assets.map(createTrashEntry);
+        const auditChanges = assets.flatMap(asset => recordAuditEntries(asset.id, asset, null, 'Delete'));
+        assets.forEach((asset, index) => {
+            assetCache.delete(asset.id);
+            trashCache.set(asset.id, entries[index]);
+        });
+
+        recordHistoryEntry(
+            assets.length === 1 ? `Delete "${assets[0].name}"` : `Delete ${assets.length} assets`,
+            assets.flatMap((asset, index) => [
+                { store: ASSETS_STORE, id: asset.id, before: asset, after: null },
+                { store: TRASH_STORE, id: asset.id, before: null, after: entries[index] }
+            ])
+        );
+
+        persistChanges(
+            [
+                ...assets.flatMap((asset, index) => [
+                    { store: ASSETS_STORE, id: asset.id, value: null },
+                    { store: TRASH_STORE, id: asset.id, value: entries[index] }
+                ]),
+                ...auditChanges
+            ],
+            assets.length === 1 ? 'Failed to delete asset. Please try again.' : 'Failed to delete assets. Please try again.'
+        );
+
+        return assets.length;
+
+    } catch (error) {
+        debugLog('Failed to delete assets:', error);
+        showToast('Failed to delete asset. Please try again.', 'error');
+        return 0;
+    }
+}
+
+/**
+ * Clears all data from storage
+ *
+ * USE CASE: Testing, or user wants to start fresh
+ * WARNING: This is destructive and cannot be undone
+ *
+ * @returns {boolean} True if cleared successfully
+ */
+function clearAllData() {
+    if (!ensureWritable()) return false;
+
+    try {
+        Object.values(recordCaches).forEach(cache => cache.clear());
+        settingsCache = {};
+        clearHistory();
+        enqueueWrite(async () => {
+            await storageBackend.writePayload({
+                schemaVersion: CURRENT_SCHEMA_VERSION,
+                settings: {},
+                ...snapshotRecordStores()
+            });
+            broadcastToTabs({ type: 'reload' });
+        }, 'Failed to clear data');
+        showToast('All data cleared', 'success');
+        return true;
+    } catch (error) {
+        debugLog('Failed to clear data:', error);
+        showToast('Failed to clear data', 'error');
+        return false;
+    }
+}
+
+/**
+ * Gets total count of assets
+ *
+ * PERFORMANCE: Reads the cache size - no copying or parsing
+ *
+ * @returns {number} Number of assets in storage
+ */
+function getAssetCount() {
+    return assetCache.size;
+}
+
+// ========================================
+// QUARANTINE
+// ========================================
+
+/**
+ * Wraps a rejected record with the reasons it failed validation
+ *
+ * @param {any} record - The record as it was stored
+ * @param {Array<string>} reasons - Validation problems
+ * @returns {Object} Quarantine entry { id, record, reasons, quarantinedAt }
+ */
+function createQuarantineEntry(record, reasons) {
+    return {
+        id: generateUUID(),
+        record,
+        reasons,
+        quarantinedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Gets all quarantined records (oldest first)
+ *
+ * @returns {Array<Object>} Quarantine entries { id, record, reasons, quarantinedAt }
+ */
+function getQuarantinedRecords() {
+    return Array.from(quarantineCache.values(), cloneRecord)
+        .sort((a, b) => a.quarantinedAt.localeCompare(b.quarantinedAt));
+}
+
+/**
+ * Gets number of quarantined records
+ *
+ * @returns {number} Quarantine size
+ */
+function getQuarantineCount() {
+    return quarantineCache.size;
+}
+
+/**
+ * Saves repaired fields on a quarantined record without re-admitting it
+ *
+ * The reasons are recomputed so the UI shows what is still wrong.
+ *
+ * @param {string} entryId - Quarantine entry ID
+ * @param {Object} record - Repaired record
+ * @returns {Object|null} Updated entry, or null if not found
+ */
+function updateQuarantinedRecord(entryId, record) {
+    if (!ensureWritable()) return null;
+
+    const existing = quarantineCache.get(entryId);
+    if (!existing) {
+        showToast('Quarantined record not found', 'error');
+        return null;
+    }
+
+    const updated = {
+        ...existing,
+        record: cloneRecord(record),
+        reasons: getQuarantineReasons(record)
+    };
+    quarantineCache.set(entryId, updated);
+
+    persistChanges(
+        [{ store: QUARANTINE_STORE, id: entryId, value: updated }],
+        'Failed to save repaired record. Please try again.'
+    );
+
+    return cloneRecord(updated);
+}
+
+/**
+ * Validates a quarantined record the same way as on load
+ *
+ * @param {any} record - Candidate asset record
+ * @returns {Array<string>} Problems, empty if it can be re-admitted
+ */
+function getQuarantineReasons(record) {
+    const reasons = getAssetValidationErrors(record);
+    if (reasons.length === 0 && assetCache.has(record.id)) {
+        reasons.push(`Duplicate asset ID "${record.id}"`);
+    }
+    return reasons;
+}
+
+/**
+ * Moves a repaired record from quarantine back into the asset list
+ *
+ * VALIDATION: Goes through the same checks as records loaded from storage.
+ * If it still fails, the entry stays in quarantine with the updated reasons.
+ *
+ * @param {string} entryId - Quarantine entry ID
+ * @param {Object} record - Repaired record to admit
+ * @returns {Object} { success: boolean, reasons: Array<string> }
+ */
+function readmitQuarantinedRecord(entryId, record) {
+    if (!ensureWritable()) return { success: false, reasons: [] };
+
+    if (!quarantineCache.has(entryId)) {
+        showToast('Quarantined record not found', 'error');
+        return { success: false, reasons: [] };
+    }
+
+    const reasons = getQuarantineReasons(record);
+    if (reasons.length > 0) {
+        updateQuarantinedRecord(entryId, record);
+        return { success: false, reasons };
+    }
+
+    const asset = cloneRecord(record);
+    const auditChanges = recordAuditEntries(asset.id, null, asset, 'Quarantine', { action: 'restored' });
+    quarantineCache.delete(entryId);
+    assetCache.set(asset.id, asset);
+
+    // One write so the record is never in both places (or neither)
+    persistChanges(
+        [
+            { store: QUARANTINE_STORE, id: entryId, value: null },
+            { store: ASSETS_STORE, id: asset.id, value: asset },
+            ...auditChanges
+        ],
+        'Failed to restore record. Please try again.'
+    );
+
+    return { success: true, reasons: [] };
+}
+
+/**
+ * Permanently discards a quarantined record
+ *
+ * @param {string} entryId - Quarantine entry ID
+ * @returns {boolean} True if discarded
+ */
+function discardQuarantinedRecord(entryId) {
+    if (!ensureWritable()) return false;
+
+    if (!quarantineCache.delete(entryId)) {
+        showToast('Quarantined record not found', 'error');
+        return false;
+    }
+
+    persistChanges(
+        [{ store: QUARANTINE_STORE, id: entryId, value: null }],
+        'Failed to discard record. Please try again.'
+    );
+
+    return true;
+}
+
+// ========================================
+// TRASH
+// ========================================
+
+/**
+ * Gets all trashed assets (most recently deleted first)
+ *
+ * @returns {Array<Object>} Trash entries { id, asset, deletedAt }
+ */
+function getTrashedAssets() {
+    return Array.from(trashCache.values(), cloneRecord)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Gets number of trashed assets
+ *
+ * @returns {number} Trash size
+ */
+function getTrashCount() {
+    return trashCache.size;
+}
+
+/**
+ * Wraps a deleted asset in a trash entry
+ *
+ * @param {Object} asset - The asset being deleted
+ * @returns {Object} Trash entry { id, asset, deletedAt }
+ */
+function createTrashEntry(asset) {
+    return {
+        id: asset.id,
+        asset,
+        deletedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Restores a trashed asset to the active list
+ *
+ * PRESERVES: The record exactly as it was deleted (dates, counters, notes)
+ *
+ * @param {string} id - Asset ID
+ * @returns {Object|null} Restored asset, or null if it could not be restored
+ */
+function restoreAsset(id) {
+    if (!ensureWritable()) return null;
+
+    const entry = trashCache.get(id);
+    if (!entry) {
+        showToast('Asset not found in trash', 'error');
+        return null;
+    }
+
+    const reasons = getQuarantineReasons(entry.asset);
+    if (reasons.length > 0) {
+        showToast(`Cannot restore: ${reasons[0]}`, 'error', 5000);
+        return null;
+    }
+
+    const auditChanges = recordAuditEntries(id, null, entry.asset, 'Restore', { action: 'restored' });
+    trashCache.delete(id);
+    assetCache.set(id, entry.asset);
+
+    recordHistoryEntry(`Restore "${entry.asset.name}"`, [
+        { store: TRASH_STORE, id, before: entry, after: null },
+        { store: ASSETS_STORE, id, before: null, after: entry.asset }
+    ]);
+
+    persistChanges(
+        [
+            { store: TRASH_STORE, id, value: null },
+            { store: ASSETS_STORE, id, value: entry.asset },
+            ...auditChanges
+        ],
+        'Failed to restore asset. Please try again.'
+    );
+
+    return cloneRecord(entry.asset);
+}
+
+/**
+ * Permanently removes trashed assets
+ *
+ * WARNING: This is destructive and cannot be undone (the assets' audit
+ * entries and attachments are removed with them)
+ *
+ * @param {Array<string>} ids - Asset IDs to purge from the trash
+ * @returns {number} Number of entries purged
+ */
+function purgeTrashedAssets(ids) {
+    if (!ensureWritable()) return 0;
+
+    const purgeIds = ids.filter(id => trashCache.has(id));
+    if (purgeIds.length === 0) return 0;
+
+    const purgedAudit = Array.from(auditCache.values())
+        .filter(entry => purgeIds.includes(entry.assetId))
+        .map(entry => entry.id);
+
+    const purgedAttachments = Array.from(attachmentCache.values())
+        .filter(attachment => purgeIds.includes(attachment.assetId))
+        .map(attachment => attachment.id);
+
+    purgeIds.forEach(id => trashCache.delete(id));
+    purgedAudit.forEach(id => auditCache.delete(id));
+    purgedAttachments.forEach(id => attachmentCache.delete(id));
+
+    persistChanges(
+        [
+            ...purgeIds.map(id => ({ store: TRASH_STORE, id, value: null })),
+            ...purgedAudit.map(id => ({ store: AUDIT_STORE, id, value: null })),
+            ...purgedAttachments.map(id => ({ store: ATTACHMENTS_STORE, id, value: null }))
+        ],
+        'Failed to empty trash. Please try again.'
+    );
+
+    return purgeIds.length;
+}
+
+/**
+ * Permanently removes everything in the trash
+ *
+ * @returns {number} Number of entries purged
+ */
+function emptyTrash() {
+    return purgeTrashedAssets(Array.from(trashCache.keys()));
+}
+
+/**
+ * Purges trash entries older than the configured retention period
+ *
+ * @param {number} retentionDays - Days to keep deleted assets
+ * @returns {number} Number of entries purged
+ */
+function purgeExpiredTrash(retentionDays) {
+    if (readOnlyReason) return 0;
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expiredIds = Array.from(trashCache.values())
+        .filter(entry => Date.parse(entry.deletedAt) < cutoff)
+        .map(entry => entry.id);
+
+    if (expiredIds.length > 0) {
+        debugLog(`Purging ${expiredIds.length} expired trash entries`);
+    }
+    return purgeTrashedAssets(expiredIds);
+}
+
+// ========================================
+// AUDIT LOG
+// ========================================
+
+/**
+ * Checks that a stored audit entry can be shown
+ *
+ * @param {any} entry - Candidate audit entry
+ * @returns {boolean} True if it has an ID, asset ID and timestamp
+ */
+function isAuditEntry(entry) {
+    return Boolean(entry)
+        && typeof entry.id === 'string'
+        && typeof entry.assetId === 'string'
+        && typeof entry.changedAt === 'string';
+}
+
+/**
+ * Adds audit entries describing one asset change to the cache
+ *
+ * The caller includes the returned changes in the same persistChanges() call
+ * as the asset change, so the log and the data can never disagree.
+ *
+ * @param {string} assetId - Asset ID
+ * @param {Object|null} before - Asset before the change (null if it did not exist)
+ * @param {Object|null} after - Asset after the change (null if it was removed)
+ * @param {string} source - What made the change (e.g. 'Edit', 'Review', 'CSV import')
+ * @param {Object} [options] - See createAuditEntries()
+ * @returns {Array<Object>} Changes for persistChanges() ([{ store: AUDIT_STORE, id, value }])
+ */
+function recordAuditEntries(assetId, before, after, source, options = {}) {
+    const entries = createAuditEntries(assetId, before, after, source, options);
+    entries.forEach(entry => auditCache.set(entry.id, entry));
+    return entries.map(entry => ({ store: AUDIT_STORE, id: entry.id, value: entry }));
+}
+
+/**
+ * Builds the audit entries describing one asset change (nothing is stored)
+ *
+ * ENTRIES:
+ * - Created / deleted / restored / moved / copied / reviewed / status-changed /
+ *   paused / resumed / delivered / archived / unarchived / attachment-added /
+ *   attachment-removed: one entry for the whole asset (moved and copied record
+ *   the workspace names as old and new value, reviewed records the review
+ *   event, status-changed the old and new status, paused the reason, resumed
+ *   when the pause started, delivered the version and received date, archived
+ *   and unarchived the archive date, attachments the file name)
+ * - Updated: one entry per field whose value changed (old and new value)
+ *
+ * @param {string} assetId - Asset ID
+ * @param {Object|null} before - Asset before the change (null if it did not exist)
+ * @param {Object|null} after - Asset after the change (null if it was removed)
+ * @param {string} source - What made the change
+ * @param {Object} [options] - { action, oldValue, newValue (for whole-asset actions), author }
+ * @returns {Array<Object>} New audit entries
+ */
+function createAuditEntries(assetId, before, after, source, options = {}) {
+    if (!before && !after) return [];
+
+    const changedAt = new Date().toISOString();
+    const author = options.author !== undefined ? options.author : getAuthorName();
+    const base = { assetId, changedAt, author, source };
+    let entries;
+
+    if (before && after && !options.action) {
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        fields.delete('id');
+        entries = Array.from(fields)
+            .filter(field => !isSameRecord(before[field], after[field]))
+            .map(field => ({
+                ...base,
+                id: generateUUID(),
+                action: 'updated',
+                field,
+                oldValue: before[field] === undefined ? null : cloneRecord(before[field]),
+                newValue: after[field] === undefined ? null : cloneRecord(after[field])
+            }));
+    } else {
+        entries = [{
+            ...base,
+            id: generateUUID(),
+            action: options.action || (after ? 'created' : 'deleted')
+        }];
+        if (options.oldValue !== undefined || options.newValue !== undefined) {
+            entries[0].oldValue = options.oldValue === undefined ? null : options.oldValue;
+            entries[0].newValue = options.newValue === undefined ? null : options.newValue;
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Gets the audit trail of one asset (most recent first)
+ *
+ * @param {string} assetId - Asset ID
+ * @returns {Array<Object>} Audit entries { id, assetId, action, field, oldValue, newValue, changedAt, author, source }
+ */
+function getAssetAuditLog(assetId) {
+    return Array.from(auditCache.values())
+        .filter(entry => entry.assetId === assetId)
+        .map(cloneRecord)
+        .reverse() // newest first among entries with the same timestamp (sort is stable)
+        .sort((a, b) => b.changedAt.localeCompare(a.changedAt));
+}
+
+/**
+ * Gets the name recorded as author of changes made on this device
+ *
+ * NOTE: Stored per device (like the sync server address), not in the
+ * shared envelope, so each coordinator keeps their own name
+ *
+ * @returns {string|null} Author name, or null if not set
+ */
+function getAuthorName() {
+    try {
+        return localStorage.getItem(AUTHOR_STORAGE_KEY) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Sets (or clears, with an empty value) the author name for this device
+ *
+ * @param {string} name - Validated author name
+ * @returns {boolean} Success status
+ */
+function setAuthorName(name) {
+    try {
+        if (name) {
+            localStorage.setItem(AUTHOR_STORAGE_KEY, name);
+        } else {
+            localStorage.removeItem(AUTHOR_STORAGE_KEY);
+        }
+        return true;
+    } catch (error) {
+        debugLog('Failed to save author name:', error);
+        return false;
+    }
+}
+
+// ========================================
+// ATTACHMENTS
+// ========================================
+
+// Kinds of attachment: one optional thumbnail per asset, plus reference files
+const ATTACHMENT_KINDS = ['thumbnail', 'file'];
+
+/**
+ * Checks that a stored attachment can be shown
+ *
+ * @param {any} attachment - Candidate attachment record
+ * @returns {boolean} True if it has IDs, a known kind, a name and data URL contents
+ */
+function isAttachmentRecord(attachment) {
+    return Boolean(attachment)
+        && typeof attachment.id === 'string'
+        && typeof attachment.assetId === 'string'
+        && ATTACHMENT_KINDS.includes(attachment.kind)
+        && typeof attachment.name === 'string'
+        && typeof attachment.dataUrl === 'string'
+        && attachment.dataUrl.startsWith('data:');
+}
+
+/**
+ * Gets the attachments of one asset
+ *
+ * @param {string} assetId - Asset ID
+ * @returns {Array<Object>} Attachments { id, assetId, kind, name, type, size, dataUrl, addedAt },
+ *   thumbnail first, then reference files in the order they were added
+ */
+function getAssetAttachments(assetId) {
+    return Array.from(attachmentCache.values())
+        .filter(attachment => attachment.assetId === assetId)
+        .sort((a, b) => ATTACHMENT_KINDS.indexOf(a.kind) - ATTACHMENT_KINDS.indexOf(b.kind)
+            || a.addedAt.localeCompare(b.addedAt))
+        .map(cloneRecord);
+}
+
+/**
+ * Gets the thumbnail of one asset
+ *
+ * @param {string} assetId - Asset ID
+ * @returns {Object|null} Thumbnail attachment, or null if the asset has none
+ */
+function getAssetThumbnail(assetId) {
+    return getAssetAttachments(assetId).find(attachment => attachment.kind === 'thumbnail') || null;
+}
+
+/**
+ * Attaches files to an asset
+ *
+ * RULES:
+ * - A new thumbnail replaces the asset's current one
+ * - At most MAX_ATTACHMENTS_PER_ASSET reference files per asset; files over
+ *   the limit are not attached
+ * - Size limits and image downscaling are applied by the caller (app.js)
+ * UNDO: Not recorded - file contents are too large for the session undo
+ * history; removing the attachment reverts it
+ * AUDIT: One 'attachment-added' entry per file (newValue = file name)
+ *
+ * @param {string} assetId - Asset ID
+ * @param {Array<Object>} files - [{ kind, name, type, size, dataUrl }]
+ * @returns {number} Number of files attached (0 if the asset was not found)
+ */
+function addAssetAttachments(assetId, files) {
+    if (!ensureWritable()) return 0;
+
+    const asset = assetCache.get(assetId);
+    if (!asset) {
+        showToast('Asset not found', 'error');
+        return 0;
+    }
+
+    const existing = Array.from(attachmentCache.values()).filter(attachment => attachment.assetId === assetId);
+    const freeSlots = MAX_ATTACHMENTS_PER_ASSET - existing.filter(attachment => attachment.kind === 'file').length;
+    const thumbnails = files.filter(file => file.kind === 'thumbnail').slice(-1);
+    const added = [
+        ...thumbnails,
+        ...files.filter(file => file.kind === 'file').slice(0, Math.max(0, freeSlots))
+    ].map(file => ({
+        id: generateUUID(),
+        assetId,
+        kind: file.kind,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        dataUrl: file.dataUrl,
+        addedAt: new Date().toISOString()
+    }));
+    if (added.length === 0) return 0;
+
+    const replaced = thumbnails.length > 0
+        ? existing.filter(attachment => attachment.kind === 'thumbnail')
+        : [];
+    const auditChanges = added.flatMap(attachment => recordAuditEntries(assetId, asset, asset, 'Attachment', {
+        action: 'attachment-added',
+        newValue: attachment.name
+    }));
+
+    replaced.forEach(attachment => attachmentCache.delete(attachment.id));
+    added.forEach(attachment => attachmentCache.set(attachment.id, attachment));
+
+    persistChanges(
+        [
+            ...replaced.map(attachment => ({ store: ATTACHMENTS_STORE, id: attachment.id, value: null })),
+            ...added.map(attachment => ({ store: ATTACHMENTS_STORE, id: attachment.id, value: attachment })),
+            ...auditChanges
+        ],
+        'Failed to save the attachment. Please try again.'
+    );
+
+    return added.length;
+}
+
 /**
- * Retrieves all assets from localStorage with validation
+ * Removes one attachment
  *
- * PATTERN: Try-catch for graceful error handling
- * VALIDATION: Filters out invalid/corrupted asset data
+ * AUDIT: One 'attachment-removed' entry (oldValue = file name)
  *
- * @returns {Array<Object>} Array of valid asset objects, empty array if none exist
+ * @param {string} attachmentId - Attachment ID
+ * @returns {boolean} True if removed, false otherwise
+ */
+function removeAssetAttachment(attachmentId) {
+    if (!ensureWritable()) return false;
+
+    const attachment = attachmentCache.get(attachmentId);
+    if (!attachment) {
+        showToast('Attachment not found', 'error');
+        return false;
+    }
+
+    const asset = assetCache.get(attachment.assetId);
+    const auditChanges = asset
+        ? recordAuditEntries(asset.id, asset, asset, 'Attachment', {
+            action: 'attachment-removed',
+            oldValue: attachment.name
+        })
+        : [];
+    attachmentCache.delete(attachmentId);
+
+    persistChanges(
+        [{ store: ATTACHMENTS_STORE, id: attachmentId, value: null }, ...auditChanges],
+        'Failed to remove the attachment. Please try again.'
+    );
+
+    return true;
+}
+
+// ========================================
+// BATCH WRITES
+// ========================================
+
+/**
+ * Applies many asset inserts and updates as one all-or-nothing write
  *
- * EDGE CASES:
- * - No data stored yet → returns []
- * - Corrupted JSON → shows error toast, returns []
- * - Invalid asset structure → filters out bad data
- * - localStorage disabled → shows error toast, returns []
+ * PATTERN: Validate everything → update cache → persist in ONE backend write
+ * ATOMICITY:
+ * - If any operation is invalid, nothing is changed and the reasons are returned
+ * - The backend applies all changes in a single transaction; if that fails
+ *   (e.g. storage quota), the cache is reloaded so no partial batch remains
+ * UNDO: The whole batch is one undo step
+ * AUDIT: Each asset change is audited under options.source (default 'Batch')
+ *
+ * @param {Object} batch - { insert: [asset, ...], update: [{ id, updates }, ...] }
+ * @param {Object} [options] - { historyLabel, source, failureMessage }
+ * @returns {Promise<Object>} { success, inserted, updated, errors: [{ operation, index, id, reasons }] }
+ *
+ * EXAMPLE:
+ * await applyAssetBatch({ insert: importedAssets }, { historyLabel: 'Import 120 assets from CSV', source: 'CSV import' })
  */
-function getAllAssets() {
-    try {
-        const jsonString = localStorage.getItem(STORAGE_KEY);
+async function applyAssetBatch(batch, options = {}) {
+    const inserts = batch.insert || [];
+    const updates = batch.update || [];
+    const result = { success: false, inserted: 0, updated: 0, errors: [] };
 
-        // If no data exists yet, return empty array
-        if (jsonString === null) {
-            return [];
-        }
+    if (!ensureWritable()) return result;
 
-        // Parse JSON string to JavaScript array
-        const assets = JSON.parse(jsonString);
+    // 1. Validate every operation before touching anything
+    const batchIds = new Set();
+    const records = [];
 
-        // Validate that it's an array
-        if (!Array.isArray(assets)) {
-            debugLog('Invalid data structure in localStorage - expected array');
-            showToast('Data corruption detected. Starting fresh.', 'error');
-            return [];
+    inserts.forEach((asset, index) => {
+        const reasons = getAssetValidationErrors(asset);
+        if (asset && (assetCache.has(asset.id) || batchIds.has(asset.id))) {
+            reasons.push(`Duplicate ID "${asset.id}"`);
+        }
+        if (reasons.length > 0) {
+            result.errors.push({ operation: 'insert', index, id: asset && asset.id, reasons });
+            return;
         }
+        batchIds.add(asset.id);
+        records.push({ id: asset.id, before: null, after: cloneRecord(asset), change: null });
+    });
 
-        // Filter out invalid assets and log issues
-        const validAssets = assets.filter((asset, index) => {
-            const valid = isValidAsset(asset);
-            if (!valid) {
-                debugLog(`Invalid asset at index ${index}:`, asset);
-            }
-            return valid;
-        });
+    updates.forEach(({ id, updates: changes }, index) => {
+        const existing = assetCache.get(id);
+        if (!existing || batchIds.has(id)) {
+            const reason = existing ? `Asset "${id}" appears more than once in the batch` : `Asset "${id}" not found`;
+            result.errors.push({ operation: 'update', index, id, reasons: [reason] });
+            return;
+        }
 
-        // If we filtered out some assets, save the cleaned data
-        if (validAssets.length !== assets.length) {
-            debugLog(`Filtered ${assets.length - validAssets.length} invalid assets`);
-            const jsonString = JSON.stringify(validAssets);
-            localStorage.setItem(STORAGE_KEY, jsonString);
-            showToast('Some invalid data was removed', 'warning');
+        const updated = { ...existing, ...cloneRecord(changes) };
+        const reasons = getAssetValidationErrors(updated);
+        if (reasons.length > 0) {
+            result.errors.push({ operation: 'update', index, id, reasons });
+            return;
         }
+        batchIds.add(id);
+        records.push({ id, before: existing, after: updated, change: createAssetPatch(existing, changes) });
+    });
 
-        return validAssets;
+    if (result.errors.length > 0) {
+        debugLog('Batch rejected:', result.errors);
+        return result;
+    }
+    if (records.length === 0) {
+        result.success = true;
+        return result;
+    }
 
-    } catch (error) {
-        debugLog('Failed to load assets from localStorage:', error);
-        showToast('Failed to load saved data. Please refresh the page.', 'error');
-        // Return empty array so app still works
-        return [];
+    // 2. Update the cache and record one undo step
+    const auditChanges = records.flatMap(({ id, before, after }) =>
+        recordAuditEntries(id, before, after, options.source || 'Batch')
+    );
+    records.forEach(record => assetCache.set(record.id, record.after));
+    const historyStep = recordHistoryEntry(
+        options.historyLabel || `Change ${records.length} asset${records.length !== 1 ? 's' : ''}`,
+        records.map(({ id, before, after }) => ({ store: ASSETS_STORE, id, before, after }))
+    );
+
+    // 3. Persist everything in one write (rolled back by enqueueWrite on failure)
+    const persisted = await persistChanges(
+        [
+            ...records.map(({ id, after, change }) => change || { store: ASSETS_STORE, id, value: after }),
+            ...auditChanges
+        ],
+        options.failureMessage || 'Failed to save changes. Nothing was changed.'
+    );
+
+    if (!persisted) {
+        discardHistoryEntry(historyStep);
+        return result;
     }
+
+    result.success = true;
+    result.inserted = inserts.length;
+    result.updated = updates.length;
+    return result;
 }
 
+// ========================================
+// BACKUP & RESTORE
+// ========================================
+
+// Marks a file as a TrackPop backup (checked on restore)
+const BACKUP_FORMAT = 'trackpop-backup';
+
+// Marks a backup file whose contents are encrypted: { format, encryption }
+const ENCRYPTED_BACKUP_FORMAT = 'trackpop-encrypted-backup';
+
 /**
- * Saves a new asset to storage
+ * Builds a complete backup of everything stored
  *
- * PATTERN: Get current data → add new item → save all
+ * CONTENTS: The full versioned envelope (assets, settings, quarantine, trash, audit,
+ * attachments as data URLs)
+ * plus metadata describing when and from which schema it was taken
  *
- * @param {Object} asset - Asset object with all required fields
- * @returns {boolean} True if saved successfully, false otherwise
+ * @returns {Object} Backup object, ready for JSON.stringify
+ */
+function createBackup() {
+    const snapshot = snapshotRecordStores();
+    return {
+        format: BACKUP_FORMAT,
+        exportedAt: new Date().toISOString(),
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        assetCount: snapshot.assets.length,
+        settings: cloneRecord(settingsCache),
+        ...cloneRecord(snapshot)
+    };
+}
+
+/**
+ * Encrypts a backup with the workspace's key if its data is encrypted
  *
- * VALIDATION:
- * - Expects asset to have: id, name, vendor, fixRelease, startDate, lastReset, createdAt
- * - Validation should happen in app.js before calling this function
+ * WHY: A plain backup file would undo the point of encrypting the data; the
+ * file is restored with the passphrase that was in use when it was taken
+ *
+ * @param {Object} backup - Backup returned by createBackup()
+ * @returns {Promise<Object>} The backup itself, or { format, encryption } if encrypted
+ */
+async function sealBackup(backup) {
+    if (!storageKeyring) return backup;
+
+    return {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        encryption: await encryptJson(storageKeyring, backup)
+    };
+}
+
+/**
+ * Parses a backup file and upgrades it to the current schema
+ *
+ * FORMATS ACCEPTED:
+ * - Backup files written by createBackup() (any older schema version)
+ * - Encrypted backups written by sealBackup(); decrypted with the given
+ *   passphrase, or with the open workspace's key if they share it
+ * - A bare array of assets or a stored envelope (manual console exports)
+ *
+ * @param {string} text - File contents
+ * @param {string|null} [passphrase] - Passphrase for an encrypted backup
+ * @returns {Promise<Object>} Current-version payload { assets, settings, quarantine, trash, audit, attachments, exportedAt }
+ * @throws {Error} With a user-facing message if the file cannot be restored
+ *   (code 'PASSPHRASE_REQUIRED' if it is encrypted and a passphrase is needed,
+ *   'WRONG_PASSPHRASE' if the given one does not match)
  */
-function saveAsset(asset) {
+async function readBackup(text, passphrase = null) {
+    let raw;
     try {
-        // Get current assets
-        const assets = getAllAssets();
+        raw = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (raw && raw.format === ENCRYPTED_BACKUP_FORMAT) {
+        raw = await decryptBackup(raw, passphrase);
+    }
 
-        // Add new asset to array
-        assets.push(asset);
+    if (raw && !Array.isArray(raw) && raw.format !== undefined && raw.format !== BACKUP_FORMAT) {
+        throw new Error('The file is not a TrackPop backup');
+    }
 
-        // Save updated array back to localStorage
-        const jsonString = JSON.stringify(assets);
-        localStorage.setItem(STORAGE_KEY, jsonString);
+    const payload = normalizeStoredPayload(raw);
+    if (!payload || raw === null) {
+        throw new Error('The file does not contain any assets');
+    }
 
-        return true; // Success
+    // Throws SCHEMA_TOO_NEW with a readable message for newer backups
+    const migrated = migratePayload(payload, { legacySettings: null }).payload;
 
-    } catch (error) {
-        debugLog('Failed to save asset:', error);
+    return {
+        exportedAt: typeof raw.exportedAt === 'string' ? raw.exportedAt : null,
+        assets: migrated.assets,
+        settings: migrated.settings && typeof migrated.settings === 'object' ? migrated.settings : {},
+        quarantine: migrated.quarantine.filter(entry => entry && typeof entry.id === 'string'),
+        trash: migrated.trash.filter(entry => entry && typeof entry.id === 'string' && entry.asset),
+        audit: migrated.audit.filter(isAuditEntry),
+        attachments: migrated.attachments.filter(isAttachmentRecord)
+    };
+}
+
+/**
+ * Decrypts an encrypted backup file
+ *
+ * @param {Object} file - Parsed file { format, encryption }
+ * @param {string|null} passphrase - Passphrase entered by the user, or null to try the open workspace's key
+ * @returns {Promise<any>} The backup inside
+ * @throws {Error} With code 'PASSPHRASE_REQUIRED' or 'WRONG_PASSPHRASE'
+ */
+async function decryptBackup(file, passphrase) {
+    if (!isEncryptedPayload(file)) {
+        throw new Error('The encrypted backup is damaged');
+    }
+
+    if (passphrase === null) {
+        if (isSameEncryptionKey(storageKeyring, file.encryption)) {
+            try {
+                return await decryptJson(storageKeyring, file.encryption);
+            } catch (error) {
+                if (error.code !== 'WRONG_PASSPHRASE') throw error;
+            }
+        }
+        const error = new Error('The backup is encrypted. Enter its passphrase.');
+        error.code = 'PASSPHRASE_REQUIRED';
+        throw error;
+    }
 
-        // Check if storage quota exceeded
-        if (error.name === 'QuotaExceededError') {
-            showToast('Storage is full! Try deleting some old assets.', 'error', 5000);
+    return decryptJson(await deriveEncryptionKey(passphrase, file.encryption), file.encryption);
+}
+
+/**
+ * Works out what restoring a backup would change, without writing anything
+ *
+ * MODES:
+ * - 'replace': everything stored is replaced by the backup (assets, settings,
+ *   quarantine, trash, audit, attachments); assets missing from the backup are removed
+ * - 'merge': backup assets are added or overwrite assets with the same ID
+ *   (and leave the trash if they were deleted), bringing their audit entries
+ *   and attachments along; everything else is kept
+ *
+ * VALIDATION: Every backup asset is checked with isValidAsset(); invalid ones
+ * and repeated IDs are listed and skipped
+ *
+ * @param {Object} backup - Payload returned by readBackup()
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {Object} Plan { mode, backup, assets, added, updated, unchanged, removed, invalid, settingsChanged }
+ */
+function planRestore(backup, mode) {
+    const plan = {
+        mode,
+        backup,
+        assets: [],
+        added: [],
+        updated: [],
+        unchanged: [],
+        removed: [],
+        invalid: [],
+        settingsChanged: false
+    };
+    const seenIds = new Set();
+
+    backup.assets.forEach(asset => {
+        if (!isValidAsset(asset)) {
+            plan.invalid.push({ record: asset, reasons: getAssetValidationErrors(asset) });
+            return;
+        }
+        if (seenIds.has(asset.id)) {
+            plan.invalid.push({ record: asset, reasons: [`Duplicate ID "${asset.id}"`] });
+            return;
+        }
+        seenIds.add(asset.id);
+        plan.assets.push(asset);
+
+        const existing = assetCache.get(asset.id);
+        if (!existing) {
+            plan.added.push(asset);
+        } else if (isSameRecord(existing, asset)) {
+            plan.unchanged.push(asset);
         } else {
-            showToast('Failed to save asset. Please try again.', 'error');
+            plan.updated.push(asset);
         }
+    });
 
-        return false; // Failure
+    if (mode === 'replace') {
+        assetCache.forEach(asset => {
+            if (!seenIds.has(asset.id)) {
+                plan.removed.push(asset);
+            }
+        });
+        plan.settingsChanged = !isSameRecord(settingsCache, backup.settings);
     }
+
+    return plan;
 }
 
 /**
- * Updates an existing asset by ID
+ * Writes a restore plan made by planRestore()
  *
- * PATTERN: Find by ID → merge updates → save all
+ * UNDO: A merge is recorded as one undo step. A replace rewrites all stored
+ * data at once and clears the undo history (like clearAllData()).
+ * ATTACHMENTS: A merge adds the backup's attachments of the merged assets; a
+ * thumbnail from the backup replaces the asset's current one.
  *
- * @param {string} id - Unique asset ID
- * @param {Object} updates - Object with fields to update
- * @returns {Object|null} Updated asset object, or null if not found
- *
- * EXAMPLE:
- * updateAsset('1234', { lastReset: new Date().toISOString() })
+ * @param {Object} plan - Plan returned by planRestore()
+ * @returns {boolean} True if accepted, false otherwise
  */
-function updateAsset(id, updates) {
-    try {
-        const assets = getAllAssets();
+function applyRestore(plan) {
+    if (!ensureWritable()) return false;
 
-        // Find the asset by ID
-        const assetIndex = assets.findIndex(asset => asset.id === id);
+    try {
+        if (plan.mode === 'replace') {
+            Object.values(recordCaches).forEach(cache => cache.clear());
+            plan.assets.forEach(asset => assetCache.set(asset.id, cloneRecord(asset)));
+            plan.backup.quarantine.forEach(entry => quarantineCache.set(entry.id, cloneRecord(entry)));
+            plan.backup.trash.forEach(entry => trashCache.set(entry.id, cloneRecord(entry)));
+            plan.backup.audit.forEach(entry => auditCache.set(entry.id, cloneRecord(entry)));
+            plan.backup.attachments.forEach(attachment => attachmentCache.set(attachment.id, cloneRecord(attachment)));
+            settingsCache = cloneRecord(plan.backup.settings);
+            clearHistory();
 
-        // Asset not found
-        if (assetIndex === -1) {
-            debugLog(`Asset with ID ${id} not found`);
-            showToast('Asset not found', 'error');
-            return null;
+            enqueueWrite(async () => {
+                await storageBackend.writePayload({
+                    schemaVersion: CURRENT_SCHEMA_VERSION,
+                    settings: settingsCache,
+                    ...snapshotRecordStores()
+                });
+                broadcastToTabs({ type: 'reload' });
+                notifyPersistListeners([
+                    ...plan.assets.map(asset => ({ store: ASSETS_STORE, id: asset.id, value: asset })),
+                    ...plan.removed.map(asset => ({ store: ASSETS_STORE, id: asset.id, value: null }))
+                ], 'local');
+            }, 'Failed to restore backup');
+            return true;
         }
 
-        // Merge updates into existing asset (spread operator)
-        assets[assetIndex] = {
-            ...assets[assetIndex],
-            ...updates
-        };
+        const changedAssets = [...plan.added, ...plan.updated].map(cloneRecord);
+        if (changedAssets.length === 0) return true;
+
+        // A restored asset must not also stay in the trash under the same ID
+        const trashedIds = changedAssets.map(asset => asset.id).filter(id => trashCache.has(id));
+
+        // Keep the backup's audit trail for merged assets, then log the merge itself
+        const changedIds = new Set(changedAssets.map(asset => asset.id));
+        const backupAudit = plan.backup.audit
+            .filter(entry => changedIds.has(entry.assetId) && !auditCache.has(entry.id))
+            .map(cloneRecord);
+        backupAudit.forEach(entry => auditCache.set(entry.id, entry));
+        const backupAttachments = plan.backup.attachments
+            .filter(attachment => changedIds.has(attachment.assetId) && !attachmentCache.has(attachment.id))
+            .map(cloneRecord);
+        // An asset has one thumbnail: the backup's replaces the current one
+        const thumbnailAssetIds = new Set(backupAttachments
+            .filter(attachment => attachment.kind === 'thumbnail')
+            .map(attachment => attachment.assetId));
+        const replacedThumbnails = Array.from(attachmentCache.values())
+            .filter(attachment => attachment.kind === 'thumbnail' && thumbnailAssetIds.has(attachment.assetId))
+            .map(attachment => attachment.id);
+        replacedThumbnails.forEach(id => attachmentCache.delete(id));
+        backupAttachments.forEach(attachment => attachmentCache.set(attachment.id, attachment));
+        const auditChanges = [
+            ...backupAudit.map(entry => ({ store: AUDIT_STORE, id: entry.id, value: entry })),
+            ...replacedThumbnails.map(id => ({ store: ATTACHMENTS_STORE, id, value: null })),
+            ...backupAttachments.map(attachment => ({ store: ATTACHMENTS_STORE, id: attachment.id, value: attachment })),
+            ...changedAssets.flatMap(asset => recordAuditEntries(
+                asset.id,
+                assetCache.get(asset.id) || null,
+                asset,
+                'Backup restore',
+                { action: trashCache.has(asset.id) ? 'restored' : undefined }
+            ))
+        ];
 
-        // Save updated array
-        const jsonString = JSON.stringify(assets);
-        localStorage.setItem(STORAGE_KEY, jsonString);
+        recordHistoryEntry(
+            `Merge ${changedAssets.length} asset${changedAssets.length !== 1 ? 's' : ''} from backup`,
+            [
+                ...changedAssets.map(asset => ({
+                    store: ASSETS_STORE,
+                    id: asset.id,
+                    before: assetCache.get(asset.id) || null,
+                    after: asset
+                })),
+                ...trashedIds.map(id => ({ store: TRASH_STORE, id, before: trashCache.get(id), after: null }))
+            ]
+        );
+        changedAssets.forEach(asset => assetCache.set(asset.id, asset));
+        trashedIds.forEach(id => trashCache.delete(id));
 
-        return assets[assetIndex]; // Return updated asset
+        persistChanges(
+            [
+                ...changedAssets.map(asset => ({ store: ASSETS_STORE, id: asset.id, value: asset })),
+                ...trashedIds.map(id => ({ store: TRASH_STORE, id, value: null })),
+                ...auditChanges
+            ],
+            'Failed to restore backup'
+        );
+        return true;
 
     } catch (error) {
-        debugLog('Failed to update asset:', error);
-        showToast('Failed to update asset. Please try again.', 'error');
-        return null;
+        debugLog('Failed to restore backup:', error);
+        showToast('Failed to restore backup', 'error');
+        return false;
     }
 }
 
+// ========================================
+// ENCRYPTION
+// ========================================
+
 /**
- * Deletes an asset by ID
- *
- * PATTERN: Filter out the item to delete
+ * @returns {boolean} True if the open workspace's data is encrypted (locked or not)
+ */
+function isStorageEncrypted() {
+    return storageKeyring !== null || lockedEncryption !== null;
+}
+
+/**
+ * @returns {boolean} True if the data is encrypted and waiting for its passphrase
+ */
+function isStorageLocked() {
+    return lockedEncryption !== null;
+}
+
+/**
+ * Unlocks encrypted data with its passphrase and loads it
  *
- * @param {string} id - Unique asset ID
- * @returns {boolean} True if deleted successfully, false otherwise
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<Object>} { success: boolean, error?: string }
  */
-function deleteAsset(id) {
+async function unlockStorage(passphrase) {
+    if (!lockedEncryption) return { success: true };
+
+    let keyring = null;
     try {
-        const assets = getAllAssets();
+        // Re-read: the passphrase may have been changed since the data was locked
+        const raw = await baseStorageBackend.load();
+        if (isEncryptedPayload(raw)) {
+            keyring = await deriveEncryptionKey(passphrase, raw.encryption);
+            await decryptJson(keyring, raw.encryption);
+        }
+    } catch (error) {
+        if (error.code === 'WRONG_PASSPHRASE') {
+            return { success: false, error: 'Wrong passphrase' };
+        }
+        debugLog('Failed to unlock storage:', error);
+        return { success: false, error: error.message };
+    }
 
-        // Filter out the asset with matching ID
-        // This creates a new array without that asset
-        const updatedAssets = assets.filter(asset => asset.id !== id);
+    lockedEncryption = null;
+    readOnlyReason = null;
+    setStorageKeyring(keyring);
+    await reloadFromBackend();
+    return { success: !lockedEncryption };
+}
 
-        // Check if anything was actually deleted
-        if (updatedAssets.length === assets.length) {
-            debugLog(`Asset with ID ${id} not found`);
-            showToast('Asset not found', 'error');
-            return false;
-        }
+/**
+ * Encrypts everything stored in the open workspace with a new passphrase
+ *
+ * NOTE: The undo history is kept in memory only from now on (see history.js),
+ * so no readable copy stays in sessionStorage
+ *
+ * @param {string} passphrase - New passphrase (validated by the caller)
+ * @returns {Promise<Object>} { success: boolean, error?: string }
+ */
+async function enableStorageEncryption(passphrase) {
+    if (!ensureWritable()) return { success: false };
+    if (storageKeyring) {
+        return { success: false, error: 'This workspace is already encrypted' };
+    }
 
-        // Save updated array
-        const jsonString = JSON.stringify(updatedAssets);
-        localStorage.setItem(STORAGE_KEY, jsonString);
+    return rewriteWithKeyring(passphrase, 'Failed to encrypt data');
+}
 
-        return true; // Success
+/**
+ * Re-encrypts everything with a new passphrase
+ *
+ * @param {string} currentPassphrase - Passphrase in use (asked again as a safeguard)
+ * @param {string} newPassphrase - New passphrase (validated by the caller)
+ * @returns {Promise<Object>} { success: boolean, error?: string }
+ */
+async function changeStoragePassphrase(currentPassphrase, newPassphrase) {
+    if (!ensureWritable()) return { success: false };
+    if (!storageKeyring) {
+        return { success: false, error: 'This workspace is not encrypted' };
+    }
+    if (!await checkStoragePassphrase(currentPassphrase)) {
+        return { success: false, error: 'The current passphrase is wrong' };
+    }
 
-    } catch (error) {
-        debugLog('Failed to delete asset:', error);
-        showToast('Failed to delete asset. Please try again.', 'error');
-        return false;
+    return rewriteWithKeyring(newPassphrase, 'Failed to change the passphrase');
+}
+
+/**
+ * Stores everything unencrypted again
+ *
+ * @param {string} currentPassphrase - Passphrase in use (asked again as a safeguard)
+ * @returns {Promise<Object>} { success: boolean, error?: string }
+ */
+async function disableStorageEncryption(currentPassphrase) {
+    if (!ensureWritable()) return { success: false };
+    if (!storageKeyring) {
+        return { success: false, error: 'This workspace is not encrypted' };
     }
+    if (!await checkStoragePassphrase(currentPassphrase)) {
+        return { success: false, error: 'The current passphrase is wrong' };
+    }
+
+    const success = await enqueueWrite(async () => {
+        await baseStorageBackend.writePayload(snapshotPayload());
+        setStorageKeyring(null);
+        broadcastToTabs({ type: 'reload' });
+    }, 'Failed to turn off encryption');
+    return { success };
 }
 
 /**
- * Clears all data from storage
+ * Writes everything encrypted with a key derived from a new passphrase
  *
- * USE CASE: Testing, or user wants to start fresh
- * WARNING: This is destructive and cannot be undone
+ * OTHER TABS: They reload, find data they cannot decrypt and lock until
+ * the new passphrase is entered there
  *
- * @returns {boolean} True if cleared successfully
+ * @param {string} passphrase - New passphrase
+ * @param {string} failureMessage - Toast shown if the write fails
+ * @returns {Promise<Object>} { success: boolean, error?: string }
  */
-function clearAllData() {
+async function rewriteWithKeyring(passphrase, failureMessage) {
+    let keyring;
     try {
-        localStorage.removeItem(STORAGE_KEY);
-        showToast('All data cleared', 'success');
+        keyring = await createEncryptionKey(passphrase);
+    } catch (error) {
+        debugLog('Failed to create encryption key:', error);
+        return { success: false, error: 'Encryption is not available in this browser' };
+    }
+
+    const success = await enqueueWrite(async () => {
+        const encryptedBackend = createEncryptedBackend(baseStorageBackend, keyring, getStorageLockName());
+        await encryptedBackend.writePayload(snapshotPayload());
+        setStorageKeyring(keyring);
+        broadcastToTabs({ type: 'reload' });
+    }, failureMessage);
+
+    if (success) {
+        // Drops the readable copy of the undo history
+        saveHistory();
+    }
+    return { success };
+}
+
+/**
+ * Checks a passphrase against the stored encrypted data
+ *
+ * @param {string} passphrase - Passphrase to check
+ * @returns {Promise<boolean>} True if it decrypts the data
+ */
+async function checkStoragePassphrase(passphrase) {
+    try {
+        const raw = await baseStorageBackend.load();
+        const keyring = await deriveEncryptionKey(passphrase, raw.encryption);
+        await decryptJson(keyring, raw.encryption);
         return true;
     } catch (error) {
-        debugLog('Failed to clear data:', error);
-        showToast('Failed to clear data', 'error');
+        debugLog('Passphrase check failed:', error);
         return false;
     }
 }
 
 /**
- * Gets total count of assets
+ * Switches reads and writes to (or away from) the encrypted backend
  *
- * PERFORMANCE: Simple wrapper, but avoids loading all data if we only need count
- * Note: Could optimize further by storing count separately, but unnecessary for now
+ * @param {Object|null} keyring - Key of the stored data, or null for plain data
+ */
+function setStorageKeyring(keyring) {
+    storageKeyring = keyring;
+    storageBackend = keyring
+        ? createEncryptedBackend(baseStorageBackend, keyring, getStorageLockName())
+        : baseStorageBackend;
+}
+
+/**
+ * Locks the storage: nothing is loaded or written until unlockStorage()
  *
- * @returns {number} Number of assets in storage
+ * @param {Object} encryption - Encryption parameters of the stored data
  */
-function getAssetCount() {
-    return getAllAssets().length;
+function lockStorage(encryption) {
+    setStorageKeyring(null);
+    lockedEncryption = {
+        algorithm: encryption.algorithm,
+        kdf: encryption.kdf,
+        iterations: encryption.iterations,
+        salt: encryption.salt
+    };
+    readOnlyReason = LOCKED_MESSAGE;
+    saveHistory();
+}
+
+/**
+ * @returns {string} Web Lock name serializing encrypted writes of the open workspace
+ */
+function getStorageLockName() {
+    return `${activeStorageKey}:write`;
+}
+
+// ========================================
+// OTHER WORKSPACES
+// ========================================
+
+/**
+ * Reads a workspace's stored data, upgraded to the current schema
+ *
+ * NOTE: An upgraded payload is written back, so later writeChanges() calls
+ * on the same backend see the current format
+ *
+ * @param {Object} backend - Opened backend of that workspace
+ * @returns {Promise<Object>} Current-version payload
+ * @throws {Error} With a user-facing message if the data cannot be used
+ */
+async function readWorkspacePayload(backend) {
+    const raw = await backend.load();
+    if (isEncryptedPayload(raw)) {
+        throw new Error('Its data is encrypted');
+    }
+
+    const payload = normalizeStoredPayload(raw);
+    if (!payload) {
+        throw new Error('Its stored data is corrupted');
+    }
+
+    // Throws SCHEMA_TOO_NEW with a readable message
+    const migration = migratePayload(payload, { legacySettings: null });
+    if (migration.migrated) {
+        await backend.writePayload(migration.payload);
+    }
+    return migration.payload;
+}
+
+/**
+ * Copies everything stored in one workspace into another
+ *
+ * USE CASE: Duplicating a workspace (assets, settings, trash, quarantine, audit log, attachments)
+ * ENCRYPTION: An encrypted workspace is copied without decrypting it, so the
+ * copy opens with the same passphrase
+ * WARNING: Overwrites whatever the target workspace contains
+ *
+ * @param {string} sourceKey - Storage key of the workspace to copy
+ * @param {string} targetKey - Storage key of the new workspace
+ * @returns {Promise<void>}
+ * @throws {Error} With a user-facing message if the copy failed
+ */
+async function copyWorkspaceData(sourceKey, targetKey) {
+    // The open workspace may still have writes in flight
+    await writeQueue;
+
+    const source = await selectStorageBackend(sourceKey);
+    const target = await selectStorageBackend(targetKey);
+    try {
+        // Encrypted data is copied as it is (same passphrase)
+        const raw = await source.load();
+        await target.writePayload(isEncryptedPayload(raw) ? raw : await readWorkspacePayload(source));
+    } finally {
+        source.close();
+        target.close();
+    }
+}
+
+/**
+ * Copies or moves assets from the open workspace into another one
+ *
+ * COPY: The copies get new IDs (so both can later be synced or moved freely)
+ * and bring a copy of their audit trail and attachments along
+ * MOVE: Assets keep their ID, audit trail and attachments; an asset whose ID already
+ * exists in the target (active or in its trash) is skipped
+ * ATOMICITY: The target receives all assets in one write; moved assets are
+ * only removed from this workspace after that write succeeded
+ * UNDO: Not recorded - moving the assets back is the way to revert
+ *
+ * @param {Array<string>} ids - IDs of assets in the open workspace
+ * @param {string} targetKey - Storage key of the target workspace
+ * @param {Object} options - { mode: 'copy'|'move', sourceName, targetName } (names for the audit log)
+ * @returns {Promise<Object>} { success, transferred, skipped: [{ id, name, reason }] }
+ */
+async function transferAssets(ids, targetKey, options) {
+    const move = options.mode === 'move';
+    const result = { success: false, transferred: 0, skipped: [] };
+
+    if (!ensureWritable()) return result;
+
+    const assets = ids
+        .filter(id => assetCache.has(id))
+        .map(id => cloneRecord(assetCache.get(id)));
+    if (assets.length === 0 || targetKey === activeStorageKey) return result;
+
+    await writeQueue;
+
+    let target = null;
+    const transferredIds = [];
+    try {
+        target = await selectStorageBackend(targetKey);
+        const targetPayload = await readWorkspacePayload(target);
+        const takenIds = new Set([...targetPayload.assets, ...targetPayload.trash].map(record => record.id));
+        const changes = [];
+
+        assets.forEach(asset => {
+            if (move && takenIds.has(asset.id)) {
+                result.skipped.push({ id: asset.id, name: asset.name, reason: 'an asset with the same ID already exists there' });
+                return;
+            }
+
+            const record = move ? asset : { ...asset, id: generateUUID() };
+            const auditTrail = Array.from(auditCache.values())
+                .filter(entry => entry.assetId === asset.id)
+                .map(entry => (move ? cloneRecord(entry) : { ...cloneRecord(entry), id: generateUUID(), assetId: record.id }));
+            const attachments = Array.from(attachmentCache.values())
+                .filter(attachment => attachment.assetId === asset.id)
+                .map(attachment => (move ? cloneRecord(attachment) : { ...cloneRecord(attachment), id: generateUUID(), assetId: record.id }));
+            const transferEntries = createAuditEntries(record.id, null, record, move ? 'Move' : 'Copy', {
+                action: move ? 'moved' : 'copied',
+                oldValue: options.sourceName,
+                newValue: options.targetName
+            });
+
+            changes.push(
+                { store: ASSETS_STORE, id: record.id, value: record },
+                ...[...auditTrail, ...transferEntries].map(entry => ({ store: AUDIT_STORE, id: entry.id, value: entry })),
+                ...attachments.map(attachment => ({ store: ATTACHMENTS_STORE, id: attachment.id, value: attachment }))
+            );
+            transferredIds.push(asset.id);
+        });
+
+        if (changes.length > 0) {
+            await target.writeChanges(changes);
+            broadcastToTabs({ type: 'reload' }, targetKey);
+        }
+    } catch (error) {
+        debugLog('Failed to transfer assets:', error);
+        showToast(`Could not ${move ? 'move' : 'copy'} assets: ${error.message}`, 'error', 5000);
+        return result;
+    } finally {
+        if (target) target.close();
+    }
+
+    if (move && transferredIds.length > 0) {
+        const removedAudit = Array.from(auditCache.values())
+            .filter(entry => transferredIds.includes(entry.assetId))
+            .map(entry => entry.id);
+
+        const removedAttachments = Array.from(attachmentCache.values())
+            .filter(attachment => transferredIds.includes(attachment.assetId))
+            .map(attachment => attachment.id);
+
+        transferredIds.forEach(id => assetCache.delete(id));
+        removedAudit.forEach(id => auditCache.delete(id));
+        removedAttachments.forEach(id => attachmentCache.delete(id));
+
+        await persistChanges(
+            [
+                ...transferredIds.map(id => ({ store: ASSETS_STORE, id, value: null })),
+                ...removedAudit.map(id => ({ store: AUDIT_STORE, id, value: null })),
+                ...removedAttachments.map(id => ({ store: ATTACHMENTS_STORE, id, value: null }))
+            ],
+            'Assets were copied, but could not be removed from this workspace'
+        );
+    }
+
+    result.success = true;
+    result.transferred = transferredIds.length;
+    return result;
+}
+
+// ========================================
+// SETTINGS
+// ========================================
+
+/**
+ * Gets settings, falling back to defaults for missing values
+ * @returns {Object} Settings object with thresholds, trash retention, holiday configuration and status workflow
+ */
+function getSettings() {
+    return {
+        orangeThreshold: settingsCache.orangeThreshold || DEFAULT_SETTINGS.orangeThreshold,
+        redThreshold: settingsCache.redThreshold || DEFAULT_SETTINGS.redThreshold,
+        trashRetentionDays: settingsCache.trashRetentionDays || DEFAULT_SETTINGS.trashRetentionDays,
+        holidayCalendar: settingsCache.holidayCalendar || DEFAULT_SETTINGS.holidayCalendar,
+        customHolidays: Array.isArray(settingsCache.customHolidays)
+            ? settingsCache.customHolidays.slice()
+            : DEFAULT_SETTINGS.customHolidays.slice(),
+        // Normalized copies: an empty list is a valid choice, so no || fallback
+        statusTransitions: normalizeStatusTransitions(settingsCache.statusTransitions),
+        clockStatuses: normalizeClockStatuses(settingsCache.clockStatuses)
+    };
+}
+
+/**
+ * Saves settings into the stored envelope
+ * @param {Object} settings - Settings object
+ * @returns {boolean} Success status
+ */
+function saveSettings(settings) {
+    if (!ensureWritable()) return false;
+
+    try {
+        settingsCache = { ...settingsCache, ...settings };
+
+        persistChanges(
+            [{ store: META_STORE, id: 'settings', patch: cloneRecord(settings) }],
+            'Failed to save settings'
+        );
+
+        return true;
+    } catch (error) {
+        debugLog('Failed to save settings:', error);
+        return false;
+    }
 }
@@ -0,0 +1,610 @@
+/**
+ * FILE: storageBackends.js
+ * PATTERN: Strategy Pattern (interchangeable persistence backends)
+ * RESPONSIBILITY: Low-level reading and writing of records for storage.js
+ *
+ * ARCHITECTURAL DECISIONS:
+ * - Every backend exposes the same async interface, so storage.js never
+ *   needs to know where the data actually lives
+ * - Backends only move records around - validation and caching stay in storage.js
+ * - IndexedDB is preferred; localStorage is the fallback for browsers or
+ *   privacy modes where IndexedDB cannot be opened
+ * - Encryption is a wrapper around either backend (createEncryptedBackend),
+ *   so the backends themselves never see a passphrase
+ *
+ * BACKEND INTERFACE:
+ * - name: 'indexedDB' | 'localStorage'
+ * - open(): Promise<void> - prepares the backend (may reject if unavailable)
+ * - load(): Promise<any> - raw stored payload, not yet migrated or validated
+ *   (envelope object, legacy bare array, or null when nothing is stored)
+ * - writeChanges(changes): Promise<Array> - applies changes atomically and resolves
+ *   with the resulting stored value for each change (null if deleted/missing)
+ *   - record stores ('assets', 'quarantine', 'trash', 'audit', 'attachments'): id = record ID, value = record (null deletes it)
+ *   - store 'meta': id = envelope field (e.g. 'settings'), value = field value
+ *   - { store, id, patch } instead of value: merges patch onto the CURRENTLY stored
+ *     record, so fields changed elsewhere (e.g. another tab) are not overwritten;
+ *     a patch for a missing record is skipped
+ *   - { store, id, patch, base } for records: lists of entries with IDs
+ *     (comments, reviews...) are merged per entry against the entries the
+ *     writer started from, so entries added elsewhere are kept (see mergeRecordPatch)
+ * - writePayload(payload): Promise<void> - overwrites everything with a full envelope
+ *   (envelope fields missing from payload are removed)
+ * - close(): void - releases the backend (e.g. when switching workspace)
+ *
+ * BENEFITS:
+ * - One record per asset in IndexedDB: saving one asset no longer rewrites the whole list
+ * - No ~5 MB localStorage quota for large shows
+ */
+
+// IndexedDB schema version - bump when object stores or indexes change
+const INDEXED_DB_VERSION = 5;
+
+// Object store names
+const ASSETS_STORE = 'assets';
+const QUARANTINE_STORE = 'quarantine';
+const TRASH_STORE = 'trash';
+const AUDIT_STORE = 'audit';
+const ATTACHMENTS_STORE = 'attachments';
+const META_STORE = 'meta';
+
+// Stores holding one record per ID; each maps to the envelope array field of the same name
+const RECORD_STORES = [ASSETS_STORE, QUARANTINE_STORE, TRASH_STORE, AUDIT_STORE, ATTACHMENTS_STORE];
+
+// Meta keys used for backend bookkeeping only - never part of the envelope
+const BOOKKEEPING_META_KEYS = ['migratedFromLocalStorage'];
+
+/**
+ * Checks whether IndexedDB exists in this browser
+ *
+ * NOTE: Some privacy modes expose the API but refuse to open databases,
+ * so callers must still handle open() rejecting
+ *
+ * @returns {boolean} True if the IndexedDB API is present
+ */
+function isIndexedDbAvailable() {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (error) {
+        // Accessing indexedDB can throw a SecurityError in sandboxed iframes
+        return false;
+    }
+}
+
+/**
+ * Wraps an IDBRequest in a Promise
+ *
+ * @param {IDBRequest} request - Pending IndexedDB request
+ * @returns {Promise<any>} Resolves with request.result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when a transaction commits, rejects if it aborts
+ *
+ * WHY: Individual requests can succeed while the transaction as a whole
+ * still fails (e.g. quota exceeded on commit)
+ *
+ * @param {IDBTransaction} transaction - Active transaction
+ * @returns {Promise<void>}
+ */
+function transactionComplete(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Creates the IndexedDB backend
+ *
+ * SCHEMA:
+ * - assets: one record per asset, keyPath 'id'
+ *   indexes: vendor, fixRelease, lastReset
+ * - quarantine: records that failed validation, keyPath 'id' (added in version 2)
+ * - trash: soft-deleted assets, keyPath 'id' = asset ID (added in version 3)
+ * - audit: append-only change log entries, keyPath 'id', index assetId (added in version 4)
+ * - attachments: thumbnails and reference files, keyPath 'id', index assetId (added in version 5)
+ * - meta: { key, value } records for envelope fields (schemaVersion, settings)
+ *   and bookkeeping (e.g. migration markers)
+ *
+ * MIGRATION: On first load, data found in localStorage under legacyKey is
+ * copied into IndexedDB in one transaction, then the localStorage copy is removed
+ *
+ * @param {string} databaseName - IndexedDB database name
+ * @param {string} legacyKey - localStorage key holding pre-IndexedDB data
+ * @returns {Object} Backend implementing the interface described above
+ */
+function createIndexedDbBackend(databaseName, legacyKey) {
+    let dbPromise = null;
+
+    /**
+     * Opens (and if needed creates/upgrades) the database once
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(databaseName, INDEXED_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains(ASSETS_STORE)) {
+                    const assetStore = db.createObjectStore(ASSETS_STORE, { keyPath: 'id' });
+                    assetStore.createIndex('vendor', 'vendor', { unique: false });
+                    assetStore.createIndex('fixRelease', 'fixRelease', { unique: false });
+                    assetStore.createIndex('lastReset', 'lastReset', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE, { keyPath: 'key' });
+                }
+
+                if (!db.objectStoreNames.contains(QUARANTINE_STORE)) {
+                    db.createObjectStore(QUARANTINE_STORE, { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains(TRASH_STORE)) {
+                    const trashStore = db.createObjectStore(TRASH_STORE, { keyPath: 'id' });
+                    trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains(AUDIT_STORE)) {
+                    const auditStore = db.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+                    auditStore.createIndex('assetId', 'assetId', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains(ATTACHMENTS_STORE)) {
+                    const attachmentStore = db.createObjectStore(ATTACHMENTS_STORE, { keyPath: 'id' });
+                    attachmentStore.createIndex('assetId', 'assetId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab is upgrading the schema - let it proceed
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => debugLog('IndexedDB open blocked by another tab');
+        });
+
+        // Allow a retry if opening failed
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Copies legacy localStorage data into IndexedDB (runs once)
+     *
+     * FORMATS: Both the legacy bare array and the versioned envelope are
+     * accepted; record arrays go to their stores, other fields into meta
+     *
+     * EDGE CASES:
+     * - No legacy data → only the migration marker is written
+     * - Corrupted legacy JSON → marker is written, legacy key is left untouched
+     * - Records without a string id cannot be keyed and are skipped
+     *
+     * @param {IDBDatabase} db - Open database
+     * @returns {Promise<void>}
+     */
+    async function migrateFromLocalStorage(db) {
+        const readTx = db.transaction(META_STORE, 'readonly');
+        const marker = await promisifyRequest(readTx.objectStore(META_STORE).get('migratedFromLocalStorage'));
+        if (marker) return;
+
+        let legacyPayload = null;
+        try {
+            const jsonString = localStorage.getItem(legacyKey);
+            if (jsonString !== null) {
+                legacyPayload = normalizeStoredPayload(JSON.parse(jsonString));
+            }
+        } catch (error) {
+            debugLog('Could not read legacy localStorage data:', error);
+        }
+
+        const tx = db.transaction([...RECORD_STORES, META_STORE], 'readwrite');
+        const metaStore = tx.objectStore(META_STORE);
+        if (legacyPayload) {
+            RECORD_STORES.forEach(storeName => {
+                const store = tx.objectStore(storeName);
+                (legacyPayload[storeName] || []).forEach(record => {
+                    if (record && typeof record.id === 'string') {
+                        store.put(record);
+                    }
+                });
+            });
+            Object.keys(legacyPayload)
+                .filter(field => !RECORD_STORES.includes(field))
+                .forEach(field => metaStore.put({ key: field, value: legacyPayload[field] }));
+        }
+        metaStore.put({
+            key: 'migratedFromLocalStorage',
+            value: new Date().toISOString()
+        });
+        await transactionComplete(tx);
+
+        if (legacyPayload) {
+            localStorage.removeItem(legacyKey);
+            debugLog(`Migrated ${legacyPayload.assets.length} assets from localStorage to IndexedDB`);
+        }
+    }
+
+    return {
+        name: 'indexedDB',
+
+        async open() {
+            const db = await openDatabase();
+            await migrateFromLocalStorage(db);
+        },
+
+        async load() {
+            const db = await openDatabase();
+            const tx = db.transaction([...RECORD_STORES, META_STORE], 'readonly');
+            const [metaRecords, ...recordLists] = await Promise.all([
+                promisifyRequest(tx.objectStore(META_STORE).getAll()),
+                ...RECORD_STORES.map(storeName => promisifyRequest(tx.objectStore(storeName).getAll()))
+            ]);
+
+            // Reassemble the envelope; no schemaVersion means pre-envelope (version 0) data
+            const payload = { schemaVersion: 0 };
+            RECORD_STORES.forEach((storeName, index) => {
+                payload[storeName] = recordLists[index];
+            });
+            metaRecords
+                .filter(record => !BOOKKEEPING_META_KEYS.includes(record.key))
+                .forEach(record => {
+                    payload[record.key] = record.value;
+                });
+            return payload;
+        },
+
+        async writeChanges(changes) {
+            const db = await openDatabase();
+            const storeNames = [...new Set(changes.map(change => change.store))];
+            if (storeNames.length === 0) return;
+
+            // Single transaction: either every change commits or none do
+            const tx = db.transaction(storeNames, 'readwrite');
+            const results = changes.map(() => null);
+
+            changes.forEach((change, index) => {
+                const store = tx.objectStore(change.store);
+                const isMeta = change.store === META_STORE;
+
+                if (change.patch) {
+                    // Read-merge-write inside the same transaction
+                    const request = store.get(change.id);
+                    request.onsuccess = () => {
+                        const current = isMeta ? (request.result && request.result.value) : request.result;
+                        if (!current && !isMeta) return;
+
+                        const merged = isMeta ? { ...(current || {}), ...change.patch } : mergeRecordPatch(current, change);
+                        store.put(isMeta ? { key: change.id, value: merged } : merged);
+                        results[index] = merged;
+                    };
+                } else if (change.value === null) {
+                    store.delete(change.id);
+                } else {
+                    store.put(isMeta ? { key: change.id, value: change.value } : change.value);
+                    results[index] = change.value;
+                }
+            });
+
+            await transactionComplete(tx);
+            return results;
+        },
+
+        async writePayload(payload) {
+            const db = await openDatabase();
+            const tx = db.transaction([...RECORD_STORES, META_STORE], 'readwrite');
+            const metaStore = tx.objectStore(META_STORE);
+
+            RECORD_STORES.forEach(storeName => {
+                const store = tx.objectStore(storeName);
+                store.clear();
+                (payload[storeName] || []).forEach(record => store.put(record));
+            });
+            Object.keys(payload)
+                .filter(field => !RECORD_STORES.includes(field))
+                .forEach(field => metaStore.put({ key: field, value: payload[field] }));
+
+            // Drop fields the new payload no longer has (e.g. plain settings once encrypted)
+            const keysRequest = metaStore.getAllKeys();
+            keysRequest.onsuccess = () => {
+                keysRequest.result
+                    .filter(key => !BOOKKEEPING_META_KEYS.includes(key) && !(key in payload))
+                    .forEach(key => metaStore.delete(key));
+            };
+
+            await transactionComplete(tx);
+        },
+
+        close() {
+            if (!dbPromise) return;
+            dbPromise.then(db => db.close(), () => {});
+            dbPromise = null;
+        }
+    };
+}
+
+/**
+ * Creates the localStorage backend (fallback)
+ *
+ * FORMAT: The whole envelope as one JSON object under storageKey
+ * LIMITATION: Every write re-serializes everything (fine for small lists)
+ *
+ * @param {string} storageKey - localStorage key
+ * @returns {Object} Backend implementing the interface described above
+ */
+function createLocalStorageBackend(storageKey) {
+    /**
+     * Reads the stored value, tolerating a missing key
+     * @returns {any} Parsed value (null if nothing stored)
+     */
+    function readStored() {
+        const jsonString = localStorage.getItem(storageKey);
+        return jsonString === null ? null : JSON.parse(jsonString);
+    }
+
+    return {
+        name: 'localStorage',
+
+        async open() {
+            // Touch localStorage so disabled storage fails here, not on first write
+            localStorage.getItem(storageKey);
+        },
+
+        async load() {
+            return readStored();
+        },
+
+        async writeChanges(changes) {
+            // Re-read before writing so records this change does not touch are preserved
+            const envelope = normalizeStoredPayload(readStored());
+            if (!envelope || envelope.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+                throw new Error('Stored data format changed unexpectedly. Please reload the page.');
+            }
+
+            const results = applyChangesToEnvelope(envelope, changes);
+
+            localStorage.setItem(storageKey, JSON.stringify(envelope));
+            return results;
+        },
+
+        async writePayload(payload) {
+            localStorage.setItem(storageKey, JSON.stringify(payload));
+        },
+
+        close() {
+            // Nothing to release
+        }
+    };
+}
+
+/**
+ * Applies changes to an envelope held in memory (see writeChanges in the interface)
+ *
+ * USE CASE: Backends that store the whole envelope as one value
+ * (localStorage, encrypted)
+ *
+ * @param {Object} envelope - Current-version envelope, modified in place
+ * @param {Array<Object>} changes - [{ store, id, value }] or [{ store, id, patch, base? }]
+ * @returns {Array} Resulting stored value for each change (null if deleted/missing)
+ */
+function applyChangesToEnvelope(envelope, changes) {
+    return changes.map(change => {
+        if (change.store === META_STORE) {
+            envelope[change.id] = change.patch
+                ? { ...(envelope[change.id] || {}), ...change.patch }
+                : change.value;
+            return envelope[change.id];
+        }
+
+        if (!Array.isArray(envelope[change.store])) {
+            envelope[change.store] = [];
+        }
+        const records = envelope[change.store];
+
+        const index = records.findIndex(record => record && record.id === change.id);
+        if (change.patch) {
+            if (index === -1) return null;
+            records[index] = mergeRecordPatch(records[index], change);
+            return records[index];
+        }
+        if (change.value === null) {
+            if (index !== -1) records.splice(index, 1);
+            return null;
+        }
+        if (index === -1) {
+            records.push(change.value);
+        } else {
+            records[index] = change.value;
+        }
+        return change.value;
+    });
+}
+
+/**
+ * Merges a patch onto the stored record
+ *
+ * RULES:
+ * - Fields are replaced by the patch, except lists of entries with IDs for
+ *   which change.base holds the entries the writer started from
+ * - For those lists, entries are merged one by one against that base:
+ *   - entries the writer did not change keep their stored version
+ *     (e.g. a comment edited in another tab meanwhile)
+ *   - entries the writer never saw are kept (e.g. a comment added elsewhere)
+ *   - entries the writer removed stay removed, and so do entries removed elsewhere
+ *   - entries the writer added are appended
+ *
+ * WHY: Two tabs adding a comment or review to the same asset at the same
+ * time would otherwise each write the whole list, and one entry would be lost
+ *
+ * @param {Object} current - Currently stored record
+ * @param {Object} change - { patch, base? } (see writeChanges in the interface)
+ * @returns {Object} Merged record
+ */
+function mergeRecordPatch(current, change) {
+    const merged = { ...current, ...change.patch };
+
+    Object.entries(change.base || {}).forEach(([field, baseEntries]) => {
+        const stored = current[field] === undefined ? [] : current[field];
+        const patched = change.patch[field];
+        if (!Array.isArray(stored) || !Array.isArray(patched) || !Array.isArray(baseEntries)) return;
+
+        const baseById = new Map(baseEntries.map(entry => [entry.id, JSON.stringify(entry)]));
+        const patchedById = new Map(patched.map(entry => [entry.id, entry]));
+        const storedIds = new Set(stored.map(entry => entry && entry.id));
+
+        const entries = [];
+        stored.forEach(entry => {
+            const id = entry && entry.id;
+            if (!baseById.has(id)) {
+                entries.push(entry);
+            } else if (patchedById.has(id)) {
+                const patchedEntry = patchedById.get(id);
+                entries.push(JSON.stringify(patchedEntry) === baseById.get(id) ? entry : patchedEntry);
+            }
+        });
+        patched.forEach(entry => {
+            if (!storedIds.has(entry.id) && !baseById.has(entry.id)) {
+                entries.push(entry);
+            }
+        });
+        merged[field] = entries;
+    });
+
+    return merged;
+}
+
+/**
+ * Runs an operation while holding a cross-tab Web Lock (if the browser has them)
+ *
+ * WHY: Read-modify-write cycles that await between reading and writing
+ * (e.g. encryption) would otherwise lose changes another tab wrote meanwhile
+ *
+ * @param {string} lockName - Lock name
+ * @param {Function} operation - Async function to run
+ * @returns {Promise<any>} Result of the operation
+ */
+function runWithStorageLock(lockName, operation) {
+    if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+        return navigator.locks.request(lockName, operation);
+    }
+    return operation();
+}
+
+/**
+ * Wraps a backend so everything it stores is encrypted
+ *
+ * FORMAT: The whole envelope is encrypted as one value and stored as
+ * { schemaVersion, assets: [], encryption: <sealed envelope> }, so nothing
+ * readable (asset names, notes, settings, audit log) reaches the inner backend
+ * WRITES: Each write decrypts the stored envelope, applies the changes and
+ * encrypts it again, inside a Web Lock so tabs cannot interleave
+ * LIMITATION: Every write re-encrypts everything (fast enough for thousands of assets)
+ *
+ * @param {Object} backend - Opened backend to store the encrypted data in
+ * @param {Object} keyring - Keyring from encryption.js ({ key, params })
+ * @param {string} lockName - Web Lock name shared by all tabs of this data set
+ * @returns {Object} Backend implementing the interface described above
+ */
+function createEncryptedBackend(backend, keyring, lockName) {
+    /**
+     * Reads and decrypts the stored envelope
+     *
+     * SAFETY: Refuses data that is no longer encrypted with this key (turned off
+     * or passphrase changed in another tab) instead of re-encrypting it with a stale key
+     *
+     * @returns {Promise<any>} Decrypted envelope
+     */
+    async function loadDecrypted() {
+        const raw = await backend.load();
+        if (!isEncryptedPayload(raw) || !isSameEncryptionKey(keyring, raw.encryption)) {
+            throw new Error('Encryption settings were changed in another tab');
+        }
+        return decryptJson(keyring, raw.encryption);
+    }
+
+    /**
+     * Encrypts and stores a full envelope
+     * @param {Object} payload - Envelope to store
+     * @returns {Promise<void>}
+     */
+    async function storeEncrypted(payload) {
+        await backend.writePayload({
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            assets: [],
+            encryption: await encryptJson(keyring, payload)
+        });
+    }
+
+    return {
+        name: backend.name,
+
+        open() {
+            return backend.open();
+        },
+
+        load() {
+            return loadDecrypted();
+        },
+
+        writeChanges(changes) {
+            return runWithStorageLock(lockName, async () => {
+                const envelope = normalizeStoredPayload(await loadDecrypted());
+                if (!envelope || envelope.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+                    throw new Error('Stored data format changed unexpectedly. Please reload the page.');
+                }
+
+                const results = applyChangesToEnvelope(envelope, changes);
+                await storeEncrypted(envelope);
+                return results;
+            });
+        },
+
+        writePayload(payload) {
+            return runWithStorageLock(lockName, () => storeEncrypted(payload));
+        },
+
+        close() {
+            backend.close();
+        }
+    };
+}
+
+/**
+ * Permanently deletes everything stored under a key, in every backend
+ *
+ * USE CASE: Deleting a workspace (its IndexedDB database and any
+ * localStorage copy share the same name)
+ *
+ * @param {string} storageKey - IndexedDB database name / localStorage key
+ * @returns {Promise<void>}
+ */
+async function deleteStoredData(storageKey) {
+    localStorage.removeItem(storageKey);
+
+    if (!isIndexedDbAvailable()) return;
+
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(storageKey);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        // Another tab still has it open; the deletion completes once it closes
+        request.onblocked = () => debugLog(`Deletion of ${storageKey} is waiting for other tabs`);
+    });
+}
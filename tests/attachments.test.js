@@ -0,0 +1,111 @@
+/**
+ * Tests for attachments leaving with their asset (storage.js, history.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+/**
+ * In-memory stand-in for localStorage / sessionStorage
+ * @returns {Object} Storage with getItem, setItem, removeItem, clear, key, length
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear(),
+        key: index => Array.from(items.keys())[index] ?? null,
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+/**
+ * Opens a fresh localStorage-backed repository
+ * @returns {Promise<Function>} Sandbox lookup (see loadScripts)
+ */
+async function openRepository() {
+    const app = loadScripts(
+        ['utils.js', 'holidays.js', 'dateUtils.js', 'workflow.js', 'migrations.js',
+            'encryption.js', 'storageBackends.js', 'storage.js', 'history.js'],
+        {
+            structuredClone,
+            crypto,
+            setTimeout,
+            clearTimeout,
+            localStorage: createMemoryStorage(),
+            sessionStorage: createMemoryStorage(),
+            window: { addEventListener() {} },
+            navigator: {}
+        }
+    );
+    await app('initStorage')('attachments-test');
+    return app;
+}
+
+const asset = {
+    id: 'a1',
+    name: 'Hero',
+    vendor: 'Acme',
+    fixRelease: '1.0',
+    startDate: '2026-10-01T00:00:00.000Z',
+    lastReset: '2026-10-01T00:00:00.000Z',
+    createdAt: '2026-10-01T00:00:00.000Z'
+};
+
+const file = (kind, name) => ({ kind, name, type: 'image/png', size: 3, dataUrl: 'data:image/png;base64,AAAA' });
+
+// Attachment names of an asset, as stored (not just cached)
+async function storedAttachmentNames(app, assetId) {
+    await app('writeQueue');
+    const stored = JSON.parse(app('localStorage').getItem('attachments-test'));
+    return stored.attachments.filter(attachment => attachment.assetId === assetId).map(attachment => attachment.name);
+}
+
+test('undoing "Add" deletes the attachments added with the asset', async () => {
+    const app = await openRepository();
+    app('saveAsset')(asset);
+    assert.strictEqual(app('addAssetAttachments')('a1', [file('thumbnail', 'thumb.png'), file('file', 'ref.png')]), 2);
+
+    assert.strictEqual(app('undoLastChange')(), 'Add "Hero"');
+    assert.strictEqual(app('getAssetAttachments')('a1').length, 0);
+    assert.deepStrictEqual(await storedAttachmentNames(app, 'a1'), []);
+});
+
+test('assets moved to the trash keep their attachments', async () => {
+    const app = await openRepository();
+    app('saveAsset')(asset);
+    app('addAssetAttachments')('a1', [file('thumbnail', 'thumb.png')]);
+
+    // Delete, then undo and redo it: the asset is in the list or the trash throughout
+    assert.strictEqual(app('deleteAsset')('a1'), true);
+    app('undoLastChange')();
+    app('redoLastChange')();
+    assert.strictEqual(app('getAssetAttachments')('a1').length, 1);
+    assert.deepStrictEqual(await storedAttachmentNames(app, 'a1'), ['thumb.png']);
+});
+
+test('a merged backup thumbnail replaces the current one', async () => {
+    const app = await openRepository();
+    app('saveAsset')(asset);
+    app('addAssetAttachments')('a1', [file('thumbnail', 'current.png'), file('file', 'ref.png')]);
+
+    const backup = {
+        assets: [{ ...asset, name: 'Hero (backup)' }],
+        settings: {},
+        quarantine: [],
+        trash: [],
+        audit: [],
+        attachments: [{ id: 'backup-thumb', assetId: 'a1', ...file('thumbnail', 'backup.png'), addedAt: '2026-09-01T00:00:00.000Z' }]
+    };
+    assert.strictEqual(app('applyRestore')(app('planRestore')(backup, 'merge')), true);
+
+    // Array.from copies the list out of the sandbox (whose arrays fail deepStrictEqual)
+    const thumbnails = Array.from(app('getAssetAttachments')('a1')).filter(attachment => attachment.kind === 'thumbnail');
+    assert.deepStrictEqual(thumbnails.map(attachment => attachment.name), ['backup.png']);
+    assert.deepStrictEqual((await storedAttachmentNames(app, 'a1')).sort(), ['backup.png', 'ref.png']);
+});
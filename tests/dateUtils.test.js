@@ -0,0 +1,39 @@
+/**
+ * Tests for business-day arithmetic (dateUtils.js)
+ */
+
+// A US time zone, where UTC midnight is still the previous local day
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const app = loadScripts(['holidays.js', 'dateUtils.js']);
+const addBusinessDays = app('addBusinessDays');
+
+// Local date as YYYY-MM-DD
+const toDateString = date => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+test('a date-only start is that local day', () => {
+    assert.strictEqual(toDateString(addBusinessDays('2026-10-16', 1)), '2026-10-19'); // Friday + 1 skips the weekend
+    assert.strictEqual(toDateString(addBusinessDays('2026-10-16', 0)), '2026-10-16');
+    assert.strictEqual(toDateString(addBusinessDays('2026-10-16T00:00:00', 1)), '2026-10-19');
+});
+
+test('timestamps keep their own local day', () => {
+    // UTC midnight of Oct 16 is the evening of Thursday Oct 15 in New York
+    assert.strictEqual(toDateString(addBusinessDays('2026-10-16T00:00:00.000Z', 1)), '2026-10-16');
+});
+
+test('holidays and pauses are skipped', () => {
+    assert.strictEqual(toDateString(addBusinessDays('2026-11-25', 1)), '2026-11-27'); // Thanksgiving
+    assert.strictEqual(toDateString(addBusinessDays('2026-11-25', 1, { calendar: 'none' })), '2026-11-26');
+
+    const pauses = [{ start: '2026-10-19T09:00:00', end: '2026-10-21T09:00:00' }]; // Mon and Tue left out
+    assert.strictEqual(toDateString(addBusinessDays('2026-10-16', 1, undefined, pauses)), '2026-10-21');
+});
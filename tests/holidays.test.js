@@ -0,0 +1,119 @@
+/**
+ * Tests for the rule-based holiday calendars (holidays.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const app = loadScripts(['holidays.js']);
+const getHolidaysForYear = app('getHolidaysForYear');
+const getHolidaysInRange = app('getHolidaysInRange');
+const getHolidayDate = app('getHolidayDate');
+const isHoliday = app('isHoliday');
+
+/**
+ * The hard-coded US federal holiday table the rules replaced (2024-2030),
+ * as local YYYY-MM-DD dates
+ */
+const US_FEDERAL_HOLIDAYS = {
+    2024: [
+        '2024-01-01', '2024-01-15', '2024-02-19', '2024-05-27', '2024-07-04',
+        '2024-09-02', '2024-10-14', '2024-11-11', '2024-11-28', '2024-12-25'
+    ],
+    2025: [
+        '2025-01-01', '2025-01-20', '2025-02-17', '2025-05-26', '2025-07-04',
+        '2025-09-01', '2025-10-13', '2025-11-11', '2025-11-27', '2025-12-25'
+    ],
+    2026: [
+        '2026-01-01', '2026-01-19', '2026-02-16', '2026-05-25', '2026-07-04',
+        '2026-09-07', '2026-10-12', '2026-11-11', '2026-11-26', '2026-12-25'
+    ],
+    2027: [
+        '2027-01-01', '2027-01-18', '2027-02-15', '2027-05-31', '2027-07-04',
+        '2027-09-06', '2027-10-11', '2027-11-11', '2027-11-25', '2027-12-25'
+    ],
+    2028: [
+        '2028-01-01', '2028-01-17', '2028-02-21', '2028-05-29', '2028-07-04',
+        '2028-09-04', '2028-10-09', '2028-11-11', '2028-11-23', '2028-12-25'
+    ],
+    2029: [
+        '2029-01-01', '2029-01-15', '2029-02-19', '2029-05-28', '2029-07-04',
+        '2029-09-03', '2029-10-08', '2029-11-11', '2029-11-22', '2029-12-25'
+    ],
+    2030: [
+        '2030-01-01', '2030-01-21', '2030-02-18', '2030-05-27', '2030-07-04',
+        '2030-09-02', '2030-10-14', '2030-11-11', '2030-11-28', '2030-12-25'
+    ]
+};
+
+// Local date as YYYY-MM-DD (holidays are local midnights)
+const toDateString = date => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Array.from builds the list here, not in the sandbox (whose arrays fail deepStrictEqual)
+const toDateStrings = dates => Array.from(dates, toDateString);
+
+test('rules reproduce the 2024-2030 holiday table', () => {
+    for (const [year, dates] of Object.entries(US_FEDERAL_HOLIDAYS)) {
+        assert.deepStrictEqual(toDateStrings(getHolidaysForYear(Number(year))), dates, `holidays of ${year}`);
+    }
+});
+
+test('holidays are local midnights, as the table stored them', () => {
+    getHolidaysForYear(2026).forEach(date => {
+        assert.strictEqual(date.getTime(), new Date(`${toDateString(date)}T00:00:00`).getTime());
+    });
+});
+
+test('getHolidaysInRange returns the table dates for 2024-2030', () => {
+    const holidays = getHolidaysInRange(new Date('2024-01-01T00:00:00'), new Date('2030-12-31T00:00:00'));
+    assert.deepStrictEqual(toDateStrings(holidays), Object.values(US_FEDERAL_HOLIDAYS).flat());
+});
+
+test('getHolidaysInRange crosses years and adds extra days off', () => {
+    const start = new Date('2030-12-01T00:00:00');
+    const end = new Date('2031-01-25T00:00:00');
+    assert.deepStrictEqual(toDateStrings(getHolidaysInRange(start, end)), ['2030-12-25', '2031-01-01', '2031-01-20']);
+    assert.deepStrictEqual(
+        toDateStrings(getHolidaysInRange(start, end, { calendar: 'none', extraDates: ['2030-12-24'] })),
+        ['2030-12-24']
+    );
+});
+
+test('years after the old table are computed too', () => {
+    assert.deepStrictEqual(toDateStrings(getHolidaysForYear(2031)), [
+        '2031-01-01', '2031-01-20', '2031-02-17', '2031-05-26', '2031-07-04',
+        '2031-09-01', '2031-10-13', '2031-11-11', '2031-11-27', '2031-12-25'
+    ]);
+    assert.ok(isHoliday(new Date('2031-11-27T00:00:00'), getHolidaysForYear(2031)));
+});
+
+test('last-weekday rules find the last matching day of the month', () => {
+    const lastMondayOfMay = { type: 'last-weekday', month: 5, weekday: 1 };
+    assert.strictEqual(toDateString(getHolidayDate(lastMondayOfMay, 2027)), '2027-05-31'); // May 31 is a Monday
+    assert.strictEqual(toDateString(getHolidayDate(lastMondayOfMay, 2026)), '2026-05-25');
+    // Last Thursday of February in a leap year
+    assert.strictEqual(toDateString(getHolidayDate({ type: 'last-weekday', month: 2, weekday: 4 }, 2024)), '2024-02-29');
+});
+
+test('easter rules are offset from Easter Sunday', () => {
+    const easter = { type: 'easter', offset: 0 };
+    const goodFriday = { type: 'easter', offset: -2 };
+    const easterMonday = { type: 'easter', offset: 1 };
+    assert.strictEqual(toDateString(getHolidayDate(easter, 2025)), '2025-04-20');
+    assert.strictEqual(toDateString(getHolidayDate(goodFriday, 2025)), '2025-04-18');
+    assert.strictEqual(toDateString(getHolidayDate(easterMonday, 2024)), '2024-04-01'); // Crosses into April
+    assert.strictEqual(toDateString(getHolidayDate(easter, 2038)), '2038-04-25'); // Latest possible date
+    assert.strictEqual(toDateString(getHolidayDate(easter, 2285)), '2285-03-22'); // Earliest possible date
+});
+
+test('computed years are cached and frozen', () => {
+    const first = getHolidaysForYear(2040);
+    assert.strictEqual(getHolidaysForYear(2040), first);
+    assert.ok(Object.isFrozen(first));
+    assert.strictEqual(getHolidaysInRange(new Date('2040-01-01T00:00:00'), new Date('2040-12-31T00:00:00')).length, first.length);
+});
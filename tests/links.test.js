@@ -0,0 +1,56 @@
+/**
+ * Tests for link validation (utils.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const app = loadScripts(['utils.js']);
+const validateLink = app('validateLink');
+const getAssetValidationErrors = app('getAssetValidationErrors');
+const MAX_LINK_LABEL_LENGTH = app('MAX_LINK_LABEL_LENGTH');
+
+const LONG_HOST_URL = 'https://a-very-long-subdomain-name-for-testing-purposes.example-studio-domain.com/x';
+
+// Arrays made in the sandbox have its Array prototype, so they are copied before comparing
+const errorsOf = record => [...getAssetValidationErrors(record)];
+
+const asset = links => ({
+    id: 'a1',
+    name: 'Hero',
+    vendor: 'Acme',
+    fixRelease: '1.00',
+    startDate: '2026-01-05T00:00:00.000Z',
+    lastReset: '2026-01-05T00:00:00.000Z',
+    createdAt: '2026-01-05T00:00:00.000Z',
+    links
+});
+
+test('a link without a label is labelled with its host name', () => {
+    const result = validateLink('', 'https://media.example.com/review/1');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.value.label, 'media.example.com');
+});
+
+test('a long host name used as label is shortened to the label limit', () => {
+    const result = validateLink('', LONG_HOST_URL);
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.value.label.length, MAX_LINK_LABEL_LENGTH);
+    assert.ok(result.value.label.endsWith('…'));
+    assert.strictEqual(result.value.url, LONG_HOST_URL);
+});
+
+test('a stored link with a shortened host label passes asset validation', () => {
+    const link = validateLink('', LONG_HOST_URL).value;
+    assert.deepStrictEqual(errorsOf(asset([link])), []);
+});
+
+test('labels over the limit and non-http links are rejected', () => {
+    assert.strictEqual(validateLink('x'.repeat(MAX_LINK_LABEL_LENGTH + 1), 'https://example.com').valid, false);
+    assert.strictEqual(validateLink('', 'javascript:alert(1)').valid, false);
+    assert.deepStrictEqual(
+        errorsOf(asset([{ label: 'x', url: 'javascript:alert(1)' }])),
+        ['Link 1 is not a valid http(s) link']
+    );
+});
@@ -0,0 +1,47 @@
+/**
+ * FILE: tests/loadScripts.js
+ * PATTERN: Test Helper
+ * RESPONSIBILITY: Load the app's browser scripts into a sandbox for Node tests
+ *
+ * ARCHITECTURAL DECISIONS:
+ * - The app has no modules: scripts share one global scope, in the order
+ *   index.html loads them, so they are run the same way in one vm context
+ * - Only scripts without DOM access at load time can be loaded
+ *   (e.g. utils.js, holidays.js, dateUtils.js, workflow.js, migrations.js);
+ *   storage.js and history.js also run once given browser globals such as
+ *   localStorage (see the globals parameter)
+ *
+ * USAGE: node --test tests/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Runs app scripts in a fresh sandbox
+ *
+ * @param {Array<string>} files - Script file names, in index.html order
+ * @param {Object} [globals] - Extra globals for the sandbox (e.g. { localStorage })
+ * @returns {Function} (name) => value of a top-level function or constant,
+ *   or of any expression (e.g. 'writeQueue')
+ *
+ * EXAMPLE:
+ * const app = loadScripts(['holidays.js']);
+ * app('getHolidaysForYear')(2031)
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ URL, console, ...globals });
+
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    // Top-level const declarations are not properties of the global object,
+    // so names are looked up by evaluating them inside the sandbox
+    return name => vm.runInContext(name, context);
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,73 @@
+/**
+ * Tests for merging asset patches written by several tabs (storageBackends.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const app = loadScripts(['utils.js', 'migrations.js', 'storageBackends.js']);
+const applyChangesToEnvelope = app('applyChangesToEnvelope');
+const mergeRecordPatch = app('mergeRecordPatch');
+
+const comment = (id, text = id) => ({ id, text, author: null, createdAt: '2026-01-01T00:00:00.000Z', editedAt: null });
+
+// Entry IDs of a list, copied out of the sandbox (whose arrays fail deepStrictEqual)
+const idsOf = entries => Array.from(entries, entry => entry.id);
+
+test('comments added by two tabs at the same time are both kept', () => {
+    const envelope = { schemaVersion: 7, assets: [{ id: 'a1', name: 'Asset', comments: [comment('c1')] }] };
+
+    // Both tabs started from c1 when they added their comment
+    applyChangesToEnvelope(envelope, [
+        { store: 'assets', id: 'a1', patch: { comments: [comment('c1'), comment('tab-1')] }, base: { comments: [comment('c1')] } }
+    ]);
+    const [stored] = applyChangesToEnvelope(envelope, [
+        { store: 'assets', id: 'a1', patch: { comments: [comment('c1'), comment('tab-2')] }, base: { comments: [comment('c1')] } }
+    ]);
+
+    assert.deepStrictEqual(idsOf(stored.comments), ['c1', 'tab-1', 'tab-2']);
+    assert.strictEqual(envelope.assets[0], stored);
+});
+
+test('a list the record did not have yet is merged as empty', () => {
+    const current = { id: 'a1', comments: [comment('tab-1')] };
+    const merged = mergeRecordPatch(current, { patch: { comments: [comment('tab-2')] }, base: { comments: [] } });
+
+    assert.deepStrictEqual(idsOf(merged.comments), ['tab-1', 'tab-2']);
+    assert.deepStrictEqual(idsOf(mergeRecordPatch({ id: 'a1' }, { patch: { comments: [comment('c1')] }, base: { comments: [] } }).comments), ['c1']);
+});
+
+test('entries the writer changed or removed win, others keep their stored version', () => {
+    const current = {
+        id: 'a1',
+        reviews: [{ id: 'r1', outcome: 'approved' }, { id: 'r2', outcome: 'approved' }, { id: 'r4', outcome: 'edited elsewhere' }, { id: 'other' }]
+    };
+    const merged = mergeRecordPatch(current, {
+        patch: { reviews: [{ id: 'r1', outcome: 'rejected' }, { id: 'r4', outcome: 'approved' }, { id: 'r3' }] },
+        base: { reviews: [{ id: 'r1', outcome: 'approved' }, { id: 'r2', outcome: 'approved' }, { id: 'r4', outcome: 'approved' }] }
+    });
+
+    assert.deepStrictEqual(idsOf(merged.reviews), ['r1', 'r4', 'other', 'r3']);
+    assert.strictEqual(merged.reviews[0].outcome, 'rejected');
+    assert.strictEqual(merged.reviews[1].outcome, 'edited elsewhere');
+});
+
+test('entries removed elsewhere are not brought back by an older patch', () => {
+    const current = { id: 'a1', comments: [comment('c2')] };
+    const merged = mergeRecordPatch(current, {
+        patch: { comments: [comment('c1'), comment('c2'), comment('c3')] },
+        base: { comments: [comment('c1'), comment('c2')] }
+    });
+
+    assert.deepStrictEqual(idsOf(merged.comments), ['c2', 'c3']);
+});
+
+test('fields without a base are replaced as before', () => {
+    const current = { id: 'a1', name: 'Old', tags: ['a', 'b'], comments: [comment('c1'), comment('c2')] };
+    const merged = mergeRecordPatch(current, { patch: { name: 'New', tags: ['c'], comments: [comment('c1')] } });
+
+    assert.strictEqual(merged.name, 'New');
+    assert.deepStrictEqual(Array.from(merged.tags), ['c']);
+    assert.deepStrictEqual(idsOf(merged.comments), ['c1']);
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the reference sync server (server/sync-server.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createFileStore, createHandler } = require('../server/sync-server');
+
+const TOKEN = 'correct-horse-battery';
+
+/**
+ * Starts a server on a free port with a fresh data file
+ *
+ * @param {Object} t - Test context (the server is closed when the test ends)
+ * @param {Array<string>} [allowedOrigins] - See --allow-origin
+ * @returns {Promise<Function>} (method, path, { headers, body }) => Promise<{ status, headers, body }>
+ */
+async function startServer(t, allowedOrigins = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trackpop-sync-'));
+    const server = http.createServer(createHandler(createFileStore(path.join(dir, 'data.json')), { token: TOKEN, allowedOrigins }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return async (method, requestPath, { headers = {}, body } = {}) => {
+        const response = await fetch(`${base}${requestPath}`, { method, headers, body });
+        const text = await response.text();
+        let parsed = null;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            parsed = text;
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    };
+}
+
+const asset = { id: 'a1', name: 'Hero' };
+
+test('API requests need the shared token', async (t) => {
+    const request = await startServer(t);
+
+    assert.strictEqual((await request('GET', '/api/assets')).status, 401);
+    assert.strictEqual((await request('GET', '/api/assets', { headers: { 'X-TrackPop-Token': 'wrong' } })).status, 401);
+    const denied = await request('PUT', '/api/assets/a1', { body: JSON.stringify({ asset, baseRevision: null }) });
+    assert.strictEqual(denied.status, 401);
+
+    const headers = { 'X-TrackPop-Token': TOKEN, 'Content-Type': 'application/json' };
+    assert.strictEqual((await request('PUT', '/api/assets/a1', { headers, body: JSON.stringify({ asset, baseRevision: null }) })).status, 200);
+    const list = await request('GET', '/api/assets', { headers });
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.assets.map(record => record.asset), [asset]);
+});
+
+test('the app itself is served without the token', async (t) => {
+    const request = await startServer(t);
+    const page = await request('GET', '/');
+
+    assert.strictEqual(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+});
+
+test('CORS headers are only sent to allowed origins', async (t) => {
+    const request = await startServer(t, ['null']);
+    const headers = { 'X-TrackPop-Token': TOKEN };
+
+    const other = await request('GET', '/api/assets', { headers: { ...headers, Origin: 'https://evil.example' } });
+    assert.strictEqual(other.headers.get('access-control-allow-origin'), null);
+
+    const fromFile = await request('GET', '/api/assets', { headers: { ...headers, Origin: 'null' } });
+    assert.strictEqual(fromFile.headers.get('access-control-allow-origin'), 'null');
+});
+
+test('preflights are refused for other origins and allow the token header', async (t) => {
+    const request = await startServer(t, ['https://tracker.example']);
+    const preflight = origin => request('OPTIONS', '/api/assets/a1', {
+        headers: { Origin: origin, 'Access-Control-Request-Method': 'PUT', 'Access-Control-Request-Headers': 'content-type, x-trackpop-token' }
+    });
+
+    const refused = await preflight('https://evil.example');
+    assert.strictEqual(refused.status, 403);
+    assert.strictEqual(refused.headers.get('access-control-allow-origin'), null);
+
+    const allowed = await preflight('https://tracker.example');
+    assert.strictEqual(allowed.status, 204);
+    assert.strictEqual(allowed.headers.get('access-control-allow-origin'), 'https://tracker.example');
+    assert.match(allowed.headers.get('access-control-allow-headers'), /X-TrackPop-Token/);
+});
+
+test('a malformed asset id is a 400, not a server error', async (t) => {
+    const request = await startServer(t);
+    const headers = { 'X-TrackPop-Token': TOKEN, 'Content-Type': 'application/json' };
+
+    for (const method of ['PUT', 'DELETE']) {
+        const response = await request(method, '/api/assets/%E0%A4?baseRevision=1', { headers, body: method === 'PUT' ? '{}' : undefined });
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body, { error: 'Invalid asset id' });
+    }
+});
+
+test('an oversized body gets the 413 response, not a connection reset', async (t) => {
+    const request = await startServer(t);
+    const headers = { 'X-TrackPop-Token': TOKEN, 'Content-Type': 'application/json' };
+    const body = JSON.stringify({ asset: { ...asset, name: 'x'.repeat(2 * 1024 * 1024) }, baseRevision: null });
+
+    const response = await request('PUT', '/api/assets/a1', { headers, body });
+    assert.strictEqual(response.status, 413);
+    assert.deepStrictEqual(response.body, { error: 'Request body too large' });
+    assert.strictEqual(response.headers.get('connection'), 'close');
+
+    // Nothing was stored, and the server still answers
+    assert.deepStrictEqual((await request('GET', '/api/assets', { headers })).body, { assets: [] });
+});
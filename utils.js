@@ -60,6 +60,45 @@ function generateUUID() {
 // INPUT VALIDATION
 // ========================================
 
+// Outcomes a review event can record, with their display labels
+const REVIEW_OUTCOMES = {
+    approved: 'Approved',
+    'notes-sent': 'Notes sent',
+    rejected: 'Rejected'
+};
+
+// Asset types, with their display labels
+const ASSET_TYPES = {
+    character: 'Character',
+    prop: 'Prop',
+    environment: 'Environment',
+    vehicle: 'Vehicle',
+    fx: 'FX',
+    other: 'Other'
+};
+
+// Tag limits (tags are stored lowercase, e.g. 'rig', 'layout', 'anim')
+const MAX_TAGS_PER_ASSET = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Link limits (review media, vendor FTP folder, ticket...)
+const MAX_LINKS_PER_ASSET = 5;
+const MAX_LINK_LABEL_LENGTH = 50;
+const MAX_LINK_URL_LENGTH = 2000;
+
+// Comment thread limit (per comment; the thread itself has no limit)
+const MAX_COMMENT_LENGTH = 2000;
+
+// Attachment limits (files are stored inside the workspace as data URLs)
+const MAX_ATTACHMENTS_PER_ASSET = 5;            // Reference files (the thumbnail is extra)
+const MAX_ATTACHMENT_SIZE = 1024 * 1024;        // 1 MB per stored file
+const MAX_IMAGE_UPLOAD_SIZE = 20 * 1024 * 1024; // Images are downscaled before storing
+const THUMBNAIL_MAX_DIMENSION = 320;            // Pixels, longest side
+const REFERENCE_IMAGE_MAX_DIMENSION = 1600;     // Pixels, longest side
+
+// Image types that can be downscaled in the browser (and used as thumbnails)
+const DOWNSCALABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp'];
+
 /**
  * Validates asset name with security checks
  *
@@ -193,39 +232,831 @@ function validateFixRelease(value) {
 }
 
 /**
- * Validates asset data structure
- * Used when loading from localStorage
+ * Validates the remote sync server address
+ *
+ * RULES:
+ * - Optional (empty disables remote sync)
+ * - Must be an absolute http:// or https:// URL
+ * - Trailing slashes are removed
+ *
+ * @param {string} value - Input value from form
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validateSyncServerUrl(value) {
+    const trimmed = (value || '').trim();
+
+    // Empty URL is allowed (sync disabled)
+    if (!trimmed) {
+        return {
+            valid: true,
+            value: ''
+        };
+    }
+
+    let url;
+    try {
+        url = new URL(trimmed);
+    } catch (error) {
+        return {
+            valid: false,
+            error: 'Sync server must be a full address, e.g. http://192.168.1.20:8787'
+        };
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return {
+            valid: false,
+            error: 'Sync server address must start with http:// or https://'
+        };
+    }
+
+    return {
+        valid: true,
+        value: trimmed.replace(/\/+$/, '')
+    };
+}
+
+/**
+ * Validates the token sent to the sync server
+ *
+ * RULES:
+ * - Required when a server address is set (the server refuses requests
+ *   without it), optional otherwise
+ * - Printable characters without spaces (it is sent in an HTTP header)
+ * - At most 200 characters
+ *
+ * @param {string} value - Input value from form
+ * @param {string} serverUrl - Validated server address ('' if sync is off)
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validateSyncToken(value, serverUrl) {
+    const trimmed = (value || '').trim();
+
+    if (!trimmed) {
+        return serverUrl
+            ? { valid: false, error: 'Enter the token the sync server was started with' }
+            : { valid: true, value: '' };
+    }
+
+    if (trimmed.length > 200 || !/^[\x21-\x7E]+$/.test(trimmed)) {
+        return {
+            valid: false,
+            error: 'Sync token must be at most 200 letters, digits or symbols, without spaces'
+        };
+    }
+
+    return {
+        valid: true,
+        value: trimmed
+    };
+}
+
+/**
+ * Validates a workspace's extra holidays (e.g. studio closure days)
+ *
+ * RULES:
+ * - Optional (empty list)
+ * - Dates in YYYY-MM-DD format, separated by commas, spaces or new lines
+ * - At most 100 dates; duplicates are removed and the list is sorted
+ *
+ * @param {string} value - Input value from form
+ * @returns {Object} { valid: boolean, value?: Array<string>, error?: string }
+ */
+function validateCustomHolidays(value) {
+    const parts = (value || '').split(/[\s,]+/).filter(Boolean);
+
+    for (const part of parts) {
+        const date = new Date(`${part}T00:00:00`);
+        const isRealDate = /^\d{4}-\d{2}-\d{2}$/.test(part) &&
+            !isNaN(date.getTime()) &&
+            date.getDate() === parseInt(part.slice(8, 10), 10);
+
+        if (!isRealDate) {
+            return {
+                valid: false,
+                error: `"${part}" is not a valid date - use YYYY-MM-DD`
+            };
+        }
+    }
+
+    const dates = Array.from(new Set(parts)).sort();
+    if (dates.length > 100) {
+        return {
+            valid: false,
+            error: 'At most 100 extra holidays can be set'
+        };
+    }
+
+    return {
+        valid: true,
+        value: dates
+    };
+}
+
+/**
+ * Validates the author name recorded in the audit trail
+ *
+ * RULES:
+ * - Optional (empty means changes are recorded without an author)
+ * - Max 50 characters after trimming
+ *
+ * @param {string} value - Input value from form
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validateAuthorName(value) {
+    const trimmed = (value || '').trim();
+
+    if (trimmed.length > 50) {
+        return {
+            valid: false,
+            error: 'Your name must be 50 characters or less'
+        };
+    }
+
+    return {
+        valid: true,
+        value: trimmed
+    };
+}
+
+/**
+ * Validates the assignee (coordinator following up with the vendor) of an asset
+ *
+ * RULES:
+ * - Optional (empty means unassigned)
+ * - Max 50 characters after trimming (same as "Your Name", so they can match)
+ *
+ * @param {string} value - Input value from form or CSV
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validateAssignee(value) {
+    const trimmed = (value || '').trim();
+
+    if (trimmed.length > 50) {
+        return {
+            valid: false,
+            error: 'Assignee must be 50 characters or less'
+        };
+    }
+
+    return {
+        valid: true,
+        value: trimmed
+    };
+}
+
+/**
+ * Validates and normalizes the tags of an asset
+ *
+ * RULES:
+ * - Optional (empty means no tags)
+ * - Separated by commas or semicolons (semicolons in CSV files)
+ * - Stored lowercase; duplicates are dropped
+ * - Each tag max 30 characters: letters, numbers, spaces, underscore, hyphen
+ * - Max 10 tags per asset
+ *
+ * @param {string|Array<string>} value - Input value from form or CSV, or a tag list
+ * @returns {Object} { valid: boolean, value?: Array<string>, error?: string }
+ */
+function validateTags(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+    const tags = [];
+
+    for (const part of parts) {
+        const tag = String(part).trim().toLowerCase();
+        if (!tag) continue;
+
+        if (tag.length > MAX_TAG_LENGTH) {
+            return {
+                valid: false,
+                error: `Tag "${tag}" is too long (max ${MAX_TAG_LENGTH} characters)`
+            };
+        }
+
+        if (!/^[a-z0-9_\- ]+$/.test(tag)) {
+            return {
+                valid: false,
+                error: `Tag "${tag}" contains invalid characters`
+            };
+        }
+
+        if (!tags.includes(tag)) {
+            tags.push(tag);
+        }
+    }
+
+    if (tags.length > MAX_TAGS_PER_ASSET) {
+        return {
+            valid: false,
+            error: `An asset can have at most ${MAX_TAGS_PER_ASSET} tags`
+        };
+    }
+
+    return {
+        valid: true,
+        value: tags
+    };
+}
+
+/**
+ * Validates one link of an asset
+ *
+ * RULES:
+ * - URL required: an absolute http:// or https:// address, max 2000 characters
+ *   (other schemes such as javascript: or data: are rejected, since the
+ *   link is rendered as a clickable anchor)
+ * - Label optional, max 50 characters; defaults to the URL's host name
+ *   (shortened with "…" to 50 characters, so the stored link re-validates)
+ *
+ * @param {string} label - Label input value
+ * @param {string} url - URL input value
+ * @returns {Object} { valid: boolean, value?: { label, url }, error?: string }
+ */
+function validateLink(label, url) {
+    const trimmedUrl = String(url || '').trim();
+    const trimmedLabel = String(label || '').trim();
+
+    if (!trimmedUrl) {
+        return {
+            valid: false,
+            error: `Link "${trimmedLabel}" needs a URL`
+        };
+    }
+
+    if (trimmedUrl.length > MAX_LINK_URL_LENGTH) {
+        return {
+            valid: false,
+            error: `Link URL must be ${MAX_LINK_URL_LENGTH} characters or less`
+        };
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(trimmedUrl);
+    } catch (error) {
+        return {
+            valid: false,
+            error: `"${trimmedUrl}" is not a full address, e.g. https://example.com/review`
+        };
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return {
+            valid: false,
+            error: 'Link URLs must start with http:// or https://'
+        };
+    }
+
+    if (trimmedLabel.length > MAX_LINK_LABEL_LENGTH) {
+        return {
+            valid: false,
+            error: `Link label must be ${MAX_LINK_LABEL_LENGTH} characters or less`
+        };
+    }
+
+    const hostLabel = parsed.hostname.length > MAX_LINK_LABEL_LENGTH
+        ? `${parsed.hostname.slice(0, MAX_LINK_LABEL_LENGTH - 1)}…`
+        : parsed.hostname;
+
+    return {
+        valid: true,
+        value: { label: trimmedLabel || hostLabel, url: trimmedUrl }
+    };
+}
+
+/**
+ * Validates the links of an asset
+ *
+ * RULES:
+ * - Optional (empty means no links); entries with neither label nor URL are dropped
+ * - Each link must pass validateLink()
+ * - Max 5 links per asset
+ *
+ * @param {Array<{label: string, url: string}>} links - Links from the form or CSV
+ * @returns {Object} { valid: boolean, value?: Array<{label, url}>, error?: string }
+ */
+function validateLinks(links) {
+    const value = [];
+
+    for (const link of links) {
+        if (!String(link.label || '').trim() && !String(link.url || '').trim()) continue;
+
+        const result = validateLink(link.label, link.url);
+        if (!result.valid) return result;
+        value.push(result.value);
+    }
+
+    if (value.length > MAX_LINKS_PER_ASSET) {
+        return {
+            valid: false,
+            error: `An asset can have at most ${MAX_LINKS_PER_ASSET} links`
+        };
+    }
+
+    return {
+        valid: true,
+        value
+    };
+}
+
+/**
+ * Checks a file dropped or picked as an attachment before it is read
+ *
+ * RULES:
+ * - Not empty; name max 255 characters
+ * - Images that can be downscaled (DOWNSCALABLE_IMAGE_TYPES): max 20 MB
+ * - Other files: max 1 MB (stored as they are)
+ *
+ * @param {File} file - File from a drop or file input
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+function validateAttachmentFile(file) {
+    if (file.size === 0) {
+        return {
+            valid: false,
+            error: `"${file.name}" is empty`
+        };
+    }
+
+    if (file.name.length > 255) {
+        return {
+            valid: false,
+            error: 'File names must be 255 characters or less'
+        };
+    }
+
+    const limit = DOWNSCALABLE_IMAGE_TYPES.includes(file.type) ? MAX_IMAGE_UPLOAD_SIZE : MAX_ATTACHMENT_SIZE;
+    if (file.size > limit) {
+        return {
+            valid: false,
+            error: `"${file.name}" is too large (max ${formatFileSize(limit)})`
+        };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Formats a byte count for display
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. '820 B', '14 KB', '1.2 MB'
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+}
+
+/**
+ * Validates the asset type
+ *
+ * RULES:
+ * - Optional (empty means no type)
+ * - A key or label of ASSET_TYPES, case-insensitive (e.g. 'fx' or 'FX')
+ *
+ * @param {string} value - Input value from form or CSV
+ * @returns {Object} { valid: boolean, value?: string (type key or ''), error?: string }
+ */
+function validateAssetType(value) {
+    const trimmed = (value || '').trim().toLowerCase();
+
+    if (!trimmed) {
+        return {
+            valid: true,
+            value: ''
+        };
+    }
+
+    const type = Object.keys(ASSET_TYPES).find(key => key === trimmed || ASSET_TYPES[key].toLowerCase() === trimmed);
+    if (!type) {
+        return {
+            valid: false,
+            error: `Unknown asset type "${value.trim()}" (use ${Object.values(ASSET_TYPES).join(', ')})`
+        };
+    }
+
+    return {
+        valid: true,
+        value: type
+    };
+}
+
+/**
+ * Validates a new encryption passphrase and its confirmation
+ *
+ * RULES:
+ * - At least 8 characters (not trimmed - spaces are part of a passphrase)
+ * - Max 200 characters
+ * - Must match the confirmation field
+ *
+ * @param {string} value - Passphrase from form
+ * @param {string} confirmation - Same passphrase typed again
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validatePassphrase(value, confirmation) {
+    const passphrase = value || '';
+
+    if (passphrase.length < 8) {
+        return {
+            valid: false,
+            error: 'Passphrase must be at least 8 characters'
+        };
+    }
+
+    if (passphrase.length > 200) {
+        return {
+            valid: false,
+            error: 'Passphrase must be 200 characters or less'
+        };
+    }
+
+    if (passphrase !== confirmation) {
+        return {
+            valid: false,
+            error: 'The passphrases do not match'
+        };
+    }
+
+    return {
+        valid: true,
+        value: passphrase
+    };
+}
+
+/**
+ * Validates the optional comment of a review event
+ *
+ * RULES:
+ * - Optional
+ * - Max 500 characters after trimming
+ *
+ * @param {string} value - Input value from the review panel
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validateReviewComment(value) {
+    const trimmed = (value || '').trim();
+
+    if (trimmed.length > 500) {
+        return {
+            valid: false,
+            error: 'Review comment must be 500 characters or less'
+        };
+    }
+
+    return {
+        valid: true,
+        value: trimmed
+    };
+}
+
+/**
+ * Validates the version label of a vendor delivery
+ *
+ * RULES:
+ * - Required (not empty after trim)
+ * - Max 30 characters
+ * - Only allows: letters, numbers, underscore, hyphen, period (no spaces)
+ *
+ * @param {string} value - Input value from the delivery form
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validateDeliveryVersion(value) {
+    const trimmed = (value || '').trim();
+
+    if (!trimmed) {
+        return {
+            valid: false,
+            error: 'Version is required (e.g. v2)'
+        };
+    }
+
+    if (trimmed.length > 30) {
+        return {
+            valid: false,
+            error: 'Version must be 30 characters or less'
+        };
+    }
+
+    if (!/^[a-zA-Z0-9_\-\.]+$/.test(trimmed)) {
+        return {
+            valid: false,
+            error: 'Version can only contain letters, numbers, "_", "-" and "."'
+        };
+    }
+
+    return {
+        valid: true,
+        value: trimmed
+    };
+}
+
+/**
+ * Validates the optional reason given when pausing an asset
+ *
+ * RULES:
+ * - Optional
+ * - Max 200 characters after trimming
+ *
+ * @param {string} value - Input value from the pause panel
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validatePauseReason(value) {
+    const trimmed = (value || '').trim();
+
+    if (trimmed.length > 200) {
+        return {
+            valid: false,
+            error: 'Pause reason must be 200 characters or less'
+        };
+    }
+
+    return {
+        valid: true,
+        value: trimmed
+    };
+}
+
+/**
+ * Validates a comment (new or edited) on an asset's comment thread
+ *
+ * RULES:
+ * - Required (not empty after trim)
+ * - Max MAX_COMMENT_LENGTH characters after trimming
+ * - Line breaks are kept (comments are shown with white-space: pre-line)
+ *
+ * @param {string} value - Input value from the comment thread or the bulk actions toolbar
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validateComment(value) {
+    const trimmed = (value || '').trim();
+
+    if (trimmed.length === 0) {
+        return {
+            valid: false,
+            error: 'Please enter a comment'
+        };
+    }
+
+    if (trimmed.length > MAX_COMMENT_LENGTH) {
+        return {
+            valid: false,
+            error: `Comment must be ${MAX_COMMENT_LENGTH} characters or less`
+        };
+    }
+
+    return {
+        valid: true,
+        value: trimmed
+    };
+}
+
+/**
+ * Lists every reason an asset record fails structural validation
+ * Used when loading stored data (after schema migrations have run)
+ *
+ * WHY: Rejected records are quarantined with these reasons so users
+ * can see exactly what to repair
  *
  * @param {Object} asset - Asset object to validate
- * @returns {boolean} True if valid asset structure
+ * @returns {Array<string>} Human-readable problems, empty if the record is valid
  */
-function isValidAsset(asset) {
-    if (!asset || typeof asset !== 'object') return false;
+function getAssetValidationErrors(asset) {
+    if (!asset || typeof asset !== 'object' || Array.isArray(asset)) {
+        return ['Record is not an object'];
+    }
+
+    const errors = [];
 
-    // Check required fields exist
+    // Check required fields exist and are strings
     const requiredFields = ['id', 'name', 'vendor', 'fixRelease', 'startDate', 'lastReset', 'createdAt'];
     for (const field of requiredFields) {
-        if (!(field in asset)) return false;
+        if (!(field in asset)) {
+            errors.push(`Missing required field "${field}"`);
+        } else if (typeof asset[field] !== 'string') {
+            errors.push(`Field "${field}" must be text`);
+        }
+    }
+
+    // Notes were replaced by comments (schema 7); migrateNotesToComments()
+    // moves text notes on load, restore and sync, so only broken ones remain
+    if ('notes' in asset && typeof asset.notes !== 'string') {
+        errors.push('Field "notes" must be text');
+    }
+
+    // Comments are optional (older records have none), but if present must be a thread
+    if ('comments' in asset) {
+        if (!Array.isArray(asset.comments)) {
+            errors.push('Field "comments" must be a list');
+        } else {
+            asset.comments.forEach((comment, index) => {
+                if (!isValidComment(comment)) {
+                    errors.push(`Comment ${index + 1} is not a valid comment`);
+                }
+            });
+        }
     }
 
-    // Validate types
-    if (typeof asset.id !== 'string') return false;
-    if (typeof asset.name !== 'string') return false;
-    if (typeof asset.vendor !== 'string') return false;
-    if (typeof asset.fixRelease !== 'string') return false;
-    if (typeof asset.startDate !== 'string') return false;
-    if (typeof asset.lastReset !== 'string') return false;
-    if (typeof asset.createdAt !== 'string') return false;
+    // Assignee is optional (empty or absent means unassigned)
+    if ('assignee' in asset && typeof asset.assignee !== 'string') {
+        errors.push('Field "assignee" must be text');
+    }
 
-    // Notes is optional, but if present must be a string
-    if ('notes' in asset && typeof asset.notes !== 'string') return false;
+    // Tags and type are optional; stored tags must already be normalized
+    if ('tags' in asset) {
+        const tagsResult = Array.isArray(asset.tags) && asset.tags.every(tag => typeof tag === 'string')
+            ? validateTags(asset.tags)
+            : { valid: false };
+        if (!tagsResult.valid || tagsResult.value.length !== asset.tags.length ||
+            tagsResult.value.some((tag, index) => tag !== asset.tags[index])) {
+            errors.push('Field "tags" is not a valid list of tags');
+        }
+    }
+
+    if ('assetType' in asset && asset.assetType !== '' &&
+        !(typeof asset.assetType === 'string' && Object.prototype.hasOwnProperty.call(ASSET_TYPES, asset.assetType))) {
+        errors.push('Field "assetType" is not a known asset type');
+    }
+
+    // Links are optional; stored links must be safe and already normalized
+    if ('links' in asset) {
+        if (!Array.isArray(asset.links) || asset.links.length > MAX_LINKS_PER_ASSET) {
+            errors.push(`Field "links" must be a list of at most ${MAX_LINKS_PER_ASSET} links`);
+        } else {
+            asset.links.forEach((link, index) => {
+                const linkResult = link && typeof link === 'object' ? validateLink(link.label, link.url) : { valid: false };
+                if (!linkResult.valid || linkResult.value.label !== link.label || linkResult.value.url !== link.url) {
+                    errors.push(`Link ${index + 1} is not a valid http(s) link`);
+                }
+            });
+        }
+    }
 
     // Validate dates are valid ISO strings
-    if (isNaN(Date.parse(asset.startDate))) return false;
-    if (isNaN(Date.parse(asset.lastReset))) return false;
-    if (isNaN(Date.parse(asset.createdAt))) return false;
+    for (const field of ['startDate', 'lastReset', 'createdAt']) {
+        if (typeof asset[field] === 'string' && isNaN(Date.parse(asset[field]))) {
+            errors.push(`Field "${field}" is not a valid date`);
+        }
+    }
+
+    // Reviews is optional (older records have none), but if present must be a list of events
+    if ('reviews' in asset) {
+        if (!Array.isArray(asset.reviews)) {
+            errors.push('Field "reviews" must be a list');
+        } else {
+            asset.reviews.forEach((review, index) => {
+                if (!isValidReviewEvent(review)) {
+                    errors.push(`Review ${index + 1} is not a valid review event`);
+                }
+            });
+        }
+    }
+
+    // Archive date is optional (null or absent while the asset is active)
+    if ('archivedAt' in asset && asset.archivedAt !== null &&
+        (typeof asset.archivedAt !== 'string' || isNaN(Date.parse(asset.archivedAt)))) {
+        errors.push('Field "archivedAt" is not a valid date');
+    }
+
+    // Status is optional (older records have none), but if present must be a known status
+    if ('status' in asset && !isAssetStatus(asset.status)) {
+        errors.push('Field "status" is not a known status');
+    }
+
+    if ('statusHistory' in asset) {
+        if (!Array.isArray(asset.statusHistory)) {
+            errors.push('Field "statusHistory" must be a list');
+        } else {
+            asset.statusHistory.forEach((change, index) => {
+                if (!isValidStatusChange(change)) {
+                    errors.push(`Status change ${index + 1} is not a valid status change`);
+                }
+            });
+        }
+    }
+
+    // Pauses are optional; only the latest one may still be open
+    if ('pauses' in asset) {
+        if (!Array.isArray(asset.pauses)) {
+            errors.push('Field "pauses" must be a list');
+        } else {
+            asset.pauses.forEach((pause, index) => {
+                const isLatest = index === asset.pauses.length - 1;
+                if (!isValidPause(pause) || (pause.end === null && !isLatest)) {
+                    errors.push(`Pause ${index + 1} is not a valid pause`);
+                }
+            });
+        }
+    }
 
-    return true;
+    if ('deliveries' in asset) {
+        if (!Array.isArray(asset.deliveries)) {
+            errors.push('Field "deliveries" must be a list');
+        } else {
+            asset.deliveries.forEach((delivery, index) => {
+                if (!isValidDelivery(delivery)) {
+                    errors.push(`Delivery ${index + 1} is not a valid delivery`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Checks the structure of one entry of asset.comments
+ *
+ * @param {Object} comment - { id, text, author (null if anonymous), createdAt, editedAt (null if never edited) }
+ * @returns {boolean} True if valid comment
+ */
+function isValidComment(comment) {
+    return !!comment &&
+        typeof comment === 'object' &&
+        typeof comment.id === 'string' &&
+        typeof comment.text === 'string' && comment.text !== '' &&
+        (comment.author === null || typeof comment.author === 'string') &&
+        typeof comment.createdAt === 'string' && !isNaN(Date.parse(comment.createdAt)) &&
+        (comment.editedAt === null ||
+            (typeof comment.editedAt === 'string' && !isNaN(Date.parse(comment.editedAt))));
+}
+
+/**
+ * Checks the structure of one entry of asset.deliveries
+ *
+ * @param {Object} delivery - { id, version, receivedAt, reviewedAt, result, reviewId }
+ *   (the last three are null until the delivery is reviewed)
+ * @returns {boolean} True if valid delivery
+ */
+function isValidDelivery(delivery) {
+    return !!delivery &&
+        typeof delivery === 'object' &&
+        typeof delivery.id === 'string' &&
+        typeof delivery.version === 'string' && delivery.version !== '' &&
+        typeof delivery.receivedAt === 'string' && !isNaN(Date.parse(delivery.receivedAt)) &&
+        (delivery.reviewedAt === null ||
+            (typeof delivery.reviewedAt === 'string' && !isNaN(Date.parse(delivery.reviewedAt)))) &&
+        (delivery.result === null || Object.prototype.hasOwnProperty.call(REVIEW_OUTCOMES, delivery.result)) &&
+        (delivery.reviewId === null || typeof delivery.reviewId === 'string');
+}
+
+/**
+ * Checks the structure of one entry of asset.pauses
+ *
+ * @param {Object} pause - { id, start, end (null while paused), reason }
+ * @returns {boolean} True if valid pause
+ */
+function isValidPause(pause) {
+    return !!pause &&
+        typeof pause === 'object' &&
+        typeof pause.id === 'string' &&
+        typeof pause.start === 'string' && !isNaN(Date.parse(pause.start)) &&
+        (pause.end === null ||
+            (typeof pause.end === 'string' && Date.parse(pause.end) >= Date.parse(pause.start))) &&
+        typeof pause.reason === 'string';
+}
+
+/**
+ * Checks the structure of one entry of asset.statusHistory
+ *
+ * @param {Object} change - { id, from, to, changedAt }
+ * @returns {boolean} True if valid status change
+ */
+function isValidStatusChange(change) {
+    return !!change &&
+        typeof change === 'object' &&
+        typeof change.id === 'string' &&
+        isAssetStatus(change.from) &&
+        isAssetStatus(change.to) &&
+        typeof change.changedAt === 'string' && !isNaN(Date.parse(change.changedAt));
+}
+
+/**
+ * Checks the structure of one entry of asset.reviews
+ *
+ * @param {Object} review - { id, cycleStart, reviewedAt, businessDays, calendarDays, outcome, comment }
+ * @returns {boolean} True if valid review event
+ */
+function isValidReviewEvent(review) {
+    return !!review &&
+        typeof review === 'object' &&
+        typeof review.id === 'string' &&
+        typeof review.cycleStart === 'string' && !isNaN(Date.parse(review.cycleStart)) &&
+        typeof review.reviewedAt === 'string' && !isNaN(Date.parse(review.reviewedAt)) &&
+        Number.isInteger(review.businessDays) && review.businessDays >= 0 &&
+        Number.isInteger(review.calendarDays) && review.calendarDays >= 0 &&
+        Object.prototype.hasOwnProperty.call(REVIEW_OUTCOMES, review.outcome) &&
+        typeof review.comment === 'string';
+}
+
+/**
+ * Validates asset data structure
+ *
+ * @param {Object} asset - Asset object to validate
+ * @returns {boolean} True if valid asset structure
+ */
+function isValidAsset(asset) {
+    return getAssetValidationErrors(asset).length === 0;
 }
 
 // ========================================
@@ -237,12 +1068,18 @@ function isValidAsset(asset) {
  *
  * TYPES: 'success', 'error', 'warning', 'info'
  * DURATION: Auto-dismisses after specified milliseconds
+ * ACTION: Optional button (e.g. "Undo"); clicking it runs the callback and
+ * dismisses the toast
  *
  * @param {string} message - Message to display
  * @param {string} type - Type of notification (default: 'info')
  * @param {number} duration - How long to show (default: 3000ms)
+ * @param {Object} [action] - { label, onClick } for an action button
+ *
+ * EXAMPLE:
+ * showToast('Asset deleted', 'success', 5000, { label: 'Undo', onClick: handleUndo })
  */
-function showToast(message, type = 'info', duration = 3000) {
+function showToast(message, type = 'info', duration = 3000, action = null) {
     // Create toast container if it doesn't exist
     let toastContainer = document.getElementById('toast-container');
     if (!toastContainer) {
@@ -271,14 +1108,11 @@ function showToast(message, type = 'info', duration = 3000) {
         <span class="toast-message">${escapeHtml(message)}</span>
     `;
 
-    // Add to container
-    toastContainer.appendChild(toast);
-
-    // Trigger animation
-    setTimeout(() => toast.classList.add('toast-show'), 10);
-
-    // Auto dismiss
-    setTimeout(() => {
+    // Dismisses the toast once, whether by timeout or by the action button
+    let dismissed = false;
+    const dismiss = () => {
+        if (dismissed) return;
+        dismissed = true;
         toast.classList.remove('toast-show');
         setTimeout(() => {
             toastContainer.removeChild(toast);
@@ -287,7 +1121,28 @@ function showToast(message, type = 'info', duration = 3000) {
                 document.body.removeChild(toastContainer);
             }
         }, 300);
-    }, duration);
+    };
+
+    if (action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'toast-action';
+        actionBtn.textContent = action.label;
+        actionBtn.addEventListener('click', () => {
+            dismiss();
+            action.onClick();
+        });
+        toast.appendChild(actionBtn);
+    }
+
+    // Add to container
+    toastContainer.appendChild(toast);
+
+    // Trigger animation
+    setTimeout(() => toast.classList.add('toast-show'), 10);
+
+    // Auto dismiss
+    setTimeout(dismiss, duration);
 }
 
 /**
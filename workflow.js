@@ -0,0 +1,147 @@
+/**
+ * FILE: workflow.js
+ * PATTERN: Pure Functions (state machine rules)
+ * RESPONSIBILITY: Asset statuses, the transitions allowed between them,
+ * which statuses run the business-day clock, and archiving finished assets
+ *
+ * ARCHITECTURAL DECISIONS:
+ * - The statuses themselves are fixed; the transitions and the statuses that
+ *   run the clock are workspace settings (edited in the Settings panel)
+ * - Settings are normalized on read, so stored values naming unknown statuses
+ *   (e.g. from a newer build) can never produce an impossible workflow
+ * - Assets created before statuses existed have no status field and are read
+ *   as DEFAULT_ASSET_STATUS, which runs the clock like before
+ * - Archiving is separate from the status: an archived asset keeps its status
+ *   and all of its data, but leaves the active grid and never alerts
+ * - No storage or DOM access: storage.js records the transitions, app.js
+ *   renders them
+ *
+ * BENEFITS:
+ * - Approved or on-hold assets stop alerting without being deleted or reviewed
+ * - Studios can tighten or loosen the workflow without code changes
+ */
+
+/**
+ * Asset statuses in workflow order, with their display labels
+ * (also the order used when sorting by status)
+ */
+const ASSET_STATUSES = {
+    'awaiting-vendor': 'Awaiting Vendor',
+    'in-review': 'In Review',
+    'changes-requested': 'Changes Requested',
+    approved: 'Approved',
+    'on-hold': 'On Hold'
+};
+
+// Status of new assets, and of assets stored before statuses existed
+const DEFAULT_ASSET_STATUS = 'awaiting-vendor';
+
+/**
+ * Default transitions: status → statuses it can move to
+ */
+const DEFAULT_STATUS_TRANSITIONS = {
+    'awaiting-vendor': ['in-review', 'on-hold'],
+    'in-review': ['changes-requested', 'approved', 'on-hold'],
+    'changes-requested': ['awaiting-vendor', 'in-review', 'on-hold'],
+    approved: ['in-review'],
+    'on-hold': ['awaiting-vendor', 'in-review', 'changes-requested', 'approved']
+};
+
+// Statuses that run the business-day clock by default (the others never alert)
+const DEFAULT_CLOCK_STATUSES = ['awaiting-vendor', 'in-review', 'changes-requested'];
+
+/**
+ * Gets the status of an asset
+ *
+ * @param {Object} asset - Asset object
+ * @returns {string} Status key (DEFAULT_ASSET_STATUS if the asset has none)
+ */
+function getAssetStatus(asset) {
+    return isAssetStatus(asset.status) ? asset.status : DEFAULT_ASSET_STATUS;
+}
+
+/**
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value is a known status key
+ */
+function isAssetStatus(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(ASSET_STATUSES, value);
+}
+
+/**
+ * Lists the statuses an asset in one status can move to
+ *
+ * @param {string} status - Current status
+ * @param {Object} transitions - Transitions from getSettings()
+ * @returns {Array<string>} Allowed target statuses, in workflow order
+ */
+function getAllowedTransitions(status, transitions) {
+    const targets = transitions[status] || [];
+    return Object.keys(ASSET_STATUSES).filter(target => targets.includes(target));
+}
+
+/**
+ * Checks whether a status change is allowed
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} transitions - Transitions from getSettings()
+ * @returns {boolean} True if the workflow allows it
+ */
+function canTransition(from, to, transitions) {
+    return getAllowedTransitions(from, transitions).includes(to);
+}
+
+/**
+ * Checks whether assets in a status run the business-day clock
+ *
+ * @param {string} status - Status key
+ * @param {Array<string>} clockStatuses - Clock statuses from getSettings()
+ * @returns {boolean} True if the counter can raise alerts in this status
+ */
+function isClockRunning(status, clockStatuses) {
+    return clockStatuses.includes(status);
+}
+
+/**
+ * Checks whether an asset was archived (taken off the active grid as finished)
+ *
+ * @param {Object} asset - Asset object
+ * @returns {boolean} True if the asset has an archive date
+ */
+function isAssetArchived(asset) {
+    return typeof asset.archivedAt === 'string';
+}
+
+/**
+ * Cleans stored transitions: unknown statuses and self-transitions are
+ * dropped, and statuses missing from the map get no outgoing transitions
+ *
+ * @param {any} value - Stored transitions (or undefined)
+ * @returns {Object} Transitions for every status (defaults if none were stored)
+ */
+function normalizeStatusTransitions(value) {
+    const source = value && typeof value === 'object' && !Array.isArray(value)
+        ? value
+        : DEFAULT_STATUS_TRANSITIONS;
+    const transitions = {};
+
+    for (const status of Object.keys(ASSET_STATUSES)) {
+        const targets = Array.isArray(source[status]) ? source[status] : [];
+        transitions[status] = Object.keys(ASSET_STATUSES)
+            .filter(target => target !== status && targets.includes(target));
+    }
+
+    return transitions;
+}
+
+/**
+ * Cleans stored clock statuses (unknown statuses are dropped)
+ *
+ * @param {any} value - Stored clock statuses (or undefined)
+ * @returns {Array<string>} Statuses that run the clock (defaults if none were stored)
+ */
+function normalizeClockStatuses(value) {
+    const source = Array.isArray(value) ? value : DEFAULT_CLOCK_STATUSES;
+    return Object.keys(ASSET_STATUSES).filter(status => source.includes(status));
+}
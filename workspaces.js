@@ -0,0 +1,409 @@
+/**
+ * FILE: workspaces.js
+ * PATTERN: Registry (named data sets)
+ * RESPONSIBILITY: Workspaces (one per show/project), each with its own assets,
+ * thresholds and holiday configuration
+ *
+ * ARCHITECTURAL DECISIONS:
+ * - A workspace is a complete, separate data set stored under its own key
+ *   (IndexedDB database / localStorage key), so storage.js, undo history and
+ *   remote sync work exactly as before - just for the open workspace
+ * - The default workspace keeps STORAGE_KEY, so data saved before workspaces
+ *   existed simply becomes "Default" (no migration needed)
+ * - The list of workspaces is per device (localStorage); the workspace open in
+ *   a tab is remembered per tab (sessionStorage), so tabs can show different
+ *   workspaces side by side
+ * - Switching happens in place: sync stops, storage swaps data sets, the undo
+ *   history of the new workspace is loaded and sync restarts
+ *
+ * BENEFITS:
+ * - Several shows can be tracked without mixing their assets
+ * - Only the open workspace is loaded, however many there are
+ */
+
+// localStorage key for the workspace list: { workspaces: [{ id, name, createdAt }], lastUsedId }
+const WORKSPACES_KEY = `${STORAGE_KEY}:workspaces`;
+
+// sessionStorage key for the workspace open in this tab
+const ACTIVE_WORKSPACE_KEY = `${STORAGE_KEY}:workspace`;
+
+// The workspace stored under STORAGE_KEY itself (cannot be deleted)
+const DEFAULT_WORKSPACE_ID = 'default';
+
+// Maximum length of a workspace name
+const WORKSPACE_NAME_MAX_LENGTH = 50;
+
+// ID of the workspace open in this tab
+let activeWorkspaceId = DEFAULT_WORKSPACE_ID;
+
+// Callbacks notified when the workspace list or the open workspace changes
+const workspaceChangeListeners = [];
+
+// ========================================
+// REGISTRY
+// ========================================
+
+/**
+ * Reads the workspace list (the default workspace is always present)
+ *
+ * @returns {Object} { workspaces: [{ id, name, createdAt }], lastUsedId }
+ */
+function readWorkspaceRegistry() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(WORKSPACES_KEY));
+    } catch (error) {
+        debugLog('Ignoring unreadable workspace list:', error);
+    }
+
+    const workspaces = (stored && Array.isArray(stored.workspaces) ? stored.workspaces : [])
+        .filter(workspace => workspace && typeof workspace.id === 'string' && typeof workspace.name === 'string');
+
+    if (!workspaces.some(workspace => workspace.id === DEFAULT_WORKSPACE_ID)) {
+        workspaces.unshift({ id: DEFAULT_WORKSPACE_ID, name: 'Default', createdAt: null });
+    }
+
+    return {
+        workspaces,
+        lastUsedId: stored && typeof stored.lastUsedId === 'string' ? stored.lastUsedId : DEFAULT_WORKSPACE_ID
+    };
+}
+
+/**
+ * Reads, modifies and writes the workspace list in one step
+ *
+ * @param {Function} update - Receives the registry and modifies it in place
+ * @returns {boolean} True if saved
+ */
+function updateWorkspaceRegistry(update) {
+    const registry = readWorkspaceRegistry();
+    update(registry);
+    try {
+        localStorage.setItem(WORKSPACES_KEY, JSON.stringify(registry));
+        return true;
+    } catch (error) {
+        debugLog('Failed to save workspace list:', error);
+        showToast('Failed to save the workspace list', 'error');
+        return false;
+    }
+}
+
+/**
+ * Storage key holding a workspace's data
+ *
+ * @param {string} id - Workspace ID
+ * @returns {string} IndexedDB database name / localStorage key
+ */
+function getWorkspaceStorageKey(id) {
+    return id === DEFAULT_WORKSPACE_ID ? STORAGE_KEY : `${STORAGE_KEY}:workspace:${id}`;
+}
+
+/**
+ * Checks a proposed workspace name
+ *
+ * RULES: Required, max WORKSPACE_NAME_MAX_LENGTH characters, unique (ignoring case)
+ *
+ * @param {string} value - Proposed name
+ * @param {string} [exceptId] - Workspace being renamed (may keep its own name)
+ * @returns {Object} { valid: boolean, value?: string, error?: string }
+ */
+function validateWorkspaceName(value, exceptId) {
+    const trimmed = (value || '').trim();
+
+    if (!trimmed) {
+        return { valid: false, error: 'Workspace name is required' };
+    }
+    if (trimmed.length > WORKSPACE_NAME_MAX_LENGTH) {
+        return { valid: false, error: `Workspace name must be ${WORKSPACE_NAME_MAX_LENGTH} characters or less` };
+    }
+
+    const taken = readWorkspaceRegistry().workspaces.find(workspace =>
+        workspace.id !== exceptId && workspace.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (taken) {
+        return { valid: false, error: `A workspace named "${taken.name}" already exists` };
+    }
+
+    return { valid: true, value: trimmed };
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Opens the workspace this tab used last (or the default one)
+ *
+ * CALL: Once at startup, instead of initStorage()
+ *
+ * @returns {Promise<void>}
+ */
+async function initWorkspaces() {
+    const { workspaces, lastUsedId } = readWorkspaceRegistry();
+    let tabWorkspaceId = null;
+    try {
+        tabWorkspaceId = sessionStorage.getItem(ACTIVE_WORKSPACE_KEY);
+    } catch (error) {
+        debugLog('Could not read the workspace of this tab:', error);
+    }
+
+    const exists = id => workspaces.some(workspace => workspace.id === id);
+    activeWorkspaceId = exists(tabWorkspaceId) ? tabWorkspaceId
+        : exists(lastUsedId) ? lastUsedId
+            : DEFAULT_WORKSPACE_ID;
+
+    rememberActiveWorkspace();
+    window.addEventListener('storage', handleWorkspaceRegistryChange);
+
+    await initStorage(getWorkspaceStorageKey(activeWorkspaceId));
+}
+
+/**
+ * @returns {Array<Object>} All workspaces [{ id, name, createdAt }], default first
+ */
+function getWorkspaces() {
+    return readWorkspaceRegistry().workspaces.map(workspace => ({ ...workspace }));
+}
+
+/**
+ * @returns {Object} The workspace open in this tab { id, name, createdAt }
+ */
+function getActiveWorkspace() {
+    const workspaces = getWorkspaces();
+    return workspaces.find(workspace => workspace.id === activeWorkspaceId) || workspaces[0];
+}
+
+/**
+ * Registers a callback for workspace list / open workspace changes
+ *
+ * @param {Function} listener - Called with { switched: boolean }
+ */
+function onWorkspaceChange(listener) {
+    workspaceChangeListeners.push(listener);
+}
+
+/**
+ * Opens another workspace in this tab
+ *
+ * @param {string} id - Workspace ID
+ * @returns {Promise<boolean>} True if switched
+ */
+async function switchWorkspace(id) {
+    if (id === activeWorkspaceId) return true;
+
+    if (!getWorkspaces().some(workspace => workspace.id === id)) {
+        showToast('Workspace not found', 'error');
+        return false;
+    }
+
+    await stopRemoteSync();
+    try {
+        await switchStorage(getWorkspaceStorageKey(id));
+        activeWorkspaceId = id;
+    } finally {
+        // Resume on whichever workspace is open now
+        loadHistory();
+        restartRemoteSync();
+    }
+
+    rememberActiveWorkspace();
+    notifyWorkspaceChange(true);
+    return true;
+}
+
+/**
+ * Creates an empty workspace (default settings)
+ *
+ * @param {string} name - Workspace name
+ * @returns {Object} { success, workspace?, error? }
+ */
+function createWorkspace(name) {
+    const validation = validateWorkspaceName(name);
+    if (!validation.valid) {
+        return { success: false, error: validation.error };
+    }
+
+    const workspace = { id: generateUUID(), name: validation.value, createdAt: new Date().toISOString() };
+    if (!updateWorkspaceRegistry(registry => registry.workspaces.push(workspace))) {
+        return { success: false, error: 'Failed to save the workspace list' };
+    }
+
+    notifyWorkspaceChange(false);
+    return { success: true, workspace: { ...workspace } };
+}
+
+/**
+ * Renames a workspace
+ *
+ * @param {string} id - Workspace ID
+ * @param {string} name - New name
+ * @returns {Object} { success, error? }
+ */
+function renameWorkspace(id, name) {
+    const validation = validateWorkspaceName(name, id);
+    if (!validation.valid) {
+        return { success: false, error: validation.error };
+    }
+
+    const saved = updateWorkspaceRegistry(registry => {
+        const workspace = registry.workspaces.find(item => item.id === id);
+        if (workspace) {
+            workspace.name = validation.value;
+        }
+    });
+    if (!saved) {
+        return { success: false, error: 'Failed to save the workspace list' };
+    }
+
+    notifyWorkspaceChange(false);
+    return { success: true };
+}
+
+/**
+ * Creates a new workspace holding a copy of everything in another one
+ *
+ * COPIED: Assets, settings, trash, quarantine and audit log
+ * NOT COPIED: Undo history and sync server (the copy starts unsynced)
+ *
+ * @param {string} id - Workspace to copy
+ * @param {string} name - Name of the copy
+ * @returns {Promise<Object>} { success, workspace?, error? }
+ */
+async function duplicateWorkspace(id, name) {
+    const created = createWorkspace(name);
+    if (!created.success) return created;
+
+    try {
+        await copyWorkspaceData(getWorkspaceStorageKey(id), getWorkspaceStorageKey(created.workspace.id));
+        return created;
+    } catch (error) {
+        debugLog('Failed to duplicate workspace:', error);
+        await removeWorkspace(created.workspace.id);
+        return { success: false, error: `Could not copy the workspace: ${error.message}` };
+    }
+}
+
+/**
+ * Permanently deletes a workspace and all of its data
+ *
+ * WARNING: This is destructive and cannot be undone. The default workspace
+ * cannot be deleted. If it is open, this tab switches to the default first.
+ *
+ * @param {string} id - Workspace ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteWorkspace(id) {
+    if (id === DEFAULT_WORKSPACE_ID) {
+        showToast('The default workspace cannot be deleted', 'error');
+        return false;
+    }
+
+    if (id === activeWorkspaceId) {
+        await switchWorkspace(DEFAULT_WORKSPACE_ID);
+    }
+
+    return removeWorkspace(id);
+}
+
+/**
+ * Copies or moves assets of the open workspace into another workspace
+ *
+ * @param {Array<string>} assetIds - Assets to transfer
+ * @param {string} targetId - Target workspace ID
+ * @param {string} mode - 'copy' or 'move'
+ * @returns {Promise<Object>} Result of transferAssets() { success, transferred, skipped }
+ */
+function transferAssetsToWorkspace(assetIds, targetId, mode) {
+    const target = getWorkspaces().find(workspace => workspace.id === targetId);
+    if (!target) {
+        showToast('Workspace not found', 'error');
+        return Promise.resolve({ success: false, transferred: 0, skipped: [] });
+    }
+
+    return transferAssets(assetIds, getWorkspaceStorageKey(targetId), {
+        mode,
+        sourceName: getActiveWorkspace().name,
+        targetName: target.name
+    });
+}
+
+// ========================================
+// INTERNALS
+// ========================================
+
+/**
+ * Removes a workspace from the list and deletes its stored data
+ *
+ * @param {string} id - Workspace ID (must not be open in this tab)
+ * @returns {Promise<boolean>} True if removed from the list
+ */
+async function removeWorkspace(id) {
+    const storageKey = getWorkspaceStorageKey(id);
+    if (!updateWorkspaceRegistry(registry => {
+        registry.workspaces = registry.workspaces.filter(workspace => workspace.id !== id);
+    })) {
+        return false;
+    }
+
+    try {
+        localStorage.removeItem(`${storageKey}:remote`);
+        sessionStorage.removeItem(`${storageKey}:history`);
+        await deleteStoredData(storageKey);
+    } catch (error) {
+        debugLog(`Failed to delete data of workspace ${id}:`, error);
+    }
+
+    notifyWorkspaceChange(false);
+    return true;
+}
+
+/**
+ * Saves the open workspace for this tab and as the device's last used one
+ */
+function rememberActiveWorkspace() {
+    try {
+        sessionStorage.setItem(ACTIVE_WORKSPACE_KEY, activeWorkspaceId);
+    } catch (error) {
+        debugLog('Could not remember the workspace of this tab:', error);
+    }
+
+    const registry = readWorkspaceRegistry();
+    if (registry.lastUsedId !== activeWorkspaceId) {
+        updateWorkspaceRegistry(current => {
+            current.lastUsedId = activeWorkspaceId;
+        });
+    }
+}
+
+/**
+ * Reacts to the workspace list being changed in another tab
+ *
+ * @param {StorageEvent} event - Window storage event
+ */
+async function handleWorkspaceRegistryChange(event) {
+    if (event.key !== WORKSPACES_KEY) return;
+
+    const stillExists = getWorkspaces().some(workspace => workspace.id === activeWorkspaceId);
+    if (!stillExists) {
+        showToast('This workspace was deleted in another tab', 'warning', 5000);
+        await switchWorkspace(DEFAULT_WORKSPACE_ID);
+        return;
+    }
+
+    notifyWorkspaceChange(false);
+}
+
+/**
+ * Notifies listeners about a workspace change
+ *
+ * @param {boolean} switched - True if a different workspace is now open
+ */
+function notifyWorkspaceChange(switched) {
+    workspaceChangeListeners.forEach(listener => {
+        try {
+            listener({ switched });
+        } catch (error) {
+            debugLog('Workspace listener failed:', error);
+        }
+    });
+}